@@ -0,0 +1,288 @@
+/**
+ * Chain Registry
+ * Every supported network is a single data entry - config/constants.js, the services
+ * and the network selector UI all derive from it, so adding a chain needs no code changes
+ *
+ * Entry fields:
+ *   name, chainId, icon       - display and identification
+ *   apiUrl, apiKeyEnv         - Etherscan-compatible explorer API and the env var holding its key
+ *                               (falls back to ETHERSCAN_API_KEY when unset)
+ *   rpcUrlEnv                 - env var holding a JSON-RPC endpoint; when set, balances and contract
+ *                               calls go to the node first and the explorer API is the fallback
+ *   explorerUrl               - block explorer for links
+ *   dexScreenerSlug           - DexScreener chainId used to filter trading pairs
+ *   nativeCurrency            - symbol, name, decimals and wrapped token used for pricing
+ *   delayMultiplier           - scales TOKEN_DELAY / WALLET_DELAY for the explorer's rate limits
+ *   multicallAddress          - optional Multicall3 override (defaults to the canonical deployment,
+ *                               null when the chain has none)
+ *   nameService               - optional ENS-style registry: registry address, reverse node suffix and,
+ *                               for subname services like Basenames, the name suffix resolved here
+ *                               (other names resolve through the chain without a suffix - ENS on Ethereum)
+ *   tokens                    - known tokens (lowercase address -> metadata), skips contract calls
+ *   walletLabels              - optional known exchange / bridge wallets (lowercase address -> { name, type }),
+ *                               type is 'exchange' or 'bridge'; used by wallet classification
+ *   lpPositionManagers        - optional concentrated liquidity position NFTs (Uniswap v3 and forks):
+ *                               { name, address, factory, poolKey } with poolKey 'fee' (Uniswap v3) or
+ *                               'tickSpacing' (Aerodrome Slipstream) - what the factory's getPool takes
+ *
+ * A chain without apiUrl (e.g. a local dev chain) is only enabled when its RPC endpoint is configured
+ */
+
+const CHAINS = {
+  ethereum: {
+    name: 'Ethereum Mainnet',
+    chainId: 1,
+    apiUrl: 'https://api.etherscan.io/api',
+    apiKeyEnv: 'ETHERSCAN_API_KEY',
+    rpcUrlEnv: 'ETHEREUM_RPC_URL',
+    explorerUrl: 'https://etherscan.io',
+    dexScreenerSlug: 'ethereum',
+    nativeCurrency: {
+      symbol: 'ETH',
+      name: 'Ether',
+      decimals: 18,
+      wrappedAddress: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2'
+    },
+    delayMultiplier: 1.0,
+    icon: '🔷',
+    lpPositionManagers: [
+      { name: 'Uniswap v3', address: '0xc36442b4a4522e871399cd717abdd847ab11fe88', factory: '0x1f98431c8ad98523631ae4a59f267346ea31f984', poolKey: 'fee' }
+    ],
+    nameService: {
+      registry: '0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e',
+      reverseSuffix: 'addr.reverse'
+    },
+    tokens: {
+      // Stablecoins
+      '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+      '0xa0b86a33e6441466f4f0c9bb6eb6a5e40f3df8ab': { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+      '0x6b175474e89094c44da98b954eedeeac495271d0f': { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+      '0x4fabb145d64652a948d72533023f6e7a623c7c53': { symbol: 'BUSD', name: 'Binance USD', decimals: 18 },
+
+      // Major tokens
+      '0x95ad61b0a150d79219dcf64e1e6cc01f0b64c4ce': { symbol: 'SHIB', name: 'SHIBA INU', decimals: 18 },
+      '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': { symbol: 'WBTC', name: 'Wrapped BTC', decimals: 8 },
+      '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+      '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984': { symbol: 'UNI', name: 'Uniswap', decimals: 18 },
+      '0x514910771af9ca656af840dff83e8264ecf986ca': { symbol: 'LINK', name: 'Chainlink', decimals: 18 },
+      '0x7d1afa7b718fb893db30a3abc0cfc608aacfebb0': { symbol: 'MATIC', name: 'Polygon', decimals: 18 },
+
+      // DeFi tokens
+      '0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9': { symbol: 'AAVE', name: 'Aave Token', decimals: 18 },
+      '0xc00e94cb662c3520282e6f5717214004a7f26888': { symbol: 'COMP', name: 'Compound', decimals: 18 },
+      '0x9f8f72aa9304c8b593d555f12ef6589cc3a579a2': { symbol: 'MKR', name: 'Maker', decimals: 18 }
+    },
+    walletLabels: {
+      // Exchanges
+      '0x28c6c06298d514db089934071355e5743bf21d60': { name: 'Binance 14', type: 'exchange' },
+      '0x21a31ee1afc51d94c2efccaa2092ad1028285549': { name: 'Binance 15', type: 'exchange' },
+      '0xdfd5293d8e347dfe59e90efd55b2956a1343963d': { name: 'Binance 16', type: 'exchange' },
+      '0xf977814e90da44bfa03b6295a0616a897441acec': { name: 'Binance 8', type: 'exchange' },
+      '0x71660c4005ba85c37ccec55d0c4493e66fe775d3': { name: 'Coinbase 1', type: 'exchange' },
+      '0x503828976d22510aad0201ac7ec88293211d23da': { name: 'Coinbase 2', type: 'exchange' },
+      '0xa9d1e08c7793af67e9d92fe308d5697fb81d3e43': { name: 'Coinbase 10', type: 'exchange' },
+      '0x2910543af39aba0cd09dbb2d50200b3e800a63d2': { name: 'Kraken 1', type: 'exchange' },
+      '0x267be1c1d684f78cb4f6a176c4911b741e4ffdc0': { name: 'Kraken 4', type: 'exchange' },
+      '0x6cc5f688a315f3dc28a7781717a9a798a59fda7b': { name: 'OKX', type: 'exchange' },
+      '0x742d35cc6634c0532925a3b844bc454e4438f44e': { name: 'Bitfinex 2', type: 'exchange' },
+
+      // Bridges
+      '0x8315177ab297ba92a06054ce80a67ed4dbd7ed3a': { name: 'Arbitrum One Bridge', type: 'bridge' },
+      '0x99c9fc46f92e8a1c0dec1b1747d010903e884be1': { name: 'OP Mainnet L1 Standard Bridge', type: 'bridge' },
+      '0x3154cf16ccdb4c6d922629664174b904d80f2c35': { name: 'Base L1 Standard Bridge', type: 'bridge' },
+      '0xa0c68c638235ee32657e8f720a23cec1bfc77c77': { name: 'Polygon PoS Root Chain Manager', type: 'bridge' },
+      '0x40ec5b33f54e0e8a33a975908c5ba1c14e5bbbdf': { name: 'Polygon PoS ERC20 Predicate', type: 'bridge' },
+      '0x8484ef722627bf18ca5ae6bcf031c23e6e922b30': { name: 'Polygon PoS Ether Predicate', type: 'bridge' }
+    }
+  },
+
+  base: {
+    name: 'Base Mainnet',
+    chainId: 8453,
+    apiUrl: 'https://api.basescan.org/api',
+    apiKeyEnv: 'BASESCAN_API_KEY',
+    rpcUrlEnv: 'BASE_RPC_URL',
+    explorerUrl: 'https://basescan.org',
+    dexScreenerSlug: 'base',
+    nativeCurrency: {
+      symbol: 'ETH',
+      name: 'Ether',
+      decimals: 18,
+      wrappedAddress: '0x4200000000000000000000000000000000000006'
+    },
+    delayMultiplier: 0.8, // Faster for Base L2
+    icon: '🔵',
+    lpPositionManagers: [
+      { name: 'Uniswap v3', address: '0x03a520b32c04bf3beef7beb72e919cf822ed34f1', factory: '0x33128a8fc17869897dce68ed026d694621f6fdfd', poolKey: 'fee' },
+      { name: 'Aerodrome Slipstream', address: '0x827922686190790b37229fd06084350e74485b72', factory: '0x5e7bb104d84c7cb9b682aac2f3d509f5f406809a', poolKey: 'tickSpacing' }
+    ],
+    nameService: {
+      registry: '0xb94704422c2a1e396835a571837aa5ae53285a95',
+      reverseSuffix: '80002105.reverse', // ENSIP-11 coin type of Base
+      suffix: 'base.eth'
+    },
+    tokens: {
+      // Base Stablecoins
+      '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+      '0x50c5725949a6f0c72e6c4a641f24049a917db0cb': { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+
+      // Base native and wrapped tokens
+      '0x4200000000000000000000000000000000000006': { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+
+      // Popular Base tokens (these may need to be updated with actual Base token addresses)
+      '0x940181a94a35a4569e4529a3cdfb74e38fd98631': { symbol: 'AERO', name: 'Aerodrome Finance', decimals: 18 },
+      '0x0578292cb20a443ba1cde459c985ce14ca2bdee5': { symbol: 'SCALE', name: 'Scale', decimals: 18 }
+    },
+    walletLabels: {
+      '0x4200000000000000000000000000000000000010': { name: 'Base L2 Standard Bridge', type: 'bridge' }
+    }
+  },
+
+  arbitrum: {
+    name: 'Arbitrum One',
+    chainId: 42161,
+    apiUrl: 'https://api.arbiscan.io/api',
+    apiKeyEnv: 'ARBISCAN_API_KEY',
+    rpcUrlEnv: 'ARBITRUM_RPC_URL',
+    explorerUrl: 'https://arbiscan.io',
+    dexScreenerSlug: 'arbitrum',
+    nativeCurrency: {
+      symbol: 'ETH',
+      name: 'Ether',
+      decimals: 18,
+      wrappedAddress: '0x82af49447d8a07e3bd95bd0d56f35241523fbab1'
+    },
+    delayMultiplier: 0.8,
+    icon: '🌀',
+    lpPositionManagers: [
+      { name: 'Uniswap v3', address: '0xc36442b4a4522e871399cd717abdd847ab11fe88', factory: '0x1f98431c8ad98523631ae4a59f267346ea31f984', poolKey: 'fee' }
+    ],
+    tokens: {
+      '0xaf88d065e77c8cc2239327c5edb3a432268e5831': { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+      '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9': { symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+      '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1': { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+      '0x82af49447d8a07e3bd95bd0d56f35241523fbab1': { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+      '0x2f2a2543b76a4166549f7aab2e75bef0aefc5b0f': { symbol: 'WBTC', name: 'Wrapped BTC', decimals: 8 },
+      '0x912ce59144191c1204e64559fe8253a0e49e6548': { symbol: 'ARB', name: 'Arbitrum', decimals: 18 }
+    },
+    walletLabels: {
+      '0x5288c571fd7ad117bea99bf60fe0846c4e84f933': { name: 'Arbitrum L2 Gateway Router', type: 'bridge' }
+    }
+  },
+
+  optimism: {
+    name: 'OP Mainnet',
+    chainId: 10,
+    apiUrl: 'https://api-optimistic.etherscan.io/api',
+    apiKeyEnv: 'OPTIMISM_API_KEY',
+    rpcUrlEnv: 'OPTIMISM_RPC_URL',
+    explorerUrl: 'https://optimistic.etherscan.io',
+    dexScreenerSlug: 'optimism',
+    nativeCurrency: {
+      symbol: 'ETH',
+      name: 'Ether',
+      decimals: 18,
+      wrappedAddress: '0x4200000000000000000000000000000000000006'
+    },
+    delayMultiplier: 0.8,
+    icon: '🔴',
+    lpPositionManagers: [
+      { name: 'Uniswap v3', address: '0xc36442b4a4522e871399cd717abdd847ab11fe88', factory: '0x1f98431c8ad98523631ae4a59f267346ea31f984', poolKey: 'fee' }
+    ],
+    tokens: {
+      '0x0b2c639c533813f4aa9d7837caf62653d097ff85': { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+      '0x94b008aa00579c1307b0ef2c499ad98a8ce58e58': { symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+      '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1': { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+      '0x4200000000000000000000000000000000000006': { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+      '0x4200000000000000000000000000000000000042': { symbol: 'OP', name: 'Optimism', decimals: 18 }
+    },
+    walletLabels: {
+      '0x4200000000000000000000000000000000000010': { name: 'OP Mainnet L2 Standard Bridge', type: 'bridge' }
+    }
+  },
+
+  polygon: {
+    name: 'Polygon PoS',
+    chainId: 137,
+    apiUrl: 'https://api.polygonscan.com/api',
+    apiKeyEnv: 'POLYGONSCAN_API_KEY',
+    rpcUrlEnv: 'POLYGON_RPC_URL',
+    explorerUrl: 'https://polygonscan.com',
+    dexScreenerSlug: 'polygon',
+    nativeCurrency: {
+      symbol: 'POL',
+      name: 'POL',
+      decimals: 18,
+      wrappedAddress: '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270'
+    },
+    delayMultiplier: 0.9,
+    icon: '🟣',
+    lpPositionManagers: [
+      { name: 'Uniswap v3', address: '0xc36442b4a4522e871399cd717abdd847ab11fe88', factory: '0x1f98431c8ad98523631ae4a59f267346ea31f984', poolKey: 'fee' }
+    ],
+    tokens: {
+      '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359': { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+      '0xc2132d05d31c914a87c6611c10748aeb04b58e8f': { symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+      '0x8f3cf7ad23cd3cadbd9735aff958023239c6a063': { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+      '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619': { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+      '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270': { symbol: 'WPOL', name: 'Wrapped POL', decimals: 18 }
+    }
+  },
+
+  bsc: {
+    name: 'BNB Smart Chain',
+    chainId: 56,
+    apiUrl: 'https://api.bscscan.com/api',
+    apiKeyEnv: 'BSCSCAN_API_KEY',
+    rpcUrlEnv: 'BSC_RPC_URL',
+    explorerUrl: 'https://bscscan.com',
+    dexScreenerSlug: 'bsc',
+    nativeCurrency: {
+      symbol: 'BNB',
+      name: 'BNB',
+      decimals: 18,
+      wrappedAddress: '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c'
+    },
+    delayMultiplier: 0.9,
+    icon: '🟡',
+    lpPositionManagers: [
+      { name: 'Uniswap v3', address: '0x7b8a01b39d58278b5de7e48c8449c9f4f5170613', factory: '0xdb1d10011ad0ff90774d0c6bb92e5c5c8b4461f7', poolKey: 'fee' }
+    ],
+    tokens: {
+      '0x55d398326f99059ff775485246999027b3197955': { symbol: 'USDT', name: 'Tether USD', decimals: 18 },
+      '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d': { symbol: 'USDC', name: 'USD Coin', decimals: 18 },
+      '0xe9e7cea3dedca5984780bafc599bd69add087d56': { symbol: 'BUSD', name: 'Binance USD', decimals: 18 },
+      '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c': { symbol: 'WBNB', name: 'Wrapped BNB', decimals: 18 },
+      '0x2170ed0880ac9a755fd29b2688956bd959f933f8': { symbol: 'ETH', name: 'Binance-Peg Ethereum', decimals: 18 },
+      '0x0e09fabb73bd3ade0a17ecc321fd13a19e81ce82': { symbol: 'CAKE', name: 'PancakeSwap Token', decimals: 18 }
+    },
+    walletLabels: {
+      '0x8894e0a0c962cb723c1976a4421c95949be2d4e3': { name: 'Binance Hot Wallet 6', type: 'exchange' }
+    }
+  },
+
+  // Hardhat / Anvil node - no explorer, no DEX pricing
+  local: {
+    name: 'Local Dev Chain',
+    chainId: 31337,
+    apiUrl: null,
+    apiKeyEnv: null,
+    rpcUrlEnv: 'LOCAL_RPC_URL',
+    explorerUrl: null,
+    dexScreenerSlug: null,
+    nativeCurrency: {
+      symbol: 'ETH',
+      name: 'Ether',
+      decimals: 18,
+      wrappedAddress: null
+    },
+    delayMultiplier: 0.1,
+    multicallAddress: null, // Deploy Multicall3 and set its address here to batch calls
+    icon: '🧪',
+    tokens: {}
+  }
+};
+
+module.exports = {
+  CHAINS
+};
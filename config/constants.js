@@ -1,42 +1,48 @@
 /**
  * Application Configuration
  * Secure configuration management with environment variables
- * Now supports multi-chain analysis (Ethereum, Base)
+ * Now supports multi-chain analysis - networks are defined in config/chains.js
  */
 
-// Environment validation
+const { CHAINS } = require('./chains');
+
+// Environment validation - an own JSON-RPC node can stand in for the explorer API key
+const hasRpcEndpoint = Object.values(CHAINS).some(chain => process.env[chain.rpcUrlEnv]);
+
 if (!process.env.ETHERSCAN_API_KEY) {
-  console.error('❌ ERROR: ETHERSCAN_API_KEY environment variable is required');
-  process.exit(1);
+  if (!hasRpcEndpoint) {
+    console.error('❌ ERROR: ETHERSCAN_API_KEY environment variable is required (or configure a <NETWORK>_RPC_URL)');
+    process.exit(1);
+  }
+  console.warn('⚠️ ETHERSCAN_API_KEY not set - networks without an RPC endpoint will fail');
 }
 
-// Network configurations - supports multiple blockchains
-const NETWORK_CONFIG = {
-  ethereum: {
-    name: 'Ethereum Mainnet',
-    chainId: 1,
-    apiUrl: 'https://api.etherscan.io/api',
-    apiKey: process.env.ETHERSCAN_API_KEY,
-    explorerUrl: 'https://etherscan.io',
-    nativeCurrency: { symbol: 'ETH', decimals: 18 },
-    icon: '🔷'
-  },
-  base: {
-    name: 'Base Mainnet',
-    chainId: 8453,
-    apiUrl: 'https://api.basescan.org/api',
-    apiKey: process.env.BASESCAN_API_KEY || process.env.ETHERSCAN_API_KEY, // Fallback to Etherscan key
-    explorerUrl: 'https://basescan.org',
-    nativeCurrency: { symbol: 'ETH', decimals: 18 },
-    icon: '🔵'
-  }
-};
+// Pseudo-address standing in for a network's native currency in token lists
+const NATIVE_TOKEN_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+// Multicall3 is deployed at the same address on every major EVM chain
+const MULTICALL3_ADDRESS = '0xca11bde05977b3631167028862be2a173976ca11';
+
+// Network configurations built from the chain registry (config/chains.js)
+// nativeCurrency.wrappedAddress is used to price the native currency on DEXes
+// multicallAddress defaults to MULTICALL3_ADDRESS unless the registry sets it (null disables batching)
+// Chains reachable through neither an explorer API nor an RPC endpoint are left out
+const NETWORK_CONFIG = Object.fromEntries(
+  Object.entries(CHAINS)
+    .map(([networkId, { tokens, walletLabels, apiKeyEnv, rpcUrlEnv, ...chain }]) => [networkId, {
+      ...chain,
+      apiKey: process.env[apiKeyEnv] || process.env.ETHERSCAN_API_KEY, // Fallback to Etherscan key
+      rpcUrl: process.env[rpcUrlEnv] || null,
+      multicallAddress: chain.multicallAddress === undefined ? MULTICALL3_ADDRESS : chain.multicallAddress
+    }])
+    .filter(([, config]) => config.apiUrl || config.rpcUrl)
+);
 
 // Legacy API configuration for backward compatibility
 const API_CONFIG = {
   ETHERSCAN_API_KEY: process.env.ETHERSCAN_API_KEY,
   ETHERSCAN_API: NETWORK_CONFIG.ethereum.apiUrl,
-  BASESCAN_API_KEY: process.env.BASESCAN_API_KEY || process.env.ETHERSCAN_API_KEY,
+  BASESCAN_API_KEY: NETWORK_CONFIG.base.apiKey,
   BASESCAN_API: NETWORK_CONFIG.base.apiUrl,
   COINGECKO_API: 'https://api.coingecko.com/api/v3',
   DEXSCREENER_API: 'https://api.dexscreener.com/latest',
@@ -50,91 +56,217 @@ const API_CONFIG = {
   }
 };
 
-// Network-specific token databases
-const ETHEREUM_TOKENS = {
-  // Stablecoins
-  '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', name: 'Tether USD', decimals: 6 },
-  '0xa0b86a33e6441466f4f0c9bb6eb6a5e40f3df8ab': { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
-  '0x6b175474e89094c44da98b954eedeeac495271d0f': { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
-  '0x4fabb145d64652a948d72533023f6e7a623c7c53': { symbol: 'BUSD', name: 'Binance USD', decimals: 18 },
-  
-  // Major tokens
-  '0x95ad61b0a150d79219dcf64e1e6cc01f0b64c4ce': { symbol: 'SHIB', name: 'SHIBA INU', decimals: 18 },
-  '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': { symbol: 'WBTC', name: 'Wrapped BTC', decimals: 8 },
-  '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
-  '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984': { symbol: 'UNI', name: 'Uniswap', decimals: 18 },
-  '0x514910771af9ca656af840dff83e8264ecf986ca': { symbol: 'LINK', name: 'Chainlink', decimals: 18 },
-  '0x7d1afa7b718fb893db30a3abc0cfc608aacfebb0': { symbol: 'MATIC', name: 'Polygon', decimals: 18 },
-  
-  // DeFi tokens
-  '0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9': { symbol: 'AAVE', name: 'Aave Token', decimals: 18 },
-  '0xc00e94cb662c3520282e6f5717214004a7f26888': { symbol: 'COMP', name: 'Compound', decimals: 18 },
-  '0x9f8f72aa9304c8b593d555f12ef6589cc3a579a2': { symbol: 'MKR', name: 'Maker', decimals: 18 }
-};
-
-const BASE_TOKENS = {
-  // Base Stablecoins
-  '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
-  '0x50c5725949a6f0c72e6c4a641f24049a917db0cb': { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
-  
-  // Base native and wrapped tokens
-  '0x4200000000000000000000000000000000000006': { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
-  
-  // Popular Base tokens (these may need to be updated with actual Base token addresses)
-  '0x940181a94a35a4569e4529a3cdfb74e38fd98631': { symbol: 'AERO', name: 'Aerodrome Finance', decimals: 18 },
-  '0x0578292cb20a443ba1cde459c985ce14ca2bdee5': { symbol: 'SCALE', name: 'Scale', decimals: 18 }
-};
-
 // Combined token database with network separation
-const TOKEN_DATABASE = {
-  ethereum: ETHEREUM_TOKENS,
-  base: BASE_TOKENS
-};
+const TOKEN_DATABASE = Object.fromEntries(
+  Object.entries(CHAINS).map(([networkId, chain]) => [networkId, chain.tokens || {}])
+);
+
+// Known exchange / bridge wallets per network (lowercase address -> { name, type })
+const WALLET_LABELS = Object.fromEntries(
+  Object.entries(CHAINS).map(([networkId, chain]) => [networkId, chain.walletLabels || {}])
+);
 
 // Legacy token database for backward compatibility
-const LEGACY_TOKEN_DATABASE = ETHEREUM_TOKENS;
+const LEGACY_TOKEN_DATABASE = TOKEN_DATABASE.ethereum;
 
 // Contract function selectors for ERC-20 calls (universal across networks)
 const CONTRACT_FUNCTIONS = {
   NAME: '0x06fdde03',        // name() function selector
   SYMBOL: '0x95d89b41',      // symbol() function selector  
   DECIMALS: '0x313ce567',    // decimals() function selector
-  BALANCE_OF: '0x70a08231'   // balanceOf(address) function selector
+  BALANCE_OF: '0x70a08231',  // balanceOf(address) function selector
+  AGGREGATE3: '0x82ad56cb',  // Multicall3 aggregate3((address,bool,bytes)[]) function selector
+  GET_ETH_BALANCE: '0x4d2301cc', // Multicall3 getEthBalance(address) function selector
+  SUPPORTS_INTERFACE: '0x01ffc9a7', // ERC-165 supportsInterface(bytes4) function selector
+  BALANCE_OF_ID: '0x00fdd58e',      // ERC-1155 balanceOf(address,uint256) function selector
+  TOKEN_OF_OWNER_BY_INDEX: '0x2f745c59', // ERC-721 Enumerable tokenOfOwnerByIndex(address,uint256) function selector
+  ENS_RESOLVER: '0x0178b8bf', // ENS registry resolver(bytes32) function selector
+  ENS_ADDR: '0x3b3b57de',     // ENS resolver addr(bytes32) function selector
+  ENS_NAME: '0x691f3431',     // ENS resolver name(bytes32) function selector
+  SAFE_GET_OWNERS: '0xa0e67e2b',    // Safe getOwners() function selector
+  SAFE_GET_THRESHOLD: '0xe75235b8', // Safe getThreshold() function selector
+  SAFE_VERSION: '0xffa1ad74',       // Safe VERSION() function selector
+  ENTRY_POINT: '0xb0d691fe',        // ERC-4337 account entryPoint() function selector
+  ALLOWANCE: '0xdd62ed3e',          // ERC-20 allowance(address,address) function selector
+  TOTAL_SUPPLY: '0x18160ddd',       // ERC-20 totalSupply() function selector
+  TOKEN0: '0x0dfe1681',             // Uniswap v2 pair / v3 pool token0() function selector
+  TOKEN1: '0xd21220a7',             // Uniswap v2 pair / v3 pool token1() function selector
+  GET_RESERVES: '0x0902f1ac',       // Uniswap v2 pair getReserves() function selector
+  POSITIONS: '0x99fbab88',          // v3 position manager positions(uint256) function selector
+  GET_POOL_BY_FEE: '0x1698ee82',    // Uniswap v3 factory getPool(address,address,uint24) function selector
+  GET_POOL_BY_TICK_SPACING: '0x28af8d0b', // Slipstream factory getPool(address,address,int24) function selector
+  SLOT0: '0x3850c7bd'               // v3 pool slot0() function selector
+};
+
+// ERC-165 interface IDs used to detect NFT collections
+const INTERFACE_IDS = {
+  ERC721: '0x80ac58cd',
+  ERC721_ENUMERABLE: '0x780e9d63',
+  ERC1155: '0xd9b67a26'
+};
+
+// Token standards reported for analysis targets
+const TOKEN_STANDARDS = {
+  NATIVE: 'native',
+  ERC20: 'erc20',
+  ERC721: 'erc721',
+  ERC1155: 'erc1155'
+};
+
+// Proxy contracts recognized by token contract inspection
+const PROXY_PATTERNS = {
+  // EIP-1967 storage slots: keccak256('eip1967.proxy.implementation') - 1 and keccak256('eip1967.proxy.beacon') - 1
+  EIP1967_IMPLEMENTATION_SLOT: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  EIP1967_BEACON_SLOT: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  // EIP-1167 minimal proxy runtime code, the implementation address sits in between
+  EIP1167_PREFIX: '363d3d373d3d3d363d73',
+  EIP1167_SUFFIX: '5af43d82803e903d91602b57fd5bf3'
+};
+
+const PROXY_TYPES = {
+  EIP1167: 'eip1167',
+  EIP1967: 'eip1967',
+  EIP1967_BEACON: 'eip1967-beacon'
+};
+
+// Wallet types reported by wallet classification
+const WALLET_TYPES = {
+  EOA: 'eoa',
+  CONTRACT: 'contract',
+  SAFE: 'safe',
+  ERC4337: 'erc4337',
+  EXCHANGE: 'exchange',
+  BRIDGE: 'bridge'
+};
+
+// Event log topics
+const EVENT_TOPICS = {
+  APPROVAL: '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925' // Approval(address,address,uint256) - ERC-721 uses the same signature with an indexed third topic
+};
+
+// Risk flags on open ERC-20 approvals
+const ALLOWANCE_RISKS = {
+  UNLIMITED: 'unlimited',                  // Allowance at or above UNLIMITED_ALLOWANCE_THRESHOLD
+  UNVERIFIED_SPENDER: 'unverified-spender', // Spender contract source is not verified on the explorer
+  EOA_SPENDER: 'eoa-spender'               // Spender is a plain wallet, not a contract
+};
+
+// Smart account detection
+const ACCOUNT_PATTERNS = {
+  // Canonical ERC-4337 EntryPoint deployments - an account's entryPoint() must return one of these
+  ENTRY_POINTS: {
+    '0x5ff137d4b0fdcd49dca30c7cf57e578a026d2789': 'v0.6',
+    '0x0000000071727de22e5e9d8baf0edac6f37da032': 'v0.7',
+    '0x4337084d9e255ff0702461cf8895ce9e3b5ff108': 'v0.8'
+  },
+  // EIP-7702 delegated EOA code: 0xef0100 followed by the delegate address
+  EIP7702_PREFIX: 'ef0100'
 };
 
 // Analysis settings
 const ANALYSIS_CONFIG = {
   BATCH_SIZE: 1,                    // Process wallets sequentially for stability
   DEFAULT_DECIMALS: 18,             // Standard ERC-20 decimals
-  MIN_BALANCE_THRESHOLD: 0.000001,  // Minimum balance to consider as "has token"
+  MIN_BALANCE_THRESHOLD: '0.000001', // Minimum balance to consider as "has token" (decimal string, compared exactly)
   MAX_CONCURRENT_REQUESTS: 1,       // Max parallel requests to avoid rate limiting
   TIMEOUT_MS: 30000,                // Request timeout in milliseconds
+  RPC_TIMEOUT_MS: parseInt(process.env.RPC_TIMEOUT_MS) || 10000, // JSON-RPC request timeout before falling back to the explorer
+  MULTICALL_BATCH_SIZE: parseInt(process.env.MULTICALL_BATCH_SIZE) || 500, // Calls per aggregate3 on an RPC node
+  MULTICALL_EXPLORER_BATCH_SIZE: 15,  // Calls per aggregate3 via the explorer proxy (calldata goes in a GET URL)
+  SSE_HEARTBEAT_MS: 15000,          // Keep-alive interval for progress event streams
+  DISCOVERY_MAX_TRANSFERS: parseInt(process.env.DISCOVERY_MAX_TRANSFERS) || 1000, // Newest tokentx entries read per wallet in discovery mode
+  DISCOVERY_MAX_TOKENS: parseInt(process.env.DISCOVERY_MAX_TOKENS) || 100, // Most recently touched tokens checked per wallet
+  DISCOVERY_COMMON_MIN_WALLETS: 2,  // Held by at least this many wallets to count as a common token
+  NFT_MAX_TOKEN_IDS: 50,            // Held ERC-721 token IDs listed per wallet (enumerable collections, batched reads only)
+  APPROVAL_MAX_LOGS: parseInt(process.env.APPROVAL_MAX_LOGS) || 1000, // Newest approval events read per wallet in an allowance audit
+  LOG_SCAN_MAX_REQUESTS: 40,        // Block window requests per log scan back from the latest block (windows halve when refused)
+  UNLIMITED_ALLOWANCE_THRESHOLD: (1n << 96n) - 1n, // Allowances at or above this count as unlimited (uint96-capped tokens store less than uint256 max)
+  ACTIVITY_MAX_TRANSACTIONS: parseInt(process.env.ACTIVITY_MAX_TRANSACTIONS) || 10000, // Oldest txlist entries read per wallet for activity profiles (explorer cap: 10000)
+  HOLDER_SCREEN_BATCH_SIZE: parseInt(process.env.HOLDER_SCREEN_BATCH_SIZE) || 1000, // Wallets per balance batch (and streamed event) in holder screening
+  HOLDER_SCREEN_PERCENTILES: [25, 50, 75, 90, 99], // Balance percentiles reported per token in holder screening
+  HOLDER_SCREEN_TOP_HOLDERS: 10,    // Largest holders whose combined share is reported per token
+  SCORING_CURVES: ['flat', 'linear', 'sqrt', 'log'], // How a component's value maps to its weight (flat: full weight once held)
+  SCORING_ACTIVITY_CAP: 100,        // Transactions sent for full activity points, unless the scoring request sets a cap
+  SCORING_AGE_CAP_DAYS: 365,        // Wallet age in days for full age points, unless the scoring request sets a cap
+  AIRDROP_FORMULAS: ['flat', 'pro-rata', 'tiered', 'capped'], // Airdrop allocation formulas (capped: pro-rata with a per-wallet cap)
+  AIRDROP_BASES: ['balance', 'usd', 'score'], // What pro-rata, tiered and capped allocations are measured by
+  TRANSFER_GRAPH_MAX_TRANSFERS: parseInt(process.env.TRANSFER_GRAPH_MAX_TRANSFERS) || 1000, // Oldest txlist, txlistinternal and tokentx entries read per wallet for the transfer graph
+  SYBIL_FUNDING_WINDOW_HOURS: 24,   // Cluster members first funded within this many hours of each other look coordinated
+  SYBIL_LEVELS: ['low', 'medium', 'high'], // Cluster suspicion levels, least suspicious first
+  SYBIL_LEVEL_THRESHOLDS: { medium: 40, high: 70 }, // Suspicion score (0-100) from which a cluster is medium / high
+  LP_MAX_POSITIONS: parseInt(process.env.LP_MAX_POSITIONS) || 50, // Position NFTs read per wallet and position manager for LP valuation
   
-  // Network-specific timing adjustments
-  NETWORK_DELAYS: {
-    ethereum: 1.0,  // Base multiplier for Ethereum
-    base: 0.8       // Faster for Base L2
-  },
+  // Network-specific timing adjustments (delayMultiplier in the chain registry)
+  NETWORK_DELAYS: Object.fromEntries(
+    Object.entries(CHAINS).map(([networkId, chain]) => [networkId, chain.delayMultiplier ?? 1.0])
+  ),
   
   // Categorization thresholds
   CATEGORIZATION: {
     ALL_TOKENS: 'all',       // Wallet has ALL target tokens
     SOME_TOKENS: 'some',     // Wallet has SOME target tokens  
     NO_TOKENS: 'none'        // Wallet has NONE of target tokens
+  },
+  
+  // Balance comparison between two blocks - per wallet
+  CHANGE_CATEGORIES: {
+    ACCUMULATED: 'accumulated', // Balances only went up (including newly held tokens)
+    REDUCED: 'reduced',         // Balances only went down, some target tokens still held
+    EXITED: 'exited',           // Held target tokens at the start, none at the end
+    UNCHANGED: 'unchanged',     // No balance changed
+    MIXED: 'mixed'              // Some balances up, some down
+  },
+  
+  // Balance comparison between two blocks - per token
+  TOKEN_CHANGES: {
+    ENTERED: 'entered',     // Not held at the start, held at the end
+    INCREASED: 'increased',
+    DECREASED: 'decreased',
+    EXITED: 'exited',       // Held at the start, not held at the end
+    UNCHANGED: 'unchanged'
   }
 };
 
+// Background analysis jobs
+const JOB_CONFIG = {
+  RETENTION_MS: parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000,  // Keep finished jobs for 1 hour
+  CLEANUP_INTERVAL_MS: 5 * 60 * 1000,                                       // Sweep expired jobs every 5 minutes
+  MAX_ACTIVE_JOBS: parseInt(process.env.MAX_ACTIVE_JOBS) || 5              // Max queued/running jobs at once
+};
+
 // Validation patterns
 const VALIDATION = {
   ETHEREUM_ADDRESS: /^0x[a-fA-F0-9]{40}$/,
+  WALLET_NAME: /^[^\s.<>"'&]+(\.[^\s.<>"'&]+)+$/u, // ENS / Basename wallet input: dot-separated non-empty labels, no HTML characters
   MAX_WALLETS_PER_REQUEST: 50,      // Prevent abuse
   MAX_TOKENS_PER_REQUEST: 20,       // Prevent abuse
+  MAX_WALLETS_PER_SCREEN: parseInt(process.env.MAX_WALLETS_PER_SCREEN) || 10000, // Holder screening - plain addresses, batched reads
+  MAX_TOKENS_PER_SCREEN: 5,         // Holder screening targets one or a few tokens
+  MAX_RULE_CONDITIONS: 20,          // Named token conditions in categorization rules
+  MAX_RULE_BUCKETS: 10,             // Custom buckets in categorization rules
+  MAX_AIRDROP_TIERS: 10,            // Tiers in a tiered airdrop allocation
+  MAX_AIRDROP_DECIMALS: 36,         // Airdrop token decimals
   MIN_ADDRESS_LENGTH: 42,
   MAX_ADDRESS_LENGTH: 42,
+  NATIVE_TOKEN_ALIASES: ['native'], // Accepted in token lists besides the network's native symbol
   
   // Supported networks
-  SUPPORTED_NETWORKS: ['ethereum', 'base'],
-  DEFAULT_NETWORK: 'ethereum'
+  SUPPORTED_NETWORKS: Object.keys(NETWORK_CONFIG),
+  DEFAULT_NETWORK: 'ethereum',
+  
+  // Cross-chain analysis - tokens are given as 'network:address' and checked on their own chain
+  CROSS_CHAIN_NETWORK: 'multi',
+  CROSS_CHAIN_SEPARATOR: ':',
+  
+  // ERC-1155 targets carry their token ID: '0x...#42'
+  TOKEN_ID_SEPARATOR: '#'
+};
+
+// Display info for cross-chain analyses (not a real network)
+const CROSS_CHAIN_CONFIG = {
+  name: 'Cross-chain',
+  chainId: null,
+  icon: '🌐'
 };
 
 /**
@@ -158,6 +290,28 @@ function getTokenDatabase(networkId) {
   return TOKEN_DATABASE[network] || {};
 }
 
+/**
+ * Get bundled label for a known exchange / bridge wallet, null for unlabeled addresses
+ */
+function getWalletLabel(networkId, address) {
+  const network = networkId?.toLowerCase() || VALIDATION.DEFAULT_NETWORK;
+  return WALLET_LABELS[network]?.[address?.toLowerCase()] || null;
+}
+
+/**
+ * Check if token address refers to the network's native currency
+ */
+function isNativeToken(tokenAddress) {
+  return tokenAddress?.toLowerCase() === NATIVE_TOKEN_ADDRESS;
+}
+
+/**
+ * Check if token standard is an NFT collection (ERC-721 or ERC-1155)
+ */
+function isNftStandard(standard) {
+  return standard === TOKEN_STANDARDS.ERC721 || standard === TOKEN_STANDARDS.ERC1155;
+}
+
 /**
  * Check if network is supported
  */
@@ -165,6 +319,13 @@ function isNetworkSupported(networkId) {
   return VALIDATION.SUPPORTED_NETWORKS.includes(networkId?.toLowerCase());
 }
 
+/**
+ * Check if network ID selects cross-chain analysis
+ */
+function isCrossChain(networkId) {
+  return networkId?.toLowerCase() === VALIDATION.CROSS_CHAIN_NETWORK;
+}
+
 /**
  * Get all supported networks
  */
@@ -178,7 +339,7 @@ function getSupportedNetworks() {
 // Log supported networks on startup
 console.log('🌐 Supported Networks:');
 getSupportedNetworks().forEach(network => {
-  console.log(`   ${network.icon} ${network.name} (${network.id})`);
+  console.log(`   ${network.icon} ${network.name} (${network.id})${network.rpcUrl ? ' via RPC' : ''}`);
 });
 
 module.exports = {
@@ -187,13 +348,28 @@ module.exports = {
   TOKEN_DATABASE,
   getNetworkConfig,
   getTokenDatabase,
+  getWalletLabel,
   isNetworkSupported,
   getSupportedNetworks,
+  NATIVE_TOKEN_ADDRESS,
+  isNativeToken,
+  INTERFACE_IDS,
+  TOKEN_STANDARDS,
+  PROXY_PATTERNS,
+  PROXY_TYPES,
+  WALLET_TYPES,
+  ACCOUNT_PATTERNS,
+  EVENT_TOPICS,
+  ALLOWANCE_RISKS,
+  isNftStandard,
+  CROSS_CHAIN_CONFIG,
+  isCrossChain,
   
   // Legacy exports for backward compatibility
   API_CONFIG,
   TOKEN_DATABASE: LEGACY_TOKEN_DATABASE, // Legacy: defaults to Ethereum
   CONTRACT_FUNCTIONS,
   ANALYSIS_CONFIG,
+  JOB_CONFIG,
   VALIDATION
 };
@@ -8,6 +8,18 @@
 let analysisInProgress = false;
 let analysisStartTime = null;
 
+// Running analysis job - used for cancellation
+let currentJobId = null;
+let cancelRequested = false;
+let analysisAbortController = null;
+
+// Interval between analysis job status checks
+const JOB_POLL_INTERVAL_MS = 1500;
+
+// Token list entries meaning the network's native currency - resolved server-side
+const NATIVE_TOKEN_ALIASES = ['eth', 'native'];
+const NATIVE_TOKEN_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
 /**
  * Parse address input from textarea and return clean array
  */
@@ -24,21 +36,90 @@ function parseAddressInput(input) {
 }
 
 /**
- * Validate Ethereum address format
+ * Validate Ethereum address format - mixed-case addresses must carry a valid EIP-55 checksum
  */
 function isValidEthereumAddress(address) {
-  return /^0x[a-fA-F0-9]{40}$/.test(address);
+  return /^0x[a-fA-F0-9]{40}$/.test(address) && hasValidChecksum(address);
+}
+
+/**
+ * EIP-55 checksummed address (keccak256 comes from js/keccak.js, shared with the server)
+ */
+function toChecksumAddress(address) {
+  const hex = address.toLowerCase().slice(2);
+  const hash = keccak256(hex).slice(2);
+  
+  return `0x${[...hex].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('')}`;
+}
+
+/**
+ * All-lowercase / all-uppercase addresses carry no checksum; mixed-case ones must match EIP-55
+ */
+function hasValidChecksum(address) {
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+    return true;
+  }
+  
+  return toChecksumAddress(address) === address;
+}
+
+/**
+ * Check if wallet input is an ENS name or Basename ('vitalik.eth') - resolved server-side
+ */
+function isWalletName(value) {
+  return /^[^\s.<>"'&]+(\.[^\s.<>"'&]+)+$/u.test(value);
+}
+
+/**
+ * Validate token target - contract address, or '0x...#42' for an ERC-1155 token ID
+ */
+function isValidTokenTarget(token) {
+  const [address, tokenId, ...rest] = token.split('#');
+  
+  return rest.length === 0 && isValidEthereumAddress(address) &&
+    (tokenId === undefined || /^(\d+|0x[0-9a-fA-F]+)$/.test(tokenId));
+}
+
+/**
+ * Check if token list entry refers to the native currency
+ * The network's native symbol (ETH, POL, BNB...) is accepted too
+ */
+function isNativeTokenAlias(token, network = getSelectedNetwork()) {
+  const nativeSymbol = getNetworkInfo(network)?.nativeCurrency?.symbol;
+  const normalized = token.toLowerCase();
+  
+  return NATIVE_TOKEN_ALIASES.includes(normalized) ||
+    (!!nativeSymbol && normalized === nativeSymbol.toLowerCase());
+}
+
+/**
+ * Validate cross-chain token entry ('base:0x...' or 'base:ETH')
+ */
+function isValidCrossChainToken(entry) {
+  const [network, address = ''] = entry.split(':');
+  const networkInfo = getNetworkInfo(network.toLowerCase());
+  
+  return !!networkInfo && !isCrossChainNetwork(network.toLowerCase()) &&
+    (isValidTokenTarget(address) || isNativeTokenAlias(address, network.toLowerCase()));
 }
 
 /**
  * Client-side address validation
+ * allowNative accepts native currency aliases and ERC-1155 token IDs (token lists only)
+ * and, in cross-chain mode, network-prefixed token entries; wallet lists accept ENS names / Basenames
  */
-function validateAddressesClientSide(addresses) {
+function validateAddressesClientSide(addresses, allowNative = false) {
   const valid = [];
   const invalid = [];
+  const crossChain = allowNative && isCrossChainNetwork(getSelectedNetwork());
   
   for (const address of addresses) {
-    if (isValidEthereumAddress(address)) {
+    if (crossChain
+      ? isValidCrossChainToken(address)
+      : allowNative
+        ? isValidTokenTarget(address) || isNativeTokenAlias(address)
+        : isValidEthereumAddress(address) || isWalletName(address)) {
       valid.push(address);
     } else {
       invalid.push(address);
@@ -48,6 +129,48 @@ function validateAddressesClientSide(addresses) {
   return { valid, invalid };
 }
 
+/**
+ * Read a block number / date input pair - { block } or { timestamp } (ISO, UTC), null if empty
+ */
+function getBlockPointInput(blockInputId, timeInputId, label) {
+  const block = document.getElementById(blockInputId)?.value.trim();
+  const time = document.getElementById(timeInputId)?.value;
+  
+  if (block && time) {
+    throw new Error(`Choose either a ${label} block or a ${label} date, not both`);
+  }
+  
+  if (block) return { block: Number(block) };
+  // datetime-local has no zone - the input is labelled UTC
+  if (time) return { timestamp: `${time.length === 16 ? `${time}:00` : time}Z` };
+  return null;
+}
+
+/**
+ * Read optional snapshot inputs - { block } or { timestamp }, plus { fromBlock } or { fromTimestamp }
+ * when comparing balances against an earlier block; null for latest
+ */
+function getSnapshotInput() {
+  const snapshot = getBlockPointInput('snapshot-block', 'snapshot-time', 'snapshot');
+  const from = getBlockPointInput('compare-block', 'compare-time', 'comparison start');
+  
+  if (!snapshot && !from) return null;
+  
+  return {
+    ...snapshot,
+    ...(from?.block !== undefined ? { fromBlock: from.block } : {}),
+    ...(from?.timestamp ? { fromTimestamp: from.timestamp } : {})
+  };
+}
+
+/**
+ * Human-readable block point from snapshot input
+ */
+function describeBlockPoint(block, timestamp) {
+  if (block !== undefined) return `block ${block}`;
+  return timestamp || 'latest block';
+}
+
 /**
  * Main analysis function - entry point triggered by UI
  */
@@ -77,7 +200,7 @@ async function startAnalysis() {
     
     // Final client-side validation
     const walletValidation = validateAddressesClientSide(wallets);
-    const tokenValidation = validateAddressesClientSide(tokens);
+    const tokenValidation = validateAddressesClientSide(tokens, true);
     
     if (walletValidation.invalid.length > 0 || tokenValidation.invalid.length > 0) {
       showValidationResults(walletValidation, tokenValidation);
@@ -96,8 +219,29 @@ async function startAnalysis() {
       return;
     }
     
+    let snapshot;
+    let rules;
+    let scoring;
+    try {
+      snapshot = getSnapshotInput();
+      rules = getRulesInput();
+      scoring = getScoringInput();
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+    
     // Start analysis with network information
-    await performAnalysis(walletValidation.valid, tokenValidation.valid, selectedNetwork);
+    await performAnalysis(walletValidation.valid, tokenValidation.valid, selectedNetwork, snapshot, {
+      discover: isDiscoveryEnabled(),
+      auditApprovals: isApprovalAuditEnabled(),
+      activity: isActivityProfileEnabled(),
+      transferGraph: isTransferGraphEnabled(),
+      excludeClusters: getExcludeClustersInput(),
+      lpPositions: isLpPositionsEnabled(),
+      rules,
+      scoring
+    });
     
   } catch (error) {
     handleAnalysisError(error);
@@ -111,20 +255,246 @@ function validateInputs() {
   const walletsInput = document.getElementById('wallets').value.trim();
   const tokensInput = document.getElementById('tokens').value.trim();
   
-  if (!walletsInput || !tokensInput) {
+  // Token discovery finds tokens from transfer history - the token list is optional then
+  if (!walletsInput || (!tokensInput && !isDiscoveryEnabled())) {
     showError('Please provide both wallet and token addresses');
     return false;
   }
   
+  if (isDiscoveryEnabled() && isCrossChainNetwork(getSelectedNetwork())) {
+    showError('Token discovery runs on a single network - choose a network other than Cross-chain');
+    return false;
+  }
+  
+  if ((isTransferGraphEnabled() || getExcludeClustersInput()) && isCrossChainNetwork(getSelectedNetwork())) {
+    showError('The transfer graph runs on a single network - choose a network other than Cross-chain');
+    return false;
+  }
+  
+  if (isLpPositionsEnabled() && isCrossChainNetwork(getSelectedNetwork())) {
+    showError('LP position valuation runs on a single network - choose a network other than Cross-chain');
+    return false;
+  }
+  
   return true;
 }
 
+/**
+ * Token discovery checkbox state
+ */
+function isDiscoveryEnabled() {
+  return !!document.getElementById('discover-tokens')?.checked;
+}
+
+/**
+ * Approval audit checkbox state
+ */
+function isApprovalAuditEnabled() {
+  return !!document.getElementById('audit-approvals')?.checked;
+}
+
+/**
+ * Activity profile checkbox state
+ */
+function isActivityProfileEnabled() {
+  return !!document.getElementById('wallet-activity')?.checked;
+}
+
+/**
+ * Transfer graph checkbox state
+ */
+function isTransferGraphEnabled() {
+  return !!document.getElementById('transfer-graph')?.checked;
+}
+
+/**
+ * LP positions checkbox state
+ */
+function isLpPositionsEnabled() {
+  return !!document.getElementById('lp-positions')?.checked;
+}
+
+/**
+ * Cluster suspicion level to exclude from categorization ('all', 'medium', 'high'), null for none
+ */
+function getExcludeClustersInput() {
+  return document.getElementById('exclude-clusters')?.value || null;
+}
+
+/**
+ * Categorization rules from the rules textarea, null when empty
+ * Lines are conditions ('A = 0x... >= 1000 >= $50') or buckets ('Whales: A AND B'), '#' starts a comment
+ * Returns { conditions, buckets } for the API - expressions are checked by the server
+ */
+function getRulesInput() {
+  const input = document.getElementById('category-rules')?.value || '';
+  const lines = input.split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+  if (lines.length === 0) return null;
+  
+  const conditions = {};
+  const buckets = [];
+  
+  lines.forEach(line => {
+    const condition = line.match(/^([A-Za-z_]\w*)\s*=\s*(\S+)((?:\s*>=\s*\$?[\d.]+)*)$/);
+    if (condition) {
+      const [, name, token, thresholds] = condition;
+      const rule = { token };
+      [...thresholds.matchAll(/>=\s*(\$?)([\d.]+)/g)].forEach(([, usd, amount]) => {
+        if (usd) rule.minUsd = Number(amount);
+        else rule.minBalance = amount;
+      });
+      conditions[name] = rule;
+      return;
+    }
+    
+    const bucket = line.match(/^([^:=]+?)\s*:\s*([^=]+)$/);
+    if (!bucket) {
+      throw new Error(`Categorization rules: cannot read "${line}" - use "NAME = token >= amount" or "Bucket name: expression"`);
+    }
+    buckets.push({ name: bucket[1], expression: bucket[2] });
+  });
+  
+  if (buckets.length === 0) {
+    throw new Error('Categorization rules need at least one bucket line ("Bucket name: expression")');
+  }
+  
+  return { conditions, buckets };
+}
+
+/**
+ * Weighted scoring from the scoring textarea, null when empty
+ * Lines are '<token | activity | age> = weight [curve] [up to cap] [from min]', with '$' for USD amounts
+ * Returns { tokens, activity?, age? } for the API
+ */
+function getScoringInput() {
+  const input = document.getElementById('wallet-scoring')?.value || '';
+  const lines = input.split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+  if (lines.length === 0) return null;
+  
+  const scoring = { tokens: {} };
+  
+  lines.forEach(line => {
+    const match = line.match(/^(\S+)\s*=\s*([\d.]+)(?:\s+(flat|linear|sqrt|log))?(?:\s+up\s+to\s+(\$?)([\d.]+))?(?:\s+from\s+(\$?)([\d.]+))?$/i);
+    if (!match) {
+      throw new Error(`Wallet scoring: cannot read "${line}" - use "token = weight [linear|sqrt|log] [up to cap] [from min]"`);
+    }
+    
+    const [, target, weight, curve, capUsd, cap, minUsd, min] = match;
+    const component = { weight: Number(weight) };
+    if (curve) component.curve = curve.toLowerCase();
+    if (cap) component.cap = Number(cap);
+    if (min) component.min = min;
+    
+    const key = target.toLowerCase();
+    if (key === 'activity' || key === 'age') {
+      if (capUsd || minUsd) {
+        throw new Error(`Wallet scoring: ${key} amounts cannot be in USD`);
+      }
+      scoring[key] = component;
+      return;
+    }
+    
+    if (cap && min && !!capUsd !== !!minUsd) {
+      throw new Error(`Wallet scoring: "${line}" mixes token and USD amounts`);
+    }
+    if (capUsd || minUsd) component.by = 'usd';
+    scoring.tokens[target] = component;
+  });
+  
+  return scoring;
+}
+
+/**
+ * Airdrop allocation request from the allocation panel - tiers are 'min:weight' pairs
+ */
+function getAllocationInput() {
+  const value = id => document.getElementById(id)?.value.trim() || '';
+  const formula = value('airdrop-formula');
+  const allocation = {
+    total: value('airdrop-total'),
+    decimals: parseInt(value('airdrop-decimals') || '18', 10),
+    formula,
+    basis: value('airdrop-basis'),
+    qualify: value('airdrop-qualify') || 'any'
+  };
+  
+  if (!allocation.total) {
+    throw new Error('Enter the total amount to distribute');
+  }
+  if (value('airdrop-token')) allocation.token = value('airdrop-token');
+  if (value('airdrop-min')) allocation.minValue = Number(value('airdrop-min'));
+  if (formula === 'capped') allocation.cap = value('airdrop-cap');
+  
+  if (formula === 'tiered') {
+    allocation.tiers = value('airdrop-tiers').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+      const match = pair.match(/^([\d.]+)\s*:\s*([\d.]+)$/);
+      if (!match) {
+        throw new Error(`Airdrop tiers: cannot read "${pair}" - use min:weight pairs, e.g. 0:1, 1000:3`);
+      }
+      return { min: Number(match[1]), weight: Number(match[2]) };
+    });
+  }
+  
+  return allocation;
+}
+
+/**
+ * Allocate an airdrop over the current analysis job's results
+ */
+async function calculateAllocation() {
+  const jobId = currentAnalysisData?.jobId;
+  if (!jobId) {
+    showError('Run an analysis before allocating an airdrop');
+    return;
+  }
+  
+  let allocation;
+  try {
+    allocation = getAllocationInput();
+  } catch (error) {
+    showError(error.message);
+    return;
+  }
+  
+  debugLog(`🪂 Allocating ${allocation.total} (${allocation.formula}${allocation.formula === 'flat' ? '' : ` by ${allocation.basis}`}) over job ${jobId}`);
+  
+  try {
+    const response = await fetch(`/api/jobs/${jobId}/allocation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(allocation)
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || data.error || `HTTP ${response.status}`);
+    }
+    
+    renderAllocation(data.allocation);
+    debugLog(`✅ Allocated ${data.allocation.allocated} to ${data.allocation.walletsAllocated} wallets, Merkle root ${data.allocation.merkle.merkleRoot}`, 'success');
+  } catch (error) {
+    debugLog(`❌ Airdrop allocation failed: ${error.message}`, 'error');
+    showError(`Airdrop allocation failed: ${error.message}`);
+  }
+}
+
 /**
  * Perform the main wallet analysis with network support
+ * snapshot ({ block } or { timestamp }) analyzes balances as of a past block,
+ * fromBlock / fromTimestamp compare them against an earlier block
+ * options.discover adds every token found in each wallet's transfer history,
+ * options.auditApprovals each wallet's open ERC-20 approvals, options.activity each wallet's activity profile,
+ * options.transferGraph sybil clusters (options.excludeClusters leaves them out of the categories),
+ * options.lpPositions LP positions counted toward token balances,
+ * options.rules (see getRulesInput) sorts wallets into custom buckets,
+ * options.scoring (see getScoringInput) ranks wallets on a leaderboard
  */
-async function performAnalysis(wallets, tokens, network) {
+async function performAnalysis(wallets, tokens, network, snapshot = null, options = {}) {
   analysisInProgress = true;
   analysisStartTime = Date.now();
+  currentJobId = null;
+  cancelRequested = false;
+  analysisAbortController = new AbortController();
   
   try {
     const networkIcon = getNetworkIcon(network);
@@ -133,6 +503,32 @@ async function performAnalysis(wallets, tokens, network) {
     debugLog('🚀 Starting comprehensive multi-chain wallet analysis');
     debugLog(`🌐 Selected Network: ${networkIcon} ${networkName}`);
     debugLog(`📊 Analyzing ${wallets.length} wallets for ${tokens.length} tokens`);
+    if (options.discover) {
+      debugLog('🔎 Token discovery enabled - checking every token from transfer history');
+    }
+    if (options.auditApprovals) {
+      debugLog('🔓 Approval audit enabled - checking open ERC-20 allowances');
+    }
+    if (options.activity) {
+      debugLog('📅 Activity profile enabled - reading transaction history');
+    }
+    if (options.transferGraph || options.excludeClusters) {
+      debugLog(`🕸️ Transfer graph enabled${options.excludeClusters ? ` - excluding ${options.excludeClusters} suspicion clusters` : ''}`);
+    }
+    if (options.lpPositions) {
+      debugLog('💧 LP positions enabled - crediting liquidity toward token balances');
+    }
+    if (options.rules) {
+      debugLog(`🧩 Categorization rules: ${options.rules.buckets.map(bucket => bucket.name).join(', ')}`);
+    }
+    if (options.scoring) {
+      debugLog(`🏆 Wallet scoring: ${Object.keys(options.scoring.tokens).length} token(s)${options.scoring.activity ? ', activity' : ''}${options.scoring.age ? ', age' : ''}`);
+    }
+    if (snapshot && (snapshot.fromBlock !== undefined || snapshot.fromTimestamp)) {
+      debugLog(`📈 Comparing balances from ${describeBlockPoint(snapshot.fromBlock, snapshot.fromTimestamp)} to ${describeBlockPoint(snapshot.block, snapshot.timestamp)}`);
+    } else if (snapshot) {
+      debugLog(`📸 Snapshot at ${describeBlockPoint(snapshot.block, snapshot.timestamp)}`);
+    }
     
     // Initialize UI for analysis
     hideAllResults();
@@ -147,7 +543,7 @@ async function performAnalysis(wallets, tokens, network) {
     updateProgress(0, 100, `Connecting to ${networkName} APIs...`);
     
     // Pass network information to the analysis function
-    const result = await analyzeWallets(wallets, tokens, network);
+    const result = await analyzeWallets(wallets, tokens, network, snapshot, options);
     
     if (!result.success) {
       throw new Error(result.message || 'Analysis failed');
@@ -155,7 +551,13 @@ async function performAnalysis(wallets, tokens, network) {
     
     // Process and display results
     const duration = Date.now() - analysisStartTime;
-    debugLog(`✅ Analysis completed in ${duration}ms`);
+    const cancelled = !!result.results?.cancelled;
+    
+    if (cancelled) {
+      debugLog(`🛑 Analysis cancelled after ${duration}ms - ${result.results.walletsAnalyzed}/${result.results.walletsRequested} wallets analyzed`, 'warning');
+    } else {
+      debugLog(`✅ Analysis completed in ${duration}ms`);
+    }
     
     const analysisData = {
       walletCount: wallets.length,
@@ -165,7 +567,8 @@ async function performAnalysis(wallets, tokens, network) {
       actualTime: formatDuration(duration),
       network: network,
       networkName: networkName,
-      networkIcon: networkIcon
+      networkIcon: networkIcon,
+      jobId: result.jobId
     };
     
     // Display results with enhanced data
@@ -174,14 +577,27 @@ async function performAnalysis(wallets, tokens, network) {
     // Log success metrics
     logAnalysisMetrics(result.results, analysisData);
     
-    showToast(`🎉 ${networkName} analysis completed successfully!`);
+    if (cancelled) {
+      showToast(`🛑 ${networkName} analysis cancelled - showing partial results`, 5000);
+    } else {
+      showToast(`🎉 ${networkName} analysis completed successfully!`);
+    }
     
   } catch (error) {
+    // Cancelled before the server returned any results
+    if (error.name === 'AbortError') {
+      debugLog('🛑 Analysis cancelled', 'warning');
+      showToast('🛑 Analysis cancelled');
+      return;
+    }
     throw error;
   } finally {
     // Cleanup
     analysisInProgress = false;
     analysisStartTime = null;
+    currentJobId = null;
+    cancelRequested = false;
+    analysisAbortController = null;
     showLoading(false);
     
     // Scroll to results if successful
@@ -236,20 +652,11 @@ function handleAnalysisError(error) {
 function calculateEstimatedTime(walletCount, tokenCount) {
   const selectedNetwork = getSelectedNetwork();
   
-  // Base time calculation (varies by network)
-  let baseTimePerCheck = 1.2; // seconds
-  
-  // Adjust timing based on network characteristics
-  switch (selectedNetwork) {
-    case 'ethereum':
-      baseTimePerCheck = 1.2; // Ethereum mainnet - standard timing
-      break;
-    case 'base':
-      baseTimePerCheck = 0.8; // Base L2 - potentially faster
-      break;
-    default:
-      baseTimePerCheck = 1.5; // Unknown networks - conservative estimate
-  }
+  // Base time calculation scaled by the network's delay multiplier
+  const delayMultiplier = getNetworkInfo(selectedNetwork)?.delayMultiplier;
+  const baseTimePerCheck = delayMultiplier
+    ? 1.2 * delayMultiplier // seconds
+    : 1.5;                  // Unknown networks - conservative estimate
   
   const overhead = 5; // seconds
   const totalChecks = walletCount * tokenCount;
@@ -342,6 +749,7 @@ function analyzeAddresses(addresses, type) {
     total: addresses.length,
     valid: [],
     invalid: [],
+    checksumErrors: [],
     duplicates: [],
     suspicious: []
   };
@@ -358,8 +766,34 @@ function analyzeAddresses(addresses, type) {
     }
     seen.add(normalized);
     
+    // Native currency in token lists
+    if (type === 'token' && (isNativeTokenAlias(address) || normalized === NATIVE_TOKEN_ADDRESS)) {
+      result.valid.push(address);
+      return;
+    }
+    
+    // Network-prefixed entries in cross-chain token lists
+    if (type === 'token' && isCrossChainNetwork(getSelectedNetwork())) {
+      (isValidCrossChainToken(address) ? result.valid : result.invalid).push(address);
+      return;
+    }
+    
+    // ENS names / Basenames in wallet lists are resolved when the analysis is submitted
+    if (type === 'wallet' && isWalletName(address)) {
+      result.valid.push(address);
+      return;
+    }
+    
+    // Well-formed but mistyped mixed-case addresses fail their EIP-55 checksum
+    const [contract] = address.split('#');
+    if (/^0x[a-fA-F0-9]{40}$/.test(contract) && !hasValidChecksum(contract)) {
+      result.invalid.push(address);
+      result.checksumErrors.push({ address, expected: toChecksumAddress(contract) });
+      return;
+    }
+    
     // Basic format validation
-    if (!isValidEthereumAddress(address)) {
+    if (!(type === 'token' ? isValidTokenTarget(address) : isValidEthereumAddress(address))) {
       result.invalid.push(address);
       return;
     }
@@ -433,6 +867,15 @@ function showAdvancedValidationResults(results) {
           </div>
         ` : ''}
         
+        ${data.checksumErrors.length > 0 ? `
+          <div class="issue-group">
+            <h5>🔡 Checksum Mismatches:</h5>
+            <ul class="issue-list">
+              ${data.checksumErrors.map(({ address, expected }) => `<li><code>${address}</code> <small>(expected <code>${expected}</code>)</small></li>`).join('')}
+            </ul>
+          </div>
+        ` : ''}
+        
         ${data.duplicates.length > 0 ? `
           <div class="issue-group">
             <h5>🔄 Duplicate Addresses:</h5>
@@ -459,9 +902,9 @@ function showAdvancedValidationResults(results) {
 
 /**
  * Network-aware analysis function
- * This function makes API calls to the backend
+ * Submits the analysis as a background job and polls it until completion
  */
-async function analyzeWallets(wallets, tokens, network) {
+async function analyzeWallets(wallets, tokens, network, snapshot = null, options = {}) {
   try {
     debugLog(`🔗 Connecting to ${getNetworkName(network)} APIs...`);
     
@@ -470,12 +913,18 @@ async function analyzeWallets(wallets, tokens, network) {
       wallets: wallets,
       tokens: tokens,
       network: network,
-      networkName: getNetworkName(network)
+      networkName: getNetworkName(network),
+      ...snapshot,
+      ...(options.discover ? { discover: true } : {}),
+      ...(options.auditApprovals ? { auditApprovals: true } : {}),
+      ...(options.activity ? { activity: true } : {}),
+      ...(options.transferGraph ? { transferGraph: true } : {}),
+      ...(options.excludeClusters ? { excludeClusters: options.excludeClusters } : {}),
+      ...(options.lpPositions ? { lpPositions: true } : {}),
+      ...(options.rules ? { rules: options.rules } : {}),
+      ...(options.scoring ? { scoring: options.scoring } : {})
     };
     
-    // Update progress
-    updateProgress(10, 100, `Preparing ${getNetworkName(network)} API requests...`);
-    
     // Make API call to backend with network parameter
     const response = await fetch('/api/analyze', {
       method: 'POST',
@@ -490,11 +939,38 @@ async function analyzeWallets(wallets, tokens, network) {
       throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
     }
     
-    const result = await response.json();
+    const submission = await response.json();
+    currentJobId = submission.jobId;
+    
+    debugLog(`📨 Analysis job queued on ${getNetworkName(network)} (job ${submission.jobId})`);
+    if (submission.snapshot) {
+      Object.entries(submission.snapshot.blocks).forEach(([networkId, block]) => {
+        debugLog(`📸 ${getNetworkName(networkId)} snapshot resolved to block ${block}`);
+      });
+    }
+    if (submission.snapshot?.from) {
+      Object.entries(submission.snapshot.from.blocks).forEach(([networkId, block]) => {
+        debugLog(`📈 ${getNetworkName(networkId)} comparison starts at block ${block}`);
+      });
+    }
+    
+    // Escape pressed while the job was being submitted
+    if (cancelRequested) {
+      await requestJobCancellation(submission.jobId);
+    }
     
-    debugLog(`✅ Successfully received response from ${getNetworkName(network)} APIs`);
+    const job = await watchAnalysisJob(submission.jobId, network);
     
-    return result;
+    debugLog(`✅ Successfully received results from ${getNetworkName(network)} APIs`);
+    
+    return {
+      success: true,
+      requestId: job.jobId,
+      jobId: job.jobId,
+      network: job.analysis?.network,
+      analysis: job.analysis,
+      results: job.results
+    };
     
   } catch (error) {
     debugLog(`❌ Failed to analyze on ${getNetworkName(network)}: ${error.message}`, 'error');
@@ -502,6 +978,190 @@ async function analyzeWallets(wallets, tokens, network) {
   }
 }
 
+/**
+ * Follow analysis job over Server-Sent Events, falling back to polling
+ */
+function watchAnalysisJob(jobId, network) {
+  if (typeof EventSource === 'undefined') {
+    return pollAnalysisJob(jobId, network);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+    let settled = false;
+    
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      source.close();
+      callback(value);
+    };
+    
+    const parse = (event) => JSON.parse(event.data);
+    
+    source.addEventListener('snapshot', (event) => {
+      renderJobProgress(parse(event).progress);
+    });
+    
+    source.addEventListener('progress', (event) => {
+      renderJobProgress(parse(event).progress);
+    });
+    
+    source.addEventListener('wallet-started', (event) => {
+      const data = parse(event);
+      debugLog(`👛 Wallet ${data.index + 1}/${data.total}: ${data.walletAddress.substring(0, 10)}...`);
+    });
+    
+    source.addEventListener('balance-fetched', (event) => {
+      const data = parse(event);
+      if (data.error) {
+        debugLog(`   ⚠️ Balance check failed for ${data.tokenAddress.substring(0, 10)}...: ${data.error}`, 'warning');
+      } else if (data.hasBalance) {
+        debugLog(`   💰 Balance found: ${data.balanceFormatted || data.balance} (${data.tokenAddress.substring(0, 10)}...)`);
+      }
+    });
+    
+    source.addEventListener('price-fetched', (event) => {
+      const data = parse(event);
+      if (data.priceUsd !== null && data.priceUsd !== undefined) {
+        debugLog(`   💵 Price: $${data.priceUsd} for ${data.tokenAddress.substring(0, 10)}... (${data.source})`);
+      }
+    });
+    
+    source.addEventListener('wallet-categorized', (event) => {
+      const data = parse(event);
+      debugLog(`   ✅ Categorized as ${data.category.toUpperCase()}${data.ruleBucket ? ` / rule bucket ${data.ruleBucket}` : ''}${data.score !== null && data.score !== undefined ? ` / score ${data.score}` : ''} (${data.tokensFound} token(s) found)`, 'success');
+    });
+    
+    source.addEventListener('cancelling', () => {
+      debugLog('🛑 Cancelling - waiting for the current wallet to stop...', 'warning');
+      showCancelling();
+    });
+    
+    source.addEventListener('completed', (event) => {
+      const job = parse(event).job;
+      updateProgress(job.progress.walletsTotal, job.progress.walletsTotal, 'Categorizing results', 0);
+      finish(resolve, job);
+    });
+    
+    source.addEventListener('cancelled', (event) => {
+      finish(resolve, parse(event).job);
+    });
+    
+    source.addEventListener('failed', (event) => {
+      finish(reject, new Error(parse(event).error || 'Analysis failed'));
+    });
+    
+    // Server could not be reached to cancel - stop following the job locally
+    analysisAbortController?.signal.addEventListener('abort', () => {
+      finish(reject, new DOMException('Analysis cancelled', 'AbortError'));
+    });
+    
+    // Stream dropped (proxy, network) - the job keeps running, so switch to polling
+    source.onerror = () => {
+      if (settled) return;
+      debugLog('⚠️ Live progress stream interrupted, switching to polling', 'warning');
+      settled = true;
+      source.close();
+      pollAnalysisJob(jobId, network).then(resolve, reject);
+    };
+  });
+}
+
+/**
+ * Render job progress snapshot in the loading section
+ */
+function renderJobProgress(progress) {
+  if (!progress) return;
+  
+  updateProgress(
+    progress.walletsCompleted,
+    progress.walletsTotal,
+    progress.currentWallet || '',
+    progress.etaMs
+  );
+}
+
+/**
+ * Poll analysis job status until it completes or fails
+ */
+async function pollAnalysisJob(jobId, network) {
+  let lastCompleted = -1;
+  
+  while (true) {
+    const response = await fetch(`/api/jobs/${jobId}`);
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const job = await response.json();
+    const { walletsCompleted, walletsTotal } = job.progress;
+    
+    if (walletsCompleted !== lastCompleted) {
+      lastCompleted = walletsCompleted;
+      if (walletsCompleted > 0) {
+        debugLog(`📊 ${walletsCompleted}/${walletsTotal} wallets analyzed on ${getNetworkName(network)}`);
+      }
+    }
+    
+    if (job.status === 'completed') {
+      updateProgress(walletsTotal, walletsTotal, 'Categorizing results', 0);
+      return job;
+    }
+    
+    if (job.status === 'cancelled') {
+      return job;
+    }
+    
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Analysis failed');
+    }
+    
+    if (analysisAbortController?.signal.aborted) {
+      throw new DOMException('Analysis cancelled', 'AbortError');
+    }
+    
+    renderJobProgress(job.progress);
+    
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Cancel the running analysis - the server stops and returns partial results
+ */
+async function cancelAnalysis() {
+  if (!analysisInProgress || cancelRequested) return;
+  
+  cancelRequested = true;
+  debugLog('🛑 Cancellation requested', 'warning');
+  showCancelling();
+  
+  // Job not submitted yet - analyzeWallets cancels it as soon as the ID arrives
+  if (!currentJobId) return;
+  
+  await requestJobCancellation(currentJobId);
+}
+
+/**
+ * Ask the server to cancel a job, giving up locally if it can't be reached
+ */
+async function requestJobCancellation(jobId) {
+  try {
+    const response = await fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+    
+    // 409 - job finished in the meantime, its final event is on the way
+    if (!response.ok && response.status !== 409) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+  } catch (error) {
+    debugLog(`⚠️ Server cancellation failed: ${error.message}`, 'warning');
+    analysisAbortController?.abort();
+  }
+}
+
 /**
  * Keyboard shortcut handlers
  */
@@ -532,7 +1192,7 @@ document.addEventListener('keydown', (event) => {
   // Escape: Cancel analysis or close modals
   if (event.key === 'Escape') {
     if (analysisInProgress) {
-      // Could implement cancellation here
+      cancelAnalysis();
     } else {
       // Close any open modals
       document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
@@ -547,6 +1207,7 @@ window.validateAddressesClientSide = validateAddressesClientSide;
 window.startAnalysis = startAnalysis;
 window.validateInputs = validateInputs;
 window.analyzeWallets = analyzeWallets;
+window.cancelAnalysis = cancelAnalysis;
 window.performAdvancedValidation = performAdvancedValidation;
 
 /**
@@ -560,15 +1221,7 @@ document.addEventListener('DOMContentLoaded', () => {
   debugLog('   Ctrl+Shift+N: Focus network selector');
   debugLog('   Escape: Cancel/Close');
   
-  // Check for supported networks
-  const supportedNetworks = ['ethereum', 'base'];
-  const currentNetwork = getSelectedNetwork();
-  
-  if (supportedNetworks.includes(currentNetwork)) {
-    debugLog(`🌐 Network ready: ${getNetworkIcon(currentNetwork)} ${getNetworkName(currentNetwork)}`);
-  } else {
-    debugLog(`⚠️ Unsupported network: ${currentNetwork}`, 'warning');
-  }
+  // Supported networks are loaded from /api/networks by ui.js
   
   // Initialize performance monitoring
   if ('performance' in window) {
@@ -593,15 +1246,7 @@ document.addEventListener('DOMContentLoaded', () => {
   debugLog('   Ctrl+Shift+N: Focus network selector');
   debugLog('   Escape: Cancel/Close');
   
-  // Check for supported networks
-  const supportedNetworks = ['ethereum', 'base'];
-  const currentNetwork = getSelectedNetwork();
-  
-  if (supportedNetworks.includes(currentNetwork)) {
-    debugLog(`🌐 Network ready: ${getNetworkIcon(currentNetwork)} ${getNetworkName(currentNetwork)}`);
-  } else {
-    debugLog(`⚠️ Unsupported network: ${currentNetwork}`, 'warning');
-  }
+  // Supported networks are loaded from /api/networks by ui.js
   
   // Initialize performance monitoring
   if ('performance' in window) {
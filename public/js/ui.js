@@ -7,8 +7,40 @@
 // Global UI state
 let currentResults = null;
 let currentCategory = 'all';
+let currentWalletType = 'all';    // Wallet type filter across category tabs
+let currentActivityFilter = { mode: 'all', days: 90 }; // Activity filter across category tabs ('active' / 'inactive' for N days)
+let currentAnalysisData = null;
+let currentAllocation = null;     // Last airdrop allocation over the current results
 let debugDiv;
 let selectedNetwork = 'ethereum'; // Default network
+let networkRegistry = {};         // Supported networks from /api/networks, keyed by ID
+
+// Balance change categories - extra tabs for comparison results
+const CHANGE_CATEGORIES = ['accumulated', 'reduced', 'exited', 'unchanged', 'mixed'];
+
+// Wallet types from classification (wallet.walletType), 'unknown' when classification failed
+const WALLET_TYPE_LABELS = {
+  eoa: { icon: '👤', name: 'EOA' },
+  safe: { icon: '🔐', name: 'Safe' },
+  erc4337: { icon: '🧩', name: 'Smart Account' },
+  contract: { icon: '📜', name: 'Contract' },
+  exchange: { icon: '🏦', name: 'Exchange' },
+  bridge: { icon: '🌉', name: 'Bridge' },
+  unknown: { icon: '❔', name: 'Unclassified' }
+};
+
+// Risk flags on open approvals (approval.risks)
+const APPROVAL_RISK_LABELS = {
+  unlimited: { icon: '♾️', name: 'Unlimited' },
+  'unverified-spender': { icon: '❓', name: 'Unverified spender' },
+  'eoa-spender': { icon: '👤', name: 'Wallet spender' }
+};
+
+// Badge labels for NFT collections (token.standard)
+const NFT_STANDARD_LABELS = { erc721: 'ERC-721', erc1155: 'ERC-1155' };
+
+// Sybil cluster suspicion levels (cluster.level)
+const CLUSTER_LEVEL_ICONS = { high: '🚨', medium: '⚠️', low: 'ℹ️' };
 
 /**
  * Initialize UI when DOM is loaded
@@ -46,7 +78,7 @@ function initializeUI() {
   
   // Load saved inputs and network from localStorage
   loadSavedInputs();
-  loadSavedNetwork();
+  loadNetworks().then(loadSavedNetwork);
   
   debugLog('UI initialized successfully');
 }
@@ -97,6 +129,40 @@ function setupEventListeners() {
     });
   });
   
+  // Rule bucket tabs - rendered per result set
+  const ruleTabs = document.getElementById('rule-tabs');
+  if (ruleTabs) {
+    ruleTabs.addEventListener('click', (e) => {
+      const tab = e.target.closest('[data-category]');
+      if (tab) showCategory(tab.dataset.category);
+    });
+  }
+  
+  // Wallet type filter - buttons are rendered per result set
+  const walletTypeTabs = document.getElementById('wallet-type-tabs');
+  if (walletTypeTabs) {
+    walletTypeTabs.addEventListener('click', (e) => {
+      const tab = e.target.closest('[data-wallet-type]');
+      if (tab) showWalletType(tab.dataset.walletType);
+    });
+  }
+  
+  // Leaderboard CSV export
+  const exportLeaderboardBtn = document.getElementById('export-leaderboard-btn');
+  if (exportLeaderboardBtn) exportLeaderboardBtn.addEventListener('click', exportLeaderboardCsv);
+  
+  // Airdrop allocation panel
+  const airdropBtn = document.getElementById('airdrop-btn');
+  const airdropFormula = document.getElementById('airdrop-formula');
+  if (airdropBtn) airdropBtn.addEventListener('click', calculateAllocation);
+  if (airdropFormula) airdropFormula.addEventListener('change', updateAllocationInputs);
+  
+  // Activity filter - mode and day count
+  const activityMode = document.getElementById('activity-filter-mode');
+  const activityDays = document.getElementById('activity-filter-days');
+  if (activityMode) activityMode.addEventListener('change', handleActivityFilterChange);
+  if (activityDays) activityDays.addEventListener('input', debounce(handleActivityFilterChange, 300));
+  
   // ✅ POPRAWIONE Footer links - usunięto niepotrzebne
   const showHelpBtn = document.getElementById('show-help');
   
@@ -117,6 +183,7 @@ function handleNetworkChange(event) {
   
   // Save to localStorage
   saveNetworkToStorage();
+  updateTokensPlaceholder();
   
   // Update UI feedback
   const networkIcon = getNetworkIcon(newNetwork);
@@ -134,26 +201,84 @@ function handleNetworkChange(event) {
   }
 }
 
+/**
+ * Load supported networks from the server and populate the network selector
+ * The static selector options stay in place if the request fails
+ */
+async function loadNetworks() {
+  try {
+    const response = await fetch('/api/networks');
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const data = await response.json();
+    const selectable = data.crossChain ? [...data.networks, data.crossChain] : data.networks;
+    networkRegistry = Object.fromEntries(selectable.map(network => [network.id, network]));
+    
+    const networkSelector = document.getElementById('network-selector');
+    if (networkSelector) {
+      networkSelector.innerHTML = selectable.map(network => `
+        <option value="${network.id}" data-icon="${network.icon}">${network.name}</option>
+      `).join('');
+      
+      if (!networkRegistry[selectedNetwork]) {
+        selectedNetwork = data.default;
+      }
+      networkSelector.value = selectedNetwork;
+    }
+    
+    updateTokensPlaceholder();
+    
+    debugLog(`🌐 ${data.networks.length} networks available: ${data.networks.map(n => `${n.icon} ${n.name}`).join(', ')}`);
+  } catch (error) {
+    debugLog('Failed to load supported networks: ' + error.message, 'warning');
+  }
+}
+
+/**
+ * Check if network selects cross-chain analysis (tokens given as network:address)
+ */
+function isCrossChainNetwork(network) {
+  return !!getNetworkInfo(network)?.tokenFormat;
+}
+
+/**
+ * Show token input format for the selected network
+ */
+function updateTokensPlaceholder() {
+  const tokensInput = document.getElementById('tokens');
+  if (!tokensInput) return;
+  
+  if (!tokensInput.dataset.defaultPlaceholder) {
+    tokensInput.dataset.defaultPlaceholder = tokensInput.placeholder;
+  }
+  
+  tokensInput.placeholder = isCrossChainNetwork(selectedNetwork)
+    ? 'ethereum:0xdAC17F958D2ee523a2206206994597C13D831ec7\nbase:0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913\nbase:ETH\n...'
+    : tokensInput.dataset.defaultPlaceholder;
+}
+
+/**
+ * Get registry entry for network (null until networks are loaded)
+ */
+function getNetworkInfo(network) {
+  return networkRegistry[network] || null;
+}
+
 /**
  * Get network icon for display
  */
 function getNetworkIcon(network) {
-  const icons = {
-    'ethereum': '🔷',
-    'base': '🔵'
-  };
-  return icons[network] || '🌐';
+  return getNetworkInfo(network)?.icon || '🌐';
 }
 
 /**
  * Get network display name
  */
 function getNetworkName(network) {
-  const names = {
-    'ethereum': 'Ethereum Mainnet',
-    'base': 'Base Mainnet'
-  };
-  return names[network] || 'Unknown Network';
+  const option = document.querySelector(`#network-selector option[value="${network}"]`);
+  return getNetworkInfo(network)?.name || option?.textContent.trim() || 'Unknown Network';
 }
 
 /**
@@ -191,7 +316,7 @@ function handleTokensInput() {
   saveInputsToStorage();
   
   const tokens = parseAddressInput(document.getElementById('tokens').value);
-  const validation = validateAddressesClientSide(tokens);
+  const validation = validateAddressesClientSide(tokens, true);
   
   showInputValidation('tokens', validation);
 }
@@ -408,12 +533,20 @@ function showLoading(show = true, progress = 0, details = '') {
   if (show && loadingDetails && details) {
     loadingDetails.textContent = details;
   }
+  
+  // Reset live progress info when loading ends
+  if (!show) {
+    const currentEl = document.getElementById('progress-current');
+    const etaEl = document.getElementById('progress-eta');
+    if (currentEl) currentEl.textContent = '';
+    if (etaEl) etaEl.textContent = '';
+  }
 }
 
 /**
- * Update loading progress
+ * Update loading progress with the wallet being processed and estimated time remaining
  */
-function updateProgress(current, total, currentItem = '') {
+function updateProgress(current, total, currentItem = '', etaMs = null) {
   const progress = total > 0 ? (current / total) * 100 : 0;
   const networkName = getNetworkName(selectedNetwork);
   const details = currentItem 
@@ -421,6 +554,51 @@ function updateProgress(current, total, currentItem = '') {
     : `Processing on ${networkName}: ${current}/${total}...`;
   
   showLoading(true, progress, details);
+  
+  const currentEl = document.getElementById('progress-current');
+  const etaEl = document.getElementById('progress-eta');
+  
+  if (currentEl) {
+    currentEl.textContent = /^0x[a-fA-F0-9]{40}$/.test(currentItem)
+      ? `👛 ${currentItem.substring(0, 10)}...${currentItem.slice(-4)}`
+      : '';
+  }
+  
+  if (etaEl) {
+    etaEl.textContent = etaMs !== null && etaMs !== undefined && current < total
+      ? `⏱️ ~${formatEta(etaMs)} remaining`
+      : '';
+  }
+}
+
+/**
+ * Show that cancellation was requested while the server winds down the job
+ */
+function showCancelling() {
+  const analyzeBtn = document.getElementById('analyze-btn');
+  const loadingDetails = document.getElementById('loading-details');
+  const etaEl = document.getElementById('progress-eta');
+  
+  if (analyzeBtn) {
+    analyzeBtn.innerHTML = `
+      <span class="btn-icon">🛑</span>
+      <span class="btn-text">Cancelling...</span>
+    `;
+  }
+  
+  if (loadingDetails) loadingDetails.textContent = 'Cancelling analysis - keeping wallets analyzed so far...';
+  if (etaEl) etaEl.textContent = '';
+}
+
+/**
+ * Format ETA milliseconds as short human readable string
+ */
+function formatEta(ms) {
+  const totalSeconds = Math.max(1, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
 }
 
 /**
@@ -466,6 +644,7 @@ function hideError() {
  */
 function displayResults(results, analysisData) {
   currentResults = results;
+  currentAnalysisData = analysisData;
   
   const resultsSection = document.getElementById('results');
   const statsDiv = document.getElementById('stats');
@@ -512,11 +691,13 @@ function displayResults(results, analysisData) {
       <div class="stat-label">Success Rate</div>
       <div class="stat-sublabel">Wallets with tokens</div>
     </div>
-    <div class="stat-card total-wallets">
-      <div class="stat-icon">👛</div>
+    <div class="stat-card total-wallets${results.incomplete ? ' incomplete' : ''}">
+      <div class="stat-icon">${results.incomplete ? '🛑' : '👛'}</div>
       <div class="stat-number">${totalWallets}</div>
       <div class="stat-label">Total Wallets</div>
-      <div class="stat-sublabel">Analyzed</div>
+      <div class="stat-sublabel">${results.incomplete
+        ? `Cancelled - ${results.walletsAnalyzed}/${results.walletsRequested} analyzed`
+        : 'Analyzed'}</div>
     </div>
     <div class="stat-card analysis-time">
       <div class="stat-icon">⏱️</div>
@@ -524,15 +705,73 @@ function displayResults(results, analysisData) {
       <div class="stat-label">Analysis Time</div>
       <div class="stat-sublabel">on ${networkIcon} ${networkName}</div>
     </div>
+    ${results.snapshot ? createSnapshotStatHTML(results.snapshot) : ''}
+    ${results.comparison ? createComparisonStatHTML(results) : ''}
+    ${results.discovery ? createDiscoveryStatHTML(results.discovery) : ''}
+    ${results.approvals ? createApprovalStatHTML(results.approvals) : ''}
+    ${results.activity ? createActivityStatHTML(results) : ''}
+    ${results.leaderboard ? createScoringStatHTML(results) : ''}
+    ${results.transferGraph ? createClusterStatHTML(results.transferGraph) : ''}
   `;
   
-  // Update tab counts
-  updateTabCounts(allCount, someCount, noneCount);
+  // Common tokens across wallets - discovery only
+  const commonTokensDiv = document.getElementById('common-tokens');
+  if (commonTokensDiv) {
+    commonTokensDiv.innerHTML = results.discovery ? createCommonTokensHTML(results.discovery.commonTokens) : '';
+    commonTokensDiv.style.display = results.discovery ? 'block' : 'none';
+  }
   
-  // Populate category results - USING ENHANCED VERSION
-  populateCategoryResultsWithDebug('all', results.allTokens, analysisData?.tokenCount);
-  populateCategoryResultsWithDebug('some', results.someTokens, analysisData?.tokenCount);
-  populateCategoryResultsWithDebug('none', results.noTokens, analysisData?.tokenCount);
+  // Balance change tabs - comparisons only
+  const changeTabs = document.getElementById('change-tabs');
+  if (changeTabs) changeTabs.style.display = results.comparison ? 'flex' : 'none';
+  if (!results.comparison && CHANGE_CATEGORIES.includes(currentCategory)) {
+    currentCategory = 'all';
+  }
+  
+  // Approvals tab - approval audits only
+  const approvalTabs = document.getElementById('approval-tabs');
+  if (approvalTabs) approvalTabs.style.display = results.approvals ? 'flex' : 'none';
+  if (!results.approvals && currentCategory === 'approvals') {
+    currentCategory = 'all';
+  }
+  
+  // Leaderboard tab - scored analyses only
+  const leaderboardTabs = document.getElementById('leaderboard-tabs');
+  if (leaderboardTabs) leaderboardTabs.style.display = results.leaderboard ? 'flex' : 'none';
+  if (!results.leaderboard && currentCategory === 'leaderboard') {
+    currentCategory = 'all';
+  }
+  
+  // Clusters tab - transfer graph analyses only
+  const clusterTabs = document.getElementById('cluster-tabs');
+  if (clusterTabs) clusterTabs.style.display = results.transferGraph ? 'flex' : 'none';
+  if (!results.transferGraph && currentCategory === 'clusters') {
+    currentCategory = 'all';
+  }
+  
+  // Rule buckets replace the ALL / SOME / NO tokens tabs
+  renderRuleSections(results.ruleBuckets);
+  if (results.ruleBuckets && !results.ruleBuckets.some(bucket => bucket.id === currentCategory)) {
+    currentCategory = results.ruleBuckets[0].id;
+  } else if (!results.ruleBuckets && currentCategory.startsWith('rule-')) {
+    currentCategory = 'all';
+  }
+  
+  // Airdrop allocation - qualifying wallets can be any rule bucket of these results
+  resetAllocationPanel(results);
+  
+  // Activity filter - activity profiles only
+  const activityFilter = document.getElementById('activity-filter');
+  if (activityFilter) activityFilter.style.display = results.activity ? 'flex' : 'none';
+  if (!results.activity) {
+    currentActivityFilter = { ...currentActivityFilter, mode: 'all' };
+    const activityMode = document.getElementById('activity-filter-mode');
+    if (activityMode) activityMode.value = 'all';
+  }
+  
+  // Wallet type filter, then the (filtered) category tabs
+  renderWalletTypeTabs();
+  renderCategoryResults();
   
   // Show results section
   resultsSection.style.display = 'block';
@@ -541,7 +780,366 @@ function displayResults(results, analysisData) {
   // Show the active category
   showCategory(currentCategory);
   
-  debugLog(`Results displayed: ${totalWallets} wallets analyzed on ${networkName}`, 'success');
+  debugLog(`Results displayed: ${totalWallets} wallets analyzed on ${networkName}${results.incomplete ? ' (incomplete - cancelled)' : ''}`, results.incomplete ? 'warning' : 'success');
+}
+
+/**
+ * Populate category tabs and their counts with the wallets of the selected wallet type and activity
+ */
+function renderCategoryResults() {
+  const results = currentResults;
+  const tokenCount = currentAnalysisData?.tokenCount;
+  const ofType = wallets => wallets.filter(wallet =>
+    (currentWalletType === 'all' || getWalletTypeKey(wallet) === currentWalletType) && matchesActivityFilter(wallet));
+  
+  const allTokens = ofType(results.allTokens);
+  const someTokens = ofType(results.someTokens);
+  const noTokens = ofType(results.noTokens);
+  
+  // Update tab counts
+  updateTabCounts(allTokens.length, someTokens.length, noTokens.length);
+  
+  // Populate category results - USING ENHANCED VERSION
+  populateCategoryResultsWithDebug('all', allTokens, tokenCount);
+  populateCategoryResultsWithDebug('some', someTokens, tokenCount);
+  populateCategoryResultsWithDebug('none', noTokens, tokenCount);
+  
+  if (results.ruleBuckets) {
+    results.ruleBuckets.forEach(bucket => {
+      const wallets = ofType(bucket.wallets);
+      updateRuleTabCount(bucket, wallets.length);
+      populateCategoryResultsWithDebug(bucket.id, wallets, tokenCount);
+    });
+  }
+  
+  if (results.comparison) {
+    CHANGE_CATEGORIES.forEach(category => {
+      const wallets = ofType(results[category]);
+      updateChangeTabCount(category, wallets.length);
+      populateCategoryResultsWithDebug(category, wallets, tokenCount);
+    });
+  }
+  
+  if (results.approvals) {
+    renderApprovalResults(ofType([...results.allTokens, ...results.someTokens, ...results.noTokens]));
+  }
+  
+  if (results.leaderboard) {
+    renderLeaderboard(results.leaderboard, ofType([...results.allTokens, ...results.someTokens, ...results.noTokens]));
+  }
+  
+  // Clusters span wallet types, so they are not filtered
+  if (results.transferGraph) {
+    renderClusters(results.transferGraph, [...results.allTokens, ...results.someTokens, ...results.noTokens, ...(results.excludedWallets || [])]);
+  }
+}
+
+// Wallet type filter key - 'unknown' for wallets without a classification
+function getWalletTypeKey(wallet) {
+  return wallet.walletType || 'unknown';
+}
+
+/**
+ * Wallet type filter buttons with counts - only types present in the results
+ * Hidden when no wallet could be classified
+ */
+function renderWalletTypeTabs() {
+  const container = document.getElementById('wallet-type-tabs');
+  if (!container) return;
+  
+  const wallets = [...currentResults.allTokens, ...currentResults.someTokens, ...currentResults.noTokens];
+  const counts = wallets.reduce((acc, wallet) => {
+    const type = getWalletTypeKey(wallet);
+    acc[type] = (acc[type] || 0) + 1;
+    return acc;
+  }, {});
+  
+  if (!counts[currentWalletType]) {
+    currentWalletType = 'all';
+  }
+  
+  const filters = [
+    { type: 'all', label: '👛 All Types', count: wallets.length },
+    ...Object.entries(WALLET_TYPE_LABELS)
+      .filter(([type]) => counts[type])
+      .map(([type, { icon, name }]) => ({ type, label: `${icon} ${name}`, count: counts[type] }))
+  ];
+  
+  container.style.display = wallets.some(wallet => wallet.walletType) ? 'flex' : 'none';
+  container.innerHTML = filters.map(({ type, label, count }) => `
+    <button class="tab-btn${type === currentWalletType ? ' active' : ''}" data-wallet-type="${type}">
+      ${label} <span class="tab-count">${count}</span>
+    </button>
+  `).join('');
+}
+
+/**
+ * Filter every category tab to one wallet type ('all' shows every wallet)
+ */
+function showWalletType(type) {
+  if (!currentResults) return;
+  
+  currentWalletType = type;
+  renderWalletTypeTabs();
+  renderCategoryResults();
+  
+  debugLog(`Wallet type filter: ${type}`);
+}
+
+// Whole days since the wallet's last transaction, null if it never transacted
+function getDaysInactive(activity) {
+  if (!activity?.lastActive) return null;
+  return Math.floor((Date.now() - Date.parse(activity.lastActive)) / 86400000);
+}
+
+/**
+ * Activity filter - wallets without a profile (failed) only show with 'all',
+ * wallets that never transacted count as inactive
+ */
+function matchesActivityFilter(wallet) {
+  const { mode, days } = currentActivityFilter;
+  if (mode === 'all') return true;
+  if (!wallet.activity || wallet.activity.error) return false;
+  
+  const daysInactive = getDaysInactive(wallet.activity);
+  const inactive = daysInactive === null || daysInactive > days;
+  return mode === 'inactive' ? inactive : !inactive;
+}
+
+/**
+ * Read the activity filter inputs and re-filter every category tab
+ */
+function handleActivityFilterChange() {
+  const mode = document.getElementById('activity-filter-mode')?.value || 'all';
+  const days = parseInt(document.getElementById('activity-filter-days')?.value, 10);
+  
+  currentActivityFilter = { mode, days: Number.isInteger(days) && days >= 0 ? days : 0 };
+  if (!currentResults) return;
+  
+  renderCategoryResults();
+  debugLog(`Activity filter: ${mode}${mode === 'all' ? '' : ` (${currentActivityFilter.days} days)`}`);
+}
+
+/**
+ * Stats card for historical snapshots - the resolved block per network
+ */
+function createSnapshotStatHTML(snapshot) {
+  const blocks = Object.entries(snapshot.blocks || {});
+  const when = snapshot.timestamp
+    ? new Date(snapshot.timestamp).toISOString().replace('T', ' ').replace('.000Z', ' UTC')
+    : 'Balances as of block';
+  
+  return `
+    <div class="stat-card snapshot" title="USD values use current prices">
+      <div class="stat-icon">📸</div>
+      <div class="stat-number">${blocks.length === 1 ? `#${blocks[0][1]}` : blocks.length}</div>
+      <div class="stat-label">${blocks.length === 1 ? 'Snapshot Block' : 'Snapshot Blocks'}</div>
+      <div class="stat-sublabel">${blocks.length === 1
+        ? when
+        : blocks.map(([network, block]) => `${getNetworkIcon(network)} #${block}`).join(' · ')}</div>
+    </div>
+  `;
+}
+
+/**
+ * Stats card for balance comparisons - net USD change and the compared block range
+ */
+function createComparisonStatHTML(results) {
+  const from = Object.entries(results.snapshot?.from?.blocks || {});
+  const to = results.snapshot?.blocks || {};
+  const wallets = [...results.allTokens, ...results.someTokens, ...results.noTokens];
+  const netUsdDelta = wallets.reduce((sum, wallet) => sum + (wallet.totalUsdDelta || 0), 0);
+  
+  return `
+    <div class="stat-card comparison" title="USD changes use current prices">
+      <div class="stat-icon">${netUsdDelta < 0 ? '📉' : '📈'}</div>
+      <div class="stat-number ${netUsdDelta < 0 ? 'negative' : 'positive'}">${formatUsdDeltaUI(netUsdDelta)}</div>
+      <div class="stat-label">Net Change</div>
+      <div class="stat-sublabel">${from.map(([network, block]) =>
+        `${from.length > 1 ? `${getNetworkIcon(network)} ` : ''}#${block} → #${to[network]}`).join(' · ')}</div>
+    </div>
+  `;
+}
+
+/**
+ * Stats card for token discovery - unique tokens found across all transfer histories
+ */
+function createDiscoveryStatHTML(discovery) {
+  return `
+    <div class="stat-card discovery">
+      <div class="stat-icon">🔎</div>
+      <div class="stat-number">${discovery.tokensDiscovered}</div>
+      <div class="stat-label">Tokens Discovered</div>
+      <div class="stat-sublabel">${discovery.commonTokens.length} held by several wallets</div>
+    </div>
+  `;
+}
+
+/**
+ * Stats card for approval audits - combined USD exposure of open approvals
+ */
+function createApprovalStatHTML(approvals) {
+  return `
+    <div class="stat-card approvals" title="What spenders could move today, capped at wallet balances">
+      <div class="stat-icon">🔓</div>
+      <div class="stat-number">${approvals.exposureUsdFormatted}</div>
+      <div class="stat-label">Approval Exposure</div>
+      <div class="stat-sublabel">${approvals.openApprovals} open · ${approvals.unlimitedApprovals} unlimited · ${approvals.riskyApprovals} risky</div>
+    </div>
+  `;
+}
+
+/**
+ * Stats card for wallet scoring - top and median score of the leaderboard
+ */
+function createScoringStatHTML(results) {
+  const { leaderboard, scoring } = results;
+  const median = leaderboard.length > 0 ? leaderboard[Math.floor((leaderboard.length - 1) / 2)].score : 0;
+  
+  return `
+    <div class="stat-card scoring" title="Highest score out of ${scoring.maxScore} possible points">
+      <div class="stat-icon">🏆</div>
+      <div class="stat-number">${leaderboard[0]?.score ?? 0} / ${scoring.maxScore}</div>
+      <div class="stat-label">Top Score</div>
+      <div class="stat-sublabel">median ${median} · ${scoring.walletsScored} scored${scoring.walletsFailed > 0 ? ` · ${scoring.walletsFailed} failed` : ''}</div>
+    </div>
+  `;
+}
+
+/**
+ * Stats card for activity profiles - total gas spent and wallets inactive for the filter's day count
+ */
+function createActivityStatHTML(results) {
+  const wallets = [...results.allTokens, ...results.someTokens, ...results.noTokens]
+    .filter(wallet => wallet.activity && !wallet.activity.error);
+  const days = currentActivityFilter.days;
+  const inactive = wallets.filter(wallet => {
+    const daysInactive = getDaysInactive(wallet.activity);
+    return daysInactive === null || daysInactive > days;
+  }).length;
+  
+  return `
+    <div class="stat-card activity" title="Gas paid by the analyzed wallets, at current prices">
+      <div class="stat-icon">⛽</div>
+      <div class="stat-number">${results.activity.gasSpentUsdFormatted}</div>
+      <div class="stat-label">Gas Spent</div>
+      <div class="stat-sublabel">${inactive} inactive > ${days} days · ${results.activity.neverActive} never active</div>
+    </div>
+  `;
+}
+
+/**
+ * Stats card for the transfer graph - clusters found and wallets excluded from the categories
+ */
+function createClusterStatHTML(transferGraph) {
+  const high = transferGraph.clusters.filter(cluster => cluster.level === 'high').length;
+  
+  return `
+    <div class="stat-card clusters" title="Wallets linked by transfers or a shared funder">
+      <div class="stat-icon">🕸️</div>
+      <div class="stat-number">${transferGraph.clusters.length}</div>
+      <div class="stat-label">Sybil Clusters</div>
+      <div class="stat-sublabel">${high} high · ${transferGraph.walletsClustered} wallets${transferGraph.walletsExcluded > 0 ? ` · ${transferGraph.walletsExcluded} excluded` : ''}</div>
+    </div>
+  `;
+}
+
+/**
+ * Common tokens summary - tokens held by several of the analyzed wallets
+ */
+function createCommonTokensHTML(commonTokens) {
+  return `
+    <h3>🤝 Common Tokens Across Wallets</h3>
+    ${commonTokens.length === 0 ? `
+      <div class="empty-message">No token is held by more than one wallet</div>
+    ` : commonTokens.map(token => `
+      <div class="common-token">
+        <span class="common-symbol" title="${escapeHTML(token.name)} (${token.address})">
+          <strong>${escapeHTML(token.symbol)}</strong> ${token.isNative ? '<span class="token-badge native">Native</span>' : ''}
+        </span>
+        <span class="common-holders">${token.holders} wallets (${token.holderShare}%)</span>
+        <span class="common-balance" title="${token.totalBalance} ${escapeHTML(token.symbol)}">${token.totalBalanceFormatted} ${escapeHTML(token.symbol)}</span>
+        <span class="common-value">${token.totalUsdValue > 0 ? token.totalUsdValueFormatted : '—'}</span>
+      </div>
+    `).join('')}
+  `;
+}
+
+// Signed USD amount for balance changes
+function formatUsdDeltaUI(value) {
+  if (!value) return '$0.00';
+  const abs = Math.abs(value);
+  const formatted = abs < 1000 ? `$${abs.toFixed(2)}` : abs < 1000000 ? `$${(abs / 1000).toFixed(2)}K` : `$${(abs / 1000000).toFixed(2)}M`;
+  return `${value < 0 ? '-' : '+'}${formatted}`;
+}
+
+/**
+ * Render one tab and section per rule bucket, hiding the ALL / SOME / NO tokens tabs
+ * Without buckets the rule tabs are removed and the fixed tabs come back
+ */
+function renderRuleSections(buckets) {
+  const matchTabs = document.getElementById('match-tabs');
+  const ruleTabs = document.getElementById('rule-tabs');
+  const ruleSections = document.getElementById('rule-sections');
+  if (!ruleTabs || !ruleSections) return;
+  
+  if (matchTabs) matchTabs.style.display = buckets ? 'none' : 'flex';
+  ['all', 'some', 'none'].forEach(category => {
+    const section = document.getElementById(`category-${category}`);
+    if (section) section.style.display = buckets ? 'none' : '';
+  });
+  
+  ruleTabs.style.display = buckets ? 'flex' : 'none';
+  ruleTabs.innerHTML = (buckets || []).map(bucket => `
+    <button class="tab-btn" data-category="${bucket.id}" id="tab-${bucket.id}">
+      ${bucket.id === 'rule-other' ? '📭' : '🧩'} ${escapeHTML(bucket.name)} <span class="tab-count">${bucket.wallets.length}</span>
+    </button>
+  `).join('');
+  
+  ruleSections.innerHTML = (buckets || []).map(bucket => `
+    <div id="category-${bucket.id}" class="category-section">
+      <div class="category-header">
+        <h3>${bucket.id === 'rule-other' ? '📭' : '🧩'} ${escapeHTML(bucket.name)}</h3>
+        <p>${bucket.expression
+          ? `Wallets matching <code>${escapeHTML(bucket.expression)}</code>`
+          : 'Wallets matching none of the rules'}</p>
+      </div>
+      <div id="results-${bucket.id}" class="wallet-results"></div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Update rule bucket tab count
+ */
+function updateRuleTabCount(bucket, count) {
+  const tab = document.getElementById(`tab-${bucket.id}`);
+  if (!tab) return;
+  
+  tab.innerHTML = `${bucket.id === 'rule-other' ? '📭' : '🧩'} ${escapeHTML(bucket.name)} <span class="tab-count">${count}</span>`;
+}
+
+// Rule bucket names and expressions are user input; token names, symbols and ENS names come from
+// contracts anyone can deploy
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Update balance change tab count
+ */
+function updateChangeTabCount(category, count) {
+  const tab = document.getElementById(`tab-${category}`);
+  if (!tab) return;
+  
+  const labels = {
+    accumulated: '📈 Accumulated',
+    reduced: '📉 Reduced',
+    exited: '🚪 Exited',
+    unchanged: '⏸️ Unchanged',
+    mixed: '🔀 Mixed'
+  };
+  tab.innerHTML = `${labels[category]} <span class="tab-count">${count}</span>`;
 }
 
 /**
@@ -563,6 +1161,8 @@ function updateTabCounts(allCount, someCount, noneCount) {
 function createTokenItemHTML(token) {
   const hasPriceData = token.priceUsd !== null && token.priceUsd !== undefined;
   const hasUsdValue = token.usdValueFormatted && token.usdValue > 0;
+  const nftLabel = NFT_STANDARD_LABELS[token.standard];
+  const balanceLabel = nftLabel ? formatNftBalance(token) : `${token.balanceFormatted || token.balance} ${escapeHTML(token.symbol)}`;
   
   // Debug information for pricing
   const debugInfo = `
@@ -580,11 +1180,18 @@ function createTokenItemHTML(token) {
       ${debugInfo}
       <div class="token-header">
         <div class="token-info">
-          <span class="token-symbol">${token.symbol}</span>
-          <span class="token-name">${token.name}</span>
+          <span class="token-symbol">${escapeHTML(token.symbol)}</span>
+          <span class="token-name">${escapeHTML(token.name)}</span>
+          ${token.isNative ? '<span class="token-badge native">Native</span>' : ''}
+          ${nftLabel ? `<span class="token-badge nft">${nftLabel}</span>` : ''}
+          ${token.lp ? `<span class="token-badge lp" title="Includes liquidity provided in ${token.lp.positions} LP position${token.lp.positions === 1 ? '' : 's'}">💧 LP</span>` : ''}
+          ${isCrossChainNetwork(selectedNetwork) ? `<span class="token-badge network">${getNetworkIcon(token.network)} ${token.networkName || token.network}</span>` : ''}
         </div>
         <div class="token-balance">
-          <div class="balance-amount">${token.balance} ${token.symbol}</div>
+          <div class="balance-amount" title="${token.balance} ${escapeHTML(token.symbol)}">${balanceLabel}</div>
+          ${token.lp ? `
+            <div class="balance-lp">${token.held.balanceFormatted} held + ${token.lp.balanceFormatted} in LP</div>
+          ` : ''}
           ${hasUsdValue ? `
             <div class="balance-usd" style="color: #4caf50; font-weight: bold;">${token.usdValueFormatted}</div>
           ` : ''}
@@ -610,12 +1217,16 @@ function createTokenItemHTML(token) {
           ` : ''}
         </div>
       </div>
-      <div class="token-address">
-        <code>${token.address}</code>
-        <button class="copy-btn" data-copy="${token.address}" title="Copy token address">
-          📋
-        </button>
-      </div>
+      ${token.isNative ? '' : `
+        <div class="token-address">
+          <code>${token.contractAddress || token.address}</code>
+          ${token.tokenId !== null && token.tokenId !== undefined ? `<span class="nft-token-id">#${token.tokenId}</span>` : ''}
+          <button class="copy-btn" data-copy="${token.contractAddress || token.address}" title="Copy token address">
+            📋
+          </button>
+        </div>
+      `}
+      ${token.tokenIds?.length && token.standard === 'erc721' ? createTokenIdsHTML(token.tokenIds) : ''}
       ${token.priceSource ? `
         <div class="price-source">
           <small>Price from ${token.priceSource}</small>
@@ -630,13 +1241,622 @@ function createTokenItemHTML(token) {
   `;
 }
 
+/**
+ * Wallet's primary ENS name / Basename, and the name it was entered as when that differs
+ */
+function createWalletNameHTML(wallet) {
+  const name = wallet.primaryName || wallet.inputName;
+  if (!name) return '';
+  
+  const enteredAs = wallet.inputName && wallet.inputName !== name ? ` (entered as ${escapeHTML(wallet.inputName)})` : '';
+  const title = wallet.primaryName ? 'Primary name' : 'Entered name (not set as primary name)';
+  
+  return `<span class="wallet-name" title="${title}">${escapeHTML(name)}${enteredAs}</span>`;
+}
+
+/**
+ * Wallet type badge - exchange / bridge label, Safe threshold, details in the tooltip
+ */
+function createWalletTypeHTML(wallet) {
+  const classification = wallet.classification;
+  if (!classification) return '';
+  
+  const { type, label, safe, entryPoint, delegatedTo } = classification;
+  const { icon, name } = WALLET_TYPE_LABELS[type] || WALLET_TYPE_LABELS.unknown;
+  const text = label || (safe ? `${name} ${safe.threshold}/${safe.owners.length}` : name);
+  const title = safe
+    ? `Safe${safe.version ? ` v${safe.version}` : ''} - ${safe.threshold} of ${safe.owners.length} owners: ${safe.owners.join(', ')}`
+    : entryPoint
+      ? `ERC-4337 account (EntryPoint ${entryPoint.version})`
+      : delegatedTo
+        ? `EOA with EIP-7702 delegation to ${delegatedTo}`
+        : label ? `Known ${name.toLowerCase()} wallet` : name;
+  
+  return `<span class="wallet-type-badge ${type}" title="${title}">${icon} ${text}</span>`;
+}
+
+/**
+ * NFT holding as a count - "3 NFTs" for ERC-721 collections, "5 × #42" for ERC-1155 token IDs
+ */
+function formatNftBalance(token) {
+  if (token.standard === 'erc1155') {
+    return `${token.balance} × #${token.tokenId}`;
+  }
+  
+  return `${token.balance} ${token.balance === '1' ? 'NFT' : 'NFTs'}`;
+}
+
+/**
+ * Held ERC-721 token IDs as chips
+ */
+function createTokenIdsHTML(tokenIds) {
+  return `
+    <div class="nft-token-ids">
+      ${tokenIds.map(tokenId => `<span class="nft-token-id" title="Token ID ${tokenId}">#${tokenId}</span>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Per-chain summary for cross-chain wallet results
+ */
+function createChainBreakdownHTML(chains) {
+  return `
+    <div class="chain-breakdown">
+      ${Object.values(chains).map(chain => `
+        <div class="chain-summary${chain.error ? ' chain-error' : ''}" title="${chain.error || ''}">
+          <span class="chain-name">${getNetworkIcon(chain.network)} ${chain.networkName}</span>
+          <span class="chain-tokens">${chain.tokensFound}/${chain.tokensChecked} tokens</span>
+          <span class="chain-value">${chain.error ? '⚠️ Error' : chain.totalUsdValueFormatted}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Per-token balance changes between the comparison blocks
+ */
+function createBalanceChangesHTML(wallet) {
+  const icons = { entered: '🆕', increased: '📈', decreased: '📉', exited: '🚪', unchanged: '⏸️' };
+  
+  return `
+    <div class="balance-changes">
+      ${wallet.changes.map(change => `
+        <div class="balance-change${change.error ? ' change-error' : ''}" title="${escapeHTML(change.error || `${change.startBalance} → ${change.endBalance} ${change.symbol}`)}">
+          <span class="change-token">${change.change ? icons[change.change] : '⚠️'} ${escapeHTML(change.symbol)}${isCrossChainNetwork(selectedNetwork) ? ` ${getNetworkIcon(change.network)}` : ''}</span>
+          <span class="change-range">${change.startBalanceFormatted} → ${change.endBalanceFormatted}</span>
+          <span class="change-delta ${change.rawDelta.startsWith('-') ? 'negative' : 'positive'}">
+            ${change.rawDelta.startsWith('-') || change.rawDelta === '0' ? '' : '+'}${change.deltaFormatted}
+            ${change.usdDeltaFormatted ? `<small>(${change.usdDeltaFormatted})</small>` : ''}
+          </span>
+        </div>
+      `).join('')}
+      ${wallet.totalUsdDeltaFormatted ? `
+        <div class="balance-change-total">Net change: <strong>${wallet.totalUsdDeltaFormatted}</strong></div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Activity profile line - first / last transaction, transaction count, gas spent, counterparties
+ */
+function createActivityHTML(activity) {
+  if (activity.error) {
+    return `<div class="activity-info wallet-error">📅 Activity profile failed: ${activity.error}</div>`;
+  }
+  
+  if (!activity.lastActive) {
+    return `<div class="activity-info inactive">📅 Never transacted${activity.txCount > 0 ? ` (nonce ${activity.txCount})` : ''}</div>`;
+  }
+  
+  const daysInactive = getDaysInactive(activity);
+  const date = iso => iso.slice(0, 10);
+  const gas = activity.gasSpentFormatted !== undefined
+    ? `${activity.gasSpentFormatted} ${activity.gasSymbol}${activity.gasSpentUsd > 0 ? ` (${activity.gasSpentUsdFormatted})` : ''}`
+    : activity.gasSpentUsdFormatted;
+  
+  return `
+    <div class="activity-info${daysInactive > currentActivityFilter.days ? ' inactive' : ''}"${activity.truncated ? ` title="Gas and counterparties cover the oldest ${activity.transactionsScanned} transactions"` : ''}>
+      📅 First seen ${date(activity.firstSeen)} ·
+      last active ${date(activity.lastActive)} (${daysInactive === 0 ? 'today' : `${daysInactive} days ago`}) ·
+      ${activity.txCount} txs sent ·
+      ⛽ ${gas}${activity.truncated ? '+' : ''} ·
+      👥 ${activity.counterparties}${activity.truncated ? '+' : ''} counterparties
+    </div>
+  `;
+}
+
+/**
+ * Transfer graph line - first funder of the wallet and its cluster
+ */
+function createFundingHTML(info) {
+  if (info.error) {
+    return `<div class="funding-info wallet-error">🕸️ Transfer history failed: ${info.error}</div>`;
+  }
+  
+  const funder = info.funder
+    ? `Funded by ${info.funderLabel ? escapeHTML(info.funderLabel) : `<code>${shortenAddressUI(info.funder)}</code>`}${info.fundedVia ? ` via <code>${shortenAddressUI(info.fundedVia)}</code>` : ''} on ${new Date(info.fundedAt).toLocaleDateString()}`
+    : 'No incoming native transfer found';
+  const cluster = info.cluster
+    ? ` · ${info.cluster.id} (${info.cluster.level}, ${info.cluster.suspicion}/100)`
+    : '';
+  
+  return `<div class="funding-info${info.cluster ? ` cluster-${info.cluster.level}` : ''}">🕸️ ${funder}${cluster}</div>`;
+}
+
+/**
+ * LP positions of a wallet - protocol, underlying amounts (fees owed included) and value per position
+ */
+function createLpPositionsHTML(lpPositions) {
+  if (lpPositions.error) {
+    return `<div class="lp-info wallet-error">💧 LP position lookup failed: ${lpPositions.error}</div>`;
+  }
+  
+  const warnings = [
+    ...lpPositions.errors,
+    ...(lpPositions.truncated ? ['Only the first positions of each position manager were read'] : [])
+  ];
+  const warningHTML = warnings.map(warning => `<div class="lp-warning">⚠️ ${escapeHTML(warning)}</div>`).join('');
+  
+  if (lpPositions.positions.length === 0) {
+    return `<div class="lp-info">💧 No LP positions found${warningHTML}</div>`;
+  }
+  
+  return `
+    <div class="lp-info">
+      💧 ${lpPositions.positions.length} LP position${lpPositions.positions.length === 1 ? '' : 's'} · ${lpPositions.usdValueFormatted}
+      <ul class="lp-positions">
+        ${lpPositions.positions.map(position => `
+          <li class="lp-position${position.inRange === false ? ' out-of-range' : ''}">
+            <span class="lp-protocol">${escapeHTML(position.protocol)}${position.tokenId ? ` #${position.tokenId}` : ''}</span>
+            ${position.underlying.map(token => `${token.amountFormatted} ${escapeHTML(token.symbol)}`).join(' + ')}
+            ${position.usdValueFormatted ? `<span class="lp-value">${position.usdValueFormatted}</span>` : ''}
+            ${position.inRange === false ? '<small>out of range</small>' : ''}
+            ${position.share !== null ? `<small>${position.share}% of pool</small>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+      ${warningHTML}
+    </div>
+  `;
+}
+
+/**
+ * Approvals tab - wallets with open approvals (or a failed audit), largest exposure first
+ */
+function renderApprovalResults(wallets) {
+  const resultsDiv = document.getElementById('results-approvals');
+  const tab = document.getElementById('tab-approvals');
+  const audited = wallets
+    .filter(wallet => wallet.approvals?.error || wallet.approvals?.approvals.length > 0)
+    .sort((a, b) => (b.approvals.exposureUsd || 0) - (a.approvals.exposureUsd || 0));
+  
+  if (tab) tab.innerHTML = `🔓 Approvals <span class="tab-count">${audited.length}</span>`;
+  if (!resultsDiv) return;
+  
+  if (audited.length === 0) {
+    resultsDiv.innerHTML = `
+      <div class="empty-category">
+        <div class="empty-icon">${getEmptyIcon('approvals')}</div>
+        <div class="empty-message">No open approvals found</div>
+      </div>
+    `;
+    return;
+  }
+  
+  resultsDiv.innerHTML = audited.map(createApprovalWalletHTML).join('');
+  
+  resultsDiv.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', () => copyToClipboard(btn.dataset.copy));
+  });
+}
+
+/**
+ * Leaderboard tab - scored wallets in rank order, limited to the wallets passing the filters
+ * Ranks stay those of the full leaderboard
+ */
+function renderLeaderboard(leaderboard, wallets) {
+  const resultsDiv = document.getElementById('results-leaderboard');
+  const tab = document.getElementById('tab-leaderboard');
+  const walletsByAddress = new Map(wallets.map(wallet => [wallet.walletAddress, wallet]));
+  const entries = leaderboard.filter(entry => walletsByAddress.has(entry.walletAddress));
+  
+  if (tab) tab.innerHTML = `🏆 Leaderboard <span class="tab-count">${entries.length}</span>`;
+  if (!resultsDiv) return;
+  
+  if (entries.length === 0) {
+    resultsDiv.innerHTML = `
+      <div class="empty-category">
+        <div class="empty-icon">${getEmptyIcon('leaderboard')}</div>
+        <div class="empty-message">No scored wallets in this view</div>
+      </div>
+    `;
+    return;
+  }
+  
+  resultsDiv.innerHTML = entries.map(entry => createLeaderboardEntryHTML(entry, walletsByAddress.get(entry.walletAddress))).join('');
+  
+  resultsDiv.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', () => copyToClipboard(btn.dataset.copy));
+  });
+}
+
+/**
+ * One leaderboard row - rank, wallet, score bar and points per component
+ */
+function createLeaderboardEntryHTML(entry, wallet) {
+  const unitLabels = { usd: '', balance: '', transactions: ' tx', days: ' days' };
+  
+  return `
+    <div class="wallet-result leaderboard-entry" data-wallet="${entry.walletAddress}">
+      <div class="wallet-header">
+        <div class="wallet-address">
+          <span class="leaderboard-rank">#${entry.rank}</span>
+          ${createWalletNameHTML(entry)}
+          <code class="address-text">${entry.walletAddress}</code>
+          ${createWalletTypeHTML(wallet)}
+          <button class="copy-btn" data-copy="${entry.walletAddress}" title="Copy address">
+            📋
+          </button>
+        </div>
+        <div class="wallet-status status-perfect" title="${entry.percent}% of the maximum score">
+          🏆 ${entry.score} / ${entry.maxScore}
+        </div>
+      </div>
+      <div class="score-bar"><div class="score-bar-fill" style="width: ${Math.min(entry.percent, 100)}%"></div></div>
+      <div class="score-breakdown">
+        ${entry.breakdown.map(item => `
+          <span class="score-component${item.points > 0 ? '' : ' zero'}" title="${item.unit === 'usd' ? `$${item.value.toFixed(2)}` : `${item.value}${unitLabels[item.unit]}`}">
+            ${escapeHTML(item.label)} <strong>${item.points}</strong>/${item.weight}
+          </span>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+// One CSV field - quoted when it holds a separator, quote or line break
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the full leaderboard as CSV - one row per scored wallet, points and value per component
+ */
+function exportLeaderboardCsv() {
+  const leaderboard = currentResults?.leaderboard;
+  if (!leaderboard || leaderboard.length === 0) {
+    showError('No leaderboard to export');
+    return;
+  }
+  
+  // Component columns in breakdown order, named after a wallet holding the token (symbol) if any
+  const componentLabels = leaderboard[0].breakdown.map((item, index) =>
+    (leaderboard.find(entry => entry.breakdown[index].value > 0) || leaderboard[0]).breakdown[index].label);
+  
+  const header = ['rank', 'wallet', 'name', 'wallet_type', 'score', 'max_score', 'percent', 'total_usd',
+    ...componentLabels.flatMap(label => [`${label} points`, `${label} value`])];
+  const rows = leaderboard.map(entry => [
+    entry.rank,
+    entry.walletAddress,
+    entry.primaryName || entry.inputName || '',
+    entry.walletType || '',
+    entry.score,
+    entry.maxScore,
+    entry.percent,
+    (entry.totalUsdValue || 0).toFixed(2),
+    ...entry.breakdown.flatMap(item => [item.points, item.value])
+  ]);
+  
+  downloadFile([header, ...rows].map(row => row.map(toCsvField).join(',')).join('\n'), 'text/csv',
+    `wallet-leaderboard-${selectedNetwork}-${Date.now()}.csv`);
+  
+  showToast('📄 Leaderboard exported!');
+  debugLog(`Leaderboard exported to CSV (${leaderboard.length} wallets)`);
+}
+
+/**
+ * Clusters tab - linked wallets, most suspicious first, with the signals behind the score
+ * wallets includes excluded wallets, for names and funders
+ */
+function renderClusters(transferGraph, wallets) {
+  const resultsDiv = document.getElementById('results-clusters');
+  const tab = document.getElementById('tab-clusters');
+  const walletsByAddress = new Map(wallets.map(wallet => [wallet.walletAddress, wallet]));
+  
+  if (tab) tab.innerHTML = `🕸️ Clusters <span class="tab-count">${transferGraph.clusters.length}</span>`;
+  if (!resultsDiv) return;
+  
+  if (transferGraph.clusters.length === 0) {
+    resultsDiv.innerHTML = `
+      <div class="empty-category">
+        <div class="empty-icon">${getEmptyIcon('clusters')}</div>
+        <div class="empty-message">No linked wallets found${transferGraph.walletsFailed > 0 ? ` (transfer history failed for ${transferGraph.walletsFailed} wallet${transferGraph.walletsFailed === 1 ? '' : 's'})` : ''}</div>
+      </div>
+    `;
+    return;
+  }
+  
+  resultsDiv.innerHTML = transferGraph.clusters
+    .map(cluster => createClusterHTML(cluster, transferGraph.edges, walletsByAddress))
+    .join('');
+  
+  resultsDiv.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', () => copyToClipboard(btn.dataset.copy));
+  });
+}
+
+/**
+ * One cluster card - suspicion bar, signals, member wallets and the transfers between them
+ */
+function createClusterHTML(cluster, edges, walletsByAddress) {
+  const members = new Set(cluster.wallets);
+  const clusterEdges = edges.filter(edge => members.has(edge.from) && members.has(edge.to));
+  const statusClasses = { high: 'status-empty', medium: 'status-partial', low: '' };
+  
+  return `
+    <div class="wallet-result cluster-card cluster-${cluster.level}${cluster.excluded ? ' excluded' : ''}">
+      <div class="wallet-header">
+        <div class="wallet-address">
+          <span class="wallet-icon">🕸️</span>
+          <strong>${cluster.id}</strong> · ${cluster.size} wallets
+          ${cluster.excluded ? '<span class="cluster-excluded" title="Left out of the categories, leaderboard and airdrops">excluded</span>' : ''}
+        </div>
+        <div class="wallet-status ${statusClasses[cluster.level]}">
+          ${CLUSTER_LEVEL_ICONS[cluster.level]} ${cluster.suspicion}/100 ${cluster.level}
+        </div>
+      </div>
+      <div class="score-bar"><div class="score-bar-fill" style="width: ${cluster.suspicion}%"></div></div>
+      <div class="score-breakdown">
+        ${cluster.signals.map(signal => `
+          <span class="score-component">${escapeHTML(signal.detail)} <strong>+${signal.points}</strong></span>
+        `).join('')}
+      </div>
+      <div class="cluster-wallets">
+        ${cluster.wallets.map(address => {
+          const wallet = walletsByAddress.get(address) || { walletAddress: address };
+          return `
+            <div class="cluster-wallet">
+              ${createWalletNameHTML(wallet)}
+              <code class="address-text">${address}</code>
+              <button class="copy-btn" data-copy="${address}" title="Copy address">📋</button>
+              ${wallet.transferGraph?.funder ? `<small>← ${wallet.transferGraph.funderLabel ? escapeHTML(wallet.transferGraph.funderLabel) : shortenAddressUI(wallet.transferGraph.funder)}</small>` : ''}
+            </div>
+          `;
+        }).join('')}
+      </div>
+      ${clusterEdges.length > 0 ? `
+        <div class="cluster-edges">
+          ${clusterEdges.map(edge => `
+            <div class="cluster-edge">
+              ${edge.funding ? '💸' : '🔁'} <code>${shortenAddressUI(edge.from)}</code> → <code>${shortenAddressUI(edge.to)}</code>
+              ${[
+                edge.nativeTransfers > 0 ? `${edge.nativeTransfers} native` : '',
+                edge.tokenTransfers > 0 ? `${edge.tokenTransfers} token (${edge.tokens.map(escapeHTML).join(', ')})` : ''
+              ].filter(Boolean).join(' · ')}
+              ${edge.funding ? '<small>first funding</small>' : ''}
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Clear the previous allocation and offer this result set's qualifying options
+ */
+function resetAllocationPanel(results) {
+  currentAllocation = null;
+  
+  const airdropResults = document.getElementById('airdrop-results');
+  if (airdropResults) airdropResults.innerHTML = '';
+  
+  const qualify = document.getElementById('airdrop-qualify');
+  if (qualify) {
+    qualify.innerHTML = `
+      <option value="any">Wallets holding any target token</option>
+      <option value="all">Wallets holding all target tokens</option>
+      ${(results.ruleBuckets || []).map(bucket => `<option value="${bucket.id}">🧩 ${escapeHTML(bucket.name)}</option>`).join('')}
+    `;
+  }
+  
+  updateAllocationInputs();
+}
+
+// Cap and tier inputs only apply to their formulas
+function updateAllocationInputs() {
+  const formula = document.getElementById('airdrop-formula')?.value;
+  const cap = document.getElementById('airdrop-cap');
+  const tiers = document.getElementById('airdrop-tiers');
+  
+  if (cap) cap.style.display = formula === 'capped' ? '' : 'none';
+  if (tiers) tiers.style.display = formula === 'tiered' ? '' : 'none';
+}
+
+/**
+ * Allocation summary and per-wallet list, with CSV and Merkle JSON exports
+ */
+function renderAllocation(allocation) {
+  currentAllocation = allocation;
+  
+  const resultsDiv = document.getElementById('airdrop-results');
+  if (!resultsDiv) return;
+  
+  const basisUnit = allocation.basis === 'usd' ? '$' : '';
+  
+  resultsDiv.innerHTML = `
+    <div class="balance-change-total">
+      🪂 ${allocation.allocated} of ${allocation.total} to ${allocation.walletsAllocated} wallets
+      (${allocation.walletsQualified} qualified)${Number(allocation.unallocated) > 0 ? ` · ${allocation.unallocated} unallocated - every wallet reached the cap` : ''}
+      · Merkle root <code title="${allocation.merkle.merkleRoot}">${shortenAddressUI(allocation.merkle.merkleRoot)}</code>
+    </div>
+    <div class="allocation-list">
+      ${allocation.allocations.map(entry => `
+        <div class="allocation-item">
+          <code class="address-text" title="${escapeHTML(entry.primaryName || '')}">${entry.walletAddress}</code>
+          <span class="allocation-basis">${allocation.formula === 'flat' ? '' : `${basisUnit}${Number(entry.value.toFixed(2))}${entry.tier ? ` · tier ×${entry.tier.weight}` : ''}`}</span>
+          <span class="allocation-amount" title="${entry.amount}">${entry.amountFormatted}${entry.capped ? ' 🧢' : ''}</span>
+          <span class="allocation-share">${entry.share}%</span>
+        </div>
+      `).join('')}
+    </div>
+    <div class="allocation-actions">
+      <button class="secondary-btn" id="export-allocation-csv-btn">📄 Export CSV</button>
+      <button class="secondary-btn" id="export-merkle-btn">🌳 Export Merkle JSON</button>
+    </div>
+  `;
+  
+  document.getElementById('export-allocation-csv-btn')?.addEventListener('click', exportAllocationCsv);
+  document.getElementById('export-merkle-btn')?.addEventListener('click', exportMerkleJson);
+}
+
+// Short hash / address for inline display
+function shortenAddressUI(value) {
+  return `${value.slice(0, 10)}…${value.slice(-8)}`;
+}
+
+// Save generated content as a file
+function downloadFile(content, type, filename) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the allocation list as CSV - amounts exact, plus base units for contracts and scripts
+ */
+function exportAllocationCsv() {
+  if (!currentAllocation) {
+    showError('No allocation to export');
+    return;
+  }
+  
+  const header = ['wallet', 'name', 'basis_value', 'tier_weight', 'amount', 'amount_raw', 'share_percent', 'capped'];
+  const rows = currentAllocation.allocations.map(entry => [
+    entry.walletAddress,
+    entry.primaryName || '',
+    entry.value,
+    entry.tier?.weight ?? '',
+    entry.amount,
+    entry.amountRaw,
+    entry.share,
+    entry.capped
+  ]);
+  
+  downloadFile([header, ...rows].map(row => row.map(toCsvField).join(',')).join('\n'), 'text/csv',
+    `airdrop-allocation-${selectedNetwork}-${Date.now()}.csv`);
+  
+  showToast('📄 Allocation exported!');
+  debugLog(`Airdrop allocation exported to CSV (${currentAllocation.allocations.length} wallets)`);
+}
+
+/**
+ * Export the merkle-distributor JSON - merkleRoot, tokenTotal and claims with proofs
+ */
+function exportMerkleJson() {
+  if (!currentAllocation) {
+    showError('No allocation to export');
+    return;
+  }
+  
+  downloadFile(JSON.stringify(currentAllocation.merkle, null, 2), 'application/json',
+    `airdrop-merkle-${selectedNetwork}-${Date.now()}.json`);
+  
+  showToast('🌳 Merkle proofs exported!');
+  debugLog(`Merkle tree exported (root ${currentAllocation.merkle.merkleRoot})`);
+}
+
+/**
+ * Wallet card for the approvals tab
+ */
+function createApprovalWalletHTML(wallet) {
+  const audit = wallet.approvals;
+  const statusClass = audit.error ? 'status-empty' : audit.riskyApprovals > 0 || audit.unlimitedApprovals > 0 ? 'status-partial' : 'status-perfect';
+  
+  return `
+    <div class="wallet-result ${statusClass}" data-wallet="${wallet.walletAddress}">
+      <div class="wallet-header">
+        <div class="wallet-address">
+          <span class="wallet-icon">📁</span>
+          ${createWalletNameHTML(wallet)}
+          <code class="address-text">${wallet.walletAddress}</code>
+          ${createWalletTypeHTML(wallet)}
+          <button class="copy-btn" data-copy="${wallet.walletAddress}" title="Copy address">
+            📋
+          </button>
+        </div>
+        <div class="wallet-status ${statusClass}">
+          ${audit.error ? '⚠️ Audit failed' : `🔓 ${audit.approvals.length} open · ${audit.exposureUsdFormatted}`}
+        </div>
+      </div>
+      
+      ${audit.error ? `
+        <div class="wallet-error">
+          <span class="error-icon">⚠️</span>
+          <span class="error-text">${audit.error}</span>
+        </div>
+      ` : `
+        <div class="approval-list">
+          ${audit.approvals.map(createApprovalItemHTML).join('')}
+        </div>
+        <div class="balance-change-total">
+          ${audit.revokedApprovals} revoked · ${audit.approvalEvents} approval events${audit.truncated ? ' (oldest history only)' : ''}
+        </div>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * One open approval - token, spender, allowance and exposure with risk badges
+ */
+function createApprovalItemHTML(approval) {
+  const { token, spender } = approval;
+  const spenderName = spender.label || spender.name;
+  const spenderType = WALLET_TYPE_LABELS[spender.type] || WALLET_TYPE_LABELS.unknown;
+  
+  return `
+    <div class="approval-item${approval.risks.length > 0 ? ' risky' : ''}">
+      <span class="approval-token" title="${escapeHTML(token.name || '')} (${token.address})">
+        <strong>${escapeHTML(token.symbol || 'Unknown')}</strong>${isCrossChainNetwork(selectedNetwork) ? ` ${getNetworkIcon(approval.network)}` : ''}
+      </span>
+      <span class="approval-spender" title="${spenderType.name} ${spender.address}${spender.verified === true ? ' (verified source)' : ''}">
+        → ${spenderType.icon} ${spenderName ? escapeHTML(spenderName) : `<code>${spender.address}</code>`}
+      </span>
+      <span class="approval-allowance" title="${approval.allowance} base units">${approval.allowanceFormatted}</span>
+      <span class="approval-exposure" title="${approval.exposureFormatted} ${escapeHTML(token.symbol || '')} at risk (balance ${approval.balanceFormatted})">
+        ${token.priceUsd ? approval.exposureUsdFormatted : `${approval.exposureFormatted} <small>(no price)</small>`}
+      </span>
+      <span class="approval-risks">${approval.risks.map(risk => {
+        const { icon, name } = APPROVAL_RISK_LABELS[risk] || { icon: '⚠️', name: risk };
+        return `<span class="approval-risk ${risk}">${icon} ${name}</span>`;
+      }).join('')}</span>
+    </div>
+  `;
+}
+
 /**
  * ENHANCED WALLET RESULT with USD debugging - NOWA FUNKCJA
  */
 function createWalletResultHTML(wallet, category, totalTokens) {
   const foundCount = wallet.foundTokens?.length || 0;
   const statusClass = getWalletStatusClass(category);
-  const statusText = getWalletStatusText(category, foundCount, totalTokens);
+  // Discovery checks a different token list per wallet; rule buckets list the conditions met
+  const statusText = category.startsWith('rule-')
+    ? getRuleStatusText(wallet)
+    : getWalletStatusText(category, foundCount, wallet.tokensChecked ?? totalTokens);
   
   // Calculate USD totals with debug info
   const tokensWithUsd = wallet.foundTokens?.filter(t => t.usdValue && t.usdValue > 0) || [];
@@ -648,7 +1868,9 @@ function createWalletResultHTML(wallet, category, totalTokens) {
       <div class="wallet-header">
         <div class="wallet-address">
           <span class="wallet-icon">📁</span>
+          ${createWalletNameHTML(wallet)}
           <code class="address-text">${wallet.walletAddress}</code>
+          ${createWalletTypeHTML(wallet)}
           <button class="copy-btn" data-copy="${wallet.walletAddress}" title="Copy address">
             📋
           </button>
@@ -672,6 +1894,24 @@ function createWalletResultHTML(wallet, category, totalTokens) {
         </div>
       ` : ''}
       
+      ${wallet.chains ? createChainBreakdownHTML(wallet.chains) : ''}
+      
+      ${wallet.discovery ? `
+        <div class="discovery-info${wallet.discovery.error ? ' wallet-error' : ''}">
+          🔎 ${wallet.discovery.error
+            ? `Token discovery failed: ${wallet.discovery.error}`
+            : `${wallet.discovery.tokensDiscovered} tokens found in ${wallet.discovery.transfersScanned} transfers${wallet.discovery.truncated ? ' (latest history only)' : ''}`}
+        </div>
+      ` : ''}
+      
+      ${wallet.activity ? createActivityHTML(wallet.activity) : ''}
+      
+      ${wallet.transferGraph ? createFundingHTML(wallet.transferGraph) : ''}
+      
+      ${wallet.lpPositions ? createLpPositionsHTML(wallet.lpPositions) : ''}
+      
+      ${wallet.changes?.length ? createBalanceChangesHTML(wallet) : ''}
+      
       ${wallet.foundTokens && wallet.foundTokens.length > 0 ? `
         <div class="token-list">
           ${wallet.foundTokens.map(token => createTokenItemHTML(token)).join('')}
@@ -793,8 +2033,8 @@ function populateCategoryResults(category, wallets, totalTokens = 0) {
 function showCategory(category) {
   currentCategory = category;
   
-  // Update tab buttons
-  document.querySelectorAll('.tab-btn').forEach(btn => {
+  // Update tab buttons (the wallet type filter keeps its own selection)
+  document.querySelectorAll('.tab-btn[data-category]').forEach(btn => {
     btn.classList.remove('active');
   });
   
@@ -820,12 +2060,17 @@ function showCategory(category) {
  * Helper functions for wallet display
  */
 function getEmptyIcon(category) {
-  const icons = { all: '🎯', some: '⚡', none: '❌' };
+  const icons = { all: '🎯', some: '⚡', none: '❌', accumulated: '📈', reduced: '📉', exited: '🚪', unchanged: '⏸️', mixed: '🔀', approvals: '🔓', leaderboard: '🏆', clusters: '🕸️' };
   return icons[category] || '📭';
 }
 
 function getWalletStatusClass(category) {
-  const classes = { all: 'status-perfect', some: 'status-partial', none: 'status-empty' };
+  if (category.startsWith('rule-')) return category === 'rule-other' ? 'status-empty' : 'status-perfect';
+  
+  const classes = {
+    all: 'status-perfect', some: 'status-partial', none: 'status-empty',
+    accumulated: 'status-perfect', reduced: 'status-partial', exited: 'status-empty', unchanged: '', mixed: 'status-partial'
+  };
   return classes[category] || '';
 }
 
@@ -837,11 +2082,24 @@ function getWalletStatusText(category, foundCount, totalTokens) {
       return `<span class="status-icon">⚡</span> Partial (${foundCount}/${totalTokens})`;
     case 'none':
       return `<span class="status-icon">❌</span> Empty (0/${totalTokens})`;
+    case 'accumulated':
+    case 'reduced':
+    case 'exited':
+    case 'unchanged':
+    case 'mixed':
+      return `<span class="status-icon">${getEmptyIcon(category)}</span> ${category.charAt(0).toUpperCase()}${category.slice(1)} (${foundCount}/${totalTokens} held)`;
     default:
       return '';
   }
 }
 
+function getRuleStatusText(wallet) {
+  const met = Object.entries(wallet.rules?.conditions || {}).filter(([, value]) => value).map(([name]) => name);
+  return met.length > 0
+    ? `<span class="status-icon">🧩</span> Meets ${met.map(escapeHTML).join(', ')}`
+    : '<span class="status-icon">🧩</span> Meets no conditions';
+}
+
 /**
  * Validation and input handling functions
  */
@@ -858,7 +2116,7 @@ function validateInputsUI() {
   const tokens = parseAddressInput(tokensInput);
   
   const walletValidation = validateAddressesClientSide(wallets);
-  const tokenValidation = validateAddressesClientSide(tokens);
+  const tokenValidation = validateAddressesClientSide(tokens, true);
   
   showValidationResults(walletValidation, tokenValidation);
   
@@ -938,6 +2196,14 @@ function clearInputs() {
   
   if (walletsEl) walletsEl.value = '';
   if (tokensEl) tokensEl.value = '';
+  ['snapshot-block', 'snapshot-time', 'compare-block', 'compare-time', 'category-rules', 'wallet-scoring', 'exclude-clusters'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+  ['discover-tokens', 'audit-approvals', 'wallet-activity', 'transfer-graph', 'lp-positions'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.checked = false;
+  });
   
   updateInputCounters();
   hideAllResults();
@@ -1009,12 +2275,14 @@ function loadSavedInputs() {
 function loadSavedNetwork() {
   try {
     const savedNetwork = localStorage.getItem('wallet-analyzer-network');
-    if (savedNetwork) {
+    // Ignore networks no longer offered by the server
+    if (savedNetwork && (Object.keys(networkRegistry).length === 0 || networkRegistry[savedNetwork])) {
       selectedNetwork = savedNetwork;
       const networkSelector = document.getElementById('network-selector');
       if (networkSelector) {
         networkSelector.value = savedNetwork;
       }
+      updateTokensPlaceholder();
       debugLog(`Loaded saved network: ${getNetworkName(savedNetwork)}`, 'info');
     }
   } catch (error) {
@@ -1360,6 +2628,7 @@ window.showError = showError;
 window.hideError = hideError;
 window.showLoading = showLoading;
 window.updateProgress = updateProgress;
+window.showCancelling = showCancelling;
 window.displayResults = displayResults;
 window.showValidationResults = showValidationResults;
 window.hideAllResults = hideAllResults;
@@ -1367,6 +2636,8 @@ window.showToast = showToast;
 window.showModal = showModal;
 window.getSelectedNetwork = getSelectedNetwork;
 window.getNetworkName = getNetworkName;
+window.getNetworkInfo = getNetworkInfo;
+window.isCrossChainNetwork = isCrossChainNetwork;
 window.getNetworkIcon = getNetworkIcon;
 
 // ENHANCED USD PRICING FUNCTIONS - DODANE DO WINDOW
@@ -1436,7 +2707,7 @@ document.addEventListener('keydown', (event) => {
   // Escape: Cancel analysis or close modals
   if (event.key === 'Escape') {
     if (analysisInProgress) {
-      // Could implement cancellation here
+      // Cancellation is handled by the keydown handler in main.js
     } else {
       // Close any open modals
       document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
@@ -1,7 +1,7 @@
 /**
  * API Routes for Multi-Chain Wallet Analyzer
  * Handles blockchain analysis requests for multiple networks
- * Supports Ethereum and Base networks
+ * Supports every network in the chain registry (config/chains.js)
  * POPRAWIONA WERSJA z USD pricing fix
  */
 
@@ -10,13 +10,48 @@ const router = express.Router();
 
 const blockchainService = require('../services/etherscan');
 const dexScreenerService = require('../services/dexscreener');
-const { validateAddresses, parseAddressInput, validateRequestLimits } = require('../utils/helpers');
-const { logInfo, logError, logDebug, PerformanceTimer } = require('../utils/debugger');
+const jobManager = require('../services/jobManager');
+const nameService = require('../services/nameService');
+const walletClassifier = require('../services/walletClassifier');
+const allowanceAudit = require('../services/allowanceAudit');
+const activityProfile = require('../services/activityProfile');
+const holderScreen = require('../services/holderScreen');
+const walletRules = require('../services/walletRules');
+const walletScoring = require('../services/walletScoring');
+const airdropAllocation = require('../services/airdropAllocation');
+const transferGraphService = require('../services/transferGraph');
+const lpPositionService = require('../services/lpPositions');
+const { toBlockTag } = require('../services/provider');
+const { 
+  isValidEthereumAddress,
+  toChecksumAddress,
+  checksumTokenTarget,
+  findChecksumMismatches,
+  validateWalletInputs,
+  parseAddressInput, 
+  normalizeTokenInput, 
+  validateTokenTargets,
+  parseTokenTarget,
+  parseCrossChainTokens, 
+  getTokenKey,
+  parseSnapshotInput,
+  validateRequestLimits, 
+  sleep 
+} = require('../utils/helpers');
+const { toBigInt, toPlainDecimal, formatUnits, formatDisplayAmount, isAboveThreshold } = require('../utils/fixedPoint');
+const { logInfo, logWarn, logError, logDebug, PerformanceTimer } = require('../utils/debugger');
 const { 
   API_CONFIG, 
   VALIDATION, 
   ANALYSIS_CONFIG, // DODANE - potrzebne dla NETWORK_DELAYS
+  JOB_CONFIG,
+  CROSS_CHAIN_CONFIG,
+  WALLET_TYPES,
   isNetworkSupported, 
+  NATIVE_TOKEN_ADDRESS,
+  isCrossChain,
+  isNativeToken,
+  isNftStandard,
   getNetworkConfig, 
   getSupportedNetworks 
 } = require('../config/constants');
@@ -25,7 +60,20 @@ const {
  * Middleware for request validation with network support
  */
 const validateRequest = (req, res, next) => {
-  const { wallets, tokens, network } = req.body;
+  const { wallets, network } = req.body;
+  // Token discovery finds tokens from transfer history - explicit tokens are optional then
+  const discover = req.body.discover === true;
+  const tokens = discover && req.body.tokens === undefined ? [] : req.body.tokens;
+  // Approval audit of each wallet alongside its balances (see services/allowanceAudit.js)
+  const auditApprovals = req.body.auditApprovals === true;
+  // Activity profile of each wallet from its transaction history (see services/activityProfile.js)
+  const activity = req.body.activity === true;
+  // Transfer graph between the wallets with sybil clusters (see services/transferGraph.js) -
+  // excludeClusters leaves clusters at or above a suspicion level out of categorization
+  const excludeClusters = parseExcludeClusters(req.body.excludeClusters);
+  const transferGraph = req.body.transferGraph === true || !!excludeClusters;
+  // LP positions of each wallet, credited toward its target token balances (see services/lpPositions.js)
+  const lpPositions = req.body.lpPositions === true;
   
   if (!wallets || !tokens) {
     return res.status(400).json({
@@ -34,8 +82,8 @@ const validateRequest = (req, res, next) => {
     });
   }
   
-  // Validate network if provided
-  if (network && !isNetworkSupported(network)) {
+  // Validate network if provided ('multi' selects cross-chain analysis)
+  if (network && !isNetworkSupported(network) && !isCrossChain(network)) {
     const supportedNetworks = getSupportedNetworks().map(n => n.id);
     return res.status(400).json({
       error: 'Unsupported network',
@@ -44,7 +92,7 @@ const validateRequest = (req, res, next) => {
     });
   }
   
-  const validation = validateRequestLimits(wallets, tokens);
+  const validation = validateRequestLimits(wallets, tokens, { allowEmptyTokens: discover });
   if (!validation.isValid) {
     return res.status(400).json({
       error: 'Validation failed',
@@ -52,20 +100,86 @@ const validateRequest = (req, res, next) => {
     });
   }
   
+  if (discover && isCrossChain(network)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Token discovery runs on a single network'
+    });
+  }
+  
+  if (excludeClusters === undefined) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `excludeClusters must be true, 'all' or a suspicion level (${ANALYSIS_CONFIG.SYBIL_LEVELS.join(', ')})`
+    });
+  }
+  
+  if (transferGraph && isCrossChain(network)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'The transfer graph runs on a single network'
+    });
+  }
+  
+  if (lpPositions && isCrossChain(network)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'LP position valuation runs on a single network'
+    });
+  }
+  
+  // Optional historical snapshot - block numbers differ per chain, so cross-chain needs a timestamp
+  const snapshotInput = parseSnapshotInput(req.body.block, req.body.timestamp);
+  const crossChainBlock = isCrossChain(network) && snapshotInput.snapshot && snapshotInput.snapshot.block !== null;
+  if (snapshotInput.error || crossChainBlock) {
+    return res.status(400).json({
+      error: 'Invalid snapshot',
+      message: snapshotInput.error || 'Cross-chain snapshots must be given as a timestamp'
+    });
+  }
+  req.snapshot = snapshotInput.snapshot;
+  
+  // Optional comparison start - balances are compared against the snapshot (or latest block)
+  const compareInput = parseSnapshotInput(req.body.fromBlock, req.body.fromTimestamp);
+  const crossChainFromBlock = isCrossChain(network) && compareInput.snapshot && compareInput.snapshot.block !== null;
+  if (compareInput.error || crossChainFromBlock) {
+    return res.status(400).json({
+      error: 'Invalid comparison range',
+      message: compareInput.error || 'Cross-chain comparisons must start from a timestamp'
+    });
+  }
+  req.compareFrom = compareInput.snapshot;
+  
   // Set default network if not provided
   req.body.network = network || VALIDATION.DEFAULT_NETWORK;
+  req.body.tokens = tokens;
+  req.discover = discover;
+  req.auditApprovals = auditApprovals;
+  req.activity = activity;
+  req.transferGraph = transferGraph;
+  req.excludeClusters = excludeClusters;
+  req.lpPositions = lpPositions;
   
   next();
 };
 
+/**
+ * Lowest suspicion level of the clusters to exclude - true and 'all' exclude every cluster
+ * null when not given, undefined when invalid
+ */
+function parseExcludeClusters(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true || value === 'all') return ANALYSIS_CONFIG.SYBIL_LEVELS[0];
+  
+  const level = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  return ANALYSIS_CONFIG.SYBIL_LEVELS.includes(level) ? level : undefined;
+}
+
 /**
  * POST /api/analyze
- * Main endpoint for analyzing wallets with network support
+ * Submit wallet analysis as a background job - responds immediately with job ID
  */
 router.post('/analyze', validateRequest, async (req, res) => {
-  const timer = new PerformanceTimer('Full Wallet Analysis');
-  const requestId = req.requestId || 'unknown';
-  
   try {
     const { 
       wallets: walletInput, 
@@ -73,288 +187,1189 @@ router.post('/analyze', validateRequest, async (req, res) => {
       network = VALIDATION.DEFAULT_NETWORK 
     } = req.body;
     
-    const networkConfig = getNetworkConfig(network);
-    
-    logInfo(`Starting wallet analysis on ${networkConfig.name}`, { 
-      requestId,
-      walletCount: walletInput.length,
-      tokenCount: tokenInput.length,
-      network: network,
-      networkName: networkConfig.name
-    });
+    const networkSummary = getNetworkSummary(network);
+    const crossChain = isCrossChain(network);
     
-    // Parse and validate addresses
-    const walletValidation = validateAddresses(walletInput);
-    const tokenValidation = validateAddresses(tokenInput);
+    // Parse and validate addresses - wallets may be ENS names / Basenames ('vitalik.eth'),
+    // native currency may be given as 'ETH' or 'native'
+    // ERC-1155 targets carry their token ID: '0x...#42'
+    // Cross-chain token entries carry their network: 'base:0x...'
+    const walletValidation = validateWalletInputs(walletInput);
+    const tokenValidation = crossChain
+      ? parseCrossChainTokens(tokenInput)
+      : validateTokenTargets(normalizeTokenInput(tokenInput, network));
     
     if (walletValidation.invalid.length > 0 || tokenValidation.invalid.length > 0) {
       return res.status(400).json({
         error: 'Invalid addresses found',
+        message: crossChain && tokenValidation.invalid.length > 0
+          ? `Cross-chain tokens must be given as network:address (networks: ${VALIDATION.SUPPORTED_NETWORKS.join(', ')})`
+          : undefined,
         invalidWallets: walletValidation.invalid,
         invalidTokens: tokenValidation.invalid,
+        checksumMismatches: findChecksumMismatches([...walletValidation.invalid, ...tokenValidation.invalid]),
         network: network,
-        networkName: networkConfig.name
+        networkName: networkSummary.name
+      });
+    }
+    
+    if (jobManager.getActiveJobCount() >= JOB_CONFIG.MAX_ACTIVE_JOBS) {
+      return res.status(429).json({
+        error: 'Too many active analyses',
+        message: `Maximum ${JOB_CONFIG.MAX_ACTIVE_JOBS} analyses can run at once. Please try again shortly.`
+      });
+    }
+    
+    // Names resolve before the job starts, so unknown names are reported right away
+    let nameResolution;
+    try {
+      nameResolution = await resolveWalletNames(walletValidation.names);
+    } catch (error) {
+      logError('Wallet name resolution failed', error, { names: walletValidation.names.length });
+      return res.status(500).json({
+        error: 'Name resolution failed',
+        message: error.message
+      });
+    }
+    
+    const { walletNames, unresolvedNames } = nameResolution;
+    if (unresolvedNames.length > 0) {
+      return res.status(400).json({
+        error: 'Unresolved names',
+        message: `No address record for ${unresolvedNames.join(', ')} (only on-chain ENS resolvers and Basenames are supported)`,
+        unresolvedNames,
+        network: network,
+        networkName: networkSummary.name
       });
     }
     
-    const wallets = walletValidation.valid;
+    const wallets = [...new Set([...walletValidation.valid, ...walletNames.keys()])];
     const tokens = tokenValidation.valid;
+    const targetNetworks = crossChain ? getTargetNetworks(tokens) : [network];
     
-    logInfo(`Validated addresses for ${networkConfig.name}`, {
-      requestId,
+    // Optional categorization rules - custom buckets instead of ALL / SOME / NO tokens
+    let rules = null;
+    if (req.body.rules !== undefined && req.body.rules !== null) {
+      try {
+        rules = walletRules.compileRules(req.body.rules, tokens, network, crossChain);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid rules',
+          message: error.message
+        });
+      }
+    }
+    
+    // Optional weighted scoring - a ranked leaderboard; activity and age points need activity profiles
+    let scoring = null;
+    if (req.body.scoring !== undefined && req.body.scoring !== null) {
+      try {
+        scoring = walletScoring.compileScoring(req.body.scoring, tokens, network, crossChain);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid scoring',
+          message: error.message
+        });
+      }
+    }
+    const activity = req.activity || !!scoring?.needsActivity;
+    
+    let snapshot = null;
+    if (req.snapshot || req.compareFrom) {
+      try {
+        // A comparison without an end snapshot runs up to the latest block
+        snapshot = await resolveSnapshot(req.snapshot || LATEST_SNAPSHOT, targetNetworks);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid snapshot',
+          message: error.message
+        });
+      }
+    }
+    
+    if (req.compareFrom) {
+      try {
+        snapshot.from = await resolveComparisonStart(req.compareFrom, snapshot, targetNetworks);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid comparison range',
+          message: error.message
+        });
+      }
+    }
+    
+    // Target tokens are kept for airdrop allocations over the results
+    const job = jobManager.createJob({
+      type: 'analysis',
+      network,
+      walletCount: wallets.length,
+      tokenCount: tokens.length,
+      params: { tokens }
+    });
+    
+    logInfo(`Analysis job submitted on ${networkSummary.name}`, { 
+      requestId: job.id,
       validWallets: wallets.length,
       validTokens: tokens.length,
-      network: network
+      network: network,
+      networkName: networkSummary.name,
+      snapshotBlocks: snapshot?.blocks,
+      compareFromBlocks: snapshot?.from?.blocks,
+      discover: req.discover,
+      auditApprovals: req.auditApprovals,
+      activity,
+      ruleBuckets: rules?.buckets.length || 0,
+      scoring: !!scoring,
+      transferGraph: req.transferGraph,
+      excludeClusters: req.excludeClusters,
+      lpPositions: req.lpPositions
     });
     
-    // Perform analysis with network parameter
-    const results = await analyzeWalletsForTokens(wallets, tokens, network, requestId);
+    jobManager.startJob(job, () => runAnalysisJob(job, wallets, tokens, network, snapshot, {
+      discover: req.discover,
+      auditApprovals: req.auditApprovals,
+      activity,
+      rules,
+      scoring,
+      transferGraph: req.transferGraph,
+      excludeClusters: req.excludeClusters,
+      lpPositions: req.lpPositions,
+      walletNames
+    }));
     
-    const { duration } = timer.end();
-    
-    // Send response with network information
-    res.json({
+    res.status(202).json({
       success: true,
-      requestId,
-      network: {
-        id: network,
-        name: networkConfig.name,
-        chainId: networkConfig.chainId,
-        icon: networkConfig.icon
-      },
+      jobId: job.id,
+      requestId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      network: networkSummary,
       analysis: {
         walletCount: wallets.length,
         tokenCount: tokens.length,
-        duration: `${duration.toFixed(2)}ms`,
-        networkName: networkConfig.name
+        resolvedNames: Object.fromEntries([...walletNames].map(([address, name]) => [name, toChecksumAddress(address)])),
+        networkName: networkSummary.name,
+        networks: targetNetworks,
+        discover: req.discover,
+        auditApprovals: req.auditApprovals,
+        activity,
+        rules: rules ? walletRules.describeRules(rules) : null,
+        scoring: scoring ? walletScoring.describeScoring(scoring) : null,
+        transferGraph: req.transferGraph,
+        excludeClusters: req.excludeClusters,
+        lpPositions: req.lpPositions
       },
-      results
+      snapshot
     });
     
   } catch (error) {
-    timer.end();
-    const networkName = req.body.network ? getNetworkConfig(req.body.network).name : 'Unknown';
-    
-    logError(`Analysis failed on ${networkName}`, error, { 
-      requestId,
-      network: req.body.network 
-    });
+    logError('Failed to submit analysis job', error, { network: req.body.network });
     
     res.status(500).json({
       error: 'Analysis failed',
       message: error.message,
-      requestId,
-      network: req.body.network || VALIDATION.DEFAULT_NETWORK,
-      networkName: networkName
+      network: req.body.network || VALIDATION.DEFAULT_NETWORK
     });
   }
 });
 
 /**
- * POST /api/validate-addresses
- * Validate addresses with network context
+ * POST /api/allowances
+ * Submit an ERC-20 approval audit as a background job - responds immediately with job ID
+ * tokens is optional: without it every token the wallets ever approved is audited
  */
-router.post('/validate-addresses', (req, res) => {
+router.post('/allowances', async (req, res) => {
   try {
-    const { addresses, network = VALIDATION.DEFAULT_NETWORK } = req.body;
+    const { 
+      wallets: walletInput, 
+      tokens: tokenInput = [], 
+      network = VALIDATION.DEFAULT_NETWORK 
+    } = req.body;
     
-    if (!addresses || !Array.isArray(addresses)) {
+    if (!isNetworkSupported(network)) {
+      const supportedNetworks = getSupportedNetworks().map(n => n.id);
       return res.status(400).json({
-        error: 'Invalid input',
-        message: 'Addresses must be an array'
+        error: 'Unsupported network',
+        message: `Approvals are audited on a single network. Supported networks: ${supportedNetworks.join(', ')}`,
+        supportedNetworks: supportedNetworks
       });
     }
     
-    // Validate network if provided
-    if (network && !isNetworkSupported(network)) {
-      const supportedNetworks = getSupportedNetworks().map(n => n.id);
+    const validation = validateRequestLimits(walletInput, tokenInput, { allowEmptyTokens: true });
+    if (!validation.isValid) {
       return res.status(400).json({
-        error: 'Unsupported network',
-        message: `Network '${network}' is not supported. Supported networks: ${supportedNetworks.join(', ')}`,
-        supportedNetworks: supportedNetworks
+        error: 'Validation failed',
+        message: validation.errors.join(', ')
       });
     }
     
-    const networkConfig = getNetworkConfig(network);
-    const validation = validateAddresses(addresses);
+    const networkSummary = getNetworkSummary(network);
+    const walletValidation = validateWalletInputs(walletInput);
+    const tokenValidation = validateTokenTargets(normalizeTokenInput(tokenInput, network));
     
-    res.json({
+    // Native currency and NFT token IDs cannot be approved as ERC-20 allowances
+    const nonErc20Tokens = tokenValidation.valid.filter(token =>
+      isNativeToken(token) || token.includes(VALIDATION.TOKEN_ID_SEPARATOR));
+    
+    if (walletValidation.invalid.length > 0 || tokenValidation.invalid.length > 0 || nonErc20Tokens.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid addresses found',
+        message: nonErc20Tokens.length > 0 ? 'Approvals are audited for ERC-20 token contracts only' : undefined,
+        invalidWallets: walletValidation.invalid,
+        invalidTokens: [...tokenValidation.invalid, ...nonErc20Tokens],
+        checksumMismatches: findChecksumMismatches([...walletValidation.invalid, ...tokenValidation.invalid]),
+        network: network,
+        networkName: networkSummary.name
+      });
+    }
+    
+    if (jobManager.getActiveJobCount() >= JOB_CONFIG.MAX_ACTIVE_JOBS) {
+      return res.status(429).json({
+        error: 'Too many active analyses',
+        message: `Maximum ${JOB_CONFIG.MAX_ACTIVE_JOBS} analyses can run at once. Please try again shortly.`
+      });
+    }
+    
+    let nameResolution;
+    try {
+      nameResolution = await resolveWalletNames(walletValidation.names);
+    } catch (error) {
+      logError('Wallet name resolution failed', error, { names: walletValidation.names.length });
+      return res.status(500).json({
+        error: 'Name resolution failed',
+        message: error.message
+      });
+    }
+    
+    const { walletNames, unresolvedNames } = nameResolution;
+    if (unresolvedNames.length > 0) {
+      return res.status(400).json({
+        error: 'Unresolved names',
+        message: `No address record for ${unresolvedNames.join(', ')} (only on-chain ENS resolvers and Basenames are supported)`,
+        unresolvedNames,
+        network: network,
+        networkName: networkSummary.name
+      });
+    }
+    
+    const wallets = [...new Set([...walletValidation.valid, ...walletNames.keys()])];
+    const tokens = tokenValidation.valid;
+    
+    const job = jobManager.createJob({
+      type: 'allowances',
+      network,
+      walletCount: wallets.length,
+      tokenCount: tokens.length
+    });
+    
+    logInfo(`Approval audit job submitted on ${networkSummary.name}`, {
+      requestId: job.id,
+      validWallets: wallets.length,
+      tokens: tokens.length || 'all',
+      network: network
+    });
+    
+    jobManager.startJob(job, () => runAllowanceJob(job, wallets, tokens, network, walletNames));
+    
+    res.status(202).json({
       success: true,
-      network: {
-        id: network,
-        name: networkConfig.name,
-        chainId: networkConfig.chainId,
-        icon: networkConfig.icon
-      },
-      valid: validation.valid,
-      invalid: validation.invalid,
-      summary: {
-        total: addresses.length,
-        validCount: validation.valid.length,
-        invalidCount: validation.invalid.length,
-        networkName: networkConfig.name
+      jobId: job.id,
+      requestId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      network: networkSummary,
+      audit: {
+        walletCount: wallets.length,
+        tokenCount: tokens.length,
+        allTokens: tokens.length === 0,
+        resolvedNames: Object.fromEntries([...walletNames].map(([address, name]) => [name, toChecksumAddress(address)])),
+        networkName: networkSummary.name
       }
     });
     
   } catch (error) {
-    logError('Address validation failed', error);
+    logError('Failed to submit approval audit job', error, { network: req.body.network });
+    
     res.status(500).json({
-      error: 'Validation failed',
-      message: error.message
+      error: 'Approval audit failed',
+      message: error.message,
+      network: req.body.network || VALIDATION.DEFAULT_NETWORK
     });
   }
 });
 
 /**
- * GET /api/token-info/:address
- * Get information about a specific token with network support
+ * POST /api/holders
+ * Submit holder screening as a background job - which of up to MAX_WALLETS_PER_SCREEN plain
+ * addresses hold one or a few tokens, optionally above minBalance (token units) or minUsd
+ * match 'all' keeps only wallets holding every token; limit caps the returned ranking
  */
-router.get('/token-info/:address', async (req, res) => {
+router.post('/holders', async (req, res) => {
   try {
-    const { address } = req.params;
-    const { network = VALIDATION.DEFAULT_NETWORK } = req.query;
-    
-    if (!address || !VALIDATION.ETHEREUM_ADDRESS.test(address)) {
-      return res.status(400).json({
-        error: 'Invalid token address',
-        message: 'Token address must be a valid Ethereum address'
-      });
-    }
+    const { 
+      wallets: walletInput, 
+      tokens: tokenInput, 
+      network = VALIDATION.DEFAULT_NETWORK,
+      minBalance = null,
+      minUsd = null,
+      match = 'any',
+      limit = null
+    } = req.body;
     
-    // Validate network
     if (!isNetworkSupported(network)) {
       const supportedNetworks = getSupportedNetworks().map(n => n.id);
       return res.status(400).json({
         error: 'Unsupported network',
-        message: `Network '${network}' is not supported. Supported networks: ${supportedNetworks.join(', ')}`,
+        message: `Holders are screened on a single network. Supported networks: ${supportedNetworks.join(', ')}`,
         supportedNetworks: supportedNetworks
       });
     }
     
-    const networkConfig = getNetworkConfig(network);
-    const tokenInfo = await blockchainService.getTokenInfo(address, network);
+    const validation = validateRequestLimits(walletInput, tokenInput, {
+      maxWallets: VALIDATION.MAX_WALLETS_PER_SCREEN,
+      maxTokens: VALIDATION.MAX_TOKENS_PER_SCREEN
+    });
+    const criteriaErrors = getScreeningCriteriaErrors({ minBalance, minUsd, match, limit });
+    if (!validation.isValid || criteriaErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: [...validation.errors, ...criteriaErrors].join(', ')
+      });
+    }
     
-    res.json({
+    const snapshotInput = parseSnapshotInput(req.body.block, req.body.timestamp);
+    if (snapshotInput.error) {
+      return res.status(400).json({
+        error: 'Invalid snapshot',
+        message: snapshotInput.error
+      });
+    }
+    
+    const networkSummary = getNetworkSummary(network);
+    const walletValidation = validateWalletInputs(walletInput);
+    const tokenValidation = validateTokenTargets(normalizeTokenInput(tokenInput, network));
+    
+    // Name lookups are one call each - screening thousands of wallets takes plain addresses
+    if (walletValidation.invalid.length > 0 || tokenValidation.invalid.length > 0 || walletValidation.names.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid addresses found',
+        message: walletValidation.names.length > 0 ? 'Holder screening takes wallet addresses, not ENS names or Basenames' : undefined,
+        invalidWallets: [...walletValidation.invalid, ...walletValidation.names],
+        invalidTokens: tokenValidation.invalid,
+        checksumMismatches: findChecksumMismatches([...walletValidation.invalid, ...tokenValidation.invalid]),
+        network: network,
+        networkName: networkSummary.name
+      });
+    }
+    
+    if (jobManager.getActiveJobCount() >= JOB_CONFIG.MAX_ACTIVE_JOBS) {
+      return res.status(429).json({
+        error: 'Too many active analyses',
+        message: `Maximum ${JOB_CONFIG.MAX_ACTIVE_JOBS} analyses can run at once. Please try again shortly.`
+      });
+    }
+    
+    let snapshot = null;
+    if (snapshotInput.snapshot) {
+      try {
+        snapshot = await resolveSnapshot(snapshotInput.snapshot, [network]);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid snapshot',
+          message: error.message
+        });
+      }
+    }
+    
+    const wallets = [...new Set(walletValidation.valid)];
+    const tokens = tokenValidation.valid;
+    const criteria = {
+      minBalance: minBalance === null ? null : toPlainDecimal(minBalance),
+      minUsd: minUsd === null ? null : Number(minUsd),
+      match,
+      limit: limit === null ? null : Number(limit)
+    };
+    
+    const job = jobManager.createJob({
+      type: 'holders',
+      network,
+      walletCount: wallets.length,
+      tokenCount: tokens.length
+    });
+    
+    logInfo(`Holder screening job submitted on ${networkSummary.name}`, {
+      requestId: job.id,
+      validWallets: wallets.length,
+      tokens: tokens.length,
+      network: network,
+      snapshotBlock: snapshot?.block,
+      ...criteria
+    });
+    
+    jobManager.startJob(job, () => runHolderScreenJob(job, wallets, tokens, network, snapshot, criteria));
+    
+    res.status(202).json({
       success: true,
-      network: {
-        id: network,
-        name: networkConfig.name,
-        chainId: networkConfig.chainId,
-        icon: networkConfig.icon
+      jobId: job.id,
+      requestId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      network: networkSummary,
+      screening: {
+        walletCount: wallets.length,
+        tokenCount: tokens.length,
+        batchSize: ANALYSIS_CONFIG.HOLDER_SCREEN_BATCH_SIZE,
+        ...criteria,
+        networkName: networkSummary.name
       },
-      tokenInfo
+      snapshot
     });
     
   } catch (error) {
-    logError('Token info retrieval failed', error);
+    logError('Failed to submit holder screening job', error, { network: req.body.network });
+    
     res.status(500).json({
-      error: 'Failed to get token info',
-      message: error.message
+      error: 'Holder screening failed',
+      message: error.message,
+      network: req.body.network || VALIDATION.DEFAULT_NETWORK
     });
   }
 });
 
 /**
- * GET /api/networks
- * Get list of supported networks
+ * GET /api/jobs/:jobId
+ * Job status, per-wallet progress, partial results and final categorized output
  */
-router.get('/networks', (req, res) => {
-  try {
-    const networks = getSupportedNetworks();
-    
-    res.json({
-      success: true,
-      networks: networks.map(network => ({
-        id: network.id,
-        name: network.name,
-        chainId: network.chainId,
-        icon: network.icon,
-        explorerUrl: network.explorerUrl,
-        nativeCurrency: network.nativeCurrency
-      })),
-      default: VALIDATION.DEFAULT_NETWORK
+router.get('/jobs/:jobId', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Job '${req.params.jobId}' does not exist or has expired`
     });
-  } catch (error) {
-    logError('Failed to get supported networks', error);
-    res.status(500).json({
-      error: 'Failed to get networks',
-      message: error.message
+  }
+  
+  res.json({
+    success: true,
+    ...jobManager.serializeJob(job)
+  });
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Cancel running job - wallets analyzed so far are kept as incomplete results
+ */
+router.post('/jobs/:jobId/cancel', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Job '${req.params.jobId}' does not exist or has expired`
     });
   }
+  
+  if (!jobManager.cancelJob(job)) {
+    return res.status(409).json({
+      error: 'Job already finished',
+      message: `Job '${job.id}' is already ${job.status}`,
+      status: job.status
+    });
+  }
+  
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    cancelRequested: job.cancelRequested
+  });
 });
 
 /**
- * GET /api/health
- * Health check for API endpoints with network information
+ * POST /api/jobs/:jobId/allocation
+ * Airdrop allocation over a finished analysis - total amount and formula in, per-wallet allocations
+ * and the merkle-distributor tree (root, token total, claims with proofs) out
  */
-router.get('/health', (req, res) => {
-  try {
-    const supportedNetworks = getSupportedNetworks();
-    
-    res.json({
-      status: 'OK',
-      timestamp: new Date().toISOString(),
-      api: 'Multi-Chain Wallet Analyzer API',
-      version: '2.2.0',
-      supportedNetworks: supportedNetworks.map(n => ({
-        id: n.id,
-        name: n.name,
-        icon: n.icon
-      })),
-      endpoints: [
-        'POST /api/analyze',
-        'POST /api/validate-addresses',
-        'GET /api/token-info/:address?network=<network>',
-        'GET /api/networks',
-        'GET /api/health',
-        'POST /api/test-pricing'
-      ]
+router.post('/jobs/:jobId/allocation', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Job '${req.params.jobId}' does not exist or has expired`
+    });
+  }
+  
+  if (job.type !== 'analysis') {
+    return res.status(400).json({
+      error: 'Invalid job',
+      message: 'Airdrop allocations run over wallet analysis jobs'
+    });
+  }
+  
+  if (!job.results) {
+    return res.status(409).json({
+      error: 'Job has no results',
+      message: `Job '${job.id}' is ${job.status} - allocate once the analysis has finished`,
+      status: job.status
     });
+  }
+  
+  let allocation;
+  try {
+    const compiled = airdropAllocation.compileAllocation(req.body, job.params.tokens, job.network, isCrossChain(job.network));
+    allocation = airdropAllocation.allocateAirdrop(job.results, compiled, job.network);
   } catch (error) {
-    logError('Health check failed', error);
-    res.status(500).json({
-      status: 'ERROR',
+    return res.status(400).json({
+      error: 'Invalid allocation',
       message: error.message
     });
   }
+  
+  logInfo(`Airdrop allocated for job ${job.id}`, {
+    formula: allocation.formula,
+    basis: allocation.basis,
+    total: allocation.total,
+    unallocated: allocation.unallocated,
+    walletsAllocated: allocation.walletsAllocated,
+    merkleRoot: allocation.merkle.merkleRoot
+  });
+  
+  res.json({
+    success: true,
+    jobId: job.id,
+    network: getNetworkSummary(job.network),
+    incomplete: !!job.results.incomplete,
+    allocation
+  });
 });
 
+// SSE events after which the stream is closed
+const TERMINAL_JOB_EVENTS = ['completed', 'failed', 'cancelled'];
+
 /**
- * POST /api/test-pricing - NOWY ENDPOINT
- * Test endpoint for USD pricing functionality
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events stream of live job progress
  */
-router.post('/test-pricing', async (req, res) => {
-  const timer = new PerformanceTimer('USD Pricing Test');
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Job '${req.params.jobId}' does not exist or has expired`
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  
+  const sendEvent = ({ id, type, data }) => {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Current state first, so late subscribers can render immediately
+  sendEvent({ id: job.lastEventId, type: 'snapshot', data: jobManager.serializeJob(job) });
+  
+  if (jobManager.isJobFinished(job)) {
+    const finalEvent = job.status === jobManager.JOB_STATUS.FAILED
+      ? { type: 'failed', data: { jobId: job.id, error: job.error } }
+      : { type: job.status, data: { jobId: job.id, job: jobManager.serializeJob(job) } };
+    sendEvent({ id: job.lastEventId, ...finalEvent });
+    return res.end();
+  }
+  
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), ANALYSIS_CONFIG.SSE_HEARTBEAT_MS);
+  
+  const unsubscribe = jobManager.subscribeToJob(job, (event) => {
+    sendEvent(event);
+    
+    if (TERMINAL_JOB_EVENTS.includes(event.type)) {
+      cleanup();
+      res.end();
+    }
+  });
+  
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  
+  req.on('close', cleanup);
+});
+
+/**
+ * Display info for an analysis network - a registry network or cross-chain
+ */
+function getNetworkSummary(network) {
+  const config = isCrossChain(network) ? CROSS_CHAIN_CONFIG : getNetworkConfig(network);
+  
+  return {
+    id: network,
+    name: config.name,
+    chainId: config.chainId,
+    icon: config.icon
+  };
+}
+
+/**
+ * Networks referenced by cross-chain targets, in first-seen order
+ */
+function getTargetNetworks(targets) {
+  return [...new Set(targets.map(target => target.network))];
+}
+
+// Snapshot input pinning the current chain head
+const LATEST_SNAPSHOT = { block: null, timestamp: null };
+
+/**
+ * Resolve a requested snapshot to a block on every target network
+ * Block numbers are checked against the chain head, timestamps resolved per chain,
+ * LATEST_SNAPSHOT resolves to the current head
+ */
+async function resolveSnapshot(input, networks) {
+  const blocks = {};
+  
+  for (const networkId of networks) {
+    if (input.block !== null) {
+      const latestBlock = await blockchainService.getBlockNumber(networkId);
+      if (input.block > latestBlock) {
+        throw new Error(`Block ${input.block} is ahead of ${getNetworkConfig(networkId).name} (latest block ${latestBlock})`);
+      }
+      blocks[networkId] = input.block;
+    } else if (input.timestamp !== null) {
+      blocks[networkId] = await blockchainService.getBlockByTimestamp(input.timestamp, networkId);
+    } else {
+      blocks[networkId] = await blockchainService.getBlockNumber(networkId);
+    }
+  }
+  
+  return {
+    block: networks.length === 1 ? blocks[networks[0]] : null,
+    blocks,
+    timestamp: input.timestamp !== null ? new Date(input.timestamp * 1000).toISOString() : null,
+    pricing: 'current' // USD values use today's prices, not prices at the snapshot
+  };
+}
+
+/**
+ * Resolve the start of a balance comparison - must be before the end snapshot on every network
+ */
+async function resolveComparisonStart(input, endSnapshot, networks) {
+  const start = await resolveSnapshot(input, networks);
+  
+  for (const networkId of networks) {
+    if (start.blocks[networkId] >= endSnapshot.blocks[networkId]) {
+      throw new Error(`Comparison start (block ${start.blocks[networkId]}) must be before its end (block ${endSnapshot.blocks[networkId]}) on ${getNetworkConfig(networkId).name}`);
+    }
+  }
+  
+  return start;
+}
+
+/**
+ * Run analysis for a background job and record progress on it
+ * snapshot (from resolveSnapshot) reads balances as of past blocks, snapshot.from
+ * additionally compares them against an earlier block
+ * options.discover adds every token found in each wallet's transfer history
+ * options.auditApprovals adds each wallet's open ERC-20 approvals
+ * options.activity adds each wallet's activity profile
+ * options.rules (from walletRules.compileRules) adds custom rule buckets
+ * options.scoring (from walletScoring.compileScoring) adds scores and a leaderboard
+ * options.transferGraph adds the transfer graph and sybil clusters, options.excludeClusters
+ * leaves clusters at or above that suspicion level out of categorization
+ * options.lpPositions adds each wallet's LP positions, credited toward its token balances
+ */
+async function runAnalysisJob(job, wallets, tokens, network, snapshot = null, options = {}) {
+  const timer = new PerformanceTimer('Full Wallet Analysis');
+  const networkSummary = getNetworkSummary(network);
+  
+  const results = await analyzeWalletsForTokens(wallets, tokens, network, job.id, {
+    signal: job.abortController.signal,
+    onWalletStart: (walletAddress, index, total) => {
+      const checksummed = toChecksumAddress(walletAddress);
+      jobManager.emitJobEvent(job, 'wallet-started', { walletAddress: checksummed, index, total });
+      jobManager.updateJobProgress(job, { currentWallet: checksummed });
+    },
+    onTokenBalance: (walletAddress, balance) => {
+      jobManager.emitJobEvent(job, 'balance-fetched', {
+        walletAddress: toChecksumAddress(walletAddress),
+        tokenAddress: checksumTokenTarget(balance.tokenAddress),
+        network: balance.network,
+        balance: balance.balance,
+        balanceFormatted: balance.balanceFormatted,
+        rawBalance: balance.rawBalance,
+        hasBalance: balance.hasBalance,
+        error: balance.error || null
+      });
+    },
+    onTokenPrice: (walletAddress, price) => {
+      jobManager.emitJobEvent(job, 'price-fetched', {
+        walletAddress: toChecksumAddress(walletAddress),
+        tokenAddress: toChecksumAddress(price.address),
+        network: price.network,
+        priceUsd: price.priceUsd,
+        source: price.source,
+        error: price.error || null
+      });
+    },
+    onWalletComplete: (walletResult, index, total, category) => {
+      jobManager.emitJobEvent(job, 'wallet-categorized', {
+        walletAddress: walletResult.walletAddress,
+        index,
+        total,
+        category,
+        inputName: walletResult.inputName || null,
+        primaryName: walletResult.primaryName || null,
+        walletType: walletResult.walletType,
+        tokensFound: walletResult.foundTokens.length,
+        totalUsdValue: walletResult.totalUsdValue || 0,
+        changeCategory: walletResult.changeCategory || null,
+        ruleBucket: walletResult.rules?.bucket || null,
+        score: walletResult.score?.score ?? null,
+        totalUsdDelta: walletResult.totalUsdDelta ?? null,
+        error: walletResult.error || null
+      });
+      jobManager.addPartialResult(job, walletResult);
+    }
+  }, snapshot, options);
+  
+  const { duration } = timer.end();
+  
+  job.analysis = {
+    walletCount: wallets.length,
+    tokenCount: tokens.length,
+    duration: `${duration.toFixed(2)}ms`,
+    networkName: networkSummary.name,
+    network: networkSummary,
+    networks: isCrossChain(network) ? getTargetNetworks(tokens).map(getNetworkSummary) : [networkSummary],
+    snapshot,
+    discover: !!options.discover,
+    auditApprovals: !!options.auditApprovals,
+    activity: !!options.activity,
+    rules: options.rules ? walletRules.describeRules(options.rules) : null,
+    scoring: options.scoring ? walletScoring.describeScoring(options.scoring) : null,
+    transferGraph: !!options.transferGraph,
+    excludeClusters: options.excludeClusters || null,
+    lpPositions: !!options.lpPositions
+  };
+  
+  return results;
+}
+
+/**
+ * Run an approval audit job - one wallet at a time, each audit recorded as a partial result
+ * tokens (lowercase contracts) limits the audit, an empty list audits every approved token
+ */
+async function runAllowanceJob(job, wallets, tokens, network, walletNames = new Map()) {
+  const timer = new PerformanceTimer('Full Approval Audit');
+  const networkSummary = getNetworkSummary(network);
+  const signal = job.abortController.signal;
+  const audits = [];
+  
+  for (let i = 0; i < wallets.length; i++) {
+    const wallet = wallets[i];
+    
+    if (signal.aborted) break;
+    
+    jobManager.emitJobEvent(job, 'wallet-started', { walletAddress: toChecksumAddress(wallet), index: i, total: wallets.length });
+    jobManager.updateJobProgress(job, { currentWallet: toChecksumAddress(wallet) });
+    
+    let audit;
+    try {
+      audit = await allowanceAudit.auditWalletAllowances(wallet, network, {
+        tokens: tokens.length > 0 ? tokens : null,
+        signal
+      });
+    } catch (error) {
+      if (signal.aborted) break;
+      
+      logError(`Approval audit failed for wallet ${i + 1} on ${networkSummary.name}`, error, {
+        requestId: job.id,
+        walletAddress: wallet.substring(0, 10) + '...'
+      });
+      audit = { walletAddress: wallet, network, approvals: [], error: error.message };
+    }
+    
+    audit.inputName = walletNames.get(wallet.toLowerCase()) || null;
+    audits.push(checksumAllowanceAudit(audit));
+    
+    jobManager.emitJobEvent(job, 'wallet-audited', {
+      walletAddress: audit.walletAddress,
+      index: i,
+      total: wallets.length,
+      inputName: audit.inputName,
+      openApprovals: audit.approvals.length,
+      unlimitedApprovals: audit.unlimitedApprovals || 0,
+      riskyApprovals: audit.riskyApprovals || 0,
+      exposureUsd: audit.exposureUsd || 0,
+      error: audit.error || null
+    });
+    jobManager.addPartialResult(job, audit);
+    
+    if (i < wallets.length - 1) {
+      const networkDelay = ANALYSIS_CONFIG.NETWORK_DELAYS[network] || 1.0;
+      await sleep(Math.round(API_CONFIG.RATE_LIMITS.WALLET_DELAY * networkDelay), signal);
+    }
+  }
+  
+  const { duration } = timer.end();
+  const cancelled = signal.aborted;
+  
+  job.analysis = {
+    walletCount: wallets.length,
+    tokenCount: tokens.length,
+    allTokens: tokens.length === 0,
+    duration: `${duration.toFixed(2)}ms`,
+    networkName: networkSummary.name,
+    network: networkSummary
+  };
+  
+  // Riskiest wallets first - largest USD exposure
+  return {
+    audits: [...audits].sort((a, b) => (b.exposureUsd || 0) - (a.exposureUsd || 0)),
+    summary: allowanceAudit.summarizeAllowanceAudits(audits),
+    incomplete: cancelled,
+    cancelled,
+    walletsAnalyzed: audits.length,
+    walletsRequested: wallets.length
+  };
+}
+
+/**
+ * Holder screening filters - errors for invalid minBalance / minUsd / match / limit
+ */
+function getScreeningCriteriaErrors({ minBalance, minUsd, match, limit }) {
+  const errors = [];
+  
+  if (minBalance !== null) {
+    try {
+      toPlainDecimal(minBalance);
+    } catch (error) {
+      errors.push('minBalance must be a non-negative token amount');
+    }
+  }
+  
+  if (minUsd !== null && !(typeof minUsd === 'number' && Number.isFinite(minUsd) && minUsd >= 0)) {
+    errors.push('minUsd must be a non-negative number');
+  }
+  
+  if (!['any', 'all'].includes(match)) {
+    errors.push("match must be 'any' or 'all'");
+  }
+  
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    errors.push('limit must be a positive integer');
+  }
+  
+  return errors;
+}
+
+/**
+ * Run a holder screening job - wallets go in HOLDER_SCREEN_BATCH_SIZE batches, each batch's
+ * holders streamed as a 'batch-screened' event and recorded as partial results (unranked)
+ * Ranking and percentile stats cover every holder found, criteria.limit only trims the ranking
+ */
+async function runHolderScreenJob(job, wallets, tokens, network, snapshot, criteria) {
+  const timer = new PerformanceTimer('Full Holder Screening');
+  const networkSummary = getNetworkSummary(network);
+  const signal = job.abortController.signal;
+  const { minBalance, minUsd, match, limit } = criteria;
+  
+  const screeningTokens = await holderScreen.getScreeningTokens(tokens, network, signal);
+  const tokenSummaries = screeningTokens.map(token => ({ ...token, address: checksumTokenTarget(token.address) }));
+  
+  jobManager.emitJobEvent(job, 'screening-started', { tokens: tokenSummaries, total: wallets.length });
+  
+  const screening = await holderScreen.screenHolders(wallets, screeningTokens, network, {
+    minBalance,
+    minUsd,
+    match,
+    blockTag: toBlockTag(snapshot?.block),
+    signal,
+    onBatch: ({ holders, walletsScreened, errors }) => {
+      holders.forEach(checksumHolder);
+      
+      jobManager.emitJobEvent(job, 'batch-screened', {
+        walletsScreened,
+        total: wallets.length,
+        errors,
+        holders
+      });
+      jobManager.addPartialResults(job, holders, walletsScreened);
+    }
+  });
+  
+  const { duration } = timer.end();
+  const cancelled = signal.aborted;
+  const ranked = holderScreen.rankHolders(screening.holders);
+  const summary = holderScreen.summarizeHolders(screening.holders, screeningTokens, screening.walletsScreened);
+  
+  summary.tokens.forEach((stats, index) => { stats.token = tokenSummaries[index]; });
+  
+  job.analysis = {
+    walletCount: wallets.length,
+    tokenCount: tokens.length,
+    ...criteria,
+    duration: `${duration.toFixed(2)}ms`,
+    networkName: networkSummary.name,
+    network: networkSummary
+  };
   
+  logInfo(`Holder screening finished on ${networkSummary.name}`, {
+    requestId: job.id,
+    walletsScreened: screening.walletsScreened,
+    holders: ranked.length,
+    errors: screening.errors,
+    cancelled
+  });
+  
+  return {
+    holders: limit ? ranked.slice(0, limit) : ranked,
+    tokens: tokenSummaries,
+    summary,
+    snapshot,
+    errors: screening.errors,
+    incomplete: cancelled,
+    cancelled,
+    walletsScreened: screening.walletsScreened,
+    walletsRequested: wallets.length
+  };
+}
+
+/**
+ * POST /api/validate-addresses
+ * Validate addresses with network context
+ */
+router.post('/validate-addresses', (req, res) => {
   try {
-    const { tokens = [], network = 'ethereum' } = req.body;
+    const { addresses, network = VALIDATION.DEFAULT_NETWORK } = req.body;
     
-    if (!Array.isArray(tokens) || tokens.length === 0) {
+    if (!addresses || !Array.isArray(addresses)) {
       return res.status(400).json({
         error: 'Invalid input',
-        message: 'Tokens array is required'
+        message: 'Addresses must be an array'
       });
     }
     
-    if (!isNetworkSupported(network)) {
+    // Validate network if provided
+    if (network && !isNetworkSupported(network)) {
       const supportedNetworks = getSupportedNetworks().map(n => n.id);
       return res.status(400).json({
         error: 'Unsupported network',
-        message: `Network '${network}' is not supported. Supported networks: ${supportedNetworks.join(', ')}`
+        message: `Network '${network}' is not supported. Supported networks: ${supportedNetworks.join(', ')}`,
+        supportedNetworks: supportedNetworks
       });
     }
     
+    // ENS names / Basenames are well-formed inputs, resolved when an analysis is submitted
     const networkConfig = getNetworkConfig(network);
+    const validation = validateWalletInputs(addresses);
     
-    logInfo(`🧪 Starting USD pricing test on ${networkConfig.name}`, {
-      tokenCount: tokens.length,
-      tokens: tokens.map(t => t.substring(0, 10) + '...'),
-      network: network
+    res.json({
+      success: true,
+      network: {
+        id: network,
+        name: networkConfig.name,
+        chainId: networkConfig.chainId,
+        icon: networkConfig.icon
+      },
+      valid: validation.valid.map(toChecksumAddress),
+      names: validation.names,
+      invalid: validation.invalid,
+      checksumMismatches: findChecksumMismatches(validation.invalid),
+      summary: {
+        total: addresses.length,
+        validCount: validation.valid.length,
+        nameCount: validation.names.length,
+        invalidCount: validation.invalid.length,
+        networkName: networkConfig.name
+      }
     });
     
-    const results = [];
+  } catch (error) {
+    logError('Address validation failed', error);
+    res.status(500).json({
+      error: 'Validation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/token-info/:address
+ * Get information about a specific token with network support
+ */
+router.get('/token-info/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { network = VALIDATION.DEFAULT_NETWORK } = req.query;
     
-    // Test each token individually for detailed results
+    if (!isValidEthereumAddress(address)) {
+      const [mismatch] = findChecksumMismatches([address]);
+      return res.status(400).json({
+        error: 'Invalid token address',
+        message: mismatch
+          ? `Token address has an invalid checksum (expected ${mismatch.expected})`
+          : 'Token address must be a valid Ethereum address'
+      });
+    }
+    
+    // Validate network
+    if (!isNetworkSupported(network)) {
+      const supportedNetworks = getSupportedNetworks().map(n => n.id);
+      return res.status(400).json({
+        error: 'Unsupported network',
+        message: `Network '${network}' is not supported. Supported networks: ${supportedNetworks.join(', ')}`,
+        supportedNetworks: supportedNetworks
+      });
+    }
+    
+    // Also checks that the address is a contract and whether it is a proxy (tokenInfo.contract, tokenInfo.warnings)
+    const networkConfig = getNetworkConfig(network);
+    const tokenInfo = await blockchainService.getTokenInfo(address, network, true, { inspectContract: true });
+    
+    res.json({
+      success: true,
+      network: {
+        id: network,
+        name: networkConfig.name,
+        chainId: networkConfig.chainId,
+        icon: networkConfig.icon
+      },
+      tokenInfo: checksumTokenInfo(tokenInfo)
+    });
+    
+  } catch (error) {
+    logError('Token info retrieval failed', error);
+    res.status(500).json({
+      error: 'Failed to get token info',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/networks
+ * Get list of supported networks
+ */
+router.get('/networks', (req, res) => {
+  try {
+    const networks = getSupportedNetworks();
+    
+    res.json({
+      success: true,
+      networks: networks.map(network => ({
+        id: network.id,
+        name: network.name,
+        chainId: network.chainId,
+        icon: network.icon,
+        explorerUrl: network.explorerUrl,
+        nativeCurrency: network.nativeCurrency,
+        dexScreenerSlug: network.dexScreenerSlug,
+        delayMultiplier: network.delayMultiplier,
+        provider: network.rpcUrl ? 'rpc' : 'explorer' // Endpoint URLs may embed keys - never exposed
+      })),
+      crossChain: {
+        id: VALIDATION.CROSS_CHAIN_NETWORK,
+        ...CROSS_CHAIN_CONFIG,
+        tokenFormat: `network${VALIDATION.CROSS_CHAIN_SEPARATOR}address`
+      },
+      default: VALIDATION.DEFAULT_NETWORK
+    });
+  } catch (error) {
+    logError('Failed to get supported networks', error);
+    res.status(500).json({
+      error: 'Failed to get networks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/health
+ * Health check for API endpoints with network information
+ */
+router.get('/health', (req, res) => {
+  try {
+    const supportedNetworks = getSupportedNetworks();
+    
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      api: 'Multi-Chain Wallet Analyzer API',
+      version: '2.2.0',
+      supportedNetworks: supportedNetworks.map(n => ({
+        id: n.id,
+        name: n.name,
+        icon: n.icon
+      })),
+      endpoints: [
+        'POST /api/analyze',
+        'POST /api/allowances',
+        'POST /api/holders',
+        'GET /api/jobs/:jobId',
+        'GET /api/jobs/:jobId/events',
+        'POST /api/jobs/:jobId/cancel',
+        'POST /api/jobs/:jobId/allocation',
+        'POST /api/validate-addresses',
+        'GET /api/token-info/:address?network=<network>',
+        'GET /api/networks',
+        'GET /api/health',
+        'POST /api/test-pricing'
+      ]
+    });
+  } catch (error) {
+    logError('Health check failed', error);
+    res.status(500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/test-pricing - NOWY ENDPOINT
+ * Test endpoint for USD pricing functionality
+ */
+router.post('/test-pricing', async (req, res) => {
+  const timer = new PerformanceTimer('USD Pricing Test');
+  
+  try {
+    const { tokens = [], network = 'ethereum' } = req.body;
+    
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Tokens array is required'
+      });
+    }
+    
+    if (!isNetworkSupported(network)) {
+      const supportedNetworks = getSupportedNetworks().map(n => n.id);
+      return res.status(400).json({
+        error: 'Unsupported network',
+        message: `Network '${network}' is not supported. Supported networks: ${supportedNetworks.join(', ')}`
+      });
+    }
+    
+    const networkConfig = getNetworkConfig(network);
+    
+    logInfo(`🧪 Starting USD pricing test on ${networkConfig.name}`, {
+      tokenCount: tokens.length,
+      tokens: tokens.map(t => t.substring(0, 10) + '...'),
+      network: network
+    });
+    
+    const results = [];
+    
+    // Test each token individually for detailed results
     for (let i = 0; i < tokens.length; i++) {
       const tokenAddress = tokens[i];
       
@@ -502,112 +1517,698 @@ function generateTestRecommendations(summary, results) {
     recommendations.push('🧮 USD calculation issues detected - check calculateUsdValue function.');
   }
   
-  // Check for specific error patterns
-  const commonErrors = {};
-  results.forEach(result => {
-    if (result.dexScreener.error) {
-      commonErrors[result.dexScreener.error] = (commonErrors[result.dexScreener.error] || 0) + 1;
-    }
-  });
-  
-  Object.entries(commonErrors).forEach(([error, count]) => {
-    if (count > 1) {
-      recommendations.push(`🔍 Recurring error (${count}x): ${error}`);
+  // Check for specific error patterns
+  const commonErrors = {};
+  results.forEach(result => {
+    if (result.dexScreener.error) {
+      commonErrors[result.dexScreener.error] = (commonErrors[result.dexScreener.error] || 0) + 1;
+    }
+  });
+  
+  Object.entries(commonErrors).forEach(([error, count]) => {
+    if (count > 1) {
+      recommendations.push(`🔍 Recurring error (${count}x): ${error}`);
+    }
+  });
+  
+  return recommendations;
+}
+
+/**
+ * Core analysis function with network support
+ * Optional hooks report live progress:
+ *   onWalletStart(wallet, index, total), onWalletComplete(result, index, total, category),
+ *   onTokenBalance(wallet, balanceResult), onTokenPrice(wallet, priceData)
+ * hooks.signal cancels the analysis - wallets finished so far are categorized and flagged incomplete
+ * For cross-chain analysis (network 'multi') tokens are { network, address, key } targets
+ * Balances are prefetched for all wallets through Multicall3 where possible
+ * snapshot.blocks ({ network: blockNumber }) reads balances as of past blocks instead of latest
+ * snapshot.from (an earlier resolved snapshot) adds per-token balance changes and change categories
+ * options.discover checks every token from each wallet's transfer history besides `tokens`
+ * and adds a common tokens summary
+ * options.auditApprovals adds each wallet's open ERC-20 approvals (result.approvals) for the
+ * target tokens - every token when discovering - and an approvals summary
+ * options.activity adds each wallet's activity profile (result.activity, as of the snapshot
+ * if given) and an activity summary
+ * options.rules (compiled, see walletRules) puts each wallet in a custom bucket (result.rules) and
+ * adds ruleBuckets to the results; ALL / SOME / NO token categories are still reported
+ * options.scoring (compiled, see walletScoring) scores each wallet (result.score, age as of the
+ * snapshot time if given) and adds a leaderboard to the results
+ * options.transferGraph links the wallets by transfers and shared funders (result.transferGraph) and
+ * adds the clusters to the results; with options.excludeClusters, wallets in clusters at or above
+ * that level are left out of the categories and leaderboard and listed as excludedWallets
+ * options.lpPositions values each wallet's LP positions (result.lpPositions, as of the snapshot if
+ * given) and credits their underlying amounts to its balances of the checked tokens before
+ * categorization - credited tokens keep the held and LP parts (token.held, token.lp); balance
+ * changes still compare held balances only
+ * Each wallet result carries its walletType and classification (see walletClassifier)
+ */
+async function analyzeWalletsForTokens(wallets, tokens, network, requestId = 'unknown', hooks = {}, snapshot = null, options = {}) {
+  const {
+    discover = false,
+    auditApprovals = false,
+    activity = false,
+    rules = null,
+    scoring = null,
+    transferGraph = false,
+    excludeClusters = null,
+    lpPositions = false,
+    walletNames = new Map()
+  } = options;
+  const analysisTimer = new PerformanceTimer('Wallet Analysis');
+  const networkConfig = getNetworkSummary(network);
+  const crossChain = isCrossChain(network);
+  
+  logInfo(`Starting sequential wallet analysis on ${networkConfig.name}`, {
+    requestId,
+    walletCount: wallets.length,
+    tokenCount: tokens.length,
+    network: network,
+    networkName: networkConfig.name
+  });
+  
+  const allResults = [];
+  const signal = hooks.signal || null;
+  const comparisonStart = snapshot?.from || null;
+  // Discovered token lists differ per wallet, so there is nothing to prefetch up front
+  const prefetched = discover ? {} : await prefetchBalances(wallets, tokens, network, requestId, signal, snapshot);
+  const prefetchedStart = comparisonStart && !discover
+    ? await prefetchBalances(wallets, tokens, network, requestId, signal, comparisonStart)
+    : {};
+  const discoveredTokens = new Set();
+  const walletTransfers = new Map();
+  const scoringAsOf = snapshot?.timestamp ? Date.parse(snapshot.timestamp) : Date.now();
+  const primaryNames = await lookupWalletNames(wallets, network, requestId, signal);
+  const classifications = await classifyAnalysisWallets(wallets, network, tokens, requestId, signal);
+  
+  // Wallet delays only protect per-wallet explorer calls - not needed once everything is prefetched
+  const targetNetworks = crossChain ? getTargetNetworks(tokens) : [network];
+  const nativePrices = activity ? await getNativePrices(targetNetworks, requestId) : {};
+  const allPrefetched = targetNetworks.every(networkId =>
+    prefetched[networkId] && (!comparisonStart || prefetchedStart[networkId]));
+  
+  // Process wallets sequentially to avoid rate limiting
+  for (let i = 0; i < wallets.length; i++) {
+    const wallet = wallets[i];
+    
+    if (signal?.aborted) break;
+    
+    logInfo(`Processing wallet ${i + 1}/${wallets.length} on ${networkConfig.name}`, {
+      requestId,
+      walletAddress: wallet.substring(0, 10) + '...',
+      network: network
+    });
+    
+    if (hooks.onWalletStart) {
+      hooks.onWalletStart(wallet, i, wallets.length);
+    }
+    
+    try {
+      const discovery = discover ? await discoverTokensForWallet(wallet, tokens, network, requestId, signal) : null;
+      const walletTokens = discovery ? discovery.tokens : tokens;
+      discovery?.discovered.forEach(address => discoveredTokens.add(address));
+      
+      const result = crossChain
+        ? await analyzeWalletCrossChain(wallet, tokens, requestId, hooks, { prefetched, prefetchedStart, snapshot })
+        : await analyzeWallet(wallet, walletTokens, network, requestId, hooks, {
+          prefetchedBalances: prefetched[network]?.get(wallet.toLowerCase()),
+          blockTag: toBlockTag(snapshot?.blocks[network]),
+          startBlockTag: comparisonStart && toBlockTag(comparisonStart.blocks[network]),
+          prefetchedStartBalances: prefetchedStart[network]?.get(wallet.toLowerCase())
+        });
+      
+      // Cancelled mid-wallet - its balances are incomplete, so drop it
+      if (signal?.aborted) break;
+      
+      if (discovery) {
+        result.tokensChecked = walletTokens.length;
+        result.discovery = {
+          tokensDiscovered: discovery.discovered.length,
+          transfersScanned: discovery.transfersScanned,
+          truncated: discovery.truncated,
+          error: discovery.error
+        };
+      }
+      
+      if (auditApprovals) {
+        result.approvals = await auditAnalysisWallet(wallet, discover ? null : tokens, network, requestId, signal);
+        if (signal?.aborted) break;
+      }
+      
+      if (activity) {
+        result.activity = await profileAnalysisWallet(wallet, targetNetworks, snapshot, nativePrices, requestId, signal);
+        if (signal?.aborted) break;
+      }
+      
+      if (transferGraph) {
+        walletTransfers.set(wallet.toLowerCase(), await readAnalysisWalletTransfers(wallet, network, snapshot, requestId, signal));
+        if (signal?.aborted) break;
+      }
+      
+      if (lpPositions && !result.error) {
+        result.lpPositions = await readAnalysisLpPositions(wallet, discovery?.tokens || null, network, snapshot, requestId, signal);
+        if (signal?.aborted) break;
+        creditLpBalances(result, walletTokens, network);
+      }
+      
+      allResults.push(result);
+      
+      logInfo(`Wallet ${i + 1} completed on ${networkConfig.name}`, {
+        requestId,
+        walletAddress: wallet.substring(0, 10) + '...',
+        tokensFound: result.foundTokens.length,
+        network: network
+      });
+      
+    } catch (error) {
+      if (signal?.aborted) break;
+      
+      logError(`Error processing wallet ${i + 1} on ${networkConfig.name}`, error, { 
+        requestId,
+        walletAddress: wallet.substring(0, 10) + '...',
+        network: network
+      });
+      
+      allResults.push({
+        walletAddress: wallet,
+        foundTokens: [],
+        error: error.message,
+        network: network
+      });
+    }
+    
+    // Name given as input and verified primary (reverse) name, for display
+    const walletResult = allResults[allResults.length - 1];
+    walletResult.inputName = walletNames.get(wallet.toLowerCase()) || null;
+    walletResult.primaryName = primaryNames.get(wallet.toLowerCase()) || null;
+    
+    // Wallet type (EOA, Safe, ERC-4337 account, contract, exchange, bridge) - null if classification failed
+    const classification = classifications.get(wallet.toLowerCase()) || null;
+    walletResult.walletType = classification?.type || null;
+    walletResult.classification = classification;
+    checksumWalletResult(walletResult);
+    
+    if (rules) {
+      walletResult.rules = walletRules.evaluateWalletRules(walletResult, rules, network);
+    }
+    if (scoring) {
+      walletResult.score = walletScoring.scoreWallet(walletResult, scoring, network, scoringAsOf);
+    }
+    
+    if (hooks.onWalletComplete) {
+      hooks.onWalletComplete(walletResult, i, wallets.length, getWalletCategory(walletResult, tokens, network));
+    }
+    
+    // Add network-specific delay between wallets (cross-chain uses the base delay)
+    if (i < wallets.length - 1 && !allPrefetched) {
+      const networkDelay = ANALYSIS_CONFIG.NETWORK_DELAYS[network] || 1.0;
+      const adjustedDelay = Math.round(API_CONFIG.RATE_LIMITS.WALLET_DELAY * networkDelay);
+      await sleep(adjustedDelay, signal);
+    }
+  }
+  
+  const cancelled = !!signal?.aborted;
+  
+  if (cancelled) {
+    logInfo(`Analysis cancelled on ${networkConfig.name}`, {
+      requestId,
+      walletsAnalyzed: allResults.length,
+      walletsRequested: wallets.length,
+      network: network
+    });
+  } else {
+    logInfo(`All wallets processed on ${networkConfig.name}`, {
+      requestId,
+      resultCount: allResults.length,
+      network: network
+    });
+  }
+  
+  // Sybil clusters - excluded wallets keep their results but are not categorized or ranked
+  const graph = transferGraph ? transferGraphService.analyzeTransferGraph(walletTransfers, network, excludeClusters) : null;
+  if (graph) {
+    allResults.forEach(result => {
+      result.transferGraph = graph.wallets.get(result.walletAddress.toLowerCase()) || null;
+    });
+  }
+  const includedResults = allResults.filter(result => !result.transferGraph?.excluded);
+  
+  // Categorize results
+  const categorizedResults = categorizeResults(includedResults, tokens, network, !!comparisonStart, rules);
+  categorizedResults.snapshot = snapshot;
+  categorizedResults.comparison = !!comparisonStart;
+  if (discover) {
+    categorizedResults.discovery = {
+      tokensDiscovered: discoveredTokens.size,
+      commonTokens: summarizeCommonTokens(allResults, network)
+    };
+  }
+  if (auditApprovals) {
+    categorizedResults.approvals = allowanceAudit.summarizeAllowanceAudits(allResults.map(result => result.approvals || { error: result.error }));
+  }
+  if (activity) {
+    categorizedResults.activity = activityProfile.summarizeWalletActivity(allResults.map(result => result.activity || { error: result.error }));
+  }
+  if (scoring) {
+    categorizedResults.leaderboard = walletScoring.rankWallets(includedResults);
+    categorizedResults.scoring = {
+      ...walletScoring.describeScoring(scoring),
+      walletsScored: categorizedResults.leaderboard.length,
+      walletsFailed: includedResults.length - categorizedResults.leaderboard.length
+    };
+    
+    logInfo(`Wallets scored on ${networkConfig.name}`, {
+      requestId,
+      walletsScored: categorizedResults.scoring.walletsScored,
+      topScore: categorizedResults.leaderboard[0]?.score ?? null,
+      maxScore: scoring.maxScore
+    });
+  }
+  if (lpPositions) {
+    categorizedResults.lpPositions = summarizeLpPositions(allResults);
+    
+    logInfo(`LP positions valued on ${networkConfig.name}`, {
+      requestId,
+      positions: categorizedResults.lpPositions.positions,
+      walletsWithPositions: categorizedResults.lpPositions.walletsWithPositions,
+      usdValue: categorizedResults.lpPositions.usdValue
+    });
+  }
+  if (graph) {
+    const { wallets: graphWallets, ...graphSummary } = graph;
+    categorizedResults.transferGraph = {
+      ...graphSummary,
+      walletsClustered: graphSummary.clusters.reduce((sum, cluster) => sum + cluster.size, 0),
+      walletsExcluded: allResults.length - includedResults.length,
+      walletsFailed: [...graphWallets.values()].filter(info => info.error).length,
+      excludeClusters
+    };
+    categorizedResults.excludedWallets = allResults.filter(result => result.transferGraph?.excluded);
+    
+    logInfo(`Transfer graph built on ${networkConfig.name}`, {
+      requestId,
+      edges: graphSummary.edges.length,
+      clusters: graphSummary.clusters.length,
+      walletsClustered: categorizedResults.transferGraph.walletsClustered,
+      walletsExcluded: categorizedResults.transferGraph.walletsExcluded
+    });
+  }
+  categorizedResults.incomplete = cancelled;
+  categorizedResults.cancelled = cancelled;
+  categorizedResults.walletsAnalyzed = allResults.length;
+  categorizedResults.walletsRequested = wallets.length;
+  
+  const { duration } = analysisTimer.end();
+  
+  logInfo(`Analysis completed on ${networkConfig.name}`, {
+    requestId,
+    duration: `${duration.toFixed(2)}ms`,
+    allTokens: categorizedResults.allTokens.length,
+    someTokens: categorizedResults.someTokens.length,
+    noTokens: categorizedResults.noTokens.length,
+    network: network,
+    networkName: networkConfig.name
+  });
+  
+  return categorizedResults;
+}
+
+/**
+ * Target tokens plus every token in the wallet's transfer history (discovery mode)
+ * A failed discovery falls back to the explicit tokens; with none given the wallet fails
+ */
+async function discoverTokensForWallet(walletAddress, tokens, network, requestId, signal = null) {
+  try {
+    const { tokens: discovered, transfersScanned, truncated } =
+      await blockchainService.discoverWalletTokens(walletAddress, network, signal);
+    
+    logInfo(`🔎 Discovered ${discovered.length} tokens in transfer history on ${getNetworkConfig(network).name}`, {
+      requestId,
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      transfersScanned,
+      truncated
+    });
+    
+    return {
+      tokens: [...new Set([...tokens, ...discovered])],
+      discovered,
+      transfersScanned,
+      truncated,
+      error: null
+    };
+  } catch (error) {
+    if (signal?.aborted || tokens.length === 0) throw error;
+    
+    logWarn(`Token discovery failed, checking the given tokens only`, {
+      requestId,
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      error: error.message
+    });
+    
+    return { tokens, discovered: [], transfersScanned: 0, truncated: false, error: error.message };
+  }
+}
+
+/**
+ * ERC-20 contracts among analysis targets, per network - native currency and NFT targets have no allowances
+ * Returns { network: [addresses] }, or null for every token
+ */
+function getApprovalTokens(tokens, network) {
+  if (!tokens) return null;
+  
+  const targets = isCrossChain(network)
+    ? tokens
+    : tokens.map(address => ({ network, address }));
+  const approvalTokens = {};
+  
+  targets
+    .filter(({ address }) => !isNativeToken(address) && !address.includes(VALIDATION.TOKEN_ID_SEPARATOR))
+    .forEach(({ network: networkId, address }) => {
+      approvalTokens[networkId] = [...(approvalTokens[networkId] || []), address.toLowerCase()];
+    });
+  
+  return approvalTokens;
+}
+
+/**
+ * Approval audit of an analyzed wallet on every target network (tokens null audits all tokens)
+ * Audit failures are reported on the audit ({ error }) without failing the wallet
+ */
+async function auditAnalysisWallet(walletAddress, tokens, network, requestId, signal = null) {
+  const approvalTokens = getApprovalTokens(tokens, network);
+  const networks = isCrossChain(network) ? getTargetNetworks(tokens) : [network];
+  
+  try {
+    const audits = [];
+    for (const networkId of networks) {
+      audits.push(await allowanceAudit.auditWalletAllowances(walletAddress, networkId, {
+        tokens: approvalTokens ? approvalTokens[networkId] || [] : null,
+        signal
+      }));
+    }
+    
+    return audits.length === 1 ? audits[0] : allowanceAudit.mergeAllowanceAudits(audits);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    
+    logWarn('Approval audit failed, balances reported without it', {
+      requestId,
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      error: error.message
+    });
+    
+    return { walletAddress, error: error.message };
+  }
+}
+
+/**
+ * Native currency USD prices of the analysis networks, for gas spent in activity profiles
+ * Returns { network: priceUsd } - null where no price is available
+ */
+async function getNativePrices(networks, requestId) {
+  const prices = {};
+  
+  for (const networkId of networks) {
+    try {
+      const nativeInfo = await blockchainService.getTokenInfo(NATIVE_TOKEN_ADDRESS, networkId, true);
+      prices[networkId] = nativeInfo.priceUsd ?? null;
+    } catch (error) {
+      logWarn(`Native price unavailable on ${getNetworkConfig(networkId).name}, gas spent shown without USD`, {
+        requestId,
+        error: error.message
+      });
+      prices[networkId] = null;
+    }
+  }
+  
+  return prices;
+}
+
+/**
+ * Transfers of an analyzed wallet for the transfer graph, as of the snapshot if given
+ * Failures are reported ({ error }) without failing the wallet - it is left out of the graph
+ */
+async function readAnalysisWalletTransfers(walletAddress, network, snapshot, requestId, signal = null) {
+  try {
+    return await transferGraphService.getWalletTransfers(walletAddress, network, {
+      blockNumber: snapshot?.blocks[network] ?? null,
+      signal
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    
+    logWarn('Transfer history failed, wallet left out of the transfer graph', {
+      requestId,
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      error: error.message
+    });
+    
+    return { error: error.message };
+  }
+}
+
+/**
+ * LP positions of an analyzed wallet, as of the snapshot if given
+ * tokens are the pair candidates (the wallet's discovered tokens, null reads its transfer history)
+ * Failures are reported ({ error }) without failing the wallet - its balances stay uncredited
+ */
+async function readAnalysisLpPositions(walletAddress, tokens, network, snapshot, requestId, signal = null) {
+  try {
+    return await lpPositionService.getWalletLpPositions(walletAddress, network, {
+      tokens,
+      blockTag: toBlockTag(snapshot?.blocks[network]),
+      signal
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    
+    logWarn('LP position lookup failed, balances reported without LP amounts', {
+      requestId,
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      error: error.message
+    });
+    
+    return { error: error.message };
+  }
+}
+
+/**
+ * Credit a wallet's LP positions to its balances of the checked ERC-20 tokens
+ * Held tokens get the underlying amounts added, keeping the held and LP parts (token.held, token.lp);
+ * tokens only provided as liquidity are added when above the minimum balance
+ */
+function creditLpBalances(result, checkedTokens, network) {
+  if (!result.lpPositions?.positions?.length) return result;
+  
+  const networkConfig = getNetworkConfig(network);
+  const creditable = checkedTokens.filter(token =>
+    !isNativeToken(token) && !token.includes(VALIDATION.TOKEN_ID_SEPARATOR));
+  
+  creditable.forEach(tokenAddress => {
+    const lp = lpPositionService.getLpTokenAmount(result.lpPositions, tokenAddress);
+    if (lp.raw === 0n) return;
+    
+    const held = result.foundTokens.find(token => token.address.toLowerCase() === tokenAddress.toLowerCase());
+    const decimals = held?.decimals ?? lp.token.decimals;
+    if (!held && !isAboveThreshold(lp.raw, decimals, ANALYSIS_CONFIG.MIN_BALANCE_THRESHOLD)) return;
+    
+    const token = held || {
+      address: tokenAddress.toLowerCase(),
+      rawBalance: '0',
+      symbol: lp.token.symbol,
+      name: lp.token.name,
+      decimals,
+      isNative: false,
+      network: network,
+      networkName: networkConfig.name,
+      priceUsd: lp.token.priceUsd,
+      priceChange24h: lp.token.priceChange24h,
+      usdValue: null,
+      usdValueFormatted: null,
+      priceSource: lp.token.priceSource,
+      priceError: null
+    };
+    const heldRaw = toBigInt(token.rawBalance);
+    const totalRaw = heldRaw + lp.raw;
+    
+    token.held = {
+      balance: formatUnits(heldRaw, decimals),
+      balanceFormatted: formatDisplayAmount(heldRaw, decimals),
+      rawBalance: heldRaw.toString()
+    };
+    token.lp = {
+      balance: formatUnits(lp.raw, decimals),
+      balanceFormatted: formatDisplayAmount(lp.raw, decimals),
+      rawBalance: lp.raw.toString(),
+      positions: lp.positions
+    };
+    token.balance = formatUnits(totalRaw, decimals);
+    token.balanceFormatted = formatDisplayAmount(totalRaw, decimals);
+    token.rawBalance = totalRaw.toString();
+    if (token.priceUsd > 0) {
+      token.usdValue = dexScreenerService.calculateUsdValue(token.balance, token.priceUsd);
+      token.usdValueFormatted = dexScreenerService.formatUsdValue(token.usdValue);
+    }
+    
+    if (!held) {
+      result.foundTokens.push(token);
+    }
+  });
+  
+  result.totalUsdValue = result.foundTokens.reduce((total, token) => total + (token.usdValue || 0), 0);
+  result.totalUsdValueFormatted = dexScreenerService.formatUsdValue(result.totalUsdValue);
+  
+  return result;
+}
+
+/**
+ * LP totals across the analyzed wallets - position counts, USD value and failed lookups
+ */
+function summarizeLpPositions(allResults) {
+  const looked = allResults.filter(result => result.lpPositions);
+  const positions = looked.flatMap(result => result.lpPositions.positions || []);
+  const usdValue = positions.reduce((total, position) => total + (position.usdValue || 0), 0);
+  
+  return {
+    positions: positions.length,
+    walletsWithPositions: looked.filter(result => result.lpPositions.positions?.length > 0).length,
+    walletsCredited: looked.filter(result => result.foundTokens.some(token => token.lp)).length,
+    walletsFailed: looked.filter(result => result.lpPositions.error || result.lpPositions.errors?.length > 0).length,
+    byProtocol: positions.reduce((counts, position) => {
+      counts[position.protocol] = (counts[position.protocol] || 0) + 1;
+      return counts;
+    }, {}),
+    usdValue,
+    usdValueFormatted: dexScreenerService.formatUsdValue(usdValue)
+  };
+}
+
+/**
+ * Activity profile of an analyzed wallet on every target network
+ * Profile failures are reported on the profile ({ error }) without failing the wallet
+ */
+async function profileAnalysisWallet(walletAddress, networks, snapshot, nativePrices, requestId, signal = null) {
+  try {
+    const profiles = [];
+    for (const networkId of networks) {
+      profiles.push(await activityProfile.getWalletActivity(walletAddress, networkId, {
+        blockNumber: snapshot?.blocks[networkId] ?? null,
+        nativePriceUsd: nativePrices[networkId],
+        signal
+      }));
+    }
+    
+    return profiles.length === 1 ? profiles[0] : activityProfile.mergeWalletActivity(profiles);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    
+    logWarn('Activity profile failed, balances reported without it', {
+      requestId,
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      error: error.message
+    });
+    
+    return { error: error.message };
+  }
+}
+
+/**
+ * Tokens held by at least DISCOVERY_COMMON_MIN_WALLETS analyzed wallets,
+ * most widely held first, with combined balances and USD values
+ */
+function summarizeCommonTokens(allResults, network) {
+  const tokens = new Map();
+  
+  for (const result of allResults) {
+    for (const token of result.foundTokens || []) {
+      const key = getTokenKey(token.network || network, token.address);
+      const entry = tokens.get(key) || {
+        address: token.address,
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        isNative: !!token.isNative,
+        network: token.network || network,
+        networkName: token.networkName,
+        priceUsd: token.priceUsd,
+        holders: 0,
+        rawTotal: 0n,
+        totalUsdValue: 0
+      };
+      
+      entry.holders++;
+      entry.rawTotal += toBigInt(token.rawBalance);
+      entry.totalUsdValue += token.usdValue || 0;
+      tokens.set(key, entry);
     }
-  });
+  }
   
-  return recommendations;
+  return [...tokens.values()]
+    .filter(entry => entry.holders >= ANALYSIS_CONFIG.DISCOVERY_COMMON_MIN_WALLETS)
+    .sort((a, b) => b.holders - a.holders || b.totalUsdValue - a.totalUsdValue)
+    .map(({ rawTotal, ...entry }) => ({
+      ...entry,
+      holderShare: allResults.length > 0 ? Number((entry.holders / allResults.length * 100).toFixed(1)) : 0,
+      totalBalance: formatUnits(rawTotal, entry.decimals),
+      totalBalanceFormatted: formatDisplayAmount(rawTotal, entry.decimals),
+      totalUsdValueFormatted: dexScreenerService.formatUsdValue(entry.totalUsdValue)
+    }));
 }
 
 /**
- * Core analysis function with network support
+ * Fetch balances for every wallet up front with Multicall3, per network
+ * Returns { network: Map(wallet -> balance results) }; networks that can't batch are left out
+ * and their wallets fall back to per-wallet balance checks
  */
-async function analyzeWalletsForTokens(wallets, tokens, network, requestId = 'unknown') {
-  const analysisTimer = new PerformanceTimer('Wallet Analysis');
-  const networkConfig = getNetworkConfig(network);
-  
-  logInfo(`Starting sequential wallet analysis on ${networkConfig.name}`, {
-    requestId,
-    walletCount: wallets.length,
-    tokenCount: tokens.length,
-    network: network,
-    networkName: networkConfig.name
-  });
-  
-  const allResults = [];
+async function prefetchBalances(wallets, tokens, network, requestId, signal = null, snapshot = null) {
+  const groups = isCrossChain(network)
+    ? getTargetNetworks(tokens).map(networkId => [
+      networkId,
+      tokens.filter(target => target.network === networkId).map(target => target.address)
+    ])
+    : [[network, tokens]];
+  const prefetched = {};
   
-  // Process wallets sequentially to avoid rate limiting
-  for (let i = 0; i < wallets.length; i++) {
-    const wallet = wallets[i];
-    
-    logInfo(`Processing wallet ${i + 1}/${wallets.length} on ${networkConfig.name}`, {
-      requestId,
-      walletAddress: wallet.substring(0, 10) + '...',
-      network: network
-    });
+  for (const [networkId, addresses] of groups) {
+    if (signal?.aborted || !blockchainService.supportsMulticall(networkId)) continue;
     
     try {
-      const result = await analyzeWallet(wallet, tokens, network, requestId);
-      allResults.push(result);
-      
-      logInfo(`Wallet ${i + 1} completed on ${networkConfig.name}`, {
-        requestId,
-        walletAddress: wallet.substring(0, 10) + '...',
-        tokensFound: result.foundTokens.length,
-        network: network
+      prefetched[networkId] = await blockchainService.getBatchTokenBalances(wallets, addresses, networkId, {
+        signal,
+        blockTag: toBlockTag(snapshot?.blocks[networkId])
       });
       
-    } catch (error) {
-      logError(`Error processing wallet ${i + 1} on ${networkConfig.name}`, error, { 
+      logInfo(`Balances prefetched via Multicall3 on ${getNetworkConfig(networkId).name}`, {
         requestId,
-        walletAddress: wallet.substring(0, 10) + '...',
-        network: network
+        walletCount: wallets.length,
+        tokenCount: addresses.length
       });
+    } catch (error) {
+      if (signal?.aborted) break;
       
-      allResults.push({
-        walletAddress: wallet,
-        foundTokens: [],
-        error: error.message,
-        network: network
+      logWarn(`Multicall prefetch failed on ${getNetworkConfig(networkId).name}, checking wallets one by one`, {
+        requestId,
+        error: error.message
       });
     }
-    
-    // Add network-specific delay between wallets
-    if (i < wallets.length - 1) {
-      const networkDelay = ANALYSIS_CONFIG.NETWORK_DELAYS[network] || 1.0;
-      const adjustedDelay = Math.round(API_CONFIG.RATE_LIMITS.WALLET_DELAY * networkDelay);
-      await new Promise(resolve => setTimeout(resolve, adjustedDelay));
-    }
   }
   
-  logInfo(`All wallets processed on ${networkConfig.name}`, {
-    requestId,
-    resultCount: allResults.length,
-    network: network
-  });
-  
-  // Categorize results
-  const categorizedResults = categorizeResults(allResults, tokens, network);
-  
-  const { duration } = analysisTimer.end();
-  
-  logInfo(`Analysis completed on ${networkConfig.name}`, {
-    requestId,
-    duration: `${duration.toFixed(2)}ms`,
-    allTokens: categorizedResults.allTokens.length,
-    someTokens: categorizedResults.someTokens.length,
-    noTokens: categorizedResults.noTokens.length,
-    network: network,
-    networkName: networkConfig.name
-  });
-  
-  return categorizedResults;
+  return prefetched;
 }
 
 /**
  * Analyze individual wallet for target tokens on specific network - POPRAWIONA WERSJA
+ * options.prefetchedBalances (from prefetchBalances) skips the balance calls for this wallet
+ * options.blockTag reads balances as of a past block
+ * options.startBlockTag (with optional prefetchedStartBalances) compares them against an earlier block
  */
-async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
+async function analyzeWallet(walletAddress, targetTokens, network, requestId, hooks = {}, options = {}) {
+  const {
+    prefetchedBalances = null,
+    blockTag = 'latest',
+    startBlockTag = null,
+    prefetchedStartBalances = null
+  } = options;
   const networkConfig = getNetworkConfig(network);
   const walletTimer = new PerformanceTimer(`Wallet Analysis: ${walletAddress.substring(0, 10)}-${networkConfig.name}`);
   
@@ -620,12 +2221,27 @@ async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
       networkName: networkConfig.name
     });
     
-    // Step 1: Get token balances
-    const balanceResults = await blockchainService.getMultipleTokenBalances(
-      walletAddress, 
-      targetTokens, 
-      network
-    );
+    // Step 1: Get token balances (discovery may leave a wallet with nothing to check)
+    let balanceResults;
+    if (targetTokens.length === 0) {
+      balanceResults = [];
+    } else if (prefetchedBalances) {
+      balanceResults = prefetchedBalances;
+      if (hooks.onTokenBalance) {
+        balanceResults.forEach(balance => hooks.onTokenBalance(walletAddress, balance));
+      }
+    } else {
+      balanceResults = await blockchainService.getMultipleTokenBalances(
+        walletAddress, 
+        targetTokens, 
+        network,
+        {
+          signal: hooks.signal,
+          blockTag,
+          onBalance: hooks.onTokenBalance && (balance => hooks.onTokenBalance(walletAddress, balance))
+        }
+      );
+    }
     
     logDebug(`📊 Balance results for wallet ${walletAddress.substring(0, 10)}...`, {
       totalTokens: balanceResults.length,
@@ -634,9 +2250,26 @@ async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
       network: networkConfig.name
     });
     
+    // Step 1b: Balances at the start of a comparison - progress events only cover the end balances
+    let startBalances = null;
+    if (startBlockTag && targetTokens.length === 0) {
+      startBalances = [];
+    } else if (startBlockTag) {
+      startBalances = prefetchedStartBalances || await blockchainService.getMultipleTokenBalances(
+        walletAddress,
+        targetTokens,
+        network,
+        { signal: hooks.signal, blockTag: startBlockTag }
+      );
+    }
+    
     // Step 2: Get token information with pricing for tokens that have balances
+    // (when comparing, also for tokens only held at the start) - ERC-1155 targets share their contract's info
     const tokensWithBalances = balanceResults.filter(result => result.hasBalance && !result.error);
-    const tokenAddresses = tokensWithBalances.map(result => result.tokenAddress);
+    const tokenAddresses = [...new Set([
+      ...tokensWithBalances,
+      ...(startBalances || []).filter(result => result.hasBalance && !result.error)
+    ].map(result => getContractAddress(result.tokenAddress)))];
     
     logDebug(`💰 Fetching pricing for ${tokenAddresses.length} tokens with balances`, {
       tokenAddresses: tokenAddresses.map(addr => addr.substring(0, 10) + '...'),
@@ -644,10 +2277,13 @@ async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
     });
     
     let tokenInfos = [];
-    if (tokenAddresses.length > 0) {
+    if (tokenAddresses.length > 0 && !hooks.signal?.aborted) {
       try {
         logDebug(`🔄 Calling getMultipleTokenInfo with pricing=true`);
-        tokenInfos = await blockchainService.getMultipleTokenInfo(tokenAddresses, network, true);
+        tokenInfos = await blockchainService.getMultipleTokenInfo(tokenAddresses, network, true, {
+          signal: hooks.signal,
+          onPrice: hooks.onTokenPrice && (price => hooks.onTokenPrice(walletAddress, price))
+        });
         
         logDebug(`✅ Received token info for ${tokenInfos.length} tokens`, {
           tokensWithPrices: tokenInfos.filter(t => t.priceUsd !== null && t.priceUsd > 0).length,
@@ -682,9 +2318,7 @@ async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
     logDebug(`🔨 Building foundTokens array from ${tokensWithBalances.length} balance results`);
     
     for (const balanceData of tokensWithBalances) {
-      const tokenInfo = tokenInfos.find(info => 
-        info.address.toLowerCase() === balanceData.tokenAddress.toLowerCase()
-      );
+      const tokenInfo = findTokenInfo(tokenInfos, balanceData.tokenAddress);
       
       if (tokenInfo) {
         // Calculate USD value if price is available
@@ -729,10 +2363,15 @@ async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
         
         const tokenResult = {
           address: balanceData.tokenAddress,
+          // Exact decimal balance, rounded display value and raw integer base units
           balance: balanceData.balance,
+          balanceFormatted: balanceData.balanceFormatted,
+          rawBalance: balanceData.rawBalance,
           symbol: tokenInfo.symbol,
           name: tokenInfo.name,
-          decimals: tokenInfo.decimals || balanceData.decimals,
+          decimals: tokenInfo.decimals ?? balanceData.decimals,
+          isNative: !!tokenInfo.isNative,
+          ...getNftFields(balanceData, tokenInfo),
           network: network,
           networkName: networkConfig.name,
           // USD pricing information
@@ -753,9 +2392,12 @@ async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
         foundTokens.push({
           address: balanceData.tokenAddress,
           balance: balanceData.balance,
+          balanceFormatted: balanceData.balanceFormatted,
+          rawBalance: balanceData.rawBalance,
           symbol: balanceData.tokenAddress.substring(0, 6) + '...',
           name: 'Unknown Token',
-          decimals: balanceData.decimals || 18,
+          decimals: balanceData.decimals ?? 18,
+          ...getNftFields(balanceData, null),
           network: network,
           networkName: networkConfig.name,
           priceUsd: null,
@@ -785,6 +2427,12 @@ async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
       totalUsdValueFormatted: dexScreenerService.formatUsdValue(totalUsdValue)
     };
     
+    // Step 4: Balance changes since the comparison start
+    if (startBalances) {
+      result.changes = buildBalanceChanges(startBalances, balanceResults, tokenInfos, network);
+      Object.assign(result, summarizeBalanceChanges(result.changes, foundTokens.length));
+    }
+    
     logInfo(`✅ Wallet analysis completed on ${networkConfig.name}`, {
       requestId,
       walletAddress: walletAddress.substring(0, 10) + '...',
@@ -821,10 +2469,398 @@ async function analyzeWallet(walletAddress, targetTokens, network, requestId) {
 }
 
 /**
- * Categorize wallet results into ALL/SOME/NO tokens with network info
+ * Switch a wallet result to EIP-55 checksummed addresses for clients
+ * Analysis runs on lowercase addresses; token keys (getTokenKey) are case-insensitive
+ */
+function checksumWalletResult(result) {
+  result.walletAddress = toChecksumAddress(result.walletAddress);
+  
+  const classification = result.classification;
+  if (classification) {
+    if (classification.safe) classification.safe.owners = classification.safe.owners.map(toChecksumAddress);
+    if (classification.entryPoint) classification.entryPoint.address = toChecksumAddress(classification.entryPoint.address);
+    if (classification.delegatedTo) classification.delegatedTo = toChecksumAddress(classification.delegatedTo);
+  }
+  
+  [...result.foundTokens, ...(result.changes || [])].forEach(token => {
+    token.address = checksumTokenTarget(token.address);
+    if (token.contractAddress) {
+      token.contractAddress = toChecksumAddress(token.contractAddress);
+    }
+  });
+  
+  if (result.approvals) {
+    checksumAllowanceAudit(result.approvals);
+  }
+  
+  (result.lpPositions?.positions || []).forEach(position => {
+    position.contract = toChecksumAddress(position.contract);
+    position.pool = toChecksumAddress(position.pool);
+    position.underlying.forEach(token => {
+      token.address = toChecksumAddress(token.address);
+    });
+  });
+  
+  return result;
+}
+
+/**
+ * Switch an allowance audit to EIP-55 checksummed addresses for clients
+ */
+function checksumAllowanceAudit(audit) {
+  audit.walletAddress = toChecksumAddress(audit.walletAddress);
+  
+  (audit.approvals || []).forEach(approval => {
+    approval.token.address = toChecksumAddress(approval.token.address);
+    approval.spender.address = toChecksumAddress(approval.spender.address);
+  });
+  
+  return audit;
+}
+
+/**
+ * Switch a screened holder to EIP-55 checksummed addresses for clients
+ */
+function checksumHolder(holder) {
+  holder.walletAddress = toChecksumAddress(holder.walletAddress);
+  holder.holdings.forEach(holding => {
+    holding.tokenAddress = checksumTokenTarget(holding.tokenAddress);
+  });
+  
+  return holder;
+}
+
+/**
+ * Copy of token info with EIP-55 checksummed addresses (cached token info stays lowercase)
+ */
+function checksumTokenInfo(tokenInfo) {
+  const proxy = tokenInfo.contract?.proxy;
+  
+  return {
+    ...tokenInfo,
+    address: toChecksumAddress(tokenInfo.address),
+    ...(proxy ? {
+      contract: {
+        ...tokenInfo.contract,
+        proxy: {
+          ...proxy,
+          ...(proxy.implementation ? { implementation: toChecksumAddress(proxy.implementation) } : {}),
+          ...(proxy.beacon ? { beacon: toChecksumAddress(proxy.beacon) } : {})
+        }
+      }
+    } : {})
+  };
+}
+
+/**
+ * Resolve ENS names / Basenames given as wallets
+ * Returns { walletNames: Map of lowercase address -> first name given for it, unresolvedNames }
+ */
+async function resolveWalletNames(names) {
+  const walletNames = new Map();
+  
+  if (names.length === 0) {
+    return { walletNames, unresolvedNames: [] };
+  }
+  
+  const resolved = await nameService.resolveNames(names);
+  resolved.forEach((address, name) => {
+    if (address && !walletNames.has(address)) walletNames.set(address, name);
+  });
+  
+  return { walletNames, unresolvedNames: names.filter(name => !resolved.get(name)) };
+}
+
+/**
+ * Primary ENS / Basenames of the analyzed wallets - lookup failures only leave names out
+ */
+async function lookupWalletNames(wallets, network, requestId, signal) {
+  try {
+    return await nameService.lookupPrimaryNames(wallets, network, signal);
+  } catch (error) {
+    logWarn('Primary name lookup failed, showing addresses only', {
+      requestId,
+      error: error.message
+    });
+    return new Map();
+  }
+}
+
+/**
+ * Wallet types of the analyzed wallets - classification failures leave wallets unclassified
+ * Cross-chain analyses classify on every target network and keep each wallet's first
+ * non-EOA classification (a Safe deployed on one chain only is still a Safe)
+ */
+async function classifyAnalysisWallets(wallets, network, tokens, requestId, signal) {
+  const networks = isCrossChain(network) ? getTargetNetworks(tokens) : [network];
+  const classifications = new Map();
+  
+  try {
+    for (const networkId of networks) {
+      const networkClassifications = await walletClassifier.classifyWallets(wallets, networkId, signal);
+      
+      networkClassifications.forEach((classification, address) => {
+        const current = classifications.get(address);
+        if (!current || current.type === WALLET_TYPES.EOA) {
+          classifications.set(address, classification);
+        }
+      });
+    }
+  } catch (error) {
+    logWarn('Wallet classification failed, wallet types left out', {
+      requestId,
+      error: error.message
+    });
+    return new Map();
+  }
+  
+  return classifications;
+}
+
+/**
+ * Contract address of a token target ('0x...#42' ERC-1155 targets share their contract)
+ */
+function getContractAddress(tokenTarget) {
+  return parseTokenTarget(tokenTarget.toLowerCase()).address;
+}
+
+/**
+ * Token info for a balance target, looked up by its contract address
+ */
+function findTokenInfo(tokenInfos, tokenTarget) {
+  const contractAddress = getContractAddress(tokenTarget);
+  return tokenInfos.find(info => info.address.toLowerCase() === contractAddress);
+}
+
+/**
+ * Standard and NFT details (contract, token ID, held token IDs) for a token result
  */
-function categorizeResults(allResults, targetTokens, network) {
+function getNftFields(balanceData, tokenInfo) {
+  const standard = balanceData.standard || tokenInfo?.standard;
+  
+  if (!isNftStandard(standard)) {
+    return standard ? { standard } : {};
+  }
+  
+  return {
+    standard,
+    contractAddress: getContractAddress(balanceData.tokenAddress),
+    tokenId: balanceData.tokenId ?? null,
+    ...(balanceData.tokenIds ? { tokenIds: balanceData.tokenIds } : {})
+  };
+}
+
+/**
+ * Per-token balance changes between the comparison start and end balances
+ * Tokens with no balance at either block are left out; USD deltas use current prices
+ */
+function buildBalanceChanges(startBalances, endBalances, tokenInfos, network) {
   const networkConfig = getNetworkConfig(network);
+  const startByAddress = new Map(startBalances.map(balance => [balance.tokenAddress.toLowerCase(), balance]));
+  const changes = [];
+  
+  for (const end of endBalances) {
+    const start = startByAddress.get(end.tokenAddress.toLowerCase());
+    if (!start) continue;
+    
+    const error = end.error || start.error;
+    const startRaw = toBigInt(start.rawBalance);
+    const endRaw = toBigInt(end.rawBalance);
+    if (!error && startRaw === 0n && endRaw === 0n) continue;
+    
+    const tokenInfo = findTokenInfo(tokenInfos, end.tokenAddress);
+    const decimals = tokenInfo?.decimals ?? end.decimals ?? start.decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS;
+    const rawDelta = endRaw - startRaw;
+    
+    let change = null;
+    if (!error) {
+      if (start.hasBalance && !end.hasBalance) {
+        change = ANALYSIS_CONFIG.TOKEN_CHANGES.EXITED;
+      } else if (!start.hasBalance && end.hasBalance) {
+        change = ANALYSIS_CONFIG.TOKEN_CHANGES.ENTERED;
+      } else if (rawDelta > 0n) {
+        change = ANALYSIS_CONFIG.TOKEN_CHANGES.INCREASED;
+      } else if (rawDelta < 0n) {
+        change = ANALYSIS_CONFIG.TOKEN_CHANGES.DECREASED;
+      } else {
+        change = ANALYSIS_CONFIG.TOKEN_CHANGES.UNCHANGED;
+      }
+    }
+    
+    const priceUsd = tokenInfo?.priceUsd > 0 ? tokenInfo.priceUsd : null;
+    const startUsdValue = priceUsd ? dexScreenerService.calculateUsdValue(start.balance, priceUsd) : null;
+    const endUsdValue = priceUsd ? dexScreenerService.calculateUsdValue(end.balance, priceUsd) : null;
+    const usdDelta = priceUsd ? endUsdValue - startUsdValue : null;
+    
+    changes.push({
+      address: end.tokenAddress,
+      symbol: tokenInfo?.symbol || end.tokenAddress.substring(0, 6) + '...',
+      name: tokenInfo?.name || 'Unknown Token',
+      decimals,
+      isNative: !!tokenInfo?.isNative,
+      ...getNftFields(end, tokenInfo),
+      network: network,
+      networkName: networkConfig.name,
+      // Exact decimal balances at both blocks and the signed difference
+      startBalance: start.balance,
+      startBalanceFormatted: start.balanceFormatted,
+      endBalance: end.balance,
+      endBalanceFormatted: end.balanceFormatted,
+      delta: formatUnits(rawDelta, decimals),
+      deltaFormatted: formatDisplayAmount(rawDelta, decimals),
+      rawDelta: rawDelta.toString(),
+      priceUsd,
+      startUsdValue,
+      endUsdValue,
+      usdDelta,
+      usdDeltaFormatted: usdDelta === null ? null : dexScreenerService.formatUsdDelta(usdDelta),
+      change,
+      error: error || null
+    });
+  }
+  
+  return changes;
+}
+
+/**
+ * Wallet-level change category from its token changes
+ * heldAtEnd - number of target tokens the wallet still holds at the end block
+ */
+function getWalletChangeCategory(changes, heldAtEnd) {
+  const { TOKEN_CHANGES, CHANGE_CATEGORIES } = ANALYSIS_CONFIG;
+  const known = changes.filter(change => change.change);
+  const increased = known.some(change => [TOKEN_CHANGES.ENTERED, TOKEN_CHANGES.INCREASED].includes(change.change));
+  const decreased = known.some(change => [TOKEN_CHANGES.EXITED, TOKEN_CHANGES.DECREASED].includes(change.change));
+  
+  if (increased && decreased) return CHANGE_CATEGORIES.MIXED;
+  if (increased) return CHANGE_CATEGORIES.ACCUMULATED;
+  if (!decreased) return CHANGE_CATEGORIES.UNCHANGED;
+  
+  const exitedAll = heldAtEnd === 0 && known.some(change => change.change === TOKEN_CHANGES.EXITED);
+  return exitedAll ? CHANGE_CATEGORIES.EXITED : CHANGE_CATEGORIES.REDUCED;
+}
+
+/**
+ * Change category and combined USD delta for a wallet's token changes
+ */
+function summarizeBalanceChanges(changes, heldAtEnd) {
+  const totalUsdDelta = changes.reduce((total, change) => total + (change.usdDelta || 0), 0);
+  
+  return {
+    changeCategory: getWalletChangeCategory(changes, heldAtEnd),
+    totalUsdDelta,
+    totalUsdDeltaFormatted: dexScreenerService.formatUsdDelta(totalUsdDelta)
+  };
+}
+
+/**
+ * Analyze wallet for cross-chain targets - each network is checked with analyzeWallet
+ * and merged into one result with a per-chain breakdown and combined USD total
+ */
+async function analyzeWalletCrossChain(walletAddress, targets, requestId, hooks = {}, options = {}) {
+  const { prefetched = {}, prefetchedStart = {}, snapshot = null } = options;
+  const comparisonStart = snapshot?.from || null;
+  const chains = {};
+  const foundTokens = [];
+  const changes = [];
+  
+  for (const network of getTargetNetworks(targets)) {
+    if (hooks.signal?.aborted) break;
+    
+    const addresses = targets
+      .filter(target => target.network === network)
+      .map(target => target.address);
+    
+    const chainResult = await analyzeWallet(walletAddress, addresses, network, requestId, hooks, {
+      prefetchedBalances: prefetched[network]?.get(walletAddress.toLowerCase()),
+      blockTag: toBlockTag(snapshot?.blocks[network]),
+      startBlockTag: comparisonStart && toBlockTag(comparisonStart.blocks[network]),
+      prefetchedStartBalances: prefetchedStart[network]?.get(walletAddress.toLowerCase())
+    });
+    
+    chains[network] = {
+      network,
+      networkName: chainResult.networkName,
+      tokensChecked: addresses.length,
+      tokensFound: chainResult.foundTokens.length,
+      totalUsdValue: chainResult.totalUsdValue || 0,
+      totalUsdValueFormatted: chainResult.totalUsdValueFormatted || '$0.00',
+      ...(chainResult.changes ? {
+        totalUsdDelta: chainResult.totalUsdDelta,
+        totalUsdDeltaFormatted: chainResult.totalUsdDeltaFormatted
+      } : {}),
+      error: chainResult.error || null
+    };
+    foundTokens.push(...chainResult.foundTokens);
+    changes.push(...(chainResult.changes || []));
+  }
+  
+  const totalUsdValue = foundTokens.reduce((total, token) => total + (token.usdValue || 0), 0);
+  const chainResults = Object.values(chains);
+  
+  logInfo(`✅ Cross-chain wallet analysis completed`, {
+    requestId,
+    walletAddress: walletAddress.substring(0, 10) + '...',
+    networks: Object.keys(chains).join(', '),
+    tokensFound: foundTokens.length,
+    totalUsdValue
+  });
+  
+  return {
+    walletAddress,
+    foundTokens,
+    chains,
+    network: VALIDATION.CROSS_CHAIN_NETWORK,
+    networkName: CROSS_CHAIN_CONFIG.name,
+    totalUsdValue,
+    totalUsdValueFormatted: dexScreenerService.formatUsdValue(totalUsdValue),
+    ...(comparisonStart ? { changes, ...summarizeBalanceChanges(changes, foundTokens.length) } : {}),
+    // Only a wallet-level error if no chain could be checked at all
+    ...(chainResults.length > 0 && chainResults.every(chain => chain.error)
+      ? { error: chainResults.map(chain => `${chain.networkName}: ${chain.error}`).join('; ') }
+      : {})
+  };
+}
+
+/**
+ * Determine ALL/SOME/NONE category for a single wallet result
+ * Target tokens are addresses on `network`, or cross-chain { network, address } targets
+ */
+function getWalletCategory(result, targetTokens, network) {
+  if (result.error) {
+    return ANALYSIS_CONFIG.CATEGORIZATION.NO_TOKENS;
+  }
+  
+  // Discovery without explicit targets - any held token is a partial match
+  if (targetTokens.length === 0) {
+    return result.foundTokens.length > 0
+      ? ANALYSIS_CONFIG.CATEGORIZATION.SOME_TOKENS
+      : ANALYSIS_CONFIG.CATEGORIZATION.NO_TOKENS;
+  }
+  
+  const targetKeys = targetTokens.map(target => typeof target === 'string'
+    ? getTokenKey(network, target)
+    : getTokenKey(target.network, target.address));
+  const foundTokenKeys = result.foundTokens.map(t => getTokenKey(t.network || network, t.address));
+  const matchingTokens = targetKeys.filter(target => foundTokenKeys.includes(target));
+  
+  if (matchingTokens.length === 0) {
+    return ANALYSIS_CONFIG.CATEGORIZATION.NO_TOKENS;
+  }
+  
+  return matchingTokens.length === targetKeys.length
+    ? ANALYSIS_CONFIG.CATEGORIZATION.ALL_TOKENS
+    : ANALYSIS_CONFIG.CATEGORIZATION.SOME_TOKENS;
+}
+
+/**
+ * Categorize wallet results into ALL/SOME/NO tokens with network info
+ * comparison - also bucket wallets by balance change (accumulated, reduced, exited, unchanged, mixed);
+ * failed wallets are left out of the change buckets
+ * rules - compiled categorization rules: also group wallets by their rule bucket (ruleBuckets)
+ */
+function categorizeResults(allResults, targetTokens, network, comparison = false, rules = null) {
+  const networkConfig = getNetworkSummary(network);
   
   logInfo(`Starting result categorization for ${networkConfig.name}`, {
     resultCount: allResults.length,
@@ -840,30 +2876,40 @@ function categorizeResults(allResults, targetTokens, network) {
     networkName: networkConfig.name
   };
   
-  const targetTokensLower = targetTokens.map(t => t.toLowerCase());
+  if (comparison) {
+    for (const changeCategory of Object.values(ANALYSIS_CONFIG.CHANGE_CATEGORIES)) {
+      categorizedResults[changeCategory] = [];
+    }
+  }
   
   for (const result of allResults) {
-    if (result.error) {
-      categorizedResults.noTokens.push(result);
-      continue;
-    }
-    
-    const foundTokenAddresses = result.foundTokens.map(t => t.address.toLowerCase());
-    const matchingTokens = targetTokensLower.filter(target => foundTokenAddresses.includes(target));
+    const category = getWalletCategory(result, targetTokens, network);
     
-    if (matchingTokens.length === 0) {
-      categorizedResults.noTokens.push(result);
-    } else if (matchingTokens.length === targetTokensLower.length) {
+    if (category === ANALYSIS_CONFIG.CATEGORIZATION.ALL_TOKENS) {
       categorizedResults.allTokens.push(result);
-    } else {
+    } else if (category === ANALYSIS_CONFIG.CATEGORIZATION.SOME_TOKENS) {
       categorizedResults.someTokens.push(result);
+    } else {
+      categorizedResults.noTokens.push(result);
     }
+    
+    if (comparison && result.changeCategory && !result.error) {
+      categorizedResults[result.changeCategory].push(result);
+    }
+  }
+  
+  if (rules) {
+    categorizedResults.rules = walletRules.describeRules(rules);
+    categorizedResults.ruleBuckets = walletRules.groupByRules(allResults, rules);
   }
   
   logInfo(`Categorization completed for ${networkConfig.name}`, {
     allTokens: categorizedResults.allTokens.length,
     someTokens: categorizedResults.someTokens.length,
     noTokens: categorizedResults.noTokens.length,
+    ...(comparison ? Object.fromEntries(Object.values(ANALYSIS_CONFIG.CHANGE_CATEGORIES)
+      .map(changeCategory => [changeCategory, categorizedResults[changeCategory].length])) : {}),
+    ...(rules ? { ruleBuckets: categorizedResults.ruleBuckets.map(bucket => `${bucket.name}: ${bucket.wallets.length}`).join(', ') } : {}),
     network: network
   });
   
@@ -64,8 +64,9 @@ const limiter = rateLimit({
     return req.ip; // Użyj IP z trust proxy
   },
   skip: (req) => {
-    // Skip rate limiting for health checks
-    return req.path === '/health' || req.path === '/api/health';
+    // Skip rate limiting for health checks and job status polling
+    return req.path === '/health' || req.path === '/api/health' ||
+      (req.method === 'GET' && req.path.startsWith('/jobs/'));
   }
 });
 
@@ -78,6 +79,11 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Serve static files from public directory
 app.use(express.static('public'));
 
+// Keccak-256 is shared with the frontend for EIP-55 checksums - serve that one file from utils
+app.get('/js/keccak.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'utils', 'keccak.js'));
+});
+
 // API routes
 app.use('/api', apiRoutes);
 
@@ -0,0 +1,142 @@
+/**
+ * Wallet Activity Profile
+ * Whether a wallet is alive: first and last transaction, transaction count (nonce), gas spent in
+ * native currency and USD, and how many distinct addresses it dealt with. Built from the explorer's
+ * normal transaction list (txlist) - internal transfers and token transfers received are not counted.
+ */
+
+const { ANALYSIS_CONFIG, getNetworkConfig } = require('../config/constants');
+const { formatUnits, formatDisplayAmount, toBigInt } = require('../utils/fixedPoint');
+const { logDebug, PerformanceTimer } = require('../utils/debugger');
+const { toBlockTag } = require('./provider');
+const blockchainService = require('./etherscan');
+const dexScreenerService = require('./dexscreener');
+
+// Explorer timestamps are unix seconds
+function toIsoDate(timeStamp) {
+  return new Date(Number(timeStamp) * 1000).toISOString();
+}
+
+/**
+ * Activity profile of a wallet on a network
+ * options.blockNumber profiles the wallet as of a past block, options.nativePriceUsd values gas spent
+ * Reads the oldest ACTIVITY_MAX_TRANSACTIONS transactions; beyond that (truncated) the last
+ * transaction is fetched separately, while gas, counterparties and directions cover the read ones only
+ */
+async function getWalletActivity(walletAddress, networkId = 'ethereum', options = {}) {
+  const { blockNumber = null, nativePriceUsd = null, signal = null } = options;
+  const networkConfig = getNetworkConfig(networkId);
+  const timer = new PerformanceTimer(`Activity profile-${networkConfig.name}`);
+  const wallet = walletAddress.toLowerCase();
+  const maxTransactions = ANALYSIS_CONFIG.ACTIVITY_MAX_TRANSACTIONS;
+
+  const transactions = await blockchainService.getTransactionList(wallet, networkId, {
+    sort: 'asc',
+    offset: maxTransactions,
+    endBlock: blockNumber,
+    signal
+  });
+  const truncated = transactions.length >= maxTransactions;
+  const first = transactions[0] || null;
+  const last = truncated
+    ? (await blockchainService.getTransactionList(wallet, networkId, { sort: 'desc', offset: 1, endBlock: blockNumber, signal }))[0]
+    : transactions[transactions.length - 1] || null;
+  const txCount = await blockchainService.getTransactionCount(wallet, networkId, signal, toBlockTag(blockNumber));
+
+  const counterparties = new Set();
+  let gasSpent = 0n;
+  let outgoingTransactions = 0;
+
+  transactions.forEach(tx => {
+    // Contract deployments have no recipient - the new contract is the counterparty
+    const to = (tx.to || tx.contractAddress || '').toLowerCase();
+
+    if (tx.from.toLowerCase() === wallet) {
+      outgoingTransactions++;
+      gasSpent += toBigInt(tx.gasUsed) * toBigInt(tx.gasPrice);
+      if (to) counterparties.add(to);
+    } else {
+      counterparties.add(tx.from.toLowerCase());
+    }
+  });
+  counterparties.delete(wallet);
+
+  const { decimals, symbol } = networkConfig.nativeCurrency;
+  const gasSpentUsd = dexScreenerService.calculateUsdValue(formatUnits(gasSpent, decimals), nativePriceUsd);
+
+  timer.end();
+  logDebug(`Activity profile on ${networkConfig.name}`, {
+    walletAddress: wallet.substring(0, 10) + '...',
+    transactions: transactions.length,
+    txCount,
+    truncated
+  });
+
+  return {
+    network: networkId,
+    firstSeen: first ? toIsoDate(first.timeStamp) : null,
+    firstSeenBlock: first ? Number(first.blockNumber) : null,
+    lastActive: last ? toIsoDate(last.timeStamp) : null,
+    lastActiveBlock: last ? Number(last.blockNumber) : null,
+    txCount,
+    transactionsScanned: transactions.length,
+    outgoingTransactions,
+    incomingTransactions: transactions.length - outgoingTransactions,
+    gasSpent: formatUnits(gasSpent, decimals),
+    gasSpentFormatted: formatDisplayAmount(gasSpent, decimals),
+    gasSymbol: symbol,
+    gasSpentUsd,
+    gasSpentUsdFormatted: dexScreenerService.formatUsdValue(gasSpentUsd),
+    counterparties: counterparties.size,
+    truncated
+  };
+}
+
+/**
+ * One profile of a wallet from its profiles on several networks (cross-chain analysis)
+ * Gas is only comparable in USD, so native amounts stay in chains; counterparties are summed per network
+ */
+function mergeWalletActivity(profiles) {
+  const active = profiles.filter(profile => profile.lastActive);
+  const byDate = (a, b) => a.localeCompare(b);
+  const firstSeen = active.map(profile => profile.firstSeen).sort(byDate)[0] || null;
+  const lastActive = active.map(profile => profile.lastActive).sort(byDate).pop() || null;
+  const gasSpentUsd = profiles.reduce((sum, profile) => sum + profile.gasSpentUsd, 0);
+
+  return {
+    networks: profiles.map(profile => profile.network),
+    firstSeen,
+    lastActive,
+    txCount: profiles.reduce((sum, profile) => sum + profile.txCount, 0),
+    transactionsScanned: profiles.reduce((sum, profile) => sum + profile.transactionsScanned, 0),
+    outgoingTransactions: profiles.reduce((sum, profile) => sum + profile.outgoingTransactions, 0),
+    incomingTransactions: profiles.reduce((sum, profile) => sum + profile.incomingTransactions, 0),
+    gasSpentUsd,
+    gasSpentUsdFormatted: dexScreenerService.formatUsdValue(gasSpentUsd),
+    counterparties: profiles.reduce((sum, profile) => sum + profile.counterparties, 0),
+    truncated: profiles.some(profile => profile.truncated),
+    chains: Object.fromEntries(profiles.map(profile => [profile.network, profile]))
+  };
+}
+
+/**
+ * Totals over wallet profiles (failed profiles carry an error and count as failed)
+ */
+function summarizeWalletActivity(profiles) {
+  const completed = profiles.filter(profile => profile && !profile.error);
+  const gasSpentUsd = completed.reduce((sum, profile) => sum + profile.gasSpentUsd, 0);
+
+  return {
+    walletsProfiled: completed.length,
+    neverActive: completed.filter(profile => !profile.lastActive).length,
+    gasSpentUsd,
+    gasSpentUsdFormatted: dexScreenerService.formatUsdValue(gasSpentUsd),
+    failed: profiles.length - completed.length
+  };
+}
+
+module.exports = {
+  getWalletActivity,
+  mergeWalletActivity,
+  summarizeWalletActivity
+};
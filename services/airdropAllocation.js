@@ -0,0 +1,273 @@
+/**
+ * Airdrop Allocation
+ * Splits a total distribution amount over the qualifying wallets of a finished analysis:
+ * flat per wallet, pro-rata to a basis (token balance, USD value or score), tiered by basis thresholds,
+ * or pro-rata with a per-wallet cap whose excess is redistributed to the wallets below it.
+ * Amounts are exact base units of the airdrop token - rounding dust goes to the largest remainders,
+ * so allocations always add up to the total - and come with a merkle-distributor tree and proofs.
+ */
+
+const { ANALYSIS_CONFIG, VALIDATION } = require('../config/constants');
+const { getTokenKey, resolveTargetTokenKey } = require('../utils/helpers');
+const { toBigInt, parseUnits, formatUnits, formatDisplayAmount, toPlainDecimal } = require('../utils/fixedPoint');
+const { buildMerkleDistribution } = require('../utils/merkleTree');
+
+// USD values, scores and tier weights become integer weights at this precision
+const WEIGHT_SCALE = 1e6;
+
+// Positive token amount in base units - throws with the field's description
+function readAmount(value, decimals, description) {
+  let raw;
+  try {
+    raw = parseUnits(toPlainDecimal(value), decimals);
+  } catch (error) {
+    throw new Error(`${description} must be a positive token amount`);
+  }
+  if (raw <= 0n) {
+    throw new Error(`${description} must be a positive token amount`);
+  }
+  return raw;
+}
+
+function readNumber(value, description, { positive = false } = {}) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || (positive && number === 0)) {
+    throw new Error(`${description} must be a ${positive ? 'positive' : 'non-negative'} number`);
+  }
+  return number;
+}
+
+/**
+ * Validate an allocation request - throws with a readable message
+ * spec: { total, decimals?, formula, basis?, token?, qualify?, minValue?, tiers?: [{ min, weight }], cap? }
+ * targetTokens are the analyzed job's targets (lowercase targets, or { network, address, key } cross-chain)
+ */
+function compileAllocation(spec, targetTokens, network, crossChain = false) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('allocation must be an object with total and formula');
+  }
+
+  const decimals = spec.decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS;
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > VALIDATION.MAX_AIRDROP_DECIMALS) {
+    throw new Error(`decimals must be a whole number from 0 to ${VALIDATION.MAX_AIRDROP_DECIMALS}`);
+  }
+
+  const formula = spec.formula?.toString().trim().toLowerCase();
+  if (!ANALYSIS_CONFIG.AIRDROP_FORMULAS.includes(formula)) {
+    throw new Error(`formula must be one of ${ANALYSIS_CONFIG.AIRDROP_FORMULAS.join(', ')}`);
+  }
+
+  const basis = spec.basis?.toString().trim().toLowerCase() || 'usd';
+  if (!ANALYSIS_CONFIG.AIRDROP_BASES.includes(basis)) {
+    throw new Error(`basis must be one of ${ANALYSIS_CONFIG.AIRDROP_BASES.join(', ')}`);
+  }
+
+  const tokenKey = spec.token ? resolveTargetTokenKey(spec.token, targetTokens, network, crossChain) : null;
+  if (basis === 'balance' && !tokenKey) {
+    throw new Error('a balance basis needs the token to measure');
+  }
+
+  const tiers = formula === 'tiered' ? compileTiers(spec.tiers) : null;
+
+  return {
+    total: readAmount(spec.total, decimals, 'total'),
+    decimals,
+    formula,
+    basis,
+    token: spec.token ? spec.token.toString().trim() : null,
+    tokenKey,
+    qualify: spec.qualify?.toString().trim() || 'any',
+    minValue: spec.minValue === undefined || spec.minValue === null ? null : readNumber(spec.minValue, 'minValue'),
+    tiers,
+    cap: formula === 'capped' ? readAmount(spec.cap, decimals, 'cap') : null
+  };
+}
+
+// Tiers sorted by threshold, highest first - a wallet takes the weight of the highest tier it reaches
+function compileTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > VALIDATION.MAX_AIRDROP_TIERS) {
+    throw new Error(`a tiered allocation needs 1 to ${VALIDATION.MAX_AIRDROP_TIERS} tiers ({ min, weight })`);
+  }
+
+  return tiers
+    .map((tier, index) => ({
+      min: readNumber(tier?.min ?? 0, `tier ${index + 1}: min`),
+      weight: readNumber(tier?.weight, `tier ${index + 1}: weight`, { positive: true })
+    }))
+    .sort((a, b) => b.min - a.min);
+}
+
+/**
+ * Wallet results eligible for the allocation: 'any' (holds a target token), 'all' (holds every
+ * target token) or a rule bucket by ID or name; failed wallets never qualify
+ */
+function getQualifyingWallets(results, qualify) {
+  let wallets;
+
+  if (qualify === 'any') {
+    wallets = [...results.allTokens, ...results.someTokens];
+  } else if (qualify === 'all') {
+    wallets = results.allTokens;
+  } else {
+    const bucket = (results.ruleBuckets || []).find(candidate =>
+      candidate.id === qualify || candidate.name.toLowerCase() === qualify.toLowerCase());
+    if (!bucket) {
+      const buckets = (results.ruleBuckets || []).map(candidate => `'${candidate.name}'`);
+      throw new Error(`qualify must be 'any', 'all'${buckets.length > 0 ? ` or a rule bucket (${buckets.join(', ')})` : ''}`);
+    }
+    wallets = bucket.wallets;
+  }
+
+  return wallets.filter(wallet => !wallet.error);
+}
+
+/**
+ * Basis value of a wallet - { value, weight } with value for display and thresholds,
+ * weight as an integer (raw balance, or USD / score at WEIGHT_SCALE)
+ */
+function getBasisValue(wallet, compiled, network) {
+  if (compiled.basis === 'score') {
+    const score = wallet.score?.score || 0;
+    return { value: score, weight: BigInt(Math.round(score * WEIGHT_SCALE)) };
+  }
+
+  const token = compiled.tokenKey
+    ? wallet.foundTokens.find(found => getTokenKey(found.network || network, found.address) === compiled.tokenKey)
+    : null;
+
+  if (compiled.basis === 'balance') {
+    return token
+      ? { value: Number(token.balance), weight: toBigInt(token.rawBalance) }
+      : { value: 0, weight: 0n };
+  }
+
+  const usd = compiled.tokenKey ? (token?.usdValue || 0) : (wallet.totalUsdValue || 0);
+  return { value: usd, weight: BigInt(Math.round(usd * WEIGHT_SCALE)) };
+}
+
+/**
+ * Split total by integer weights - floor shares, then one base unit each to the largest remainders
+ * (earlier wallets first on ties), so the shares add up to total exactly
+ */
+function distribute(total, weights) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0n);
+  if (sum === 0n) return weights.map(() => 0n);
+
+  const shares = weights.map(weight => (total * weight) / sum);
+  let dust = total - shares.reduce((acc, share) => acc + share, 0n);
+
+  const byRemainder = weights
+    .map((weight, index) => ({ index, remainder: (total * weight) % sum }))
+    .filter(entry => entry.remainder > 0n)
+    .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.index - b.index));
+
+  for (const { index } of byRemainder) {
+    if (dust === 0n) break;
+    shares[index]++;
+    dust--;
+  }
+
+  return shares;
+}
+
+/**
+ * Pro-rata split with a per-wallet cap - capped wallets' excess is shared again among the wallets
+ * below the cap until none goes over; anything left once every wallet is capped stays unallocated
+ */
+function distributeCapped(total, weights, cap) {
+  const amounts = weights.map(() => 0n);
+  let open = weights.map((weight, index) => index).filter(index => weights[index] > 0n);
+  let remaining = total;
+
+  while (open.length > 0 && remaining > 0n) {
+    const shares = distribute(remaining, open.map(index => weights[index]));
+    const capped = new Set(open.filter((index, position) => shares[position] >= cap));
+
+    if (capped.size === 0) {
+      open.forEach((index, position) => { amounts[index] = shares[position]; });
+      remaining = 0n;
+      break;
+    }
+
+    capped.forEach(index => { amounts[index] = cap; });
+    remaining -= cap * BigInt(capped.size);
+    open = open.filter(index => !capped.has(index));
+  }
+
+  return { amounts, unallocated: remaining };
+}
+
+/**
+ * Allocate over an analysis job's categorized results (see compileAllocation)
+ * Returns the summary, allocations (largest first) and the merkle-distributor JSON ({ merkleRoot,
+ * tokenTotal, claims }); throws when no qualifying wallet has anything to weigh
+ */
+function allocateAirdrop(results, compiled, network) {
+  if (compiled.basis === 'score' && compiled.formula !== 'flat' && !results.leaderboard) {
+    throw new Error('a score basis needs an analysis run with scoring');
+  }
+
+  const candidates = getQualifyingWallets(results, compiled.qualify).map(wallet => {
+    const { value, weight } = getBasisValue(wallet, compiled, network);
+    const tierIndex = compiled.tiers ? compiled.tiers.findIndex(tier => value >= tier.min) : null;
+    return { wallet, value, weight, tierIndex };
+  });
+
+  const qualifying = candidates.filter(candidate =>
+    (compiled.minValue === null || candidate.value >= compiled.minValue) && candidate.tierIndex !== -1);
+
+  const weights = qualifying.map(candidate => {
+    if (compiled.formula === 'flat') return 1n;
+    if (compiled.formula === 'tiered') return BigInt(Math.round(compiled.tiers[candidate.tierIndex].weight * WEIGHT_SCALE));
+    return candidate.weight;
+  });
+
+  if (!weights.some(weight => weight > 0n)) {
+    throw new Error(`no qualifying wallet${compiled.formula === 'flat' ? '' : ` has a positive ${compiled.basis} basis`}`);
+  }
+
+  const { amounts, unallocated } = compiled.formula === 'capped'
+    ? distributeCapped(compiled.total, weights, compiled.cap)
+    : { amounts: distribute(compiled.total, weights), unallocated: 0n };
+
+  const allocations = qualifying
+    .map((candidate, index) => ({ ...candidate, amount: amounts[index] }))
+    .filter(entry => entry.amount > 0n)
+    .sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0))
+    .map(({ wallet, value, tierIndex, amount }) => ({
+      walletAddress: wallet.walletAddress,
+      primaryName: wallet.primaryName || null,
+      value,
+      tier: compiled.tiers ? compiled.tiers[tierIndex] : null,
+      amount: formatUnits(amount, compiled.decimals),
+      amountFormatted: formatDisplayAmount(amount, compiled.decimals),
+      amountRaw: amount.toString(),
+      share: Number((amount * 1000000n) / compiled.total) / 10000,
+      capped: compiled.cap !== null && amount === compiled.cap
+    }));
+
+  const allocated = compiled.total - unallocated;
+
+  return {
+    formula: compiled.formula,
+    basis: compiled.basis,
+    token: compiled.token,
+    qualify: compiled.qualify,
+    decimals: compiled.decimals,
+    total: formatUnits(compiled.total, compiled.decimals),
+    totalRaw: compiled.total.toString(),
+    allocated: formatUnits(allocated, compiled.decimals),
+    unallocated: formatUnits(unallocated, compiled.decimals),
+    cap: compiled.cap === null ? null : formatUnits(compiled.cap, compiled.decimals),
+    tiers: compiled.tiers,
+    walletsQualified: qualifying.length,
+    walletsAllocated: allocations.length,
+    allocations,
+    merkle: buildMerkleDistribution(allocations.map(entry => ({ account: entry.walletAddress, amount: BigInt(entry.amountRaw) })))
+  };
+}
+
+module.exports = {
+  compileAllocation,
+  allocateAirdrop
+};
@@ -0,0 +1,240 @@
+/**
+ * Allowance Audit
+ * Lists a wallet's open ERC-20 approvals from its Approval events and current allowance() values,
+ * flags unlimited approvals and risky spenders (unverified contracts, plain wallets) and values the
+ * exposure - what spenders could move today, capped at the wallet's balance - at DexScreener prices
+ */
+
+const {
+  API_CONFIG,
+  ANALYSIS_CONFIG,
+  ALLOWANCE_RISKS,
+  WALLET_TYPES,
+  isNftStandard,
+  getNetworkConfig
+} = require('../config/constants');
+const { sleep } = require('../utils/helpers');
+const { formatUnits, formatDisplayAmount, toBigInt } = require('../utils/fixedPoint');
+const { logDebug, logWarn, PerformanceTimer } = require('../utils/debugger');
+const blockchainService = require('./etherscan');
+const dexScreenerService = require('./dexscreener');
+const walletClassifier = require('./walletClassifier');
+
+/**
+ * Spender details: wallet type (see walletClassifier), bundled label and explorer verification
+ * Returns Map of lowercase spender -> { type, label, verified, name }
+ * verified is null when unknown (no explorer, lookup failed, or not a plain contract)
+ */
+async function describeSpenders(spenders, networkId, signal = null) {
+  const networkConfig = getNetworkConfig(networkId);
+  const delayMultiplier = ANALYSIS_CONFIG.NETWORK_DELAYS[networkId] || 1.0;
+  const classifications = await walletClassifier.classifyWallets(spenders, networkId, signal);
+  const spenderInfo = new Map();
+
+  for (const spender of spenders) {
+    const classification = classifications.get(spender);
+    const info = { type: classification?.type || null, label: classification?.label || null, verified: null, name: null };
+    spenderInfo.set(spender, info);
+
+    // Only unlabeled contracts are checked - Safes and smart accounts run audited code
+    if (info.type !== WALLET_TYPES.CONTRACT) continue;
+
+    try {
+      const verification = await blockchainService.getContractVerification(spender, networkId, signal);
+      info.verified = verification ? verification.verified : null;
+      info.name = verification?.name || null;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      logWarn(`Spender verification lookup failed on ${networkConfig.name}`, {
+        spender: spender.substring(0, 10) + '...',
+        error: error.message
+      });
+    }
+
+    await sleep(Math.round(API_CONFIG.RATE_LIMITS.ETHERSCAN_DELAY * delayMultiplier), signal);
+  }
+
+  return spenderInfo;
+}
+
+/**
+ * Risk flags for an open approval (see ALLOWANCE_RISKS)
+ */
+function getApprovalRisks(unlimited, spender) {
+  const risks = [];
+
+  if (unlimited) risks.push(ALLOWANCE_RISKS.UNLIMITED);
+  if (spender.type === WALLET_TYPES.EOA) risks.push(ALLOWANCE_RISKS.EOA_SPENDER);
+  if (spender.verified === false) risks.push(ALLOWANCE_RISKS.UNVERIFIED_SPENDER);
+
+  return risks;
+}
+
+/**
+ * Audit one wallet's ERC-20 approvals on a network
+ * options.tokens limits the audit to these token contracts (lowercase), all tokens otherwise
+ * A token's balance can only be drained once, so wallet exposure counts each token at its
+ * largest open allowance (capped at the balance), not the sum over spenders
+ * Returns { walletAddress, network, approvals, approvalEvents, revokedApprovals, truncated,
+ *   exposureUsd, exposureUsdFormatted, unlimitedApprovals, riskyApprovals }
+ */
+async function auditWalletAllowances(walletAddress, networkId = 'ethereum', options = {}) {
+  const { tokens = null, signal = null } = options;
+  const networkConfig = getNetworkConfig(networkId);
+  const timer = new PerformanceTimer(`Allowance audit-${networkConfig.name}`);
+  const wallet = walletAddress.toLowerCase();
+  const tokenFilter = tokens ? new Set(tokens.map(token => token.toLowerCase())) : null;
+
+  const { logs, truncated } = await blockchainService.getApprovalLogs(wallet, networkId, signal);
+
+  // Latest event per token / spender pair - the current allowance is read from the token anyway
+  const pairs = new Map();
+  logs
+    .filter(log => !tokenFilter || tokenFilter.has(log.token))
+    .forEach(log => pairs.set(`${log.token}:${log.spender}`, log));
+
+  const candidates = [...pairs.values()];
+  const allowances = await blockchainService.getAllowances(wallet, candidates, networkId, signal);
+  const open = [];
+  let revokedApprovals = 0;
+
+  candidates.forEach((log, index) => {
+    const allowance = toBigInt(allowances[index]);
+    if (allowance > 0n) {
+      open.push({ ...log, allowance });
+    } else if (allowances[index] !== null) {
+      revokedApprovals++;
+    }
+  });
+
+  const audit = {
+    walletAddress: wallet,
+    network: networkId,
+    approvals: [],
+    approvalEvents: logs.length,
+    revokedApprovals,
+    truncated,
+    exposureUsd: 0,
+    exposureUsdFormatted: dexScreenerService.formatUsdValue(0),
+    unlimitedApprovals: 0,
+    riskyApprovals: 0
+  };
+
+  if (open.length === 0) {
+    timer.end();
+    return audit;
+  }
+
+  const tokenAddresses = [...new Set(open.map(approval => approval.token))];
+  const tokenInfos = await blockchainService.getMultipleTokenInfo(tokenAddresses, networkId, true, { signal });
+  const balances = await blockchainService.getMultipleTokenBalances(wallet, tokenAddresses, networkId, { signal });
+  const spenders = await describeSpenders([...new Set(open.map(approval => approval.spender))], networkId, signal);
+  const tokenExposure = new Map();
+
+  open.forEach(approval => {
+    const index = tokenAddresses.indexOf(approval.token);
+    const tokenInfo = tokenInfos[index];
+
+    // Same event signature as ERC-721 approvals from contracts that do not index the token ID
+    if (isNftStandard(tokenInfo?.standard)) return;
+
+    const decimals = tokenInfo?.decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS;
+    const balance = toBigInt(balances[index]?.rawBalance);
+    const exposure = approval.allowance < balance ? approval.allowance : balance;
+    const unlimited = approval.allowance >= ANALYSIS_CONFIG.UNLIMITED_ALLOWANCE_THRESHOLD;
+    const exposureUsd = dexScreenerService.calculateUsdValue(formatUnits(exposure, decimals), tokenInfo?.priceUsd);
+    const spender = spenders.get(approval.spender);
+    const risks = getApprovalRisks(unlimited, spender);
+
+    audit.approvals.push({
+      token: {
+        address: approval.token,
+        symbol: tokenInfo?.symbol || null,
+        name: tokenInfo?.name || null,
+        decimals,
+        priceUsd: tokenInfo?.priceUsd ?? null
+      },
+      spender: { address: approval.spender, ...spender },
+      network: networkId,
+      allowance: approval.allowance.toString(),
+      allowanceFormatted: unlimited ? 'Unlimited' : formatDisplayAmount(approval.allowance, decimals),
+      unlimited,
+      balance: balance.toString(),
+      balanceFormatted: formatDisplayAmount(balance, decimals),
+      exposure: exposure.toString(),
+      exposureFormatted: formatDisplayAmount(exposure, decimals),
+      exposureUsd,
+      exposureUsdFormatted: dexScreenerService.formatUsdValue(exposureUsd),
+      risks,
+      blockNumber: approval.blockNumber,
+      transactionHash: approval.transactionHash
+    });
+
+    tokenExposure.set(approval.token, Math.max(tokenExposure.get(approval.token) || 0, exposureUsd));
+    if (unlimited) audit.unlimitedApprovals++;
+    if (risks.some(risk => risk !== ALLOWANCE_RISKS.UNLIMITED)) audit.riskyApprovals++;
+  });
+
+  audit.approvals.sort((a, b) => b.exposureUsd - a.exposureUsd || b.risks.length - a.risks.length);
+  audit.exposureUsd = [...tokenExposure.values()].reduce((sum, value) => sum + value, 0);
+  audit.exposureUsdFormatted = dexScreenerService.formatUsdValue(audit.exposureUsd);
+
+  timer.end();
+  logDebug(`Allowance audit on ${networkConfig.name}`, {
+    walletAddress: wallet.substring(0, 10) + '...',
+    approvalEvents: logs.length,
+    openApprovals: audit.approvals.length,
+    revokedApprovals,
+    unlimited: audit.unlimitedApprovals,
+    exposureUsd: audit.exposureUsd
+  });
+
+  return audit;
+}
+
+/**
+ * One audit of a wallet from its audits on several networks (cross-chain analysis)
+ */
+function mergeAllowanceAudits(audits) {
+  const exposureUsd = audits.reduce((sum, audit) => sum + audit.exposureUsd, 0);
+
+  return {
+    walletAddress: audits[0].walletAddress,
+    networks: audits.map(audit => audit.network),
+    approvals: audits
+      .flatMap(audit => audit.approvals)
+      .sort((a, b) => b.exposureUsd - a.exposureUsd || b.risks.length - a.risks.length),
+    approvalEvents: audits.reduce((sum, audit) => sum + audit.approvalEvents, 0),
+    revokedApprovals: audits.reduce((sum, audit) => sum + audit.revokedApprovals, 0),
+    truncated: audits.some(audit => audit.truncated),
+    exposureUsd,
+    exposureUsdFormatted: dexScreenerService.formatUsdValue(exposureUsd),
+    unlimitedApprovals: audits.reduce((sum, audit) => sum + audit.unlimitedApprovals, 0),
+    riskyApprovals: audits.reduce((sum, audit) => sum + audit.riskyApprovals, 0)
+  };
+}
+
+/**
+ * Totals over wallet audits (failed audits carry an error and count as failed)
+ */
+function summarizeAllowanceAudits(audits) {
+  const completed = audits.filter(audit => audit && !audit.error);
+  const exposureUsd = completed.reduce((sum, audit) => sum + audit.exposureUsd, 0);
+
+  return {
+    walletsAudited: completed.length,
+    walletsWithOpenApprovals: completed.filter(audit => audit.approvals.length > 0).length,
+    openApprovals: completed.reduce((sum, audit) => sum + audit.approvals.length, 0),
+    unlimitedApprovals: completed.reduce((sum, audit) => sum + audit.unlimitedApprovals, 0),
+    riskyApprovals: completed.reduce((sum, audit) => sum + audit.riskyApprovals, 0),
+    exposureUsd,
+    exposureUsdFormatted: dexScreenerService.formatUsdValue(exposureUsd),
+    failed: audits.length - completed.length
+  };
+}
+
+module.exports = {
+  auditWalletAllowances,
+  mergeAllowanceAudits,
+  summarizeAllowanceAudits
+};
@@ -1,19 +1,13 @@
 /**
  * DexScreener API Service - NAPRAWIONA WERSJA
  * Professional service for fetching real-time token prices and market data
- * Supports multiple blockchain networks including Ethereum and Base
+ * Supports every network in the chain registry via its dexScreenerSlug
  */
 
 const { getNetworkConfig, isNetworkSupported, API_CONFIG } = require('../config/constants');
 const { logDebug, logError, PerformanceTimer } = require('../utils/debugger');
-
-/**
- * Network mapping for DexScreener API - POPRAWIONE
- */
-const DEXSCREENER_NETWORK_MAP = {
-  'ethereum': 'ethereum',
-  'base': 'base'
-};
+const { sleep } = require('../utils/helpers');
+const { multiplyDecimals } = require('../utils/fixedPoint');
 
 /**
  * Backup price sources - NOWE
@@ -25,19 +19,18 @@ const BACKUP_PRICE_SOURCES = [
 
 /**
  * Make API call to DexScreener with improved error handling - POPRAWIONE
+ * Optional AbortSignal cancels the in-flight request
  */
-async function makeDexScreenerApiCall(url, operation) {
+async function makeDexScreenerApiCall(url, operation, signal = null) {
   const timer = new PerformanceTimer(`DexScreener API: ${operation}`);
   
   try {
     logDebug(`Making DexScreener API call`, { url, operation });
     
-    // NOWE: Dodane AbortController dla timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 15000); // 15s timeout
-    
+    // 15s timeout, combined with the caller's signal without leaving listeners on it
+    const timeoutSignal = AbortSignal.timeout(15000);
     const response = await fetch(url, {
-      signal: controller.signal,
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
       headers: {
         'Accept': 'application/json',
         'User-Agent': 'Wallet-Analyzer/2.2.0',
@@ -45,8 +38,6 @@ async function makeDexScreenerApiCall(url, operation) {
       }
     });
     
-    clearTimeout(timeoutId);
-    
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
@@ -66,7 +57,7 @@ async function makeDexScreenerApiCall(url, operation) {
     logError(`DexScreener API call failed: ${operation}`, error);
     
     // NOWE: Szczegółowe logowanie błędów
-    if (error.name === 'AbortError') {
+    if (error.name === 'TimeoutError') {
       logError('DexScreener API timeout', { operation, url });
     } else if (error.message.includes('CORS')) {
       logError('DexScreener CORS error', { operation, url });
@@ -79,11 +70,25 @@ async function makeDexScreenerApiCall(url, operation) {
 /**
  * Get token price from DexScreener - POPRAWIONA WERSJA
  */
-async function getTokenPrice(tokenAddress, networkId = 'ethereum') {
+async function getTokenPrice(tokenAddress, networkId = 'ethereum', signal = null) {
   if (!isNetworkSupported(networkId)) {
     throw new Error(`Unsupported network: ${networkId}`);
   }
-  
+
+  // Chains without DEX listings (e.g. local dev chains) have no price source
+  if (!getDexScreenerNetworkId(networkId)) {
+    return {
+      address: tokenAddress,
+      network: networkId,
+      networkName: getNetworkConfig(networkId).name,
+      priceUsd: null,
+      priceChange24h: null,
+      volume24h: null,
+      source: 'dexscreener',
+      error: 'Pricing not available on this network'
+    };
+  }
+
   try {
     const dexScreenerNetwork = getDexScreenerNetworkId(networkId);
     const networkConfig = getNetworkConfig(networkId);
@@ -93,7 +98,7 @@ async function getTokenPrice(tokenAddress, networkId = 'ethereum') {
     
     logDebug(`Fetching price for token ${tokenAddress} on ${networkConfig.name}`, { url });
     
-    const data = await makeDexScreenerApiCall(url, `token-price-${tokenAddress.substring(0, 8)}`);
+    const data = await makeDexScreenerApiCall(url, `token-price-${tokenAddress.substring(0, 8)}`, signal);
     
     // POPRAWIONE: Lepsze parsowanie odpowiedzi DexScreener
     if (!data.pairs || data.pairs.length === 0) {
@@ -104,12 +109,7 @@ async function getTokenPrice(tokenAddress, networkId = 'ethereum') {
     }
     
     // Filtruj pary dla odpowiedniej sieci
-    const networkPairs = data.pairs.filter(pair => {
-      const chainId = pair.chainId;
-      if (networkId === 'ethereum' && chainId === 'ethereum') return true;
-      if (networkId === 'base' && chainId === 'base') return true;
-      return false;
-    });
+    const networkPairs = data.pairs.filter(pair => pair.chainId === dexScreenerNetwork);
     
     if (networkPairs.length === 0) {
       logDebug(`No pairs found for network ${networkConfig.name}`);
@@ -159,6 +159,9 @@ async function getTokenPrice(tokenAddress, networkId = 'ethereum') {
     
     // NOWE: Fallback do backup API
     try {
+      if (signal?.aborted) {
+        throw new Error('Price fetch cancelled');
+      }
       return await getTokenPriceFromBackup(tokenAddress, networkId);
     } catch (backupError) {
       logError(`All price sources failed for token ${tokenAddress}`, backupError);
@@ -239,16 +242,18 @@ async function getTokenPriceFromBackup(tokenAddress, networkId) {
 }
 
 /**
- * Get DexScreener network identifier - POPRAWIONE
+ * Get DexScreener network identifier from the chain registry
  */
 function getDexScreenerNetworkId(networkId) {
-  return DEXSCREENER_NETWORK_MAP[networkId] || 'ethereum';
+  return getNetworkConfig(networkId).dexScreenerSlug;
 }
 
 /**
  * Get multiple token prices - POPRAWIONA WERSJA
+ * options.onPrice(priceData) is called as soon as each price is known
+ * options.signal stops fetching further prices once aborted
  */
-async function getMultipleTokenPrices(tokenAddresses, networkId = 'ethereum') {
+async function getMultipleTokenPrices(tokenAddresses, networkId = 'ethereum', options = {}) {
   if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
     return [];
   }
@@ -272,15 +277,15 @@ async function getMultipleTokenPrices(tokenAddresses, networkId = 'ethereum') {
     for (let i = 0; i < tokenAddresses.length; i++) {
       const tokenAddress = tokenAddresses[i];
       
+      if (options.signal?.aborted) {
+        logDebug(`Price fetching cancelled on ${networkConfig.name}`, { fetched: i, total: tokenAddresses.length });
+        break;
+      }
+      
       try {
-        const priceData = await getTokenPrice(tokenAddress, networkId);
+        const priceData = await getTokenPrice(tokenAddress, networkId, options.signal);
         results.push(priceData);
         
-        // Rate limiting between calls
-        if (i < tokenAddresses.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
-        }
-        
       } catch (error) {
         logError(`Failed to get price for token ${tokenAddress}`, error);
         results.push({
@@ -294,6 +299,15 @@ async function getMultipleTokenPrices(tokenAddresses, networkId = 'ethereum') {
           error: error.message
         });
       }
+      
+      if (options.onPrice) {
+        options.onPrice(results[results.length - 1]);
+      }
+      
+      // Rate limiting between calls
+      if (i < tokenAddresses.length - 1) {
+        await sleep(1000, options.signal); // 1 second delay
+      }
     }
     
     timer.end();
@@ -322,16 +336,8 @@ function calculateUsdValue(balance, priceUsd) {
   if (!balance || !priceUsd || priceUsd === 0) return 0;
   
   try {
-    // Usuń przecinki i konwertuj na liczby
-    const balanceFloat = parseFloat(balance.toString().replace(/,/g, ''));
-    const priceFloat = parseFloat(priceUsd);
-    
-    if (isNaN(balanceFloat) || isNaN(priceFloat)) {
-      logDebug(`Invalid numbers for USD calculation`, { balance, priceUsd });
-      return 0;
-    }
-    
-    const usdValue = balanceFloat * priceFloat;
+    // Exact fixed-point product - balances can exceed float precision
+    const usdValue = Number(multiplyDecimals(balance, priceUsd));
     
     // Sprawdź czy wynik jest sensowny
     if (!isFinite(usdValue) || usdValue < 0) {
@@ -341,7 +347,7 @@ function calculateUsdValue(balance, priceUsd) {
     
     return usdValue;
   } catch (error) {
-    logError(`Error calculating USD value`, error, { balance, priceUsd });
+    logDebug(`Invalid numbers for USD calculation`, { balance, priceUsd, error: error.message });
     return 0;
   }
 }
@@ -376,11 +382,21 @@ function formatUsdValue(usdValue) {
   }
 }
 
+/**
+ * Format a USD change with its sign (e.g. '+$1.20K', '-$35.00')
+ */
+function formatUsdDelta(usdDelta) {
+  if (!usdDelta || !isFinite(usdDelta)) return '$0.00';
+  
+  return `${usdDelta < 0 ? '-' : '+'}${formatUsdValue(usdDelta)}`;
+}
+
 module.exports = {
   getTokenPrice,
   getMultipleTokenPrices,
   calculateUsdValue,
   formatUsdValue,
+  formatUsdDelta,
   getDexScreenerNetworkId,
   getTokenPriceFromBackup // NOWE
 };
@@ -2,25 +2,58 @@
  * Multi-Chain Blockchain API Service
  * Professional service for interacting with multiple blockchain networks
  * Supports Ethereum (Etherscan) and Base (Basescan) APIs
+ * Native currency is addressed as NATIVE_TOKEN_ADDRESS alongside ERC-20 tokens
+ * Balances and contract calls use the network's JSON-RPC node when configured (see services/provider.js)
+ * Batched reads go through Multicall3 aggregate3 where the chain has it deployed
  */
 
 const { 
   getNetworkConfig, 
   getTokenDatabase, 
   isNetworkSupported,
+  isNativeToken,
+  isNftStandard,
   CONTRACT_FUNCTIONS, 
+  EVENT_TOPICS,
+  INTERFACE_IDS,
+  TOKEN_STANDARDS,
+  PROXY_PATTERNS,
+  PROXY_TYPES,
   ANALYSIS_CONFIG, 
   API_CONFIG,
   VALIDATION 
 } = require('../config/constants');
-const { weiToTokens, retryWithBackoff, isValidEthereumAddress } = require('../utils/helpers');
+const { weiToTokens, retryWithBackoff, isValidEthereumAddress, normalizeTokenTarget, parseTokenTarget, sleep, hexToString } = require('../utils/helpers');
+const { formatDisplayAmount, isAboveThreshold, toBigInt } = require('../utils/fixedPoint');
+const {
+  encodeAddress,
+  encodeAddressCall,
+  encodeAddressUintCall,
+  encodeAddressPairCall,
+  encodeInterfaceCall,
+  decodeUint,
+  decodeBool,
+  encodeAggregate3,
+  decodeAggregate3
+} = require('../utils/abi');
 const { logDebug, logError, PerformanceTimer } = require('../utils/debugger');
 const dexScreenerService = require('./dexscreener');
+const providerService = require('./provider');
+
+// Contract metadata (name/symbol/decimals) by 'network:address' - immutable, so fetched once
+const contractMetadataCache = new Map();
+
+// Token standard ({ standard, enumerable }) by 'network:address' - detected once via ERC-165
+const tokenStandardCache = new Map();
+
+// Explorer source verification ({ verified, name }) by 'network:address'
+const contractVerificationCache = new Map();
 
 /**
  * Base API call function with retry logic for any network
+ * Optional AbortSignal cancels the in-flight request and any pending retries
  */
-async function makeApiCall(url, operation, networkId = 'ethereum') {
+async function makeApiCall(url, operation, networkId = 'ethereum', signal = null) {
   const networkConfig = getNetworkConfig(networkId);
   const timer = new PerformanceTimer(`${networkConfig.name} API: ${operation}`);
   
@@ -29,6 +62,7 @@ async function makeApiCall(url, operation, networkId = 'ethereum') {
       logDebug(`Making API call to ${networkConfig.name}`, { url, operation });
       
       const res = await fetch(url, {
+        signal,
         timeout: ANALYSIS_CONFIG.TIMEOUT_MS,
         headers: {
           'Accept': 'application/json',
@@ -74,15 +108,61 @@ async function makeApiCall(url, operation, networkId = 'ethereum') {
   }
 }
 
+/**
+ * Raw token balance via balanceOf eth_call on the network's node
+ */
+async function getRpcTokenBalance(walletAddress, tokenAddress, networkId, signal, blockTag = 'latest') {
+  const result = await providerService.ethCall(
+    tokenAddress, encodeAddressCall(CONTRACT_FUNCTIONS.BALANCE_OF, walletAddress), networkId, signal, blockTag
+  );
+  
+  // Non-contract addresses return empty data - same as the explorer's zero balance
+  return decodeUint(result);
+}
+
+/**
+ * Raw token balance from the explorer API, null when the API reports no result
+ * tokenbalance only serves the latest block, historical balances use balanceOf via the proxy
+ */
+async function getExplorerTokenBalance(walletAddress, tokenAddress, networkId, signal, blockTag = 'latest') {
+  if (blockTag !== 'latest') {
+    const result = await explorerEthCall(
+      tokenAddress, encodeAddressCall(CONTRACT_FUNCTIONS.BALANCE_OF, walletAddress), networkId, signal, blockTag
+    );
+    return decodeUint(result);
+  }
+  
+  const networkConfig = getNetworkConfig(networkId);
+  const url = `${networkConfig.apiUrl}?module=account&action=tokenbalance&contractaddress=${tokenAddress}&address=${walletAddress}&tag=latest&apikey=${networkConfig.apiKey}`;
+  
+  const data = await makeApiCall(url, `tokenbalance-${tokenAddress.substring(0, 8)}`, networkId, signal);
+  
+  if (data.status !== '1') {
+    logDebug(`Token balance check returned non-success status on ${networkConfig.name}`, {
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      tokenAddress: tokenAddress.substring(0, 10) + '...',
+      status: data.status,
+      message: data.message,
+      network: networkConfig.name
+    });
+    return null;
+  }
+  
+  return data.result || '0';
+}
+
 /**
  * Get token balance for a wallet on specified network
+ * blockTag ('latest' or hex block number) reads the balance as of that block
+ * NFT collections are read with balanceOf on the contract: a token count for ERC-721,
+ * the balance of the given token ID for ERC-1155 targets ('0x...#id')
  */
-async function getTokenBalance(walletAddress, tokenAddress, networkId = 'ethereum', decimals = null) {
+async function getTokenBalance(walletAddress, tokenAddress, networkId = 'ethereum', decimals = null, signal = null, blockTag = 'latest') {
   if (!isValidEthereumAddress(walletAddress)) {
     throw new Error('Invalid wallet address');
   }
   
-  if (!isValidEthereumAddress(tokenAddress)) {
+  if (!normalizeTokenTarget(tokenAddress)) {
     throw new Error('Invalid token address');
   }
 
@@ -90,29 +170,45 @@ async function getTokenBalance(walletAddress, tokenAddress, networkId = 'ethereu
     throw new Error(`Unsupported network: ${networkId}`);
   }
   
+  if (isNativeToken(tokenAddress)) {
+    return getNativeBalance(walletAddress, networkId, signal, blockTag);
+  }
+  
   try {
     const networkConfig = getNetworkConfig(networkId);
-    const url = `${networkConfig.apiUrl}?module=account&action=tokenbalance&contractaddress=${tokenAddress}&address=${walletAddress}&tag=latest&apikey=${networkConfig.apiKey}`;
+    const target = parseTokenTarget(tokenAddress.toLowerCase());
+    const { standard } = await getTokenStandard(target.address, networkId, signal);
+    const standardError = getTargetStandardError(target.tokenId, standard);
     
-    const data = await makeApiCall(url, `tokenbalance-${tokenAddress.substring(0, 8)}`, networkId);
+    if (standardError) {
+      throw new Error(standardError);
+    }
     
-    if (data.status !== '1') {
-      logDebug(`Token balance check returned non-success status on ${networkConfig.name}`, {
-        walletAddress: walletAddress.substring(0, 10) + '...',
-        tokenAddress: tokenAddress.substring(0, 10) + '...',
-        status: data.status,
-        message: data.message,
-        network: networkConfig.name
-      });
+    const details = describeTarget(tokenAddress.toLowerCase(), standard);
+    const rawBalance = isNftStandard(standard)
+      ? decodeUint(await executeEthCall(target.address, encodeBalanceCall(walletAddress, target), networkId, signal, blockTag))
+      : await providerService.withExplorerFallback(
+        networkId,
+        `balanceOf-${tokenAddress.substring(0, 8)}`,
+        () => getRpcTokenBalance(walletAddress, tokenAddress, networkId, signal, blockTag),
+        () => getExplorerTokenBalance(walletAddress, tokenAddress, networkId, signal, blockTag)
+      );
+    
+    if (rawBalance === null) {
       return {
         balance: '0',
+        balanceFormatted: '0',
         hasBalance: false,
         rawBalance: '0',
+        ...details,
         network: networkId
       };
     }
     
-    const rawBalance = data.result || '0';
+    // NFT balances are whole tokens
+    if (isNftStandard(standard)) {
+      decimals = 0;
+    }
     
     // Auto-detect decimals if not provided
     if (decimals === null) {
@@ -131,8 +227,10 @@ async function getTokenBalance(walletAddress, tokenAddress, networkId = 'ethereu
       }
     }
     
-    const formattedBalance = weiToTokens(rawBalance, decimals);
-    const hasBalance = parseFloat(formattedBalance) > ANALYSIS_CONFIG.MIN_BALANCE_THRESHOLD;
+    // Exact decimal balance - threshold compared in base units, no float rounding
+    const balance = weiToTokens(rawBalance, decimals);
+    const formattedBalance = formatDisplayAmount(rawBalance, decimals);
+    const hasBalance = isAboveThreshold(rawBalance, decimals, ANALYSIS_CONFIG.MIN_BALANCE_THRESHOLD);
     
     logDebug(`Token balance retrieved from ${networkConfig.name}`, {
       walletAddress: walletAddress.substring(0, 10) + '...',
@@ -145,10 +243,13 @@ async function getTokenBalance(walletAddress, tokenAddress, networkId = 'ethereu
     });
     
     return {
-      balance: formattedBalance,
+      balance,
+      balanceFormatted: formattedBalance,
       hasBalance,
       rawBalance,
       decimals,
+      ...details,
+      ...(standard === TOKEN_STANDARDS.ERC1155 && hasBalance ? { tokenIds: [target.tokenId] } : {}),
       network: networkId
     };
     
@@ -162,9 +263,132 @@ async function getTokenBalance(walletAddress, tokenAddress, networkId = 'ethereu
     
     return {
       balance: '0',
+      balanceFormatted: '0',
+      hasBalance: false,
+      rawBalance: '0',
+      error: error.message,
+      network: networkId
+    };
+  }
+}
+
+/**
+ * Raw native balance from the explorer API, null when the API reports no result
+ * Historical balances are read with Multicall3 getEthBalance through the proxy eth_call - the
+ * explorer's balancehistory endpoint needs API Pro on Etherscan
+ */
+async function getExplorerNativeBalance(walletAddress, networkId, signal, blockTag = 'latest') {
+  const networkConfig = getNetworkConfig(networkId);
+  
+  if (blockTag !== 'latest') {
+    if (!networkConfig.multicallAddress) {
+      throw new Error(`Historical ${networkConfig.nativeCurrency.symbol} balances on ${networkConfig.name} need an RPC endpoint`);
+    }
+    
+    const result = await explorerEthCall(
+      networkConfig.multicallAddress,
+      encodeAddressCall(CONTRACT_FUNCTIONS.GET_ETH_BALANCE, walletAddress),
+      networkId,
+      signal,
+      blockTag
+    );
+    
+    // Empty return data - Multicall3 was not deployed yet at that block
+    if (!result || result === '0x') {
+      throw new Error(`Historical ${networkConfig.nativeCurrency.symbol} balance unavailable at block ${parseInt(blockTag, 16)} on ${networkConfig.name}`);
+    }
+    
+    return decodeUint(result);
+  }
+  
+  const url = `${networkConfig.apiUrl}?module=account&action=balance&address=${walletAddress}&tag=latest&apikey=${networkConfig.apiKey}`;
+  const data = await makeApiCall(url, `balance-${networkConfig.nativeCurrency.symbol}`, networkId, signal);
+  
+  if (data.status !== '1') {
+    logDebug(`Native balance check returned non-success status on ${networkConfig.name}`, {
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      status: data.status,
+      message: data.message,
+      network: networkConfig.name
+    });
+    return null;
+  }
+  
+  return data.result || '0';
+}
+
+/**
+ * Get native currency balance (ETH) for a wallet on specified network
+ */
+async function getNativeBalance(walletAddress, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  if (!isValidEthereumAddress(walletAddress)) {
+    throw new Error('Invalid wallet address');
+  }
+  
+  if (!isNetworkSupported(networkId)) {
+    throw new Error(`Unsupported network: ${networkId}`);
+  }
+  
+  const networkConfig = getNetworkConfig(networkId);
+  const { decimals, symbol } = networkConfig.nativeCurrency;
+  
+  try {
+    const rawBalance = await providerService.withExplorerFallback(
+      networkId,
+      `balance-${symbol}`,
+      () => providerService.getBalance(walletAddress, networkId, signal, blockTag),
+      () => getExplorerNativeBalance(walletAddress, networkId, signal, blockTag)
+    );
+    
+    // Reported as an error, not a zero balance - a missing balance must not read as 'none'
+    if (rawBalance === null) {
+      return {
+        balance: '0',
+        balanceFormatted: '0',
+        hasBalance: false,
+        rawBalance: '0',
+        error: `${symbol} balance unavailable from the ${networkConfig.name} explorer`,
+        decimals,
+        isNative: true,
+        network: networkId
+      };
+    }
+    
+    const balance = weiToTokens(rawBalance, decimals);
+    const formattedBalance = formatDisplayAmount(rawBalance, decimals);
+    const hasBalance = isAboveThreshold(rawBalance, decimals, ANALYSIS_CONFIG.MIN_BALANCE_THRESHOLD);
+    
+    logDebug(`Native ${symbol} balance retrieved from ${networkConfig.name}`, {
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      rawBalance,
+      formattedBalance,
+      hasBalance,
+      network: networkConfig.name
+    });
+    
+    return {
+      balance,
+      balanceFormatted: formattedBalance,
+      hasBalance,
+      rawBalance,
+      decimals,
+      isNative: true,
+      network: networkId
+    };
+    
+  } catch (error) {
+    logError(`Failed to get native ${symbol} balance from ${networkConfig.name}`, error, {
+      walletAddress: walletAddress.substring(0, 10) + '...',
+      network: networkConfig.name
+    });
+    
+    return {
+      balance: '0',
+      balanceFormatted: '0',
       hasBalance: false,
       rawBalance: '0',
       error: error.message,
+      isNative: true,
       network: networkId
     };
   }
@@ -172,8 +396,12 @@ async function getTokenBalance(walletAddress, tokenAddress, networkId = 'ethereu
 
 /**
  * Get multiple token balances for a wallet with rate limiting on specified network
+ * Uses a single Multicall3 batch when available, otherwise one call per token
+ * options.onBalance(result) is called as soon as each token balance is known
+ * options.signal stops checking further tokens once aborted
+ * options.blockTag reads balances as of a past block
  */
-async function getMultipleTokenBalances(walletAddress, tokenAddresses, networkId = 'ethereum') {
+async function getMultipleTokenBalances(walletAddress, tokenAddresses, networkId = 'ethereum', options = {}) {
   if (!isValidEthereumAddress(walletAddress)) {
     throw new Error('Invalid wallet address');
   }
@@ -196,15 +424,49 @@ async function getMultipleTokenBalances(walletAddress, tokenAddresses, networkId
       tokenCount: tokenAddresses.length,
       network: networkConfig.name
     });
+    
+    if (supportsMulticall(networkId) && tokenAddresses.every(target => normalizeTokenTarget(target))) {
+      try {
+        const batched = await getBatchTokenBalances([walletAddress], tokenAddresses, networkId, options);
+        results.push(...batched.get(walletAddress.toLowerCase()));
+        
+        if (options.onBalance) {
+          results.forEach(result => options.onBalance(result));
+        }
+        
+        timer.end();
+        return results;
+        
+      } catch (error) {
+        if (options.signal?.aborted) {
+          timer.end();
+          return results;
+        }
+        
+        logDebug(`Multicall balances unavailable on ${networkConfig.name}, checking tokens one by one`, {
+          error: error.message
+        });
+      }
+    }
 
     for (let i = 0; i < tokenAddresses.length; i++) {
       const tokenAddress = tokenAddresses[i];
       
-      if (!isValidEthereumAddress(tokenAddress)) {
+      if (options.signal?.aborted) {
+        logDebug(`Balance checks cancelled on ${networkConfig.name}`, {
+          walletAddress: walletAddress.substring(0, 10) + '...',
+          checked: i,
+          total: tokenAddresses.length
+        });
+        break;
+      }
+      
+      if (!normalizeTokenTarget(tokenAddress)) {
         logError(`Invalid token address: ${tokenAddress}`);
         results.push({
           tokenAddress,
           balance: '0',
+          balanceFormatted: '0',
           hasBalance: false,
           error: 'Invalid token address',
           network: networkId
@@ -213,7 +475,7 @@ async function getMultipleTokenBalances(walletAddress, tokenAddresses, networkId
       }
       
       try {
-        const balanceData = await getTokenBalance(walletAddress, tokenAddress, networkId);
+        const balanceData = await getTokenBalance(walletAddress, tokenAddress, networkId, null, options.signal, options.blockTag);
         results.push({
           tokenAddress,
           ...balanceData
@@ -224,19 +486,24 @@ async function getMultipleTokenBalances(walletAddress, tokenAddresses, networkId
         results.push({
           tokenAddress,
           balance: '0',
+          balanceFormatted: '0',
           hasBalance: false,
           error: error.message,
           network: networkId
         });
       }
       
+      if (options.onBalance) {
+        options.onBalance(results[results.length - 1]);
+      }
+      
       // Add delay between token checks to respect rate limits
       // Use network-specific delay multiplier
       const delayMultiplier = ANALYSIS_CONFIG.NETWORK_DELAYS[networkId] || 1.0;
       const adjustedDelay = Math.round(API_CONFIG.RATE_LIMITS.TOKEN_DELAY * delayMultiplier);
       
       if (i < tokenAddresses.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, adjustedDelay));
+        await sleep(adjustedDelay, options.signal);
       }
     }
     
@@ -263,9 +530,49 @@ async function getMultipleTokenBalances(walletAddress, tokenAddresses, networkId
 }
 
 /**
- * Call contract function via network proxy
+ * JSON-RPC method (action) through the explorer's proxy module - params is the rest of the query string
+ */
+async function explorerProxyRequest(action, params, networkId, signal = null, operation = action) {
+  const networkConfig = getNetworkConfig(networkId);
+  const url = `${networkConfig.apiUrl}?module=proxy&action=${action}&${params}&apikey=${networkConfig.apiKey}`;
+  const data = await makeApiCall(url, operation, networkId, signal);
+  
+  if (data.error) {
+    throw new Error(`${action} failed on ${networkConfig.name}: ${data.error.message || data.error}`);
+  }
+  
+  return data.result;
+}
+
+/**
+ * eth_call through the explorer's proxy module
+ */
+async function explorerEthCall(contractAddress, functionData, networkId, signal = null, blockTag = 'latest') {
+  return explorerProxyRequest(
+    'eth_call',
+    `to=${contractAddress}&data=${functionData}&tag=${blockTag}`,
+    networkId,
+    signal,
+    `eth_call-${functionData.substring(0, 10)}`
+  );
+}
+
+/**
+ * eth_call via the network's RPC node or the explorer proxy - throws on failure
  */
-async function callContractFunction(contractAddress, functionData, networkId = 'ethereum') {
+async function executeEthCall(contractAddress, functionData, networkId, signal = null, blockTag = 'latest') {
+  return providerService.withExplorerFallback(
+    networkId,
+    `eth_call-${functionData.substring(0, 10)}`,
+    () => providerService.ethCall(contractAddress, functionData, networkId, signal, blockTag),
+    () => explorerEthCall(contractAddress, functionData, networkId, signal, blockTag)
+  );
+}
+
+/**
+ * Call contract function via the network's RPC node or the explorer proxy
+ */
+async function callContractFunction(contractAddress, functionData, networkId = 'ethereum', signal = null, blockTag = 'latest') {
   if (!isValidEthereumAddress(contractAddress)) {
     throw new Error('Invalid contract address');
   }
@@ -275,13 +582,10 @@ async function callContractFunction(contractAddress, functionData, networkId = '
   }
   
   try {
-    const networkConfig = getNetworkConfig(networkId);
-    const url = `${networkConfig.apiUrl}?module=proxy&action=eth_call&to=${contractAddress}&data=${functionData}&tag=latest&apikey=${networkConfig.apiKey}`;
-    
-    const data = await makeApiCall(url, `eth_call-${functionData.substring(0, 10)}`, networkId);
+    const result = await executeEthCall(contractAddress, functionData, networkId, signal, blockTag);
     
-    if (data.result && data.result !== '0x' && data.result !== '0x0') {
-      return data.result;
+    if (result && result !== '0x' && result !== '0x0') {
+      return result;
     }
     
     return null;
@@ -299,162 +603,1162 @@ async function callContractFunction(contractAddress, functionData, networkId = '
 }
 
 /**
- * Get token name from contract on specified network
+ * Get deployed bytecode via the network's RPC node or the explorer proxy ('0x' for wallets)
  */
-async function getTokenName(tokenAddress, networkId = 'ethereum') {
-  try {
-    const result = await callContractFunction(tokenAddress, CONTRACT_FUNCTIONS.NAME, networkId);
-    if (result) {
-      const { hexToString } = require('../utils/helpers');
-      return hexToString(result);
-    }
-    return null;
-  } catch (error) {
-    const networkConfig = getNetworkConfig(networkId);
-    logDebug(`Failed to get token name for ${tokenAddress} on ${networkConfig.name}`, { 
-      error: error.message,
-      network: networkConfig.name 
-    });
-    return null;
-  }
+async function getContractCode(address, networkId = 'ethereum', signal = null) {
+  return providerService.withExplorerFallback(
+    networkId,
+    'eth_getCode',
+    () => providerService.getCode(address, networkId, signal),
+    () => explorerProxyRequest('eth_getCode', `address=${address}&tag=latest`, networkId, signal)
+  );
 }
 
 /**
- * Get token symbol from contract on specified network
+ * Read a contract storage slot via the network's RPC node or the explorer proxy
  */
-async function getTokenSymbol(tokenAddress, networkId = 'ethereum') {
-  try {
-    const result = await callContractFunction(tokenAddress, CONTRACT_FUNCTIONS.SYMBOL, networkId);
-    if (result) {
-      const { hexToString } = require('../utils/helpers');
-      return hexToString(result);
-    }
-    return null;
-  } catch (error) {
-    const networkConfig = getNetworkConfig(networkId);
-    logDebug(`Failed to get token symbol for ${tokenAddress} on ${networkConfig.name}`, { 
-      error: error.message,
-      network: networkConfig.name 
-    });
-    return null;
-  }
+async function getStorageSlot(address, slot, networkId = 'ethereum', signal = null) {
+  return providerService.withExplorerFallback(
+    networkId,
+    'eth_getStorageAt',
+    () => providerService.getStorageAt(address, slot, networkId, signal),
+    () => explorerProxyRequest('eth_getStorageAt', `address=${address}&position=${slot}&tag=latest`, networkId, signal)
+  );
 }
 
 /**
- * Get token decimals from contract on specified network
+ * Address stored in the low 20 bytes of a storage word, null for an empty slot
  */
-async function getTokenDecimals(tokenAddress, networkId = 'ethereum') {
-  try {
-    const result = await callContractFunction(tokenAddress, CONTRACT_FUNCTIONS.DECIMALS, networkId);
-    if (result) {
-      const decimals = parseInt(result, 16);
-      return isNaN(decimals) ? ANALYSIS_CONFIG.DEFAULT_DECIMALS : decimals;
-    }
-    return ANALYSIS_CONFIG.DEFAULT_DECIMALS;
-  } catch (error) {
-    const networkConfig = getNetworkConfig(networkId);
-    logDebug(`Failed to get token decimals for ${tokenAddress} on ${networkConfig.name}`, { 
-      error: error.message,
-      network: networkConfig.name 
-    });
-    return ANALYSIS_CONFIG.DEFAULT_DECIMALS;
-  }
+function slotToAddress(word) {
+  const address = `0x${(word || '').replace(/^0x/, '').padStart(64, '0').slice(-40).toLowerCase()}`;
+  return /^0x0{40}$/.test(address) ? null : address;
 }
 
 /**
- * POPRAWIONA SEKCJA getTokenInfo w services/etherscan.js
- * Zastąp funkcję getTokenInfo w swoim pliku tą wersją
+ * Inspect a token contract: whether the address has code at all and whether it is an
+ * EIP-1167 minimal proxy or an EIP-1967 (beacon) proxy, with its implementation / beacon address
+ * Returns { isContract, codeSize, proxy: null | { type, implementation?, beacon? } }
  */
+async function inspectContract(address, networkId = 'ethereum', signal = null) {
+  const code = ((await getContractCode(address, networkId, signal)) || '0x').toLowerCase().replace(/^0x/, '');
+  
+  if (!code) {
+    return { isContract: false, codeSize: 0, proxy: null };
+  }
+  
+  const contract = { isContract: true, codeSize: code.length / 2, proxy: null };
+  
+  if (code.startsWith(PROXY_PATTERNS.EIP1167_PREFIX) && code.endsWith(PROXY_PATTERNS.EIP1167_SUFFIX) &&
+      code.length === PROXY_PATTERNS.EIP1167_PREFIX.length + 40 + PROXY_PATTERNS.EIP1167_SUFFIX.length) {
+    contract.proxy = {
+      type: PROXY_TYPES.EIP1167,
+      implementation: `0x${code.substr(PROXY_PATTERNS.EIP1167_PREFIX.length, 40)}`
+    };
+    return contract;
+  }
+  
+  const implementation = slotToAddress(await getStorageSlot(address, PROXY_PATTERNS.EIP1967_IMPLEMENTATION_SLOT, networkId, signal));
+  if (implementation) {
+    contract.proxy = { type: PROXY_TYPES.EIP1967, implementation };
+    return contract;
+  }
+  
+  const beacon = slotToAddress(await getStorageSlot(address, PROXY_PATTERNS.EIP1967_BEACON_SLOT, networkId, signal));
+  if (beacon) {
+    contract.proxy = { type: PROXY_TYPES.EIP1967_BEACON, beacon };
+  }
+  
+  return contract;
+}
 
 /**
- * Get comprehensive token information on specified network with USD pricing - POPRAWIONA WERSJA
+ * Get latest block number on specified network
  */
-async function getTokenInfo(tokenAddress, networkId = 'ethereum', includePricing = true) {
-  if (!isValidEthereumAddress(tokenAddress)) {
-    throw new Error('Invalid token address');
+async function getBlockNumber(networkId = 'ethereum', signal = null) {
+  if (!isNetworkSupported(networkId)) {
+    throw new Error(`Unsupported network: ${networkId}`);
   }
+  
+  return providerService.withExplorerFallback(
+    networkId,
+    'eth_blockNumber',
+    () => providerService.getBlockNumber(networkId, signal),
+    async () => {
+      const networkConfig = getNetworkConfig(networkId);
+      const url = `${networkConfig.apiUrl}?module=proxy&action=eth_blockNumber&apikey=${networkConfig.apiKey}`;
+      const data = await makeApiCall(url, 'eth_blockNumber', networkId, signal);
+      
+      if (!data.result || !data.result.startsWith('0x')) {
+        throw new Error(`Invalid block number response from ${networkConfig.name}`);
+      }
+      
+      return Number(toBigInt(data.result));
+    }
+  );
+}
 
+/**
+ * Resolve a UTC timestamp (unix seconds) to the last block mined at or before it
+ */
+async function getBlockByTimestamp(timestamp, networkId = 'ethereum', signal = null) {
   if (!isNetworkSupported(networkId)) {
     throw new Error(`Unsupported network: ${networkId}`);
   }
   
   const networkConfig = getNetworkConfig(networkId);
-  const lowerAddress = tokenAddress.toLowerCase();
-  
-  // Check network-specific database first
-  const tokenDatabase = getTokenDatabase(networkId);
-  let tokenInfo;
   
-  if (tokenDatabase[lowerAddress]) {
-    logDebug(`Token found in ${networkConfig.name} database: ${tokenDatabase[lowerAddress].symbol}`);
-    tokenInfo = {
-      address: tokenAddress,
-      ...tokenDatabase[lowerAddress],
-      source: 'database',
-      network: networkId,
-      networkName: networkConfig.name
-    };
-  } else {
-    // Try to get info from contract
-    try {
-      const [name, symbol, decimals] = await Promise.all([
-        getTokenName(tokenAddress, networkId),
-        getTokenSymbol(tokenAddress, networkId),
-        getTokenDecimals(tokenAddress, networkId)
-      ]);
+  return providerService.withExplorerFallback(
+    networkId,
+    'block-by-timestamp',
+    async () => {
+      // Binary search over block timestamps - ~log2(height) eth_getBlockByNumber calls
+      const latest = await providerService.getBlock('latest', networkId, signal);
+      if (latest.timestamp <= timestamp) return latest.number;
       
-      if (symbol || name) {
-        tokenInfo = {
-          address: tokenAddress,
-          symbol: symbol || `Token_${tokenAddress.substring(0, 6)}...`,
-          name: name || `Token: ${tokenAddress.substring(0, 10)}...${tokenAddress.slice(-4)}`,
-          decimals: decimals,
-          source: 'contract',
-          network: networkId,
-          networkName: networkConfig.name
-        };
+      const genesis = await providerService.getBlock(providerService.toBlockTag(0), networkId, signal);
+      if (genesis.timestamp > timestamp) {
+        throw new Error(`Timestamp is before the first block on ${networkConfig.name}`);
+      }
+      
+      let low = 0;
+      let high = latest.number;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        const block = await providerService.getBlock(providerService.toBlockTag(middle), networkId, signal);
         
-        logDebug(`Token info retrieved from ${networkConfig.name} contract`, tokenInfo);
-      } else {
-        // Fallback to basic info
-        tokenInfo = {
-          address: tokenAddress,
-          symbol: `${tokenAddress.substring(0, 6)}...`,
-          name: `Token: ${tokenAddress.substring(0, 10)}...${tokenAddress.slice(-4)}`,
-          decimals: ANALYSIS_CONFIG.DEFAULT_DECIMALS,
-          source: 'fallback',
-          network: networkId,
-          networkName: networkConfig.name
-        };
+        if (block.timestamp <= timestamp) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
       }
-    } catch (error) {
+      
+      return low;
+    },
+    async () => {
+      const url = `${networkConfig.apiUrl}?module=block&action=getblocknobytime&timestamp=${timestamp}&closest=before&apikey=${networkConfig.apiKey}`;
+      const data = await makeApiCall(url, 'getblocknobytime', networkId, signal);
+      
+      if (data.status !== '1' || !/^\d+$/.test(data.result)) {
+        throw new Error(`Could not resolve timestamp to a block on ${networkConfig.name}: ${data.result || data.message}`);
+      }
+      
+      return parseInt(data.result, 10);
+    }
+  );
+}
+
+/**
+ * Check if network can batch calls through Multicall3
+ */
+function supportsMulticall(networkId) {
+  return isNetworkSupported(networkId) && Boolean(getNetworkConfig(networkId).multicallAddress);
+}
+
+/**
+ * Batch read-only calls through Multicall3 aggregate3
+ * calls: [{ target, callData }] -> [{ success, returnData }] in the same order
+ * Each call may revert on its own; throws only if an aggregate call itself fails
+ * (including blocks before Multicall3 was deployed)
+ */
+async function multicall(calls, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  if (!supportsMulticall(networkId)) {
+    throw new Error(`Multicall3 not available on network: ${networkId}`);
+  }
+  
+  const networkConfig = getNetworkConfig(networkId);
+  const timer = new PerformanceTimer(`Multicall-${calls.length}calls-${networkConfig.name}`);
+  
+  // Explorer eth_call carries the calldata in a GET URL, so its batches stay small
+  const batchSize = networkConfig.rpcUrl
+    ? ANALYSIS_CONFIG.MULTICALL_BATCH_SIZE
+    : ANALYSIS_CONFIG.MULTICALL_EXPLORER_BATCH_SIZE;
+  const delayMultiplier = ANALYSIS_CONFIG.NETWORK_DELAYS[networkId] || 1.0;
+  const results = [];
+  
+  try {
+    for (let i = 0; i < calls.length; i += batchSize) {
+      const batch = calls.slice(i, i + batchSize);
+      const response = await executeEthCall(networkConfig.multicallAddress, encodeAggregate3(batch), networkId, signal, blockTag);
+      
+      if (!response || response === '0x') {
+        throw new Error(`Empty aggregate3 response from ${networkConfig.name}`);
+      }
+      
+      const decoded = decodeAggregate3(response);
+      if (decoded.length !== batch.length) {
+        throw new Error(`aggregate3 returned ${decoded.length} results for ${batch.length} calls`);
+      }
+      
+      results.push(...decoded);
+      
+      if (!networkConfig.rpcUrl && i + batchSize < calls.length) {
+        await sleep(Math.round(API_CONFIG.RATE_LIMITS.ETHERSCAN_DELAY * delayMultiplier), signal);
+      }
+    }
+    
+    timer.end();
+    
+    logDebug(`Multicall completed on ${networkConfig.name}`, {
+      calls: calls.length,
+      aggregateCalls: Math.ceil(calls.length / batchSize),
+      failedCalls: results.filter(r => !r.success).length,
+      network: networkConfig.name
+    });
+    
+    return results;
+    
+  } catch (error) {
+    timer.end();
+    logError(`Multicall failed on ${networkConfig.name}`, error, { calls: calls.length });
+    throw error;
+  }
+}
+
+/**
+ * Same-order results for read-only calls: Multicall3 batches, or one eth_call each without it
+ * calls: [{ target, callData }] -> [{ success, returnData }]; blockTag reads a past block
+ */
+async function batchCall(calls, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  if (calls.length === 0) {
+    return [];
+  }
+  
+  if (supportsMulticall(networkId)) {
+    return multicall(calls, networkId, signal, blockTag);
+  }
+  
+  const results = [];
+  for (const call of calls) {
+    const returnData = await callContractFunction(call.target, call.callData, networkId, signal, blockTag);
+    results.push({ success: returnData !== null, returnData: returnData || '0x' });
+  }
+  return results;
+}
+
+/**
+ * Get name/symbol/decimals for many tokens in one batched call
+ * Known tokens and cached contracts are answered without calls
+ * Returns Map of lowercase address -> { name, symbol, decimals } (null fields for reverted calls)
+ */
+async function getBatchTokenMetadata(tokenAddresses, networkId = 'ethereum', signal = null) {
+  const networkConfig = getNetworkConfig(networkId);
+  const tokenDatabase = getTokenDatabase(networkId);
+  const metadata = new Map();
+  const pending = [];
+  
+  for (const address of new Set(tokenAddresses.map(a => a.toLowerCase()))) {
+    const cacheKey = `${networkId}:${address}`;
+    
+    if (isNativeToken(address)) {
+      metadata.set(address, { ...networkConfig.nativeCurrency });
+    } else if (tokenDatabase[address]) {
+      metadata.set(address, tokenDatabase[address]);
+    } else if (contractMetadataCache.has(cacheKey)) {
+      metadata.set(address, contractMetadataCache.get(cacheKey));
+    } else {
+      pending.push(address);
+    }
+  }
+  
+  if (pending.length === 0) {
+    return metadata;
+  }
+  
+  const selectors = [CONTRACT_FUNCTIONS.NAME, CONTRACT_FUNCTIONS.SYMBOL, CONTRACT_FUNCTIONS.DECIMALS];
+  const calls = pending.flatMap(address => selectors.map(callData => ({ target: address, callData })));
+  const results = await multicall(calls, networkId, signal);
+  
+  pending.forEach((address, index) => {
+    const [name, symbol, decimals] = results.slice(index * 3, index * 3 + 3);
+    const decoded = (result, decode) => result.success && result.returnData !== '0x' ? decode(result.returnData) : null;
+    
+    const entry = {
+      name: decoded(name, hexToString) || null,
+      symbol: decoded(symbol, hexToString) || null,
+      decimals: decoded(decimals, data => parseInt(decodeUint(data), 10))
+    };
+    
+    contractMetadataCache.set(`${networkId}:${address}`, entry);
+    metadata.set(address, entry);
+  });
+  
+  logDebug(`Token metadata batched on ${networkConfig.name}`, {
+    tokens: metadata.size,
+    fetched: pending.length
+  });
+  
+  return metadata;
+}
+
+/**
+ * Detect token standards via ERC-165 supportsInterface, batched through Multicall3 where available
+ * Contracts that do not report ERC-721 or ERC-1155 (plain ERC-20s usually revert) count as ERC-20
+ * Returns Map of lowercase address -> { standard, enumerable }
+ */
+async function getBatchTokenStandards(tokenAddresses, networkId = 'ethereum', signal = null) {
+  const tokenDatabase = getTokenDatabase(networkId);
+  const standards = new Map();
+  const pending = [];
+  
+  for (const address of new Set(tokenAddresses.map(a => a.toLowerCase()))) {
+    const cacheKey = `${networkId}:${address}`;
+    
+    if (isNativeToken(address)) {
+      standards.set(address, { standard: TOKEN_STANDARDS.NATIVE, enumerable: false });
+    } else if (tokenDatabase[address]) {
+      standards.set(address, { standard: TOKEN_STANDARDS.ERC20, enumerable: false });
+    } else if (tokenStandardCache.has(cacheKey)) {
+      standards.set(address, tokenStandardCache.get(cacheKey));
+    } else {
+      pending.push(address);
+    }
+  }
+  
+  if (pending.length === 0) {
+    return standards;
+  }
+  
+  const interfaceIds = [INTERFACE_IDS.ERC1155, INTERFACE_IDS.ERC721, INTERFACE_IDS.ERC721_ENUMERABLE];
+  const calls = pending.flatMap(address => interfaceIds.map(interfaceId => ({
+    target: address,
+    callData: encodeInterfaceCall(CONTRACT_FUNCTIONS.SUPPORTS_INTERFACE, interfaceId)
+  })));
+  
+  let supported;
+  if (supportsMulticall(networkId)) {
+    const results = await multicall(calls, networkId, signal);
+    supported = results.map(result => result.success && decodeBool(result.returnData));
+  } else {
+    supported = [];
+    for (const call of calls) {
+      const result = await callContractFunction(call.target, call.callData, networkId, signal);
+      supported.push(result !== null && decodeBool(result));
+    }
+  }
+  
+  pending.forEach((address, index) => {
+    const [erc1155, erc721, enumerable] = supported.slice(index * 3, index * 3 + 3);
+    
+    const entry = erc1155
+      ? { standard: TOKEN_STANDARDS.ERC1155, enumerable: false }
+      : erc721
+        ? { standard: TOKEN_STANDARDS.ERC721, enumerable }
+        : { standard: TOKEN_STANDARDS.ERC20, enumerable: false };
+    
+    tokenStandardCache.set(`${networkId}:${address}`, entry);
+    standards.set(address, entry);
+  });
+  
+  logDebug(`Token standards detected on ${getNetworkConfig(networkId).name}`, {
+    tokens: standards.size,
+    fetched: pending.length,
+    nftCollections: [...standards.values()].filter(entry => isNftStandard(entry.standard)).length
+  });
+  
+  return standards;
+}
+
+/**
+ * Get token standard for a single contract (see getBatchTokenStandards)
+ */
+async function getTokenStandard(tokenAddress, networkId = 'ethereum', signal = null) {
+  const standards = await getBatchTokenStandards([tokenAddress], networkId, signal);
+  return standards.get(tokenAddress.toLowerCase());
+}
+
+/**
+ * Error for targets that do not fit their contract's standard, null when the target is fine
+ * ERC-1155 balances exist per token ID, so the ID is required there and meaningless elsewhere
+ */
+function getTargetStandardError(tokenId, standard) {
+  if (tokenId !== null && standard !== TOKEN_STANDARDS.ERC1155) {
+    return 'Token IDs are only supported for ERC-1155 contracts';
+  }
+  
+  if (tokenId === null && standard === TOKEN_STANDARDS.ERC1155) {
+    return 'ERC-1155 contracts need a token ID (0x...#id)';
+  }
+  
+  return null;
+}
+
+/**
+ * Balance-reading calldata for a (wallet, target) pair on its contract
+ */
+function encodeBalanceCall(walletAddress, { address, tokenId }) {
+  return tokenId !== null
+    ? encodeAddressUintCall(CONTRACT_FUNCTIONS.BALANCE_OF_ID, walletAddress, tokenId)
+    : encodeAddressCall(CONTRACT_FUNCTIONS.BALANCE_OF, walletAddress);
+}
+
+/**
+ * Standard-specific fields of a balance result - NFT holdings also carry the contract and token ID
+ */
+function describeTarget(tokenTarget, standard) {
+  const { address, tokenId } = parseTokenTarget(tokenTarget);
+  
+  if (!isNftStandard(standard)) {
+    return { standard };
+  }
+  
+  return { standard, contractAddress: address, tokenId };
+}
+
+/**
+ * List the held token IDs of enumerable ERC-721 collections via tokenOfOwnerByIndex
+ * Only for holdings of at most NFT_MAX_TOKEN_IDS tokens; failures leave tokenIds unset
+ */
+async function addEnumerableTokenIds(balanceResults, standards, networkId, options) {
+  const holdings = balanceResults.filter(({ result }) => {
+    const count = Number(result.rawBalance);
+    return result.standard === TOKEN_STANDARDS.ERC721 &&
+      standards.get(result.contractAddress)?.enumerable &&
+      count > 0 && count <= ANALYSIS_CONFIG.NFT_MAX_TOKEN_IDS;
+  });
+  
+  if (holdings.length === 0) {
+    return;
+  }
+  
+  const calls = holdings.flatMap(({ wallet, result }) => Array.from({ length: Number(result.rawBalance) }, (_, index) => ({
+    target: result.contractAddress,
+    callData: encodeAddressUintCall(CONTRACT_FUNCTIONS.TOKEN_OF_OWNER_BY_INDEX, wallet, index)
+  })));
+  
+  try {
+    const results = await multicall(calls, networkId, options.signal, options.blockTag);
+    let offset = 0;
+    
+    holdings.forEach(({ result }) => {
+      const owned = results.slice(offset, offset + Number(result.rawBalance));
+      offset += owned.length;
+      
+      if (owned.every(entry => entry.success)) {
+        result.tokenIds = owned.map(entry => decodeUint(entry.returnData));
+      }
+    });
+    
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    
+    logDebug(`Token ID listing unavailable on ${getNetworkConfig(networkId).name}`, {
+      collections: holdings.length,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get balances for every (wallet, token) pair in a few aggregate3 calls
+ * Native currency is read with Multicall3 getEthBalance; options.blockTag reads a past block
+ * NFT collections are detected via ERC-165: ERC-721 balances count tokens (with held IDs for small
+ * enumerable holdings), ERC-1155 targets ('0x...#id') read the balance of that token ID
+ * Returns Map of lowercase wallet -> balance results in token order (same shape as getMultipleTokenBalances)
+ */
+async function getBatchTokenBalances(walletAddresses, tokenAddresses, networkId = 'ethereum', options = {}) {
+  if (!Array.isArray(walletAddresses) || walletAddresses.length === 0) {
+    throw new Error('Wallet addresses must be a non-empty array');
+  }
+  
+  if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
+    throw new Error('Token addresses must be a non-empty array');
+  }
+  
+  const invalidWallet = walletAddresses.find(address => !isValidEthereumAddress(address));
+  const invalidToken = tokenAddresses.find(target => !normalizeTokenTarget(target));
+  if (invalidWallet || invalidToken) {
+    throw new Error(`Invalid address: ${invalidWallet || invalidToken}`);
+  }
+  
+  const networkConfig = getNetworkConfig(networkId);
+  const targets = tokenAddresses.map(target => parseTokenTarget(target.toLowerCase()));
+  const contracts = targets.map(target => target.address);
+  const metadata = await getBatchTokenMetadata(contracts, networkId, options.signal);
+  const standards = await getBatchTokenStandards(contracts, networkId, options.signal);
+  
+  const pairs = walletAddresses.flatMap(wallet => targets.map((target, tokenIndex) => {
+    const { standard } = standards.get(target.address);
+    const native = isNativeToken(target.address);
+    
+    return {
+      wallet,
+      tokenIndex,
+      standard,
+      error: native ? null : getTargetStandardError(target.tokenId, standard),
+      call: native
+        ? { target: networkConfig.multicallAddress, callData: encodeAddressCall(CONTRACT_FUNCTIONS.GET_ETH_BALANCE, wallet) }
+        : { target: target.address, callData: encodeBalanceCall(wallet, target) }
+    };
+  }));
+  
+  const callable = pairs.filter(pair => !pair.error);
+  const results = callable.length > 0
+    ? await multicall(callable.map(pair => pair.call), networkId, options.signal, options.blockTag)
+    : [];
+  callable.forEach((pair, index) => { pair.result = results[index]; });
+  
+  const balances = new Map();
+  const balanceResults = [];
+  
+  walletAddresses.forEach(wallet => balances.set(wallet.toLowerCase(), []));
+  
+  pairs.forEach(pair => {
+    const tokenAddress = tokenAddresses[pair.tokenIndex];
+    const native = pair.standard === TOKEN_STANDARDS.NATIVE;
+    const details = describeTarget(tokenAddress.toLowerCase(), pair.standard);
+    let balanceResult;
+    
+    if (pair.error || !pair.result.success) {
+      balanceResult = {
+        tokenAddress,
+        balance: '0',
+        balanceFormatted: '0',
+        hasBalance: false,
+        rawBalance: '0',
+        error: pair.error || 'balanceOf call reverted',
+        ...details,
+        ...(native ? { isNative: true } : {}),
+        network: networkId
+      };
+    } else {
+      const decimals = isNftStandard(pair.standard)
+        ? 0
+        : metadata.get(targets[pair.tokenIndex].address)?.decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS;
+      const rawBalance = decodeUint(pair.result.returnData);
+      
+      balanceResult = {
+        tokenAddress,
+        balance: weiToTokens(rawBalance, decimals),
+        balanceFormatted: formatDisplayAmount(rawBalance, decimals),
+        hasBalance: isAboveThreshold(rawBalance, decimals, ANALYSIS_CONFIG.MIN_BALANCE_THRESHOLD),
+        rawBalance,
+        decimals,
+        ...details,
+        ...(native ? { isNative: true } : {}),
+        network: networkId
+      };
+      
+      if (pair.standard === TOKEN_STANDARDS.ERC1155 && balanceResult.hasBalance) {
+        balanceResult.tokenIds = [details.tokenId];
+      }
+    }
+    
+    balances.get(pair.wallet.toLowerCase()).push(balanceResult);
+    balanceResults.push({ wallet: pair.wallet, result: balanceResult });
+  });
+  
+  await addEnumerableTokenIds(balanceResults, standards, networkId, options);
+  
+  return balances;
+}
+
+/**
+ * Discover every ERC-20 token a wallet has sent or received, from the explorer's tokentx history
+ * Reads the newest DISCOVERY_MAX_TRANSFERS transfers and keeps up to DISCOVERY_MAX_TOKENS tokens,
+ * most recently touched first. Token metadata from the transfers seeds the contract metadata cache.
+ * Returns { tokens, transfersScanned, truncated }
+ */
+async function discoverWalletTokens(walletAddress, networkId = 'ethereum', signal = null) {
+  const networkConfig = getNetworkConfig(networkId);
+  
+  if (!networkConfig.apiUrl) {
+    throw new Error(`Token discovery needs an explorer API, which ${networkConfig.name} does not have`);
+  }
+  
+  const pageSize = ANALYSIS_CONFIG.DISCOVERY_MAX_TRANSFERS;
+  const url = `${networkConfig.apiUrl}?module=account&action=tokentx&address=${walletAddress}&page=1&offset=${pageSize}&sort=desc&apikey=${networkConfig.apiKey}`;
+  const data = await makeApiCall(url, 'tokentx', networkId, signal);
+  
+  if (data.status !== '1') {
+    // Wallets without any token transfers are reported as an error status
+    if (typeof data.message === 'string' && data.message.startsWith('No transactions found')) {
+      return { tokens: [], transfersScanned: 0, truncated: false };
+    }
+    throw new Error(`Token discovery failed on ${networkConfig.name}: ${typeof data.result === 'string' ? data.result : data.message}`);
+  }
+  
+  const transfers = Array.isArray(data.result) ? data.result : [];
+  const tokens = [];
+  
+  for (const transfer of transfers) {
+    const address = transfer.contractAddress?.toLowerCase();
+    if (!address || !isValidEthereumAddress(address) || tokens.includes(address)) continue;
+    
+    tokens.push(address);
+    
+    const cacheKey = `${networkId}:${address}`;
+    const decimals = parseInt(transfer.tokenDecimal, 10);
+    if (!contractMetadataCache.has(cacheKey) && Number.isInteger(decimals)) {
+      contractMetadataCache.set(cacheKey, {
+        name: transfer.tokenName || null,
+        symbol: transfer.tokenSymbol || null,
+        decimals
+      });
+    }
+  }
+  
+  logDebug(`Token discovery on ${networkConfig.name}`, {
+    walletAddress: walletAddress.substring(0, 10) + '...',
+    transfers: transfers.length,
+    tokens: tokens.length
+  });
+  
+  return {
+    tokens: tokens.slice(0, ANALYSIS_CONFIG.DISCOVERY_MAX_TOKENS),
+    transfersScanned: transfers.length,
+    truncated: transfers.length >= pageSize || tokens.length > ANALYSIS_CONFIG.DISCOVERY_MAX_TOKENS
+  };
+}
+
+/**
+ * Logs of block windows read back from the latest block, newest window first
+ * fetchWindow(fromBlock, toBlock, limit) returns a window's logs oldest first, or null when the window
+ * may hold more than limit logs (or the node refuses the range) - the window is halved and read again
+ * Returns { logs (oldest first, the newest maxLogs), complete } - incomplete when maxLogs or the request
+ * budget ran out before block 0
+ */
+async function scanLogsNewestFirst(fetchWindow, latestBlock, maxLogs) {
+  const windows = [];
+  let count = 0;
+  let toBlock = latestBlock;
+  let span = latestBlock + 1;
+  let maxSpan = span;
+  
+  for (let requests = 0; toBlock >= 0 && count < maxLogs && requests < ANALYSIS_CONFIG.LOG_SCAN_MAX_REQUESTS; requests++) {
+    const fromBlock = Math.max(0, toBlock - span + 1);
+    const windowLogs = await fetchWindow(fromBlock, toBlock, maxLogs - count);
+    
+    if (windowLogs === null) {
+      if (span === 1) {
+        throw new Error(`Log request refused for block ${toBlock}`);
+      }
+      maxSpan = span - 1;
+      span = Math.ceil(span / 2);
+      continue;
+    }
+    
+    windows.unshift(windowLogs);
+    count += windowLogs.length;
+    toBlock = fromBlock - 1;
+    span = Math.min(span * 2, maxSpan);
+  }
+  
+  const logs = windows.flat();
+  return { logs: logs.slice(Math.max(0, logs.length - maxLogs)), complete: toBlock < 0 && logs.length <= maxLogs };
+}
+
+/**
+ * ERC-20 Approval events emitted for an owner, oldest first
+ * Reads the newest APPROVAL_MAX_LOGS events - the ones most likely to still be open - via eth_getLogs or
+ * the explorer's logs module, in block windows back from the latest block; ERC-721 approvals share the
+ * event signature but index the token ID as a third topic, so they are dropped
+ * Returns { logs: [{ token, spender, blockNumber, transactionHash }], truncated }
+ */
+async function getApprovalLogs(ownerAddress, networkId = 'ethereum', signal = null) {
+  const networkConfig = getNetworkConfig(networkId);
+  const ownerTopic = `0x${encodeAddress(ownerAddress)}`;
+  const maxLogs = ANALYSIS_CONFIG.APPROVAL_MAX_LOGS;
+  const latestBlock = await getBlockNumber(networkId, signal);
+  
+  const scan = await providerService.withExplorerFallback(
+    networkId,
+    'eth_getLogs-approval',
+    async () => {
+      // Nodes cap eth_getLogs ranges - refused windows are halved
+      const result = await scanLogsNewestFirst(async (fromBlock, toBlock) => {
+        try {
+          return await providerService.getLogs({
+            fromBlock: `0x${fromBlock.toString(16)}`,
+            toBlock: `0x${toBlock.toString(16)}`,
+            topics: [EVENT_TOPICS.APPROVAL, ownerTopic]
+          }, networkId, signal);
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          return null;
+        }
+      }, latestBlock, maxLogs);
+      
+      // Range caps too tight to cover the history in budget - the explorer reads it in fewer requests
+      if (!result.complete && result.logs.length < maxLogs) {
+        throw new Error('eth_getLogs range limit too small to scan approval history');
+      }
+      return result;
+    },
+    () => scanLogsNewestFirst(async (fromBlock, toBlock, limit) => {
+      const offset = Math.min(limit, 1000);
+      const url = `${networkConfig.apiUrl}?module=logs&action=getLogs&fromBlock=${fromBlock}&toBlock=${toBlock}&topic0=${EVENT_TOPICS.APPROVAL}&topic0_1_opr=and&topic1=${ownerTopic}&page=1&offset=${offset}&apikey=${networkConfig.apiKey}`;
+      const data = await makeApiCall(url, 'getLogs-approval', networkId, signal);
+      
+      if (data.status !== '1') {
+        // Owners that never approved anything are reported as an error status
+        if (typeof data.message === 'string' && data.message.startsWith('No records found')) {
+          return [];
+        }
+        throw new Error(`Approval log lookup failed on ${networkConfig.name}: ${typeof data.result === 'string' ? data.result : data.message}`);
+      }
+      
+      // A full page is the window's oldest logs - narrow the window to reach the newest
+      return data.result.length >= offset && fromBlock < toBlock ? null : data.result;
+    }, latestBlock, maxLogs)
+  );
+  const rawLogs = scan.logs;
+  
+  const logs = (Array.isArray(rawLogs) ? rawLogs : [])
+    .filter(log => Array.isArray(log.topics) && log.topics.length === 3)
+    .map(log => ({
+      token: log.address.toLowerCase(),
+      spender: `0x${log.topics[2].slice(-40)}`.toLowerCase(),
+      blockNumber: Number(toBigInt(log.blockNumber)),
+      transactionHash: log.transactionHash
+    }));
+  
+  logDebug(`Approval logs on ${networkConfig.name}`, {
+    ownerAddress: ownerAddress.substring(0, 10) + '...',
+    events: rawLogs?.length || 0,
+    erc20Approvals: logs.length
+  });
+  
+  return {
+    logs,
+    truncated: !scan.complete
+  };
+}
+
+/**
+ * Current ERC-20 allowances of an owner for [{ token, spender }] pairs
+ * Returns raw allowances (decimal strings) in the same order, null where the call reverted
+ */
+async function getAllowances(ownerAddress, pairs, networkId = 'ethereum', signal = null) {
+  const results = await batchCall(
+    pairs.map(({ token, spender }) => ({
+      target: token,
+      callData: encodeAddressPairCall(CONTRACT_FUNCTIONS.ALLOWANCE, ownerAddress, spender)
+    })),
+    networkId,
+    signal
+  );
+  
+  return results.map(result => (result.success ? decodeUint(result.returnData) : null));
+}
+
+/**
+ * Whether a contract's source is verified on the network's explorer
+ * Returns { verified, name } (cached per contract), or null without an explorer API
+ */
+async function getContractVerification(address, networkId = 'ethereum', signal = null) {
+  const networkConfig = getNetworkConfig(networkId);
+  const cacheKey = `${networkId}:${address.toLowerCase()}`;
+  
+  if (contractVerificationCache.has(cacheKey)) {
+    return contractVerificationCache.get(cacheKey);
+  }
+  
+  if (!networkConfig.apiUrl) {
+    return null;
+  }
+  
+  const url = `${networkConfig.apiUrl}?module=contract&action=getsourcecode&address=${address}&apikey=${networkConfig.apiKey}`;
+  const data = await makeApiCall(url, 'getsourcecode', networkId, signal);
+  const source = Array.isArray(data.result) ? data.result[0] : null;
+  
+  if (data.status !== '1' || !source) {
+    throw new Error(`Source lookup failed on ${networkConfig.name}: ${typeof data.result === 'string' ? data.result : data.message}`);
+  }
+  
+  const verification = {
+    verified: Boolean(source.SourceCode),
+    name: source.ContractName || null
+  };
+  contractVerificationCache.set(cacheKey, verification);
+  
+  return verification;
+}
+
+/**
+ * Number of transactions sent from an address (its nonce) via the network's RPC node or the explorer proxy
+ */
+async function getTransactionCount(address, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  return providerService.withExplorerFallback(
+    networkId,
+    'eth_getTransactionCount',
+    () => providerService.getTransactionCount(address, networkId, signal, blockTag),
+    async () => Number(toBigInt(await explorerProxyRequest('eth_getTransactionCount', `address=${address}&tag=${blockTag}`, networkId, signal)))
+  );
+}
+
+/**
+ * Normal transactions of an address from the explorer's txlist, up to options.offset of them
+ * options.sort ('asc' oldest first, 'desc' newest first), options.endBlock stops at a past block
+ */
+async function getTransactionList(address, networkId = 'ethereum', options = {}) {
+  const { sort = 'asc', offset = ANALYSIS_CONFIG.ACTIVITY_MAX_TRANSACTIONS, endBlock = null, signal = null } = options;
+  const networkConfig = getNetworkConfig(networkId);
+  
+  if (!networkConfig.apiUrl) {
+    throw new Error(`Transaction history needs an explorer API, which ${networkConfig.name} does not have`);
+  }
+  
+  const blockRange = endBlock !== null ? `&startblock=0&endblock=${endBlock}` : '';
+  const url = `${networkConfig.apiUrl}?module=account&action=txlist&address=${address}${blockRange}&page=1&offset=${offset}&sort=${sort}&apikey=${networkConfig.apiKey}`;
+  const data = await makeApiCall(url, `txlist-${sort}`, networkId, signal);
+  
+  if (data.status !== '1') {
+    // Addresses that never transacted are reported as an error status
+    if (typeof data.message === 'string' && data.message.startsWith('No transactions found')) {
+      return [];
+    }
+    throw new Error(`Transaction list failed on ${networkConfig.name}: ${typeof data.result === 'string' ? data.result : data.message}`);
+  }
+  
+  return Array.isArray(data.result) ? data.result : [];
+}
+
+/**
+ * Internal transactions (value sent by contracts) of an address from the explorer's txlistinternal,
+ * up to options.offset of them
+ * options.sort ('asc' oldest first, 'desc' newest first), options.endBlock stops at a past block
+ */
+async function getInternalTransactionList(address, networkId = 'ethereum', options = {}) {
+  const { sort = 'asc', offset = ANALYSIS_CONFIG.TRANSFER_GRAPH_MAX_TRANSFERS, endBlock = null, signal = null } = options;
+  const networkConfig = getNetworkConfig(networkId);
+  
+  if (!networkConfig.apiUrl) {
+    throw new Error(`Internal transaction history needs an explorer API, which ${networkConfig.name} does not have`);
+  }
+  
+  const blockRange = endBlock !== null ? `&startblock=0&endblock=${endBlock}` : '';
+  const url = `${networkConfig.apiUrl}?module=account&action=txlistinternal&address=${address}${blockRange}&page=1&offset=${offset}&sort=${sort}&apikey=${networkConfig.apiKey}`;
+  const data = await makeApiCall(url, `txlistinternal-${sort}`, networkId, signal);
+  
+  if (data.status !== '1') {
+    // Addresses without internal transactions are reported as an error status
+    if (typeof data.message === 'string' && data.message.startsWith('No transactions found')) {
+      return [];
+    }
+    throw new Error(`Internal transaction list failed on ${networkConfig.name}: ${typeof data.result === 'string' ? data.result : data.message}`);
+  }
+  
+  return Array.isArray(data.result) ? data.result : [];
+}
+
+/**
+ * Sender (lowercase) of a transaction via the network's RPC node or the explorer proxy, null when unknown
+ */
+async function getTransactionSender(hash, networkId = 'ethereum', signal = null) {
+  const transaction = await providerService.withExplorerFallback(
+    networkId,
+    'eth_getTransactionByHash',
+    () => providerService.getTransaction(hash, networkId, signal),
+    () => explorerProxyRequest('eth_getTransactionByHash', `txhash=${hash}`, networkId, signal)
+  );
+  
+  return transaction?.from ? transaction.from.toLowerCase() : null;
+}
+
+/**
+ * ERC-20 transfers from or to an address from the explorer's tokentx, up to options.offset of them
+ * options.sort ('asc' oldest first, 'desc' newest first), options.endBlock stops at a past block
+ */
+async function getTokenTransferList(address, networkId = 'ethereum', options = {}) {
+  const { sort = 'asc', offset = ANALYSIS_CONFIG.TRANSFER_GRAPH_MAX_TRANSFERS, endBlock = null, signal = null } = options;
+  const networkConfig = getNetworkConfig(networkId);
+  
+  if (!networkConfig.apiUrl) {
+    throw new Error(`Token transfer history needs an explorer API, which ${networkConfig.name} does not have`);
+  }
+  
+  const blockRange = endBlock !== null ? `&startblock=0&endblock=${endBlock}` : '';
+  const url = `${networkConfig.apiUrl}?module=account&action=tokentx&address=${address}${blockRange}&page=1&offset=${offset}&sort=${sort}&apikey=${networkConfig.apiKey}`;
+  const data = await makeApiCall(url, `tokentx-${sort}`, networkId, signal);
+  
+  if (data.status !== '1') {
+    // Addresses without token transfers are reported as an error status
+    if (typeof data.message === 'string' && data.message.startsWith('No transactions found')) {
+      return [];
+    }
+    throw new Error(`Token transfer list failed on ${networkConfig.name}: ${typeof data.result === 'string' ? data.result : data.message}`);
+  }
+  
+  return Array.isArray(data.result) ? data.result : [];
+}
+
+/**
+ * Get token name from contract on specified network
+ */
+async function getTokenName(tokenAddress, networkId = 'ethereum') {
+  try {
+    const result = await callContractFunction(tokenAddress, CONTRACT_FUNCTIONS.NAME, networkId);
+    if (result) {
+      const { hexToString } = require('../utils/helpers');
+      return hexToString(result);
+    }
+    return null;
+  } catch (error) {
+    const networkConfig = getNetworkConfig(networkId);
+    logDebug(`Failed to get token name for ${tokenAddress} on ${networkConfig.name}`, { 
+      error: error.message,
+      network: networkConfig.name 
+    });
+    return null;
+  }
+}
+
+/**
+ * Get token symbol from contract on specified network
+ */
+async function getTokenSymbol(tokenAddress, networkId = 'ethereum') {
+  try {
+    const result = await callContractFunction(tokenAddress, CONTRACT_FUNCTIONS.SYMBOL, networkId);
+    if (result) {
+      const { hexToString } = require('../utils/helpers');
+      return hexToString(result);
+    }
+    return null;
+  } catch (error) {
+    const networkConfig = getNetworkConfig(networkId);
+    logDebug(`Failed to get token symbol for ${tokenAddress} on ${networkConfig.name}`, { 
+      error: error.message,
+      network: networkConfig.name 
+    });
+    return null;
+  }
+}
+
+/**
+ * Get token decimals from contract on specified network
+ */
+async function getTokenDecimals(tokenAddress, networkId = 'ethereum') {
+  try {
+    const result = await callContractFunction(tokenAddress, CONTRACT_FUNCTIONS.DECIMALS, networkId);
+    if (result) {
+      const decimals = parseInt(result, 16);
+      return isNaN(decimals) ? ANALYSIS_CONFIG.DEFAULT_DECIMALS : decimals;
+    }
+    return ANALYSIS_CONFIG.DEFAULT_DECIMALS;
+  } catch (error) {
+    const networkConfig = getNetworkConfig(networkId);
+    logDebug(`Failed to get token decimals for ${tokenAddress} on ${networkConfig.name}`, { 
+      error: error.message,
+      network: networkConfig.name 
+    });
+    return ANALYSIS_CONFIG.DEFAULT_DECIMALS;
+  }
+}
+
+/**
+ * Address to look up on DEXes for a token - the wrapped token for native currency
+ */
+function getPriceAddress(tokenAddress, networkId = 'ethereum') {
+  // Chains without a wrapped token (e.g. local dev chains) fall back to the sentinel address
+  return isNativeToken(tokenAddress)
+    ? getNetworkConfig(networkId).nativeCurrency.wrappedAddress || tokenAddress
+    : tokenAddress;
+}
+
+/**
+ * Read name/symbol/decimals of a contract from the metadata cache, one multicall or individual calls
+ * Fields the contract does not answer are null
+ */
+async function readTokenMetadata(tokenAddress, networkId = 'ethereum', signal = null) {
+  const lowerAddress = tokenAddress.toLowerCase();
+  const cached = contractMetadataCache.get(`${networkId}:${lowerAddress}`);
+  
+  if (cached) {
+    return cached;
+  }
+  
+  if (supportsMulticall(networkId)) {
+    try {
+      const metadata = await getBatchTokenMetadata([lowerAddress], networkId, signal);
+      return metadata.get(lowerAddress);
+    } catch (error) {
+      logDebug(`Multicall metadata unavailable on ${getNetworkConfig(networkId).name}, using individual calls`, {
+        error: error.message
+      });
+    }
+  }
+  
+  const [name, symbol, decimals] = await Promise.all([
+    getTokenName(tokenAddress, networkId),
+    getTokenSymbol(tokenAddress, networkId),
+    callContractFunction(tokenAddress, CONTRACT_FUNCTIONS.DECIMALS, networkId, signal)
+  ]);
+  
+  return {
+    name: name || null,
+    symbol: symbol || null,
+    decimals: decimals === null ? null : parseInt(decodeUint(decimals), 10)
+  };
+}
+
+/**
+ * Warnings for token metadata calls that returned no usable data
+ */
+function getMetadataWarnings({ name, symbol, decimals }, nft = false) {
+  const warnings = [];
+  
+  if (!name) warnings.push('name() returned no usable data');
+  if (!symbol) warnings.push('symbol() returned no usable data');
+  if (!nft && (decimals === null || decimals === undefined)) {
+    warnings.push(`decimals() returned no data - assuming ${ANALYSIS_CONFIG.DEFAULT_DECIMALS}`);
+  }
+  
+  return warnings;
+}
+
+/**
+ * Warnings from contract inspection - not a contract, or an upgradeable proxy
+ */
+function getContractWarnings(contract) {
+  if (!contract.isContract) {
+    return ['No contract code at this address - it is not a token'];
+  }
+  
+  if (contract.proxy?.type === PROXY_TYPES.EIP1967) {
+    return [`Upgradeable proxy (EIP-1967) - the implementation ${contract.proxy.implementation} can be replaced`];
+  }
+  
+  if (contract.proxy?.type === PROXY_TYPES.EIP1967_BEACON) {
+    return [`Beacon proxy (EIP-1967) - the implementation is set by beacon ${contract.proxy.beacon} and can be replaced`];
+  }
+  
+  return [];
+}
+
+/**
+ * Placeholder token info for contracts without readable metadata
+ */
+function createPlaceholderTokenInfo(tokenAddress, networkId, { decimals, standard } = {}) {
+  return {
+    address: tokenAddress,
+    symbol: `${tokenAddress.substring(0, 6)}...`,
+    name: `Token: ${tokenAddress.substring(0, 10)}...${tokenAddress.slice(-4)}`,
+    decimals: decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS,
+    standard,
+    source: 'fallback',
+    network: networkId,
+    networkName: getNetworkConfig(networkId).name
+  };
+}
+
+/**
+ * POPRAWIONA SEKCJA getTokenInfo w services/etherscan.js
+ * Zastąp funkcję getTokenInfo w swoim pliku tą wersją
+ */
+
+/**
+ * Get comprehensive token information on specified network with USD pricing - POPRAWIONA WERSJA
+ * tokenInfo.warnings lists metadata the contract did not answer; options.inspectContract also
+ * checks for contract code and proxies (tokenInfo.contract), at the cost of up to three extra calls
+ */
+async function getTokenInfo(tokenAddress, networkId = 'ethereum', includePricing = true, options = {}) {
+  if (!isValidEthereumAddress(tokenAddress)) {
+    throw new Error('Invalid token address');
+  }
+
+  if (!isNetworkSupported(networkId)) {
+    throw new Error(`Unsupported network: ${networkId}`);
+  }
+  
+  const networkConfig = getNetworkConfig(networkId);
+  const lowerAddress = tokenAddress.toLowerCase();
+  
+  // Check network-specific database first
+  const tokenDatabase = getTokenDatabase(networkId);
+  let tokenInfo;
+  const warnings = [];
+  
+  // Optional contract sanity checks - code at the address, proxy pattern
+  let contract = null;
+  if (options.inspectContract && !isNativeToken(lowerAddress)) {
+    try {
+      contract = await inspectContract(tokenAddress, networkId);
+      warnings.push(...getContractWarnings(contract));
+    } catch (error) {
+      warnings.push(`Contract checks failed: ${error.message}`);
+    }
+  }
+  
+  if (isNativeToken(lowerAddress)) {
+    tokenInfo = {
+      address: tokenAddress,
+      symbol: networkConfig.nativeCurrency.symbol,
+      name: networkConfig.nativeCurrency.name,
+      decimals: networkConfig.nativeCurrency.decimals,
+      isNative: true,
+      standard: TOKEN_STANDARDS.NATIVE,
+      source: 'network',
+      network: networkId,
+      networkName: networkConfig.name
+    };
+  } else if (tokenDatabase[lowerAddress]) {
+    logDebug(`Token found in ${networkConfig.name} database: ${tokenDatabase[lowerAddress].symbol}`);
+    tokenInfo = {
+      address: tokenAddress,
+      ...tokenDatabase[lowerAddress],
+      standard: TOKEN_STANDARDS.ERC20,
+      source: 'database',
+      network: networkId,
+      networkName: networkConfig.name
+    };
+  } else if (contract && !contract.isContract) {
+    tokenInfo = createPlaceholderTokenInfo(tokenAddress, networkId, { standard: null });
+  } else {
+    // NFT collections have no decimals and no DEX price - undetectable contracts are treated as ERC-20
+    const { standard, enumerable } = await getTokenStandard(tokenAddress, networkId)
+      .catch(() => ({ standard: TOKEN_STANDARDS.ERC20, enumerable: false }));
+    const nft = isNftStandard(standard);
+    
+    // Try to get info from contract (batched metadata lands in the cache first)
+    try {
+      const { name, symbol, decimals } = await readTokenMetadata(tokenAddress, networkId);
+      warnings.push(...getMetadataWarnings({ name, symbol, decimals }, nft));
+      
+      if (symbol || name) {
+        tokenInfo = {
+          address: tokenAddress,
+          symbol: symbol || `Token_${tokenAddress.substring(0, 6)}...`,
+          name: name || `Token: ${tokenAddress.substring(0, 10)}...${tokenAddress.slice(-4)}`,
+          decimals: nft ? 0 : decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS,
+          standard,
+          ...(nft ? { enumerable } : {}),
+          source: 'contract',
+          network: networkId,
+          networkName: networkConfig.name
+        };
+        
+        logDebug(`Token info retrieved from ${networkConfig.name} contract`, tokenInfo);
+      } else {
+        // Fallback to basic info
+        tokenInfo = createPlaceholderTokenInfo(tokenAddress, networkId, { decimals: nft ? 0 : undefined, standard });
+      }
+    } catch (error) {
       logDebug(`Failed to get token info from ${networkConfig.name} contract`, { 
         error: error.message,
         network: networkConfig.name 
       });
       
       // Fallback to basic info
-      tokenInfo = {
-        address: tokenAddress,
-        symbol: `${tokenAddress.substring(0, 6)}...`,
-        name: `Token: ${tokenAddress.substring(0, 10)}...${tokenAddress.slice(-4)}`,
-        decimals: ANALYSIS_CONFIG.DEFAULT_DECIMALS,
-        source: 'fallback',
-        network: networkId,
-        networkName: networkConfig.name
-      };
+      warnings.push(`Token metadata unavailable: ${error.message}`);
+      tokenInfo = createPlaceholderTokenInfo(tokenAddress, networkId, { decimals: nft ? 0 : undefined, standard });
     }
   }
   
-  // POPRAWIONA SEKCJA: Add pricing information from DexScreener if requested
-  if (includePricing) {
+  tokenInfo.warnings = warnings;
+  if (contract) {
+    tokenInfo.contract = contract;
+  }
+  
+  // POPRAWIONA SEKCJA: Add pricing information from DexScreener if requested (NFT collections and non-contracts are not priced)
+  if (includePricing && !isNftStandard(tokenInfo.standard) && tokenInfo.contract?.isContract !== false) {
     logDebug(`Attempting to fetch price data for ${tokenInfo.symbol} on ${networkConfig.name}`, {
       tokenAddress: tokenAddress.substring(0, 10) + '...',
       network: networkId
     });
     
     try {
-      const priceData = await dexScreenerService.getTokenPrice(tokenAddress, networkId);
+      const priceData = await dexScreenerService.getTokenPrice(getPriceAddress(tokenAddress, networkId), networkId);
       
       if (priceData && !priceData.error && priceData.priceUsd !== null) {
         tokenInfo.priceUsd = priceData.priceUsd;
@@ -500,8 +1804,9 @@ async function getTokenInfo(tokenAddress, networkId = 'ethereum', includePricing
 
 /**
  * POPRAWIONA WERSJA getMultipleTokenInfo
+ * options.onPrice(priceData) and options.signal are forwarded to the price fetcher
  */
-async function getMultipleTokenInfo(tokenAddresses, networkId = 'ethereum', includePricing = true) {
+async function getMultipleTokenInfo(tokenAddresses, networkId = 'ethereum', includePricing = true, options = {}) {
   if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
     return [];
   }
@@ -520,6 +1825,18 @@ async function getMultipleTokenInfo(tokenAddresses, networkId = 'ethereum', incl
       network: networkConfig.name
     });
     
+    // Fetch contract metadata and standards for all tokens in one multicall each, getTokenInfo then reads them from cache
+    if (supportsMulticall(networkId)) {
+      try {
+        await getBatchTokenMetadata(tokenAddresses, networkId, options.signal);
+        await getBatchTokenStandards(tokenAddresses, networkId, options.signal);
+      } catch (error) {
+        logDebug(`Multicall metadata unavailable on ${networkConfig.name}, using individual calls`, {
+          error: error.message
+        });
+      }
+    }
+    
     // Get all token info without pricing first
     const tokenInfoPromises = tokenAddresses.map(address => 
       getTokenInfo(address, networkId, false) // Don't include pricing yet
@@ -532,12 +1849,27 @@ async function getMultipleTokenInfo(tokenAddresses, networkId = 'ethereum', incl
       try {
         logDebug(`🔄 Fetching batch price data for ${tokenAddresses.length} tokens on ${networkConfig.name}`);
         
-        const priceDataArray = await dexScreenerService.getMultipleTokenPrices(tokenAddresses, networkId);
+        // Native currency is priced through its wrapped token, NFT collections are not priced
+        const fungibleInfos = tokenInfos.filter(tokenInfo => !isNftStandard(tokenInfo.standard));
+        const priceAddresses = [...new Set(fungibleInfos.map(tokenInfo => getPriceAddress(tokenInfo.address, networkId)))];
+        const priceDataArray = priceAddresses.length > 0
+          ? await dexScreenerService.getMultipleTokenPrices(priceAddresses, networkId, {
+            onPrice: options.onPrice,
+            signal: options.signal
+          })
+          : [];
+        
+        tokenInfos.filter(tokenInfo => isNftStandard(tokenInfo.standard)).forEach(tokenInfo => {
+          tokenInfo.priceUsd = null;
+          tokenInfo.priceChange24h = null;
+          tokenInfo.priceSource = null;
+        });
         
         // Merge price data with token info
-        tokenInfos.forEach((tokenInfo, index) => {
+        fungibleInfos.forEach((tokenInfo, index) => {
+          const priceAddress = getPriceAddress(tokenInfo.address, networkId).toLowerCase();
           const priceData = priceDataArray.find(p => 
-            p.address.toLowerCase() === tokenInfo.address.toLowerCase()
+            p.address.toLowerCase() === priceAddress
           );
           
           if (priceData && !priceData.error && priceData.priceUsd !== null) {
@@ -593,154 +1925,6 @@ async function getMultipleTokenInfo(tokenAddresses, networkId = 'ethereum', incl
     
     return tokenInfos;
     
-  } catch (error) {
-    timer.end();
-    logError(`Failed to get multiple token info for ${networkConfig.name}`, error);
-    throw error;
-  }
-}
-      
-      // Fallback to basic info
-      tokenInfo = {
-        address: tokenAddress,
-        symbol: `${tokenAddress.substring(0, 6)}...`,
-        name: `Token: ${tokenAddress.substring(0, 10)}...${tokenAddress.slice(-4)}`,
-        decimals: ANALYSIS_CONFIG.DEFAULT_DECIMALS,
-        source: 'fallback',
-        network: networkId,
-        networkName: networkConfig.name
-      };
-    }
-  }
-  
-  // Add pricing information from DexScreener if requested
-  if (includePricing) {
-    try {
-      const priceData = await dexScreenerService.getTokenPrice(tokenAddress, networkId);
-      
-      if (priceData && !priceData.error) {
-        tokenInfo.priceUsd = priceData.priceUsd;
-        tokenInfo.priceChange24h = priceData.priceChange24h;
-        tokenInfo.volume24h = priceData.volume24h;
-        tokenInfo.dexId = priceData.dexId;
-        tokenInfo.pairAddress = priceData.pairAddress;
-        tokenInfo.priceSource = 'dexscreener';
-        
-        logDebug(`Added price data to token info for ${tokenInfo.symbol}`, {
-          priceUsd: tokenInfo.priceUsd,
-          priceChange24h: tokenInfo.priceChange24h,
-          network: networkConfig.name
-        });
-      } else {
-        tokenInfo.priceUsd = null;
-        tokenInfo.priceChange24h = null;
-        tokenInfo.priceSource = null;
-        tokenInfo.priceError = priceData?.error || 'Price data unavailable';
-        
-        logDebug(`Failed to get price data for ${tokenInfo.symbol}`, {
-          error: priceData?.error,
-          network: networkConfig.name
-        });
-      }
-    } catch (priceError) {
-      logError(`Failed to fetch price data for token ${tokenAddress} on ${networkConfig.name}`, priceError);
-      tokenInfo.priceUsd = null;
-      tokenInfo.priceChange24h = null;
-      tokenInfo.priceSource = null;
-      tokenInfo.priceError = priceError.message;
-    }
-  }
-  
-  return tokenInfo;
-}
-
-/**
- * Get multiple token information with pricing efficiently
- * @param {Array} tokenAddresses - Array of token contract addresses
- * @param {string} networkId - Network identifier
- * @param {boolean} includePricing - Whether to include USD pricing
- * @returns {Promise<Array>} Array of token info with pricing
- */
-async function getMultipleTokenInfo(tokenAddresses, networkId = 'ethereum', includePricing = true) {
-  if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
-    return [];
-  }
-
-  if (!isNetworkSupported(networkId)) {
-    throw new Error(`Unsupported network: ${networkId}`);
-  }
-  
-  const networkConfig = getNetworkConfig(networkId);
-  const timer = new PerformanceTimer(`Multiple Token Info - ${tokenAddresses.length} tokens on ${networkConfig.name}`);
-  
-  try {
-    logDebug(`Fetching multiple token info on ${networkConfig.name}`, {
-      tokenCount: tokenAddresses.length,
-      includePricing: includePricing,
-      network: networkConfig.name
-    });
-    
-    // Get all token info without pricing first
-    const tokenInfoPromises = tokenAddresses.map(address => 
-      getTokenInfo(address, networkId, false) // Don't include pricing yet
-    );
-    
-    const tokenInfos = await Promise.all(tokenInfoPromises);
-    
-    // If pricing is requested, fetch all prices in batches
-    if (includePricing) {
-      try {
-        const priceDataArray = await dexScreenerService.getMultipleTokenPrices(tokenAddresses, networkId);
-        
-        // Merge price data with token info
-        tokenInfos.forEach((tokenInfo, index) => {
-          const priceData = priceDataArray.find(p => 
-            p.address.toLowerCase() === tokenInfo.address.toLowerCase()
-          );
-          
-          if (priceData && !priceData.error) {
-            tokenInfo.priceUsd = priceData.priceUsd;
-            tokenInfo.priceChange24h = priceData.priceChange24h;
-            tokenInfo.volume24h = priceData.volume24h;
-            tokenInfo.dexId = priceData.dexId;
-            tokenInfo.pairAddress = priceData.pairAddress;
-            tokenInfo.priceSource = 'dexscreener';
-          } else {
-            tokenInfo.priceUsd = null;
-            tokenInfo.priceChange24h = null;
-            tokenInfo.priceSource = null;
-            tokenInfo.priceError = priceData?.error || 'Price data unavailable';
-          }
-        });
-        
-        const successfulPrices = tokenInfos.filter(t => t.priceUsd !== null).length;
-        logDebug(`Added price data to ${successfulPrices}/${tokenInfos.length} tokens`, {
-          network: networkConfig.name
-        });
-        
-      } catch (priceError) {
-        logError(`Failed to fetch batch price data for ${networkConfig.name}`, priceError);
-        
-        // Set all tokens to have no pricing data
-        tokenInfos.forEach(tokenInfo => {
-          tokenInfo.priceUsd = null;
-          tokenInfo.priceChange24h = null;
-          tokenInfo.priceSource = null;
-          tokenInfo.priceError = priceError.message;
-        });
-      }
-    }
-    
-    timer.end();
-    
-    logDebug(`Multiple token info completed for ${networkConfig.name}`, {
-      totalTokens: tokenInfos.length,
-      withPricing: includePricing,
-      network: networkConfig.name
-    });
-    
-    return tokenInfos;
-    
   } catch (error) {
     timer.end();
     logError(`Failed to get multiple token info for ${networkConfig.name}`, error);
@@ -769,109 +1953,38 @@ const legacyGetTokenDecimals = (tokenAddress) =>
 
 const legacyGetTokenInfo = (tokenAddress) => 
   getTokenInfo(tokenAddress, 'ethereum');
-/**
- * Get multiple token information with pricing efficiently
- * @param {Array} tokenAddresses - Array of token contract addresses
- * @param {string} networkId - Network identifier
- * @param {boolean} includePricing - Whether to include USD pricing
- * @returns {Promise<Array>} Array of token info with pricing
- */
-async function getMultipleTokenInfo(tokenAddresses, networkId = 'ethereum', includePricing = true) {
-  if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
-    return [];
-  }
 
-  if (!isNetworkSupported(networkId)) {
-    throw new Error(`Unsupported network: ${networkId}`);
-  }
-  
-  const networkConfig = getNetworkConfig(networkId);
-  const timer = new PerformanceTimer(`Multiple Token Info - ${tokenAddresses.length} tokens on ${networkConfig.name}`);
-  
-  try {
-    logDebug(`Fetching multiple token info on ${networkConfig.name}`, {
-      tokenCount: tokenAddresses.length,
-      includePricing: includePricing,
-      network: networkConfig.name
-    });
-    
-    // Get all token info without pricing first
-    const tokenInfoPromises = tokenAddresses.map(address => 
-      getTokenInfo(address, networkId, false) // Don't include pricing yet
-    );
-    
-    const tokenInfos = await Promise.all(tokenInfoPromises);
-    
-    // If pricing is requested, fetch all prices in batches
-    if (includePricing) {
-      try {
-        const priceDataArray = await dexScreenerService.getMultipleTokenPrices(tokenAddresses, networkId);
-        
-        // Merge price data with token info
-        tokenInfos.forEach((tokenInfo, index) => {
-          const priceData = priceDataArray.find(p => 
-            p.address.toLowerCase() === tokenInfo.address.toLowerCase()
-          );
-          
-          if (priceData && !priceData.error) {
-            tokenInfo.priceUsd = priceData.priceUsd;
-            tokenInfo.priceChange24h = priceData.priceChange24h;
-            tokenInfo.volume24h = priceData.volume24h;
-            tokenInfo.dexId = priceData.dexId;
-            tokenInfo.pairAddress = priceData.pairAddress;
-            tokenInfo.priceSource = 'dexscreener';
-          } else {
-            tokenInfo.priceUsd = null;
-            tokenInfo.priceChange24h = null;
-            tokenInfo.priceSource = null;
-            tokenInfo.priceError = priceData?.error || 'Price data unavailable';
-          }
-        });
-        
-        const successfulPrices = tokenInfos.filter(t => t.priceUsd !== null).length;
-        logDebug(`Added price data to ${successfulPrices}/${tokenInfos.length} tokens`, {
-          network: networkConfig.name
-        });
-        
-      } catch (priceError) {
-        logError(`Failed to fetch batch price data for ${networkConfig.name}`, priceError);
-        
-        // Set all tokens to have no pricing data
-        tokenInfos.forEach(tokenInfo => {
-          tokenInfo.priceUsd = null;
-          tokenInfo.priceChange24h = null;
-          tokenInfo.priceSource = null;
-          tokenInfo.priceError = priceError.message;
-        });
-      }
-    }
-    
-    timer.end();
-    
-    logDebug(`Multiple token info completed for ${networkConfig.name}`, {
-      totalTokens: tokenInfos.length,
-      withPricing: includePricing,
-      network: networkConfig.name
-    });
-    
-    return tokenInfos;
-    
-  } catch (error) {
-    timer.end();
-    logError(`Failed to get multiple token info for ${networkConfig.name}`, error);
-    throw error;
-  }
-}
 module.exports = {
   // Multi-chain functions (with network parameter)
   getTokenBalance,
+  getNativeBalance,
   getMultipleTokenBalances,
   callContractFunction,
+  getBlockNumber,
+  getBlockByTimestamp,
+  supportsMulticall,
+  multicall,
+  batchCall,
+  getBatchTokenMetadata,
+  getBatchTokenBalances,
+  getBatchTokenStandards,
+  getTokenStandard,
+  discoverWalletTokens,
+  getApprovalLogs,
+  getAllowances,
+  getContractVerification,
+  getTransactionCount,
+  getTransactionList,
+  getInternalTransactionList,
+  getTransactionSender,
+  getTokenTransferList,
   getTokenName,
   getTokenSymbol,
   getTokenDecimals,
   getTokenInfo,
   getMultipleTokenInfo,
+  getContractCode,
+  inspectContract,
   
   // Legacy functions for backward compatibility (Ethereum only)
   getTokenBalanceLegacy: legacyGetTokenBalance,
@@ -0,0 +1,250 @@
+/**
+ * Holder Screening
+ * Which of many candidate wallets hold one or a few target tokens above a threshold - balances are
+ * read in large Multicall3 batches, token metadata and prices are fetched once per token, and
+ * holders are ranked by USD value and balance with percentile stats per token
+ */
+
+const { API_CONFIG, ANALYSIS_CONFIG, getNetworkConfig } = require('../config/constants');
+const { sleep } = require('../utils/helpers');
+const { toBigInt, formatUnits, formatDisplayAmount, isAboveThreshold, compareUnits } = require('../utils/fixedPoint');
+const { logDebug, logWarn, PerformanceTimer } = require('../utils/debugger');
+const blockchainService = require('./etherscan');
+const dexScreenerService = require('./dexscreener');
+
+/**
+ * Metadata and price of each screened token, in target order
+ */
+async function getScreeningTokens(tokens, networkId, signal = null) {
+  const tokenInfos = await blockchainService.getMultipleTokenInfo(tokens, networkId, true, { signal });
+
+  return tokens.map((token, index) => {
+    const tokenInfo = tokenInfos[index] || {};
+
+    return {
+      address: token,
+      symbol: tokenInfo.symbol || null,
+      name: tokenInfo.name || null,
+      decimals: tokenInfo.decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS,
+      standard: tokenInfo.standard || null,
+      priceUsd: tokenInfo.priceUsd ?? null
+    };
+  });
+}
+
+/**
+ * Balances of a wallet batch: Map of lowercase wallet -> balance results in token order
+ * Multicall3 reads the whole batch at once; without it (or when it fails) wallets are checked one by one
+ */
+async function readBatchBalances(wallets, tokens, networkId, blockTag, signal) {
+  if (blockchainService.supportsMulticall(networkId)) {
+    try {
+      return await blockchainService.getBatchTokenBalances(wallets, tokens, networkId, { blockTag, signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      logWarn(`Multicall screening failed on ${getNetworkConfig(networkId).name}, checking wallets one by one`, {
+        wallets: wallets.length,
+        error: error.message
+      });
+    }
+  }
+
+  const delayMultiplier = ANALYSIS_CONFIG.NETWORK_DELAYS[networkId] || 1.0;
+  const balances = new Map();
+
+  for (const wallet of wallets) {
+    if (signal?.aborted) break;
+
+    balances.set(wallet, await blockchainService.getMultipleTokenBalances(wallet, tokens, networkId, { blockTag, signal }));
+    await sleep(Math.round(API_CONFIG.RATE_LIMITS.WALLET_DELAY * delayMultiplier), signal);
+  }
+
+  return balances;
+}
+
+/**
+ * Screen one batch of wallets
+ * tokens come from getScreeningTokens; a holding counts when its balance is above
+ * options.minBalance (token units, MIN_BALANCE_THRESHOLD by default) and worth at least options.minUsd
+ * options.match 'any' keeps wallets with any qualifying holding, 'all' only wallets holding every token
+ * Returns { holders, errors } - holders unranked, errors counts wallets whose balance reads failed
+ */
+async function screenWalletBatch(wallets, tokens, networkId, options = {}) {
+  const { minBalance = null, minUsd = null, match = 'any', blockTag = 'latest', signal = null } = options;
+  const threshold = minBalance ?? ANALYSIS_CONFIG.MIN_BALANCE_THRESHOLD;
+  const balances = await readBatchBalances(wallets, tokens.map(token => token.address), networkId, blockTag, signal);
+  const holders = [];
+  let errors = 0;
+
+  for (const wallet of wallets) {
+    const results = balances.get(wallet);
+    if (!results) continue;
+
+    if (results.some(result => result.error)) errors++;
+
+    const holdings = results.map((result, index) => {
+      const token = tokens[index];
+      const rawBalance = result.error ? 0n : toBigInt(result.rawBalance);
+      const valueUsd = dexScreenerService.calculateUsdValue(formatUnits(rawBalance, token.decimals), token.priceUsd);
+
+      return {
+        tokenAddress: token.address,
+        symbol: token.symbol,
+        rawBalance: rawBalance.toString(),
+        balance: formatUnits(rawBalance, token.decimals),
+        balanceFormatted: formatDisplayAmount(rawBalance, token.decimals),
+        valueUsd,
+        qualifies: isAboveThreshold(rawBalance, token.decimals, threshold) && (minUsd === null || valueUsd >= minUsd)
+      };
+    });
+
+    const qualifying = holdings.filter(holding => holding.qualifies).length;
+    if (qualifying === 0 || (match === 'all' && qualifying < tokens.length)) continue;
+
+    const valueUsd = holdings.reduce((sum, holding) => sum + holding.valueUsd, 0);
+    holders.push({
+      walletAddress: wallet,
+      holdings,
+      valueUsd,
+      valueUsdFormatted: dexScreenerService.formatUsdValue(valueUsd)
+    });
+  }
+
+  return { holders, errors };
+}
+
+/**
+ * Screen wallets in batches of HOLDER_SCREEN_BATCH_SIZE (see screenWalletBatch for options)
+ * options.onBatch({ holders, walletsScreened, errors }) streams each batch's holders as they are found
+ * Stops early when options.signal aborts, returning what was screened so far
+ * Returns { holders, walletsScreened, errors } - holders unranked
+ */
+async function screenHolders(wallets, tokens, networkId, options = {}) {
+  const { signal = null, onBatch = null } = options;
+  const networkConfig = getNetworkConfig(networkId);
+  const timer = new PerformanceTimer(`Holder screening-${wallets.length}wallets-${networkConfig.name}`);
+  const batchSize = ANALYSIS_CONFIG.HOLDER_SCREEN_BATCH_SIZE;
+  const holders = [];
+  let walletsScreened = 0;
+  let errors = 0;
+
+  for (let i = 0; i < wallets.length; i += batchSize) {
+    if (signal?.aborted) break;
+
+    const batch = wallets.slice(i, i + batchSize);
+    let screened;
+    try {
+      screened = await screenWalletBatch(batch, tokens, networkId, options);
+    } catch (error) {
+      if (signal?.aborted) break;
+      throw error;
+    }
+
+    // A cancelled batch may be missing wallets - drop it
+    if (signal?.aborted) break;
+
+    holders.push(...screened.holders);
+    walletsScreened += batch.length;
+    errors += screened.errors;
+
+    if (onBatch) {
+      onBatch({ holders: screened.holders, walletsScreened, errors });
+    }
+  }
+
+  timer.end();
+  logDebug(`Holder screening on ${networkConfig.name}`, {
+    walletsScreened,
+    holders: holders.length,
+    errors
+  });
+
+  if (errors > 0) {
+    logWarn(`Balance reads failed for ${errors} wallets on ${networkConfig.name}`, { walletsScreened });
+  }
+
+  return { holders, walletsScreened, errors };
+}
+
+/**
+ * Rank holders by USD value, then by balance of the first token to the last
+ * rank 1 is the largest holder; percentile is the share of holders ranked below
+ */
+function rankHolders(holders) {
+  const ranked = [...holders].sort((a, b) => {
+    if (b.valueUsd !== a.valueUsd) return b.valueUsd - a.valueUsd;
+
+    for (let i = 0; i < a.holdings.length; i++) {
+      const order = compareUnits(b.holdings[i].rawBalance, a.holdings[i].rawBalance);
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+
+  return ranked.map((holder, index) => ({
+    rank: index + 1,
+    percentile: Math.round(((ranked.length - index - 1) / ranked.length) * 10000) / 100,
+    ...holder
+  }));
+}
+
+// Nearest-rank percentile of an ascending BigInt list
+function percentileOf(sorted, percentile) {
+  const index = Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1);
+  return sorted[index];
+}
+
+/**
+ * Per-token distribution over the holders of that token (qualifying holdings only)
+ * Balances stay exact: percentiles are nearest-rank, topHoldersShare is the part of the
+ * holders' combined balance held by the HOLDER_SCREEN_TOP_HOLDERS largest
+ */
+function summarizeHolders(holders, tokens, walletsScreened) {
+  const topCount = ANALYSIS_CONFIG.HOLDER_SCREEN_TOP_HOLDERS;
+
+  const tokenStats = tokens.map((token, index) => {
+    const balances = holders
+      .map(holder => holder.holdings[index])
+      .filter(holding => holding.qualifies)
+      .map(holding => toBigInt(holding.rawBalance))
+      .sort((a, b) => compareUnits(a, b));
+    const total = balances.reduce((sum, balance) => sum + balance, 0n);
+    const top = balances.slice(-topCount).reduce((sum, balance) => sum + balance, 0n);
+    const amount = raw => ({ raw: raw.toString(), formatted: formatDisplayAmount(raw, token.decimals) });
+    const totalValueUsd = dexScreenerService.calculateUsdValue(formatUnits(total, token.decimals), token.priceUsd);
+
+    return {
+      token,
+      holders: balances.length,
+      holderRate: walletsScreened > 0 ? Math.round((balances.length / walletsScreened) * 10000) / 100 : 0,
+      totalBalance: amount(total),
+      totalValueUsd,
+      totalValueUsdFormatted: dexScreenerService.formatUsdValue(totalValueUsd),
+      meanBalance: amount(balances.length > 0 ? total / BigInt(balances.length) : 0n),
+      minBalance: amount(balances[0] ?? 0n),
+      maxBalance: amount(balances[balances.length - 1] ?? 0n),
+      percentiles: Object.fromEntries(ANALYSIS_CONFIG.HOLDER_SCREEN_PERCENTILES.map(percentile =>
+        [`p${percentile}`, amount(balances.length > 0 ? percentileOf(balances, percentile) : 0n)])),
+      topHoldersShare: total > 0n ? Number((top * 10000n) / total) / 100 : 0
+    };
+  });
+
+  const totalValueUsd = holders.reduce((sum, holder) => sum + holder.valueUsd, 0);
+
+  return {
+    walletsScreened,
+    holders: holders.length,
+    holderRate: walletsScreened > 0 ? Math.round((holders.length / walletsScreened) * 10000) / 100 : 0,
+    totalValueUsd,
+    totalValueUsdFormatted: dexScreenerService.formatUsdValue(totalValueUsd),
+    tokens: tokenStats
+  };
+}
+
+module.exports = {
+  getScreeningTokens,
+  screenWalletBatch,
+  screenHolders,
+  rankHolders,
+  summarizeHolders
+};
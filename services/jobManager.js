@@ -0,0 +1,319 @@
+/**
+ * Analysis Job Manager
+ * In-memory registry for background wallet analysis jobs
+ * Jobs run independently of the HTTP request that submitted them
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { JOB_CONFIG } = require('../config/constants');
+const { logInfo, logError, logDebug } = require('../utils/debugger');
+
+/**
+ * Job lifecycle states
+ */
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Job registry keyed by job ID
+const jobs = new Map();
+
+/**
+ * Create a new queued job
+ */
+function createJob({ type = 'analysis', network, walletCount = 0, tokenCount = 0, params = {} } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: JOB_STATUS.QUEUED,
+    network,
+    params,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    expiresAt: null,
+    progress: {
+      walletsTotal: walletCount,
+      walletsCompleted: 0,
+      tokensTotal: tokenCount,
+      currentWallet: null,
+      percent: 0,
+      etaMs: null
+    },
+    partialResults: [],
+    results: null,
+    analysis: null,
+    error: null,
+    cancelRequested: false,
+    // Live event feed for SSE subscribers - not part of serialized job
+    events: new EventEmitter(),
+    lastEventId: 0,
+    // Aborted on cancellation - runners pass the signal down to API calls
+    abortController: new AbortController()
+  };
+
+  job.events.setMaxListeners(50);
+  jobs.set(job.id, job);
+
+  logDebug(`Job created: ${job.id}`, { type, network, walletCount, tokenCount });
+  return job;
+}
+
+/**
+ * Get job by ID (expired jobs are treated as missing)
+ */
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (isJobExpired(job)) {
+    jobs.delete(jobId);
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * Run job in the background - the runner receives the job and resolves with final results
+ * Runners should watch job.abortController.signal and resolve with partial results when aborted
+ */
+function startJob(job, runner) {
+  job.status = JOB_STATUS.RUNNING;
+  job.startedAt = new Date().toISOString();
+
+  logInfo(`Job started: ${job.id}`, {
+    type: job.type,
+    network: job.network,
+    walletCount: job.progress.walletsTotal
+  });
+
+  // Deliberately not awaited - the caller responds before the job finishes
+  Promise.resolve()
+    .then(() => runner(job))
+    .then(results => completeJob(job, results))
+    .catch(error => failJob(job, error));
+
+  return job;
+}
+
+/**
+ * Publish event to live subscribers of a job
+ */
+function emitJobEvent(job, type, data = {}) {
+  job.lastEventId++;
+  job.events.emit('event', {
+    id: job.lastEventId,
+    type,
+    data: { jobId: job.id, ...data }
+  });
+}
+
+/**
+ * Update job progress counters and ETA, then notify subscribers
+ */
+function updateJobProgress(job, update = {}) {
+  Object.assign(job.progress, update);
+
+  const { walletsCompleted, walletsTotal } = job.progress;
+  job.progress.percent = walletsTotal > 0
+    ? Math.round((walletsCompleted / walletsTotal) * 100)
+    : 0;
+
+  // ETA from average wallet duration so far
+  if (job.startedAt && walletsCompleted > 0 && walletsCompleted < walletsTotal) {
+    const elapsedMs = Date.now() - new Date(job.startedAt).getTime();
+    job.progress.etaMs = Math.round((elapsedMs / walletsCompleted) * (walletsTotal - walletsCompleted));
+  } else {
+    job.progress.etaMs = walletsCompleted >= walletsTotal ? 0 : null;
+  }
+
+  emitJobEvent(job, 'progress', { progress: { ...job.progress } });
+  return job.progress;
+}
+
+/**
+ * Record a finished wallet result so it can be served before the job completes
+ */
+function addPartialResult(job, walletResult) {
+  job.partialResults.push(walletResult);
+  updateJobProgress(job, { walletsCompleted: job.partialResults.length });
+}
+
+/**
+ * Record a finished batch - for jobs whose partial results are not one per wallet (e.g. only
+ * the holders found among the screened wallets), so progress is given explicitly
+ */
+function addPartialResults(job, results, walletsCompleted) {
+  job.partialResults.push(...results);
+  updateJobProgress(job, { walletsCompleted });
+}
+
+/**
+ * Mark job as completed - or cancelled, keeping the partial results the runner returned
+ */
+function completeJob(job, results) {
+  const cancelled = job.abortController.signal.aborted;
+
+  job.status = cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED;
+  job.results = results;
+  job.completedAt = new Date().toISOString();
+  job.expiresAt = new Date(Date.now() + JOB_CONFIG.RETENTION_MS).toISOString();
+  updateJobProgress(job, {
+    currentWallet: null,
+    walletsCompleted: cancelled ? job.progress.walletsCompleted : job.progress.walletsTotal
+  });
+
+  logInfo(`Job ${job.status}: ${job.id}`, {
+    type: job.type,
+    network: job.network,
+    walletsCompleted: job.progress.walletsCompleted,
+    expiresAt: job.expiresAt
+  });
+
+  emitJobEvent(job, job.status, { job: serializeJob(job) });
+}
+
+/**
+ * Request cancellation of a queued or running job
+ * Returns false if the job had already finished
+ */
+function cancelJob(job) {
+  if (isJobFinished(job)) {
+    return false;
+  }
+
+  if (!job.cancelRequested) {
+    job.cancelRequested = true;
+    job.abortController.abort();
+
+    logInfo(`Job cancellation requested: ${job.id}`, {
+      type: job.type,
+      walletsCompleted: job.progress.walletsCompleted
+    });
+
+    emitJobEvent(job, 'cancelling', { progress: { ...job.progress } });
+  }
+
+  return true;
+}
+
+/**
+ * Mark job as failed
+ */
+function failJob(job, error) {
+  job.status = JOB_STATUS.FAILED;
+  job.error = error.message;
+  job.completedAt = new Date().toISOString();
+  job.expiresAt = new Date(Date.now() + JOB_CONFIG.RETENTION_MS).toISOString();
+  updateJobProgress(job, { currentWallet: null });
+
+  logError(`Job failed: ${job.id}`, error, { type: job.type, network: job.network });
+
+  emitJobEvent(job, 'failed', { error: job.error });
+}
+
+/**
+ * Check whether job has finished (successfully or not)
+ */
+function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * Check whether finished job is past its retention window
+ */
+function isJobExpired(job, now = Date.now()) {
+  return !!job.expiresAt && new Date(job.expiresAt).getTime() <= now;
+}
+
+/**
+ * Count queued and running jobs
+ */
+function getActiveJobCount() {
+  let count = 0;
+  for (const job of jobs.values()) {
+    if (!isJobFinished(job)) count++;
+  }
+  return count;
+}
+
+/**
+ * Build client-facing job representation
+ */
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    network: job.network,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    progress: { ...job.progress },
+    cancelRequested: job.cancelRequested,
+    partialResults: job.results ? [] : job.partialResults,
+    analysis: job.analysis,
+    results: job.results,
+    error: job.error
+  };
+}
+
+/**
+ * Subscribe to live job events - returns unsubscribe function
+ */
+function subscribeToJob(job, listener) {
+  job.events.on('event', listener);
+  return () => job.events.removeListener('event', listener);
+}
+
+/**
+ * Remove finished jobs past their retention window
+ */
+function cleanupExpiredJobs() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [jobId, job] of jobs.entries()) {
+    if (isJobExpired(job, now)) {
+      job.events.removeAllListeners();
+      jobs.delete(jobId);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    logDebug(`Expired jobs removed: ${removed}`, { remaining: jobs.size });
+  }
+
+  return removed;
+}
+
+// Periodic cleanup - unref'd so it never keeps the process alive
+const cleanupTimer = setInterval(cleanupExpiredJobs, JOB_CONFIG.CLEANUP_INTERVAL_MS);
+cleanupTimer.unref();
+
+module.exports = {
+  JOB_STATUS,
+  createJob,
+  getJob,
+  startJob,
+  updateJobProgress,
+  addPartialResult,
+  addPartialResults,
+  cancelJob,
+  emitJobEvent,
+  subscribeToJob,
+  isJobFinished,
+  getActiveJobCount,
+  serializeJob,
+  cleanupExpiredJobs
+};
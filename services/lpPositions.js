@@ -0,0 +1,299 @@
+/**
+ * LP Position Valuation
+ * Liquidity a wallet provides, broken down into the underlying tokens it can withdraw:
+ * - Uniswap v2-style pair tokens (Uniswap v2, SushiSwap, Aerodrome basic pools...) among the tokens of
+ *   the wallet's transfer history - its share of the pair's reserves
+ * - Concentrated liquidity position NFTs of the chain's lpPositionManagers (Uniswap v3, Aerodrome
+ *   Slipstream) - each position's liquidity at the pool's current price, plus the fees owed to it as of
+ *   its last update (fees earned since are not counted)
+ * Positions staked in gauges or farms are held by the staking contract, so they are not found.
+ */
+
+const { ANALYSIS_CONFIG, CONTRACT_FUNCTIONS, getNetworkConfig } = require('../config/constants');
+const { formatUnits, formatDisplayAmount } = require('../utils/fixedPoint');
+const {
+  encodeUint,
+  encodeAddress,
+  encodeAddressCall,
+  encodeAddressUintCall,
+  decodeAddress,
+  decodeWords,
+  toSignedInt,
+  wordToAddress
+} = require('../utils/abi');
+const { getAmountsForLiquidity } = require('../utils/concentratedLiquidity');
+const { logDebug, PerformanceTimer } = require('../utils/debugger');
+const blockchainService = require('./etherscan');
+const dexScreenerService = require('./dexscreener');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+// Plain contract addresses - ERC-1155 '0x...#id' targets are not pairs
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// Words of a successful call, null for reverted or empty calls
+function readWords(entry, minWords = 1) {
+  return entry.success ? decodeWords(entry.returnData, minWords) : null;
+}
+
+/**
+ * Pair tokens the wallet holds among candidate tokens, with its share of each pair's reserves
+ * A pair answers token0(), token1() and getReserves() and has a supply
+ */
+async function getPairPositions(wallet, candidates, networkId, blockTag, signal) {
+  const probes = await blockchainService.batchCall(candidates.flatMap(token => [
+    { target: token, callData: encodeAddressCall(CONTRACT_FUNCTIONS.BALANCE_OF, wallet) },
+    { target: token, callData: CONTRACT_FUNCTIONS.TOKEN0 }
+  ]), networkId, signal, blockTag);
+
+  const held = candidates
+    .map((pair, index) => ({
+      pair,
+      liquidity: readWords(probes[index * 2])?.[0] || 0n,
+      token0: readWords(probes[index * 2 + 1])?.[0] || 0n
+    }))
+    .filter(({ liquidity, token0 }) => liquidity > 0n && token0 > 0n);
+  if (held.length === 0) return [];
+
+  const details = await blockchainService.batchCall(held.flatMap(({ pair }) => [
+    { target: pair, callData: CONTRACT_FUNCTIONS.TOKEN1 },
+    { target: pair, callData: CONTRACT_FUNCTIONS.GET_RESERVES },
+    { target: pair, callData: CONTRACT_FUNCTIONS.TOTAL_SUPPLY }
+  ]), networkId, signal, blockTag);
+
+  return held.flatMap(({ pair, liquidity, token0 }, index) => {
+    const token1 = readWords(details[index * 3])?.[0];
+    const reserves = readWords(details[index * 3 + 1], 2);
+    const totalSupply = readWords(details[index * 3 + 2])?.[0];
+    if (!token1 || !reserves || !totalSupply) return [];
+
+    return [{
+      protocol: 'Uniswap v2-style pair',
+      type: 'pair',
+      contract: pair,
+      tokenId: null,
+      pool: pair,
+      inRange: null,
+      // Share of the pool in percent
+      share: Number((liquidity * 10n ** 8n) / totalSupply) / 10 ** 6,
+      underlying: [wordToAddress(token0), wordToAddress(token1)].map((address, position) => ({
+        address,
+        raw: (reserves[position] * liquidity) / totalSupply,
+        feesRaw: 0n
+      }))
+    }];
+  });
+}
+
+/**
+ * Open positions of a wallet in a concentrated liquidity position manager
+ * Reads up to LP_MAX_POSITIONS position NFTs; closed positions (no liquidity, nothing owed) are skipped,
+ * positions whose pool price cannot be read are listed as unpriced
+ */
+async function getManagerPositions(wallet, manager, networkId, blockTag, signal) {
+  const [countResult] = await blockchainService.batchCall([
+    { target: manager.address, callData: encodeAddressCall(CONTRACT_FUNCTIONS.BALANCE_OF, wallet) }
+  ], networkId, signal, blockTag);
+  const count = Number(readWords(countResult)?.[0] || 0n);
+  if (count === 0) return { positions: [], unpriced: [], truncated: false };
+
+  const listed = Math.min(count, ANALYSIS_CONFIG.LP_MAX_POSITIONS);
+  const idResults = await blockchainService.batchCall(Array.from({ length: listed }, (_, index) => ({
+    target: manager.address,
+    callData: encodeAddressUintCall(CONTRACT_FUNCTIONS.TOKEN_OF_OWNER_BY_INDEX, wallet, index)
+  })), networkId, signal, blockTag);
+  const tokenIds = idResults.map(entry => readWords(entry)?.[0]).filter(id => id !== undefined);
+
+  const positionResults = await blockchainService.batchCall(tokenIds.map(tokenId => ({
+    target: manager.address,
+    callData: CONTRACT_FUNCTIONS.POSITIONS + encodeUint(tokenId)
+  })), networkId, signal, blockTag);
+
+  // positions(): nonce, operator, token0, token1, fee / tickSpacing, tickLower, tickUpper, liquidity,
+  // feeGrowthInside0LastX128, feeGrowthInside1LastX128, tokensOwed0, tokensOwed1
+  const open = tokenIds.flatMap((tokenId, index) => {
+    const words = readWords(positionResults[index], 12);
+    if (!words || (words[7] === 0n && words[10] === 0n && words[11] === 0n)) return [];
+
+    return [{
+      tokenId,
+      token0: wordToAddress(words[2]),
+      token1: wordToAddress(words[3]),
+      poolKey: toSignedInt(words[4]),
+      tickLower: Number(toSignedInt(words[5])),
+      tickUpper: Number(toSignedInt(words[6])),
+      liquidity: words[7],
+      owed: [words[10], words[11]]
+    }];
+  });
+
+  // Each pool once: factory getPool, then its current price
+  const poolIds = [...new Set(open.map(position => `${position.token0}:${position.token1}:${position.poolKey}`))];
+  const getPool = manager.poolKey === 'tickSpacing'
+    ? CONTRACT_FUNCTIONS.GET_POOL_BY_TICK_SPACING
+    : CONTRACT_FUNCTIONS.GET_POOL_BY_FEE;
+  const poolResults = await blockchainService.batchCall(poolIds.map(poolId => {
+    const [token0, token1, poolKey] = poolId.split(':');
+    return { target: manager.factory, callData: getPool + encodeAddress(token0) + encodeAddress(token1) + encodeUint(BigInt(poolKey)) };
+  }), networkId, signal, blockTag);
+  const pools = poolResults.map(entry => (entry.success ? decodeAddress(entry.returnData) : ZERO_ADDRESS));
+
+  const livePools = pools.filter(pool => pool !== ZERO_ADDRESS);
+  const slot0Results = await blockchainService.batchCall(livePools.map(pool => ({
+    target: pool,
+    callData: CONTRACT_FUNCTIONS.SLOT0
+  })), networkId, signal, blockTag);
+  const prices = new Map(livePools.map((pool, index) => [pool, readWords(slot0Results[index], 2)]));
+
+  const unpriced = [];
+  const positions = open.flatMap(position => {
+    const pool = pools[poolIds.indexOf(`${position.token0}:${position.token1}:${position.poolKey}`)];
+    const slot0 = prices.get(pool);
+    if (!slot0) {
+      unpriced.push(position.tokenId.toString());
+      return [];
+    }
+
+    const tick = Number(toSignedInt(slot0[1]));
+    const { amount0, amount1 } = getAmountsForLiquidity(slot0[0], position.tickLower, position.tickUpper, position.liquidity);
+
+    return [{
+      protocol: manager.name,
+      type: 'concentrated',
+      contract: manager.address,
+      tokenId: position.tokenId.toString(),
+      pool,
+      [manager.poolKey]: Number(position.poolKey),
+      inRange: position.liquidity > 0n && tick >= position.tickLower && tick < position.tickUpper,
+      share: null,
+      underlying: [
+        { address: position.token0, raw: amount0, feesRaw: position.owed[0] },
+        { address: position.token1, raw: amount1, feesRaw: position.owed[1] }
+      ]
+    }];
+  });
+
+  return { positions, unpriced, truncated: count > listed };
+}
+
+/**
+ * Underlying amounts as client fields, valued at current prices
+ * Each underlying token gets { address, symbol, decimals, amount, amountFormatted, rawAmount, fees,
+ * priceUsd, usdValue } - amount includes the fees owed; a position's usdValue covers its priced tokens
+ */
+async function valuePositions(positions, networkId, signal) {
+  const addresses = [...new Set(positions.flatMap(position => position.underlying.map(token => token.address)))];
+  const tokenInfos = await blockchainService.getMultipleTokenInfo(addresses, networkId, true, { signal });
+  const infoOf = address => tokenInfos.find(info => info.address.toLowerCase() === address) || {};
+
+  return positions.map(position => {
+    const underlying = position.underlying.map(token => {
+      const info = infoOf(token.address);
+      const decimals = info.decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS;
+      const raw = token.raw + token.feesRaw;
+      const amount = formatUnits(raw, decimals);
+
+      return {
+        address: token.address,
+        symbol: info.symbol || token.address.substring(0, 6) + '...',
+        name: info.name || 'Unknown Token',
+        decimals,
+        amount,
+        amountFormatted: formatDisplayAmount(raw, decimals),
+        rawAmount: raw.toString(),
+        fees: formatUnits(token.feesRaw, decimals),
+        priceUsd: info.priceUsd ?? null,
+        priceChange24h: info.priceChange24h ?? null,
+        priceSource: info.priceSource ?? null,
+        usdValue: info.priceUsd > 0 ? dexScreenerService.calculateUsdValue(amount, info.priceUsd) : null
+      };
+    });
+    const priced = underlying.filter(token => token.usdValue !== null);
+    const usdValue = priced.reduce((sum, token) => sum + token.usdValue, 0);
+
+    return {
+      ...position,
+      underlying,
+      usdValue: priced.length > 0 ? usdValue : null,
+      usdValueFormatted: priced.length > 0 ? dexScreenerService.formatUsdValue(usdValue) : null
+    };
+  });
+}
+
+/**
+ * LP positions of a wallet on a network
+ * options.tokens are the pair token candidates (tokens from transfer history when not given),
+ * options.blockTag reads positions as of a past block
+ * Returns { positions, usdValue, truncated, errors } - a failed source is reported in errors
+ * without dropping the positions found elsewhere
+ */
+async function getWalletLpPositions(walletAddress, networkId = 'ethereum', options = {}) {
+  const { tokens = null, blockTag = 'latest', signal = null } = options;
+  const networkConfig = getNetworkConfig(networkId);
+  const timer = new PerformanceTimer(`LP positions-${networkConfig.name}`);
+  const wallet = walletAddress.toLowerCase();
+  const positions = [];
+  const errors = [];
+  let truncated = false;
+
+  try {
+    const candidates = tokens || (await blockchainService.discoverWalletTokens(wallet, networkId, signal)).tokens;
+    positions.push(...await getPairPositions(wallet, candidates.filter(token => ADDRESS_PATTERN.test(token)), networkId, blockTag, signal));
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    errors.push(`Pair tokens: ${error.message}`);
+  }
+
+  for (const manager of networkConfig.lpPositionManagers || []) {
+    try {
+      const managed = await getManagerPositions(wallet, manager, networkId, blockTag, signal);
+      positions.push(...managed.positions);
+      truncated = truncated || managed.truncated;
+      if (managed.unpriced.length > 0) {
+        errors.push(`${manager.name}: no pool price for position${managed.unpriced.length === 1 ? '' : 's'} #${managed.unpriced.join(', #')}`);
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      errors.push(`${manager.name}: ${error.message}`);
+    }
+  }
+
+  const valued = positions.length > 0 ? await valuePositions(positions, networkId, signal) : [];
+  const usdValue = valued.reduce((sum, position) => sum + (position.usdValue || 0), 0);
+
+  timer.end();
+  logDebug(`LP positions on ${networkConfig.name}`, {
+    walletAddress: wallet.substring(0, 10) + '...',
+    positions: valued.length,
+    usdValue,
+    errors: errors.length
+  });
+
+  return {
+    positions: valued,
+    usdValue,
+    usdValueFormatted: dexScreenerService.formatUsdValue(usdValue),
+    truncated,
+    errors
+  };
+}
+
+/**
+ * Underlying amounts of a token across positions - raw base units with the positions holding it
+ */
+function getLpTokenAmount(lpPositions, tokenAddress) {
+  const address = tokenAddress.toLowerCase();
+  const holding = lpPositions.positions
+    .map(position => position.underlying.find(token => token.address.toLowerCase() === address))
+    .filter(token => token && BigInt(token.rawAmount) > 0n);
+
+  return {
+    raw: holding.reduce((sum, token) => sum + BigInt(token.rawAmount), 0n),
+    positions: holding.length,
+    token: holding[0] || null
+  };
+}
+
+module.exports = {
+  getWalletLpPositions,
+  getLpTokenAmount
+};
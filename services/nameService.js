@@ -0,0 +1,179 @@
+/**
+ * Name Service
+ * Resolves ENS names (and Basenames on Base) to addresses and addresses to their primary names
+ * Registries come from the chain registry (nameService entries in config/chains.js); lookups are
+ * batched through Multicall3 where available. Only on-chain resolvers are supported - names that
+ * need offchain lookups (CCIP-Read) do not resolve.
+ */
+
+const { getSupportedNetworks, isNetworkSupported, CONTRACT_FUNCTIONS } = require('../config/constants');
+const { keccak256, hexToBytes } = require('../utils/keccak');
+const { encodeBytes32Call, decodeAddress, decodeString } = require('../utils/abi');
+const { logDebug, PerformanceTimer } = require('../utils/debugger');
+const blockchainService = require('./etherscan');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ZERO_NODE = `0x${'00'.repeat(32)}`;
+
+/**
+ * ENS namehash of a normalized name
+ */
+function namehash(name) {
+  return name.split('.').reverse().reduce(
+    (node, label) => keccak256(Buffer.concat([hexToBytes(node), hexToBytes(keccak256(label))])),
+    ZERO_NODE
+  );
+}
+
+/**
+ * Networks with a name service, keyed by network ID
+ */
+function getNameServices() {
+  return Object.fromEntries(
+    getSupportedNetworks()
+      .filter(network => network.nameService)
+      .map(network => [network.id, network.nameService])
+  );
+}
+
+/**
+ * Network a name resolves on - the service whose suffix it carries, else the root service (ENS)
+ */
+function getNameNetwork(name) {
+  const services = Object.entries(getNameServices());
+  const suffixed = services.find(([, service]) => service.suffix && name.endsWith(`.${service.suffix}`));
+  const root = services.find(([, service]) => !service.suffix);
+
+  return (suffixed || root)?.[0] || null;
+}
+
+/**
+ * Resolver contract for each node from the network's registry (null when none is set)
+ */
+async function getResolvers(nodes, networkId, signal) {
+  const { registry } = getNameServices()[networkId];
+  const results = await blockchainService.batchCall(
+    nodes.map(node => ({ target: registry, callData: encodeBytes32Call(CONTRACT_FUNCTIONS.ENS_RESOLVER, node) })),
+    networkId,
+    signal
+  );
+
+  return results.map(result => {
+    const resolver = result.success ? decodeAddress(result.returnData) : ZERO_ADDRESS;
+    return resolver === ZERO_ADDRESS ? null : resolver;
+  });
+}
+
+/**
+ * Call a bytes32-argument resolver function for each node that has a resolver
+ * Returns raw return data per node (null without a resolver or on revert)
+ */
+async function callResolvers(nodes, selector, networkId, signal) {
+  const resolvers = await getResolvers(nodes, networkId, signal);
+  const pending = nodes
+    .map((node, index) => ({ index, target: resolvers[index], callData: encodeBytes32Call(selector, node) }))
+    .filter(call => call.target);
+  const results = await blockchainService.batchCall(pending, networkId, signal);
+  const returnData = nodes.map(() => null);
+
+  pending.forEach((call, index) => {
+    if (results[index].success) {
+      returnData[call.index] = results[index].returnData;
+    }
+  });
+
+  return returnData;
+}
+
+/**
+ * Resolve names to addresses
+ * Returns Map of name -> lowercase address, null for names without an address record
+ */
+async function resolveNames(names, signal = null) {
+  const timer = new PerformanceTimer(`Resolve ${names.length} names`);
+  const resolved = new Map(names.map(name => [name, null]));
+  const byNetwork = new Map();
+
+  names.forEach(name => {
+    const networkId = getNameNetwork(name);
+    if (!networkId) return;
+    if (!byNetwork.has(networkId)) byNetwork.set(networkId, []);
+    byNetwork.get(networkId).push(name);
+  });
+
+  for (const [networkId, networkNames] of byNetwork) {
+    const records = await callResolvers(networkNames.map(namehash), CONTRACT_FUNCTIONS.ENS_ADDR, networkId, signal);
+
+    networkNames.forEach((name, index) => {
+      const address = records[index] ? decodeAddress(records[index]) : ZERO_ADDRESS;
+      resolved.set(name, address === ZERO_ADDRESS ? null : address);
+    });
+  }
+
+  timer.end();
+  logDebug('Names resolved', {
+    names: names.length,
+    resolved: [...resolved.values()].filter(Boolean).length,
+    networks: [...byNetwork.keys()]
+  });
+
+  return resolved;
+}
+
+/**
+ * Name services to ask for primary names when analyzing on a network - its own service first, then ENS
+ */
+function getPrimaryNameNetworks(network) {
+  const services = getNameServices();
+  const root = Object.keys(services).find(networkId => !services[networkId].suffix);
+
+  return [...new Set([network, root])].filter(networkId => networkId && isNetworkSupported(networkId) && services[networkId]);
+}
+
+/**
+ * Reverse-resolve addresses to their primary names
+ * A reverse record only counts when the name resolves back to the same address
+ * Returns Map of lowercase address -> name (addresses without a verified primary name are left out)
+ */
+async function lookupPrimaryNames(addresses, network, signal = null) {
+  const primaryNames = new Map();
+  let pending = addresses.map(address => address.toLowerCase());
+
+  for (const networkId of getPrimaryNameNetworks(network)) {
+    if (pending.length === 0) break;
+
+    const { reverseSuffix } = getNameServices()[networkId];
+    const reverseNodes = pending.map(address => namehash(`${address.slice(2)}.${reverseSuffix}`));
+    const records = await callResolvers(reverseNodes, CONTRACT_FUNCTIONS.ENS_NAME, networkId, signal);
+    const claimed = new Map();
+
+    pending.forEach((address, index) => {
+      const name = records[index] && decodeString(records[index])?.toLowerCase();
+      if (name) claimed.set(address, name);
+    });
+
+    const forward = await resolveNames([...new Set(claimed.values())], signal);
+    claimed.forEach((name, address) => {
+      if (forward.get(name) === address) {
+        primaryNames.set(address, name);
+      }
+    });
+
+    pending = pending.filter(address => !primaryNames.has(address));
+  }
+
+  logDebug('Primary names looked up', {
+    addresses: addresses.length,
+    found: primaryNames.size,
+    network
+  });
+
+  return primaryNames;
+}
+
+module.exports = {
+  namehash,
+  getNameNetwork,
+  resolveNames,
+  lookupPrimaryNames
+};
@@ -0,0 +1,211 @@
+/**
+ * Blockchain Provider Service
+ * Plain JSON-RPC access to a network's node (eth_call, eth_getBalance, eth_getCode, eth_getStorageAt,
+ * eth_blockNumber, eth_getBlockByNumber)
+ * Networks with a configured <NETWORK>_RPC_URL are read from the node first,
+ * the Etherscan-compatible explorer API is used as fallback
+ */
+
+const { getNetworkConfig, isNetworkSupported, ANALYSIS_CONFIG, API_CONFIG } = require('../config/constants');
+const { retryWithBackoff } = require('../utils/helpers');
+const { toBigInt } = require('../utils/fixedPoint');
+const { logDebug, logWarn, PerformanceTimer } = require('../utils/debugger');
+
+// JSON-RPC error codes meaning the call itself failed - another provider would fail the same way
+const EXECUTION_ERROR_CODES = [3, -32015];
+
+let requestId = 0;
+
+/**
+ * Block number -> JSON-RPC block tag ('latest' when no block is given)
+ */
+function toBlockTag(blockNumber = null) {
+  return blockNumber === null || blockNumber === undefined ? 'latest' : `0x${Number(blockNumber).toString(16)}`;
+}
+
+/**
+ * Check if network has a JSON-RPC endpoint configured
+ */
+function hasRpcProvider(networkId) {
+  return isNetworkSupported(networkId) && Boolean(getNetworkConfig(networkId).rpcUrl);
+}
+
+/**
+ * Send a JSON-RPC request to the network's node
+ * Transport failures are retried; JSON-RPC errors are thrown with rpcCode set
+ */
+async function rpcRequest(method, params = [], networkId = 'ethereum', signal = null) {
+  const networkConfig = getNetworkConfig(networkId);
+
+  if (!networkConfig.rpcUrl) {
+    throw new Error(`No RPC endpoint configured for ${networkConfig.name}`);
+  }
+
+  const timer = new PerformanceTimer(`${networkConfig.name} RPC: ${method}`);
+  const body = JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params });
+
+  try {
+    const data = await retryWithBackoff(async () => {
+      logDebug(`Making RPC call to ${networkConfig.name}`, { method });
+
+      const timeoutSignal = AbortSignal.timeout(ANALYSIS_CONFIG.RPC_TIMEOUT_MS);
+      const res = await fetch(networkConfig.rpcUrl, {
+        method: 'POST',
+        signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'User-Agent': 'Wallet-Analyzer/2.2.0'
+        },
+        body
+      });
+
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+      }
+
+      return res.json();
+    }, API_CONFIG.RATE_LIMITS.MAX_RETRIES, API_CONFIG.RATE_LIMITS.ETHERSCAN_DELAY);
+
+    timer.end();
+
+    if (data?.error) {
+      const error = new Error(`RPC error ${data.error.code}: ${data.error.message}`);
+      error.rpcCode = data.error.code;
+      throw error;
+    }
+
+    if (!data || data.result === undefined) {
+      throw new Error('No result received from RPC endpoint');
+    }
+
+    return data.result;
+
+  } catch (error) {
+    timer.end();
+    throw error;
+  }
+}
+
+/**
+ * Execute a read-only contract call (eth_call) at the given block tag
+ */
+async function ethCall(contractAddress, functionData, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  return rpcRequest('eth_call', [{ to: contractAddress, data: functionData }, blockTag], networkId, signal);
+}
+
+/**
+ * Get native currency balance in wei (decimal string) at the given block tag
+ */
+async function getBalance(address, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  const result = await rpcRequest('eth_getBalance', [address, blockTag], networkId, signal);
+  return toBigInt(result).toString();
+}
+
+/**
+ * Get deployed bytecode at an address ('0x' for externally owned accounts)
+ */
+async function getCode(address, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  return rpcRequest('eth_getCode', [address, blockTag], networkId, signal);
+}
+
+/**
+ * Read a 32-byte storage slot of a contract
+ */
+async function getStorageAt(address, slot, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  return rpcRequest('eth_getStorageAt', [address, slot, blockTag], networkId, signal);
+}
+
+/**
+ * Get block number and timestamp (unix seconds) for a block tag
+ */
+async function getBlock(blockTag = 'latest', networkId = 'ethereum', signal = null) {
+  const block = await rpcRequest('eth_getBlockByNumber', [blockTag, false], networkId, signal);
+
+  if (!block) {
+    throw new Error(`Block ${blockTag} not found`);
+  }
+
+  return {
+    number: Number(toBigInt(block.number)),
+    timestamp: Number(toBigInt(block.timestamp))
+  };
+}
+
+/**
+ * Get latest block number
+ */
+async function getBlockNumber(networkId = 'ethereum', signal = null) {
+  const result = await rpcRequest('eth_blockNumber', [], networkId, signal);
+  return Number(toBigInt(result));
+}
+
+/**
+ * Get the number of transactions sent from an address (its nonce) at the given block tag
+ */
+async function getTransactionCount(address, networkId = 'ethereum', signal = null, blockTag = 'latest') {
+  const result = await rpcRequest('eth_getTransactionCount', [address, blockTag], networkId, signal);
+  return Number(toBigInt(result));
+}
+
+/**
+ * Get a transaction by hash (null when unknown)
+ */
+async function getTransaction(hash, networkId = 'ethereum', signal = null) {
+  return rpcRequest('eth_getTransactionByHash', [hash], networkId, signal);
+}
+
+/**
+ * Get event logs matching a filter ({ address?, topics, fromBlock, toBlock })
+ */
+async function getLogs(filter, networkId = 'ethereum', signal = null) {
+  return rpcRequest('eth_getLogs', [filter], networkId, signal);
+}
+
+/**
+ * Run rpcFn against the network's node, falling back to explorerFn when the node
+ * is not configured or unreachable. Reverted calls and cancellations are not retried.
+ */
+async function withExplorerFallback(networkId, operation, rpcFn, explorerFn) {
+  const networkConfig = getNetworkConfig(networkId);
+
+  if (networkConfig.rpcUrl) {
+    try {
+      return await rpcFn();
+    } catch (error) {
+      if (error.name === 'AbortError' || EXECUTION_ERROR_CODES.includes(error.rpcCode)) {
+        throw error;
+      }
+
+      if (!networkConfig.apiUrl) {
+        throw error;
+      }
+
+      logWarn(`RPC ${operation} failed on ${networkConfig.name}, falling back to explorer API`, {
+        error: error.message
+      });
+    }
+  }
+
+  if (!networkConfig.apiUrl) {
+    throw new Error(`No RPC endpoint or explorer API configured for ${networkConfig.name}`);
+  }
+
+  return explorerFn();
+}
+
+module.exports = {
+  toBlockTag,
+  hasRpcProvider,
+  rpcRequest,
+  ethCall,
+  getBalance,
+  getCode,
+  getStorageAt,
+  getBlockNumber,
+  getBlock,
+  getTransactionCount,
+  getTransaction,
+  getLogs,
+  withExplorerFallback
+};
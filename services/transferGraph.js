@@ -0,0 +1,336 @@
+/**
+ * Transfer Graph & Sybil Clusters
+ * Who funded whom among the analyzed wallets: native and ERC-20 transfers between them, and each
+ * wallet's first native funding, from the oldest TRANSFER_GRAPH_MAX_TRANSFERS txlist, txlistinternal
+ * and tokentx entries (farms are usually funded early, often in batches through a disperse contract).
+ * Wallets linked by a transfer, or funded by the same address that is not a known exchange or bridge,
+ * form clusters with a 0-100 suspicion score.
+ */
+
+const { ANALYSIS_CONFIG, getNetworkConfig, getWalletLabel } = require('../config/constants');
+const { toChecksumAddress } = require('../utils/helpers');
+const { toBigInt } = require('../utils/fixedPoint');
+const { logDebug, PerformanceTimer } = require('../utils/debugger');
+const blockchainService = require('./etherscan');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Points a suspicion signal adds to a cluster's score at full strength (sum 100)
+const SIGNAL_WEIGHTS = {
+  sharedFunder: 35,    // Share of members first funded by the same outside address
+  internalFunding: 25, // Share of members first funded by another member
+  fundingWindow: 20,   // Members first funded within SYBIL_FUNDING_WINDOW_HOURS of each other
+  size: 20             // Cluster size, full at FULL_CLUSTER_SIZE wallets
+};
+const FULL_CLUSTER_SIZE = 10;
+
+/**
+ * Native and ERC-20 transfers of a wallet, oldest first
+ * Native transfers include internal ones (value sent by a contract, e.g. a batch send); when the first
+ * funding is internal, its funder is the sender of the transaction that made the contract pay out
+ * options.blockNumber stops at a past block (snapshots)
+ * Returns { native, tokens, truncated } - native transfers carry value only, failed transactions are dropped
+ */
+async function getWalletTransfers(walletAddress, networkId = 'ethereum', options = {}) {
+  const { blockNumber = null, signal = null } = options;
+  const networkConfig = getNetworkConfig(networkId);
+  const timer = new PerformanceTimer(`Transfer history-${networkConfig.name}`);
+  const wallet = walletAddress.toLowerCase();
+  const maxTransfers = ANALYSIS_CONFIG.TRANSFER_GRAPH_MAX_TRANSFERS;
+  const listOptions = { sort: 'asc', offset: maxTransfers, endBlock: blockNumber, signal };
+
+  const transactions = await blockchainService.getTransactionList(wallet, networkId, listOptions);
+  const internalTransactions = await blockchainService.getInternalTransactionList(wallet, networkId, listOptions);
+  const tokenTransfers = await blockchainService.getTokenTransferList(wallet, networkId, listOptions);
+
+  const native = [
+    ...transactions.map(tx => ({ ...tx, internal: false })),
+    ...internalTransactions.map(tx => ({ ...tx, internal: true }))
+  ]
+    .filter(tx => tx.isError !== '1' && tx.to && toBigInt(tx.value || 0) > 0n)
+    .map(tx => ({
+      hash: tx.hash,
+      from: tx.from.toLowerCase(),
+      to: tx.to.toLowerCase(),
+      value: tx.value,
+      internal: tx.internal,
+      timeStamp: Number(tx.timeStamp)
+    }))
+    .sort((a, b) => a.timeStamp - b.timeStamp);
+
+  // Batch-funded wallets are paid by the batch contract - credit the address that called it
+  const firstFunding = native.find(tx => tx.to === wallet && tx.from !== wallet);
+  if (firstFunding?.internal) {
+    try {
+      firstFunding.funder = await blockchainService.getTransactionSender(firstFunding.hash, networkId, signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Unknown caller - the wallet is left unfunded rather than linked through a public batch contract
+      firstFunding.funder = null;
+    }
+  }
+  const tokens = tokenTransfers.map(transfer => ({
+    hash: transfer.hash,
+    from: transfer.from.toLowerCase(),
+    to: transfer.to.toLowerCase(),
+    token: transfer.contractAddress.toLowerCase(),
+    symbol: transfer.tokenSymbol || null,
+    value: transfer.value,
+    timeStamp: Number(transfer.timeStamp)
+  }));
+
+  timer.end();
+  logDebug(`Transfer history on ${networkConfig.name}`, {
+    walletAddress: wallet.substring(0, 10) + '...',
+    nativeTransfers: native.length,
+    internalTransfers: native.filter(tx => tx.internal).length,
+    tokenTransfers: tokens.length
+  });
+
+  return {
+    native,
+    tokens,
+    truncated: [transactions, internalTransactions, tokenTransfers].some(list => list.length >= maxTransfers)
+  };
+}
+
+// Union-find over wallet addresses
+function createDisjointSet(items) {
+  const parent = new Map(items.map(item => [item, item]));
+  const find = item => {
+    while (parent.get(item) !== item) {
+      parent.set(item, parent.get(parent.get(item)));
+      item = parent.get(item);
+    }
+    return item;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  return { find, union };
+}
+
+/**
+ * Edges between analyzed wallets and each wallet's first funding
+ * walletTransfers: Map of lowercase wallet -> getWalletTransfers result or { error }
+ * A transfer seen from both ends is counted once
+ */
+function buildTransferGraph(walletTransfers) {
+  const wallets = new Set(walletTransfers.keys());
+  const edges = new Map();
+  const seen = new Set();
+  const funding = new Map();
+
+  for (const [wallet, transfers] of walletTransfers) {
+    if (transfers.error) continue;
+
+    const firstFunding = transfers.native.find(tx => tx.to === wallet && tx.from !== wallet);
+    const funder = firstFunding?.internal ? firstFunding.funder : firstFunding?.from;
+    if (funder) {
+      funding.set(wallet, {
+        funder,
+        fundedVia: firstFunding.internal ? firstFunding.from : null,
+        fundedAt: firstFunding.timeStamp
+      });
+    }
+
+    const all = [
+      ...transfers.native.map(tx => ({ ...tx, kind: 'native' })),
+      ...transfers.tokens.map(transfer => ({ ...transfer, kind: 'token' }))
+    ];
+
+    for (const transfer of all) {
+      if (transfer.from === transfer.to || !wallets.has(transfer.from) || !wallets.has(transfer.to)) continue;
+
+      const id = [transfer.kind, transfer.hash, transfer.from, transfer.to, transfer.token || '', transfer.value].join(':');
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const key = `${transfer.from}>${transfer.to}`;
+      if (!edges.has(key)) {
+        edges.set(key, { from: transfer.from, to: transfer.to, nativeTransfers: 0, tokenTransfers: 0, tokens: new Set(), firstAt: transfer.timeStamp });
+      }
+
+      const edge = edges.get(key);
+      if (transfer.kind === 'native') edge.nativeTransfers++;
+      else {
+        edge.tokenTransfers++;
+        edge.tokens.add(transfer.symbol || transfer.token);
+      }
+      edge.firstAt = Math.min(edge.firstAt, transfer.timeStamp);
+    }
+  }
+
+  return { wallets: [...wallets], edges: [...edges.values()], funding };
+}
+
+/**
+ * Suspicion of a cluster - { suspicion, level, signals, fundingSpanHours }
+ * signals lists what contributed, with the points each added
+ */
+function scoreCluster(members, funding, networkId) {
+  const memberSet = new Set(members);
+  const funded = members.filter(wallet => funding.has(wallet));
+  const signals = [];
+
+  const outsideFunders = new Map();
+  funded.forEach(wallet => {
+    const { funder } = funding.get(wallet);
+    if (!memberSet.has(funder) && !getWalletLabel(networkId, funder)) {
+      outsideFunders.set(funder, (outsideFunders.get(funder) || 0) + 1);
+    }
+  });
+  const [topFunder, topFunded = 0] = [...outsideFunders].sort((a, b) => b[1] - a[1])[0] || [];
+  if (topFunded >= 2) {
+    signals.push({
+      signal: 'sharedFunder',
+      points: SIGNAL_WEIGHTS.sharedFunder * (topFunded / members.length),
+      detail: `${topFunded} of ${members.length} first funded by ${toChecksumAddress(topFunder)}`
+    });
+  }
+
+  const fundedInside = funded.filter(wallet => memberSet.has(funding.get(wallet).funder)).length;
+  if (fundedInside > 0) {
+    signals.push({
+      signal: 'internalFunding',
+      points: SIGNAL_WEIGHTS.internalFunding * (fundedInside / members.length),
+      detail: `${fundedInside} of ${members.length} first funded by another member`
+    });
+  }
+
+  const fundedAt = funded.map(wallet => funding.get(wallet).fundedAt);
+  const fundingSpanHours = fundedAt.length >= 2
+    ? Math.round(((Math.max(...fundedAt) - Math.min(...fundedAt)) * 1000 / HOUR_MS) * 10) / 10
+    : null;
+  const window = ANALYSIS_CONFIG.SYBIL_FUNDING_WINDOW_HOURS;
+  if (fundingSpanHours !== null && fundingSpanHours <= window * 7) {
+    const strength = (fundingSpanHours <= window ? 1 : 0.5) * (funded.length / members.length);
+    signals.push({
+      signal: 'fundingWindow',
+      points: SIGNAL_WEIGHTS.fundingWindow * strength,
+      detail: `${funded.length} members first funded within ${fundingSpanHours} hours`
+    });
+  }
+
+  signals.push({
+    signal: 'size',
+    points: SIGNAL_WEIGHTS.size * Math.min((members.length - 1) / (FULL_CLUSTER_SIZE - 1), 1),
+    detail: `${members.length} linked wallets`
+  });
+
+  const suspicion = Math.min(100, Math.round(signals.reduce((sum, entry) => sum + entry.points, 0)));
+  const thresholds = ANALYSIS_CONFIG.SYBIL_LEVEL_THRESHOLDS;
+
+  return {
+    suspicion,
+    level: suspicion >= thresholds.high ? 'high' : suspicion >= thresholds.medium ? 'medium' : 'low',
+    signals: signals.map(entry => ({ ...entry, points: Math.round(entry.points * 10) / 10 })),
+    fundingSpanHours
+  };
+}
+
+// Whether a cluster level is at or above the excludeClusters level ('low' excludes every cluster)
+function isExcludedLevel(level, excludeClusters) {
+  const levels = ANALYSIS_CONFIG.SYBIL_LEVELS;
+  return !!excludeClusters && levels.indexOf(level) >= levels.indexOf(excludeClusters);
+}
+
+/**
+ * Transfer graph and sybil clusters of the analyzed wallets
+ * walletTransfers: Map of lowercase wallet -> getWalletTransfers result or { error }
+ * excludeClusters ('low' | 'medium' | 'high' | null) marks clusters at or above that level as excluded
+ * Returns { clusters, edges, sharedFunders, wallets } - clusters most suspicious first; wallets maps each
+ * lowercase wallet to { funder, funderLabel, fundedVia, fundedAt, cluster, excluded, truncated, error }
+ */
+function analyzeTransferGraph(walletTransfers, networkId, excludeClusters = null) {
+  const { wallets, edges, funding } = buildTransferGraph(walletTransfers);
+  const { find, union } = createDisjointSet(wallets);
+
+  edges.forEach(edge => union(edge.from, edge.to));
+
+  const funded = new Map();
+  funding.forEach(({ funder }, wallet) => funded.set(funder, [...(funded.get(funder) || []), wallet]));
+  funded.forEach((fundedWallets, funder) => {
+    if (fundedWallets.length >= 2 && !getWalletLabel(networkId, funder)) {
+      fundedWallets.slice(1).forEach(wallet => union(fundedWallets[0], wallet));
+    }
+  });
+
+  const components = new Map();
+  wallets.forEach(wallet => components.set(find(wallet), [...(components.get(find(wallet)) || []), wallet]));
+
+  const clusters = [...components.values()]
+    .filter(members => members.length >= 2)
+    .map(members => {
+      const memberSet = new Set(members);
+      return {
+        members,
+        size: members.length,
+        internalTransfers: edges
+          .filter(edge => memberSet.has(edge.from))
+          .reduce((sum, edge) => sum + edge.nativeTransfers + edge.tokenTransfers, 0),
+        ...scoreCluster(members, funding, networkId)
+      };
+    })
+    .sort((a, b) => b.suspicion - a.suspicion || b.size - a.size)
+    .map(({ members, ...cluster }, index) => ({
+      id: `cluster-${index + 1}`,
+      wallets: members.map(toChecksumAddress),
+      members,
+      ...cluster,
+      excluded: isExcludedLevel(cluster.level, excludeClusters)
+    }));
+
+  const clusterOf = new Map(clusters.flatMap(cluster => cluster.members.map(wallet => [wallet, cluster])));
+  const walletInfo = new Map(wallets.map(wallet => {
+    const transfers = walletTransfers.get(wallet);
+    const walletFunding = funding.get(wallet);
+    const cluster = clusterOf.get(wallet);
+    const label = walletFunding ? getWalletLabel(networkId, walletFunding.funder) : null;
+
+    return [wallet, {
+      funder: walletFunding ? toChecksumAddress(walletFunding.funder) : null,
+      funderLabel: label?.name || null,
+      fundedVia: walletFunding?.fundedVia ? toChecksumAddress(walletFunding.fundedVia) : null,
+      fundedAt: walletFunding ? new Date(walletFunding.fundedAt * 1000).toISOString() : null,
+      cluster: cluster ? { id: cluster.id, suspicion: cluster.suspicion, level: cluster.level } : null,
+      excluded: !!cluster?.excluded,
+      truncated: !!transfers.truncated,
+      error: transfers.error || null
+    }];
+  }));
+
+  const sharedFunders = [...funded]
+    .filter(([, fundedWallets]) => fundedWallets.length >= 2)
+    .map(([funder, fundedWallets]) => ({
+      address: toChecksumAddress(funder),
+      label: getWalletLabel(networkId, funder)?.name || null,
+      wallets: fundedWallets.map(toChecksumAddress)
+    }))
+    .sort((a, b) => b.wallets.length - a.wallets.length);
+
+  logDebug(`Transfer graph on ${getNetworkConfig(networkId).name}`, {
+    wallets: wallets.length,
+    edges: edges.length,
+    clusters: clusters.length,
+    excluded: clusters.filter(cluster => cluster.excluded).length
+  });
+
+  return {
+    clusters: clusters.map(({ members, ...cluster }) => cluster),
+    edges: edges.map(edge => ({
+      ...edge,
+      from: toChecksumAddress(edge.from),
+      to: toChecksumAddress(edge.to),
+      tokens: [...edge.tokens],
+      firstAt: new Date(edge.firstAt * 1000).toISOString(),
+      funding: funding.get(edge.to)?.funder === edge.from
+    })),
+    sharedFunders,
+    wallets: walletInfo
+  };
+}
+
+module.exports = {
+  getWalletTransfers,
+  analyzeTransferGraph
+};
@@ -0,0 +1,135 @@
+/**
+ * Wallet Classifier
+ * Tags wallets by type: EOA, Safe multisig (with owners and threshold), ERC-4337 smart account,
+ * other contract, or a known exchange / bridge wallet from the chain registry's label set
+ * (walletLabels in config/chains.js). Contract probes are batched through Multicall3 where available.
+ */
+
+const {
+  API_CONFIG,
+  ANALYSIS_CONFIG,
+  CONTRACT_FUNCTIONS,
+  WALLET_TYPES,
+  ACCOUNT_PATTERNS,
+  getNetworkConfig,
+  getWalletLabel
+} = require('../config/constants');
+const { decodeAddress, decodeAddressArray, decodeString, decodeUint } = require('../utils/abi');
+const { sleep } = require('../utils/helpers');
+const { logDebug, PerformanceTimer } = require('../utils/debugger');
+const blockchainService = require('./etherscan');
+
+// Calls made against every contract wallet, in this order (see classifyContract)
+const CONTRACT_PROBES = [
+  CONTRACT_FUNCTIONS.SAFE_GET_THRESHOLD,
+  CONTRACT_FUNCTIONS.SAFE_GET_OWNERS,
+  CONTRACT_FUNCTIONS.SAFE_VERSION,
+  CONTRACT_FUNCTIONS.ENTRY_POINT
+];
+
+/**
+ * Delegate of an EIP-7702 EOA from its code, null for regular contract code
+ */
+function getDelegate(code) {
+  const { EIP7702_PREFIX } = ACCOUNT_PATTERNS;
+  return code.length === EIP7702_PREFIX.length + 40 && code.startsWith(EIP7702_PREFIX)
+    ? `0x${code.slice(EIP7702_PREFIX.length)}`
+    : null;
+}
+
+/**
+ * Classify a contract wallet from its probe results
+ * A Safe answers getOwners() and a non-zero getThreshold(); an ERC-4337 account's entryPoint()
+ * must be a canonical EntryPoint - anything else is a generic contract
+ */
+function classifyContract([threshold, owners, version, entryPoint]) {
+  const ownerList = owners.success ? decodeAddressArray(owners.returnData) : null;
+  const requiredSignatures = threshold.success ? Number(decodeUint(threshold.returnData)) : 0;
+
+  if (ownerList?.length > 0 && requiredSignatures > 0) {
+    return {
+      type: WALLET_TYPES.SAFE,
+      safe: {
+        owners: ownerList,
+        threshold: requiredSignatures,
+        version: version.success ? decodeString(version.returnData) : null
+      }
+    };
+  }
+
+  const entryPointAddress = entryPoint.success ? decodeAddress(entryPoint.returnData) : null;
+  const entryPointVersion = ACCOUNT_PATTERNS.ENTRY_POINTS[entryPointAddress];
+  if (entryPointVersion) {
+    return {
+      type: WALLET_TYPES.ERC4337,
+      entryPoint: { address: entryPointAddress, version: entryPointVersion }
+    };
+  }
+
+  return { type: WALLET_TYPES.CONTRACT };
+}
+
+/**
+ * Classify wallets on a network
+ * Returns Map of lowercase address -> { type, label, network, safe?, entryPoint?, delegatedTo? }
+ * label is the bundled exchange / bridge name (null otherwise); labeled wallets are not probed
+ */
+async function classifyWallets(addresses, networkId, signal = null) {
+  const networkConfig = getNetworkConfig(networkId);
+  const timer = new PerformanceTimer(`Classify ${addresses.length} wallets-${networkConfig.name}`);
+  const delayMultiplier = ANALYSIS_CONFIG.NETWORK_DELAYS[networkId] || 1.0;
+  const classifications = new Map();
+  const contracts = [];
+
+  for (const address of new Set(addresses.map(a => a.toLowerCase()))) {
+    const label = getWalletLabel(networkId, address);
+    if (label) {
+      classifications.set(address, { type: label.type, label: label.name, network: networkId });
+      continue;
+    }
+
+    const code = ((await blockchainService.getContractCode(address, networkId, signal)) || '0x').toLowerCase().replace(/^0x/, '');
+    const delegate = getDelegate(code);
+
+    if (!code || delegate) {
+      classifications.set(address, {
+        type: WALLET_TYPES.EOA,
+        label: null,
+        network: networkId,
+        ...(delegate ? { delegatedTo: delegate } : {})
+      });
+    } else {
+      contracts.push(address);
+    }
+
+    // Code lookups go one by one - keep under the explorer's rate limit without a node
+    if (!networkConfig.rpcUrl) {
+      await sleep(Math.round(API_CONFIG.RATE_LIMITS.ETHERSCAN_DELAY * delayMultiplier), signal);
+    }
+  }
+
+  const results = await blockchainService.batchCall(
+    contracts.flatMap(address => CONTRACT_PROBES.map(callData => ({ target: address, callData }))),
+    networkId,
+    signal
+  );
+
+  contracts.forEach((address, index) => {
+    const probes = results.slice(index * CONTRACT_PROBES.length, (index + 1) * CONTRACT_PROBES.length);
+    const { type, ...details } = classifyContract(probes);
+    classifications.set(address, { type, label: null, network: networkId, ...details });
+  });
+
+  timer.end();
+  logDebug(`Wallets classified on ${networkConfig.name}`, {
+    wallets: classifications.size,
+    contracts: contracts.length,
+    types: [...classifications.values()].reduce((counts, { type }) => ({ ...counts, [type]: (counts[type] || 0) + 1 }), {})
+  });
+
+  return classifications;
+}
+
+module.exports = {
+  classifyWallets
+};
@@ -0,0 +1,171 @@
+/**
+ * Rule-based Wallet Categorization
+ * User-defined buckets instead of ALL / SOME / NO tokens: named token conditions (held, with
+ * optional per-token minimum balance or USD value) combined by boolean expressions such as
+ * "(A AND B) OR C", "NOT D" or "AT LEAST 2 OF (A, B, C)" (see utils/ruleExpression.js).
+ * Buckets are checked in order - a wallet lands in the first one that matches, else the other bucket.
+ */
+
+const { VALIDATION, ANALYSIS_CONFIG } = require('../config/constants');
+const { getTokenKey, resolveTargetTokenKey } = require('../utils/helpers');
+const { toBigInt, parseUnits, toPlainDecimal } = require('../utils/fixedPoint');
+const {
+  isValidConditionName,
+  parseRuleExpression,
+  getConditionNames,
+  evaluateRuleExpression
+} = require('../utils/ruleExpression');
+
+const DEFAULT_OTHER_BUCKET = 'Unmatched';
+const OTHER_BUCKET_ID = 'rule-other';
+
+/**
+ * Validate rules from a request and prepare them for evaluation - throws with a readable message
+ * rules: { conditions: { NAME: { token, minBalance?, minUsd? } }, buckets: [{ name, expression }], otherBucket? }
+ * targetTokens are the analysis targets (lowercase targets, or { network, address, key } cross-chain)
+ */
+function compileRules(rules, targetTokens, network, crossChain = false) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('rules must be an object with conditions and buckets');
+  }
+
+  const conditionEntries = Object.entries(rules.conditions || {});
+  const bucketInput = rules.buckets;
+
+  if (conditionEntries.length === 0 || conditionEntries.length > VALIDATION.MAX_RULE_CONDITIONS) {
+    throw new Error(`rules need 1 to ${VALIDATION.MAX_RULE_CONDITIONS} conditions`);
+  }
+  if (!Array.isArray(bucketInput) || bucketInput.length === 0 || bucketInput.length > VALIDATION.MAX_RULE_BUCKETS) {
+    throw new Error(`rules need 1 to ${VALIDATION.MAX_RULE_BUCKETS} buckets`);
+  }
+
+  const conditions = conditionEntries.map(([name, condition]) => {
+    if (!isValidConditionName(name)) {
+      throw new Error(`condition name '${name}' must be a word (letters, digits, _) and not a keyword`);
+    }
+    if (!condition || typeof condition !== 'object' || !condition.token) {
+      throw new Error(`condition ${name} needs a token`);
+    }
+
+    const { minBalance = null, minUsd = null } = condition;
+    if (minBalance !== null) {
+      try {
+        toPlainDecimal(minBalance);
+      } catch (error) {
+        throw new Error(`condition ${name}: minBalance must be a non-negative token amount`);
+      }
+    }
+    if (minUsd !== null && !(typeof minUsd === 'number' && Number.isFinite(minUsd) && minUsd >= 0)) {
+      throw new Error(`condition ${name}: minUsd must be a non-negative number`);
+    }
+
+    return {
+      name,
+      token: condition.token.toString().trim(),
+      tokenKey: resolveTargetTokenKey(condition.token, targetTokens, network, crossChain),
+      minBalance: minBalance === null ? null : toPlainDecimal(minBalance),
+      minUsd
+    };
+  });
+
+  const conditionNames = conditions.map(condition => condition.name);
+  const bucketNames = new Set();
+
+  const buckets = bucketInput.map((bucket, index) => {
+    const name = bucket?.name?.toString().trim();
+    if (!name) {
+      throw new Error(`bucket ${index + 1} needs a name`);
+    }
+    if (bucketNames.has(name.toLowerCase())) {
+      throw new Error(`bucket name '${name}' is used twice`);
+    }
+    bucketNames.add(name.toLowerCase());
+
+    let tree;
+    try {
+      tree = parseRuleExpression(bucket.expression);
+    } catch (error) {
+      throw new Error(`bucket '${name}': ${error.message}`);
+    }
+
+    const unknown = getConditionNames(tree).filter(conditionName => !conditionNames.includes(conditionName));
+    if (unknown.length > 0) {
+      throw new Error(`bucket '${name}' uses unknown conditions: ${unknown.join(', ')}`);
+    }
+
+    return { id: `rule-${index}`, name, expression: bucket.expression.trim(), tree };
+  });
+
+  const otherName = rules.otherBucket?.toString().trim() || DEFAULT_OTHER_BUCKET;
+  if (bucketNames.has(otherName.toLowerCase())) {
+    throw new Error(`bucket name '${otherName}' is reserved for unmatched wallets - set otherBucket to rename it`);
+  }
+
+  return {
+    conditions,
+    buckets,
+    other: { id: OTHER_BUCKET_ID, name: otherName }
+  };
+}
+
+/**
+ * Whether a wallet result meets a condition - the target token is held (above MIN_BALANCE_THRESHOLD),
+ * with at least minBalance and a USD value of at least minUsd when given
+ */
+function meetsCondition(result, condition, network) {
+  const token = result.foundTokens.find(found => getTokenKey(found.network || network, found.address) === condition.tokenKey);
+  if (!token) return false;
+
+  if (condition.minBalance !== null) {
+    const decimals = token.decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS;
+    if (toBigInt(token.rawBalance) < parseUnits(condition.minBalance, decimals)) return false;
+  }
+
+  return condition.minUsd === null || (token.usdValue || 0) >= condition.minUsd;
+}
+
+/**
+ * Bucket of a wallet result under compiled rules
+ * Returns { bucket, conditions } - bucket ID and which conditions the wallet met
+ * Failed wallets meet no condition and go to the other bucket
+ */
+function evaluateWalletRules(result, compiledRules, network) {
+  const conditions = Object.fromEntries(compiledRules.conditions.map(condition =>
+    [condition.name, !result.error && meetsCondition(result, condition, network)]));
+  const bucket = result.error
+    ? null
+    : compiledRules.buckets.find(candidate => evaluateRuleExpression(candidate.tree, conditions));
+
+  return { bucket: (bucket || compiledRules.other).id, conditions };
+}
+
+/**
+ * Rule buckets with their wallets, in rule order with the other bucket last
+ * Wallet results carry their bucket in result.rules (see evaluateWalletRules)
+ */
+function groupByRules(allResults, compiledRules) {
+  return [...compiledRules.buckets, compiledRules.other].map(bucket => ({
+    id: bucket.id,
+    name: bucket.name,
+    expression: bucket.expression || null,
+    wallets: allResults.filter(result => result.rules?.bucket === bucket.id)
+  }));
+}
+
+/**
+ * Client-facing copy of compiled rules (without parsed expression trees)
+ */
+function describeRules(compiledRules) {
+  return {
+    conditions: compiledRules.conditions.map(({ name, token, minBalance, minUsd }) => ({ name, token, minBalance, minUsd })),
+    buckets: compiledRules.buckets.map(({ id, name, expression }) => ({ id, name, expression })),
+    otherBucket: compiledRules.other.name
+  };
+}
+
+module.exports = {
+  compileRules,
+  evaluateWalletRules,
+  groupByRules,
+  describeRules
+};
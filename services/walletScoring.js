@@ -0,0 +1,240 @@
+/**
+ * Weighted Wallet Scoring
+ * Ranks wallets for allowlist curation: each scored target token carries a weight, earned in full once
+ * held (flat) or along a linear, square-root or log curve of its balance or USD value up to a cap.
+ * Wallet activity (transactions sent) and age (days since the first transaction) can add points too,
+ * from the wallet's activity profile. Scores come with a per-component breakdown and a leaderboard.
+ */
+
+const { ANALYSIS_CONFIG } = require('../config/constants');
+const { getTokenKey, resolveTargetTokenKey } = require('../utils/helpers');
+const { toBigInt, parseUnits, toPlainDecimal } = require('../utils/fixedPoint');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Non-negative finite number from a number or numeric string, null when not given
+function readNumber(value, description) {
+  if (value === undefined || value === null) return null;
+
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`${description} must be a non-negative number`);
+  }
+  return number;
+}
+
+/**
+ * Validate one scoring component - { weight, curve?, cap?, min? } plus by ('balance' | 'usd') for tokens
+ * defaults fill in the curve and cap; curves other than flat need a cap
+ */
+function compileComponent(spec, description, defaults = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${description} must be an object with a weight`);
+  }
+
+  const weight = readNumber(spec.weight, `${description}: weight`);
+  if (!weight) {
+    throw new Error(`${description}: weight must be a positive number`);
+  }
+
+  const curve = spec.curve?.toString().trim().toLowerCase() || defaults.curve || 'flat';
+  if (!ANALYSIS_CONFIG.SCORING_CURVES.includes(curve)) {
+    throw new Error(`${description}: curve must be one of ${ANALYSIS_CONFIG.SCORING_CURVES.join(', ')}`);
+  }
+
+  const cap = readNumber(spec.cap, `${description}: cap`) ?? defaults.cap ?? null;
+  if (curve !== 'flat' && !cap) {
+    throw new Error(`${description}: a ${curve} curve needs a positive cap (the value that earns the full weight)`);
+  }
+
+  return {
+    weight,
+    curve,
+    cap: curve === 'flat' ? null : cap,
+    min: readNumber(spec.min, `${description}: min`)
+  };
+}
+
+/**
+ * Validate a scoring request and prepare it for scoring - throws with a readable message
+ * scoring: { tokens: { token: { weight, by?, curve?, cap?, min? } }, activity?: { weight, ... }, age?: { weight, ... } }
+ * targetTokens are the analysis targets (lowercase targets, or { network, address, key } cross-chain)
+ */
+function compileScoring(scoring, targetTokens, network, crossChain = false) {
+  if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) {
+    throw new Error('scoring must be an object with tokens, activity and / or age');
+  }
+
+  const tokenEntries = Object.entries(scoring.tokens || {});
+  const seen = new Set();
+
+  const tokens = tokenEntries.map(([token, spec]) => {
+    const tokenKey = resolveTargetTokenKey(token, targetTokens, network, crossChain);
+    if (seen.has(tokenKey)) {
+      throw new Error(`token '${token}' is scored twice`);
+    }
+    seen.add(tokenKey);
+
+    const by = spec?.by?.toString().trim().toLowerCase() || 'balance';
+    if (by !== 'balance' && by !== 'usd') {
+      throw new Error(`token ${token}: by must be 'balance' or 'usd'`);
+    }
+
+    // Balance minimums stay exact token amounts
+    const component = compileComponent(spec, `token ${token}`);
+    if (by === 'balance' && component.min !== null) {
+      component.min = toPlainDecimal(spec.min);
+    }
+
+    return { token: token.trim(), tokenKey, by, ...component };
+  });
+
+  const activity = scoring.activity
+    ? compileComponent(scoring.activity, 'activity', { curve: 'log', cap: ANALYSIS_CONFIG.SCORING_ACTIVITY_CAP })
+    : null;
+  const age = scoring.age
+    ? compileComponent(scoring.age, 'age', { curve: 'linear', cap: ANALYSIS_CONFIG.SCORING_AGE_CAP_DAYS })
+    : null;
+
+  if (tokens.length === 0 && !activity && !age) {
+    throw new Error('scoring needs at least one token, activity or age component');
+  }
+
+  return {
+    tokens,
+    activity,
+    age,
+    maxScore: [...tokens, activity, age].reduce((sum, component) => sum + (component?.weight || 0), 0),
+    // Activity and age points come from the activity profile, so scoring turns it on
+    needsActivity: !!(activity || age)
+  };
+}
+
+// Share of a component's weight earned by a value (0 to 1)
+function curveShare(component, value) {
+  if (!(value > 0)) return 0;
+  if (component.min !== null && value < Number(component.min)) return 0;
+
+  const ratio = Math.min(value / component.cap, 1);
+  switch (component.curve) {
+    case 'linear':
+      return ratio;
+    case 'sqrt':
+      return Math.sqrt(ratio);
+    case 'log':
+      return Math.min(Math.log1p(value) / Math.log1p(component.cap), 1);
+    default:
+      return 1;
+  }
+}
+
+const roundPoints = points => Math.round(points * 100) / 100;
+
+/**
+ * Points for a scored token - nothing unless the wallet holds it (above MIN_BALANCE_THRESHOLD)
+ * A balance minimum is compared exactly against the raw balance
+ */
+function scoreToken(result, component, network) {
+  const token = result.foundTokens.find(found => getTokenKey(found.network || network, found.address) === component.tokenKey);
+  const value = !token ? 0 : component.by === 'usd' ? (token.usdValue || 0) : Number(token.balance);
+  let share = token ? curveShare({ ...component, min: null }, value) : 0;
+
+  if (token && component.min !== null) {
+    const belowMin = component.by === 'usd'
+      ? value < component.min
+      : toBigInt(token.rawBalance) < parseUnits(component.min, token.decimals ?? ANALYSIS_CONFIG.DEFAULT_DECIMALS);
+    if (belowMin) share = 0;
+  }
+
+  return {
+    component: 'token',
+    label: token?.symbol || component.token,
+    unit: component.by === 'usd' ? 'usd' : 'balance',
+    value,
+    weight: component.weight,
+    points: roundPoints(component.weight * share)
+  };
+}
+
+/**
+ * Score of a wallet result - { score, maxScore, percent, breakdown }, null for failed wallets
+ * Age is counted up to asOf (ms since epoch - the snapshot time or now)
+ */
+function scoreWallet(result, compiledScoring, network, asOf = Date.now()) {
+  if (result.error) return null;
+
+  const breakdown = compiledScoring.tokens.map(component => scoreToken(result, component, network));
+  const profile = result.activity && !result.activity.error ? result.activity : null;
+
+  if (compiledScoring.activity) {
+    const value = profile?.txCount || 0;
+    breakdown.push({
+      component: 'activity',
+      label: 'Activity',
+      unit: 'transactions',
+      value,
+      weight: compiledScoring.activity.weight,
+      points: roundPoints(compiledScoring.activity.weight * curveShare(compiledScoring.activity, value))
+    });
+  }
+
+  if (compiledScoring.age) {
+    const value = profile?.firstSeen ? Math.max(0, Math.floor((asOf - Date.parse(profile.firstSeen)) / DAY_MS)) : 0;
+    breakdown.push({
+      component: 'age',
+      label: 'Age',
+      unit: 'days',
+      value,
+      weight: compiledScoring.age.weight,
+      points: roundPoints(compiledScoring.age.weight * curveShare(compiledScoring.age, value))
+    });
+  }
+
+  const score = roundPoints(breakdown.reduce((sum, entry) => sum + entry.points, 0));
+
+  return {
+    score,
+    maxScore: compiledScoring.maxScore,
+    percent: roundPoints((score / compiledScoring.maxScore) * 100),
+    breakdown
+  };
+}
+
+/**
+ * Leaderboard of scored wallet results (result.score, see scoreWallet) - highest score first,
+ * ties broken by total USD value; failed wallets are left out
+ */
+function rankWallets(allResults) {
+  const ranked = allResults
+    .filter(result => result.score)
+    .sort((a, b) => (b.score.score - a.score.score) || ((b.totalUsdValue || 0) - (a.totalUsdValue || 0)));
+
+  return ranked.map((result, index) => ({
+    rank: index + 1,
+    walletAddress: result.walletAddress,
+    primaryName: result.primaryName || null,
+    inputName: result.inputName || null,
+    walletType: result.walletType || null,
+    totalUsdValue: result.totalUsdValue || 0,
+    ...result.score
+  }));
+}
+
+/**
+ * Client-facing copy of compiled scoring
+ */
+function describeScoring(compiledScoring) {
+  return {
+    tokens: compiledScoring.tokens.map(({ token, by, weight, curve, cap, min }) => ({ token, by, weight, curve, cap, min })),
+    activity: compiledScoring.activity,
+    age: compiledScoring.age,
+    maxScore: compiledScoring.maxScore
+  };
+}
+
+module.exports = {
+  compileScoring,
+  scoreWallet,
+  rankWallets,
+  describeScoring
+};
@@ -0,0 +1,211 @@
+/**
+ * Minimal ABI encoding/decoding for the contract calls we make
+ * Covers static address/uint arguments, string/bytes32 return values and Multicall3 aggregate3
+ * (tuple arrays with dynamic bytes)
+ */
+
+const { CONTRACT_FUNCTIONS } = require('../config/constants');
+const { toBigInt } = require('./fixedPoint');
+
+function strip0x(hex) {
+  return hex?.startsWith('0x') ? hex.slice(2) : (hex || '');
+}
+
+function encodeUint(value) {
+  return toBigInt(value).toString(16).padStart(64, '0');
+}
+
+function encodeAddress(address) {
+  return strip0x(address).toLowerCase().padStart(64, '0');
+}
+
+// Length-prefixed, right-padded dynamic bytes
+function encodeBytes(hex) {
+  const data = strip0x(hex);
+  return encodeUint(data.length / 2) + data.padEnd(Math.ceil(data.length / 64) * 64, '0');
+}
+
+// Single-address call, e.g. balanceOf(address)
+function encodeAddressCall(selector, address) {
+  return selector + encodeAddress(address);
+}
+
+// (address, uint256) call, e.g. ERC-1155 balanceOf(address,uint256)
+function encodeAddressUintCall(selector, address, value) {
+  return selector + encodeAddress(address) + encodeUint(value);
+}
+
+// (address, address) call, e.g. ERC-20 allowance(owner, spender)
+function encodeAddressPairCall(selector, first, second) {
+  return selector + encodeAddress(first) + encodeAddress(second);
+}
+
+// Single-bytes32 call, e.g. ENS resolver(bytes32 node)
+function encodeBytes32Call(selector, word) {
+  return selector + strip0x(word).padStart(64, '0');
+}
+
+// ERC-165 supportsInterface(bytes4) - bytes4 is left-aligned in its word
+function encodeInterfaceCall(selector, interfaceId) {
+  return selector + strip0x(interfaceId).padEnd(64, '0');
+}
+
+// uint256 word at a byte offset of 0x-less hex data
+function readUint(data, byteOffset) {
+  const word = data.substr(byteOffset * 2, 64);
+  if (word.length !== 64) {
+    throw new Error(`ABI data too short at offset ${byteOffset}`);
+  }
+  return BigInt(`0x${word}`);
+}
+
+// First return word as a decimal string; empty return data (non-contract) decodes as 0
+function decodeUint(hex) {
+  const data = strip0x(hex);
+  return data ? readUint(data, 0).toString() : '0';
+}
+
+// Single address return word as lowercase 0x address (zero address for empty data)
+function decodeAddress(hex) {
+  const data = strip0x(hex).padStart(64, '0');
+  return `0x${data.substr(24, 40).toLowerCase()}`;
+}
+
+// Static tuple return value (uint / int / address words) as BigInt words, null when shorter than minWords
+function decodeWords(hex, minWords = 1) {
+  const data = strip0x(hex);
+  const count = Math.floor(data.length / 64);
+  if (count < minWords) {
+    return null;
+  }
+
+  return Array.from({ length: count }, (_, i) => readUint(data, i * 32));
+}
+
+// Signed value of a word - intN returns (e.g. int24 ticks) come sign-extended to 256 bits
+function toSignedInt(word) {
+  return word >= 1n << 255n ? word - (1n << 256n) : word;
+}
+
+// Address held in a word
+function wordToAddress(word) {
+  return `0x${(word & ((1n << 160n) - 1n)).toString(16).padStart(40, '0')}`;
+}
+
+// address[] return value as lowercase addresses, null if malformed
+function decodeAddressArray(hex) {
+  const data = strip0x(hex);
+
+  try {
+    const offset = Number(readUint(data, 0));
+    const length = Number(readUint(data, offset));
+    if (offset + 32 + length * 32 > data.length / 2) {
+      return null;
+    }
+
+    return Array.from({ length }, (_, i) => decodeAddress(data.substr((offset + 32 + i * 32) * 2, 64)));
+  } catch {
+    return null;
+  }
+}
+
+// Single bool return word - anything else (empty data, short data, non-0/1 values) is false
+function decodeBool(hex) {
+  const data = strip0x(hex);
+  return data.length >= 64 && readUint(data, 0) === 1n;
+}
+
+// UTF-8 text from raw bytes - null for invalid UTF-8; control characters and padding are dropped
+function decodeUtf8(data) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(data, 'hex'));
+    return text.replace(/[\u0000-\u001f\u007f]/g, '').trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// string return value (ABI dynamic string) or bytes32 (older tokens like MKR) as text, null if undecodable
+function decodeString(hex) {
+  const data = strip0x(hex);
+
+  if (data.length === 64) {
+    return decodeUtf8(data.replace(/(00)+$/, ''));
+  }
+
+  if (data.length < 128) {
+    return null;
+  }
+
+  const offset = Number(readUint(data, 0));
+  if ((offset + 32) * 2 > data.length) {
+    return null;
+  }
+
+  const length = Number(readUint(data, offset));
+  if ((offset + 32 + length) * 2 > data.length) {
+    return null;
+  }
+
+  return decodeUtf8(data.substr((offset + 32) * 2, length * 2));
+}
+
+// aggregate3((address target, bool allowFailure, bytes callData)[])
+function encodeAggregate3(calls) {
+  const elements = calls.map(({ target, callData, allowFailure = true }) =>
+    encodeAddress(target) + encodeUint(allowFailure ? 1 : 0) + encodeUint(96) + encodeBytes(callData)
+  );
+
+  // Element offsets are relative to the first offset word
+  let offset = calls.length * 32;
+  const offsets = elements.map(element => {
+    const current = offset;
+    offset += element.length / 2;
+    return encodeUint(current);
+  });
+
+  return CONTRACT_FUNCTIONS.AGGREGATE3 + encodeUint(32) + encodeUint(calls.length) + offsets.join('') + elements.join('');
+}
+
+// (bool success, bytes returnData)[] -> [{ success, returnData }]
+function decodeAggregate3(hex) {
+  const data = strip0x(hex);
+  const arrayStart = Number(readUint(data, 0));
+  const length = Number(readUint(data, arrayStart));
+  const contentStart = arrayStart + 32;
+  const results = [];
+
+  for (let i = 0; i < length; i++) {
+    const elementStart = contentStart + Number(readUint(data, contentStart + i * 32));
+    const bytesStart = elementStart + Number(readUint(data, elementStart + 32));
+    const bytesLength = Number(readUint(data, bytesStart));
+
+    results.push({
+      success: readUint(data, elementStart) === 1n,
+      returnData: `0x${data.substr((bytesStart + 32) * 2, bytesLength * 2)}`
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  encodeUint,
+  encodeAddress,
+  encodeBytes,
+  encodeAddressCall,
+  encodeAddressUintCall,
+  encodeAddressPairCall,
+  encodeInterfaceCall,
+  encodeBytes32Call,
+  decodeUint,
+  decodeAddress,
+  decodeAddressArray,
+  decodeWords,
+  toSignedInt,
+  wordToAddress,
+  decodeBool,
+  decodeString,
+  encodeAggregate3,
+  decodeAggregate3
+};
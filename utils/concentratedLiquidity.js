@@ -0,0 +1,77 @@
+// Concentrated liquidity math (Uniswap v3 TickMath / LiquidityAmounts) in BigInt, exact like the contracts
+// Shared by Uniswap v3 and its forks such as Aerodrome Slipstream
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// 2^128 / sqrt(1.0001)^(2^i) for each bit i of |tick|, as in TickMath.getSqrtRatioAtTick
+const TICK_RATIOS = [
+  0xfff97272373d413259a46990580e213an,
+  0xfff2e50f5f656932ef12357cf3c7fdccn,
+  0xffe5caca7e10e4e61c3624eaa0941cd0n,
+  0xffcb9843d60f6159c9db58835c926644n,
+  0xff973b41fa98c081472e6896dfb254c0n,
+  0xff2ea16466c96a3843ec78b326b52861n,
+  0xfe5dee046a99a2a811c461f1969c3053n,
+  0xfcbe86c7900a88aedcffc83b479aa3a4n,
+  0xf987a7253ac413176f2b074cf7815e54n,
+  0xf3392b0822b70005940c7a398e4b70f3n,
+  0xe7159475a2c29b7443b29c7fa6e889d9n,
+  0xd097f3bdfd2022b8845ad8f792aa5825n,
+  0xa9f746462d870fdf8a65dc1f90e061e5n,
+  0x70d869a156d2a1b890bb3df62baf32f7n,
+  0x31be135f97d08fd981231505542fcfa6n,
+  0x9aa508b5b7a84e1c677de54f3e99bc9n,
+  0x5d6af8dedb81196699c329225ee604n,
+  0x2216e584f5fa1ea926041bedfe98n,
+  0x48a170391f7dc42444e8fa2n
+];
+
+// sqrt(1.0001^tick) as a Q64.96 number
+function getSqrtRatioAtTick(tick) {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`Tick out of range: ${tick}`);
+  }
+
+  const absTick = Math.abs(tick);
+  let ratio = absTick & 0x1 ? 0xfffcb933bd6fad37aa2d162d1a594001n : 1n << 128n;
+  TICK_RATIOS.forEach((factor, index) => {
+    if (absTick & (0x2 << index)) ratio = (ratio * factor) >> 128n;
+  });
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Q128.128 to Q64.96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+function getAmount0ForLiquidity(sqrtRatioA, sqrtRatioB, liquidity) {
+  return ((liquidity << 96n) * (sqrtRatioB - sqrtRatioA) / sqrtRatioB) / sqrtRatioA;
+}
+
+function getAmount1ForLiquidity(sqrtRatioA, sqrtRatioB, liquidity) {
+  return (liquidity * (sqrtRatioB - sqrtRatioA)) / Q96;
+}
+
+// Token amounts (base units, rounded down) of a position's liquidity at the pool's current price
+function getAmountsForLiquidity(sqrtPriceX96, tickLower, tickUpper, liquidity) {
+  const sqrtRatioA = getSqrtRatioAtTick(Math.min(tickLower, tickUpper));
+  const sqrtRatioB = getSqrtRatioAtTick(Math.max(tickLower, tickUpper));
+
+  if (sqrtPriceX96 <= sqrtRatioA) {
+    return { amount0: getAmount0ForLiquidity(sqrtRatioA, sqrtRatioB, liquidity), amount1: 0n };
+  }
+  if (sqrtPriceX96 < sqrtRatioB) {
+    return {
+      amount0: getAmount0ForLiquidity(sqrtPriceX96, sqrtRatioB, liquidity),
+      amount1: getAmount1ForLiquidity(sqrtRatioA, sqrtPriceX96, liquidity)
+    };
+  }
+  return { amount0: 0n, amount1: getAmount1ForLiquidity(sqrtRatioA, sqrtRatioB, liquidity) };
+}
+
+module.exports = {
+  getSqrtRatioAtTick,
+  getAmountsForLiquidity
+};
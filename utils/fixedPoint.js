@@ -0,0 +1,122 @@
+/**
+ * Fixed-point decimal arithmetic for token amounts
+ * Raw balances stay BigInt base units (wei) so large 18-decimal values never lose precision
+ */
+
+// Fraction digits kept when multiplying amounts by USD prices
+const PRICE_PRECISION = 18;
+
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?$/;
+
+function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  if (value === null || value === undefined || value === '') return 0n;
+
+  const str = value.toString().trim();
+  if (!/^(0x[0-9a-fA-F]+|\d+)$/.test(str)) {
+    throw new Error(`Invalid integer amount: ${value}`);
+  }
+
+  return BigInt(str);
+}
+
+// Expand numbers and exponent strings ("1.5e-7") to a plain decimal string
+function toPlainDecimal(value) {
+  let str = typeof value === 'number'
+    ? value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+    : value.toString().trim().replace(/,/g, '');
+
+  const exponentMatch = str.match(/^(\d*\.?\d*)e([+-]?\d+)$/i);
+  if (exponentMatch) {
+    const [intPart, fracPart = ''] = exponentMatch[1].split('.');
+    const exponent = parseInt(exponentMatch[2], 10);
+    const digits = intPart + fracPart;
+    const pointIndex = intPart.length + exponent;
+
+    if (pointIndex <= 0) {
+      str = `0.${'0'.repeat(-pointIndex)}${digits}`;
+    } else if (pointIndex >= digits.length) {
+      str = digits + '0'.repeat(pointIndex - digits.length);
+    } else {
+      str = `${digits.slice(0, pointIndex)}.${digits.slice(pointIndex)}`;
+    }
+  }
+
+  if (!DECIMAL_PATTERN.test(str) || str === '' || str === '.') {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+
+  return str;
+}
+
+// Decimal string or number -> BigInt base units (extra fraction digits are truncated)
+function parseUnits(value, decimals = 18) {
+  const [, intPart, fracPart = ''] = toPlainDecimal(value).match(DECIMAL_PATTERN);
+  const fraction = fracPart.slice(0, decimals).padEnd(decimals, '0');
+
+  return BigInt((intPart || '0') + fraction);
+}
+
+// BigInt base units -> exact decimal string without trailing zeros
+function formatUnits(raw, decimals = 18) {
+  const value = toBigInt(raw);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+  const intPart = digits.slice(0, digits.length - decimals);
+  const fracPart = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${intPart}${fracPart ? `.${fracPart}` : ''}`;
+}
+
+// Human-readable amount: up to maxFractionDigits for amounts >= 1,
+// enough significant digits for dust amounts - never exponential notation
+function formatDisplayAmount(raw, decimals = 18, maxFractionDigits = 6, significantDigits = 4) {
+  const exact = formatUnits(raw, decimals);
+  const [intPart, fracPart = ''] = exact.replace('-', '').split('.');
+  const sign = exact.startsWith('-') ? '-' : '';
+
+  if (!fracPart) return exact;
+
+  let shownFraction;
+  if (intPart !== '0') {
+    shownFraction = fracPart.slice(0, maxFractionDigits);
+  } else {
+    const leadingZeros = fracPart.match(/^0*/)[0].length;
+    shownFraction = fracPart.slice(0, Math.max(maxFractionDigits, leadingZeros + significantDigits));
+  }
+
+  shownFraction = shownFraction.replace(/0+$/, '');
+  return `${sign}${intPart}${shownFraction ? `.${shownFraction}` : ''}`;
+}
+
+function compareUnits(a, b) {
+  const left = toBigInt(a);
+  const right = toBigInt(b);
+
+  return left === right ? 0 : (left > right ? 1 : -1);
+}
+
+// Raw balance strictly above a human-readable threshold (e.g. MIN_BALANCE_THRESHOLD)
+function isAboveThreshold(raw, decimals, threshold) {
+  return toBigInt(raw) > parseUnits(threshold, decimals);
+}
+
+// Exact product of two decimal amounts (e.g. token balance x USD price) as decimal string
+function multiplyDecimals(amount, price, precision = PRICE_PRECISION) {
+  const product = parseUnits(amount, precision) * parseUnits(price, precision);
+
+  return formatUnits(product, precision * 2);
+}
+
+module.exports = {
+  PRICE_PRECISION,
+  toBigInt,
+  toPlainDecimal,
+  parseUnits,
+  formatUnits,
+  formatDisplayAmount,
+  compareUnits,
+  isAboveThreshold,
+  multiplyDecimals
+};
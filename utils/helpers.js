@@ -3,10 +3,27 @@
  * Enhanced with better error handling and validation
  */
 
-const { VALIDATION } = require('../config/constants');
+const { VALIDATION, NATIVE_TOKEN_ADDRESS, getNetworkConfig, isNetworkSupported } = require('../config/constants');
+const { formatUnits } = require('./fixedPoint');
+const { decodeString } = require('./abi');
+const { keccak256 } = require('./keccak');
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal = null) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    
+    // Wake up early when the operation is cancelled
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 function isValidEthereumAddress(address) {
@@ -14,7 +31,41 @@ function isValidEthereumAddress(address) {
     return false;
   }
   
-  return VALIDATION.ETHEREUM_ADDRESS.test(address.trim());
+  const trimmed = address.trim();
+  return VALIDATION.ETHEREUM_ADDRESS.test(trimmed) && hasValidChecksum(trimmed);
+}
+
+// EIP-55 mixed-case checksum form of an address
+function toChecksumAddress(address) {
+  const hex = address.trim().toLowerCase().slice(2);
+  const hash = keccak256(hex).slice(2);
+  
+  return `0x${[...hex].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('')}`;
+}
+
+// All-lowercase / all-uppercase addresses carry no checksum; mixed-case ones must match EIP-55
+function hasValidChecksum(address) {
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+    return true;
+  }
+  
+  return toChecksumAddress(address) === address;
+}
+
+// Well-formed inputs rejected only for a bad checksum, with the checksum they should carry
+// Token targets ('0x...#42') are checked on their address part
+function findChecksumMismatches(inputs) {
+  return inputs
+    .map(input => input?.toString().trim().split(VALIDATION.TOKEN_ID_SEPARATOR)[0])
+    .filter(address => address && VALIDATION.ETHEREUM_ADDRESS.test(address) && !hasValidChecksum(address))
+    .map(address => ({ address, expected: toChecksumAddress(address) }));
+}
+
+// Checksummed form of a token target - 'address' or 'address#id'
+function checksumTokenTarget(target) {
+  const { address, tokenId } = parseTokenTarget(target);
+  return tokenId === null ? toChecksumAddress(address) : `${toChecksumAddress(address)}${VALIDATION.TOKEN_ID_SEPARATOR}${tokenId}`;
 }
 
 function validateAddresses(addresses) {
@@ -43,6 +94,224 @@ function validateAddresses(addresses) {
   };
 }
 
+// ENS / Basename wallet input ('vitalik.eth') - trimmed, NFC, lowercase; null if not a name
+// Full ENSIP-15 normalization (emoji, confusables) is left to the resolver - unnormalized names just don't resolve
+function normalizeWalletName(input) {
+  const name = input?.toString().trim().normalize('NFC').toLowerCase();
+  return name && VALIDATION.WALLET_NAME.test(name) ? name : null;
+}
+
+// Like validateAddresses, for wallet lists that may mix addresses and ENS / Basenames
+// Names are returned separately (normalized, deduplicated) for resolution
+function validateWalletInputs(wallets) {
+  if (!Array.isArray(wallets)) {
+    return { valid: [], names: [], invalid: wallets ? [wallets] : [] };
+  }
+  
+  const names = [];
+  const others = [];
+  
+  wallets.forEach(wallet => {
+    const name = normalizeWalletName(wallet);
+    if (name) {
+      names.push(name);
+    } else {
+      others.push(wallet);
+    }
+  });
+  
+  return {
+    ...validateAddresses(others),
+    names: [...new Set(names)]
+  };
+}
+
+// Native currency aliases ('ETH', 'native') become NATIVE_TOKEN_ADDRESS
+function normalizeTokenInput(tokens, networkId) {
+  if (!Array.isArray(tokens)) {
+    return tokens;
+  }
+  
+  const nativeSymbol = getNetworkConfig(networkId).nativeCurrency.symbol.toLowerCase();
+  const aliases = [nativeSymbol, ...VALIDATION.NATIVE_TOKEN_ALIASES];
+  
+  return tokens.map(token => {
+    const trimmed = token?.toString().trim().toLowerCase();
+    return aliases.includes(trimmed) ? NATIVE_TOKEN_ADDRESS : token;
+  });
+}
+
+// Token target: contract address, or '0x...#42' for an ERC-1155 token ID (decimal or 0x hex)
+// Returns normalized 'address' / 'address#decimalId' in lowercase, or null if invalid
+function normalizeTokenTarget(target) {
+  const parts = target?.toString().trim().split(VALIDATION.TOKEN_ID_SEPARATOR) || [];
+  const [address, tokenId] = parts;
+  
+  if (parts.length > 2 || !isValidEthereumAddress(address)) {
+    return null;
+  }
+  
+  if (tokenId === undefined) {
+    return address.toLowerCase();
+  }
+  
+  if (!/^(\d+|0x[0-9a-fA-F]+)$/.test(tokenId) || address.toLowerCase() === NATIVE_TOKEN_ADDRESS) {
+    return null;
+  }
+  
+  const id = BigInt(tokenId);
+  if (id >= 2n ** 256n) {
+    return null;
+  }
+  
+  return `${address.toLowerCase()}${VALIDATION.TOKEN_ID_SEPARATOR}${id.toString()}`;
+}
+
+// 'address#id' -> { address, tokenId } (tokenId null for plain contract targets)
+function parseTokenTarget(target) {
+  const [address, tokenId = null] = target.split(VALIDATION.TOKEN_ID_SEPARATOR);
+  return { address, tokenId };
+}
+
+// Like validateAddresses, for token lists that may carry ERC-1155 token IDs
+function validateTokenTargets(tokens) {
+  if (!Array.isArray(tokens)) {
+    return { valid: [], invalid: tokens ? [tokens] : [] };
+  }
+  
+  const valid = [];
+  const invalid = [];
+  
+  tokens.forEach(token => {
+    const trimmed = token?.toString().trim();
+    if (!trimmed) return;
+    
+    const normalized = normalizeTokenTarget(trimmed);
+    if (normalized) {
+      valid.push(normalized);
+    } else {
+      invalid.push(trimmed);
+    }
+  });
+  
+  return {
+    valid: [...new Set(valid)],
+    invalid: [...new Set(invalid)]
+  };
+}
+
+// Cross-chain token list: 'base:0x...', 'arbitrum:ETH' or { network, address }
+// Returns targets as { network, address, key } with key = 'network:address'
+function parseCrossChainTokens(tokens) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+  
+  (Array.isArray(tokens) ? tokens : []).forEach(entry => {
+    let network;
+    let address;
+    
+    if (entry && typeof entry === 'object') {
+      ({ network, address } = entry);
+    } else {
+      const trimmed = entry?.toString().trim();
+      if (!trimmed) return;
+      [network, address] = trimmed.split(VALIDATION.CROSS_CHAIN_SEPARATOR);
+    }
+    
+    network = network?.toString().trim().toLowerCase();
+    
+    if (!isNetworkSupported(network) || !address) {
+      invalid.push(typeof entry === 'object' ? JSON.stringify(entry) : entry.toString().trim());
+      return;
+    }
+    
+    const [aliased] = normalizeTokenInput([address.toString().trim()], network);
+    const lower = normalizeTokenTarget(aliased);
+    
+    if (!lower) {
+      invalid.push(`${network}${VALIDATION.CROSS_CHAIN_SEPARATOR}${address}`);
+      return;
+    }
+    
+    const key = getTokenKey(network, lower);
+    if (seen.has(key)) return;
+    
+    seen.add(key);
+    valid.push({ network, address: lower, key });
+  });
+  
+  return { valid, invalid: [...new Set(invalid)] };
+}
+
+// Key identifying a token on a specific network ('base:0x...'), case-insensitive
+function getTokenKey(network, address) {
+  return `${network}${VALIDATION.CROSS_CHAIN_SEPARATOR}${address.toLowerCase()}`;
+}
+
+// Token key of a token referenced by rules or scoring - it must be one of the analysis targets
+// targetTokens are lowercase targets, or { network, address, key } cross-chain; throws otherwise
+function resolveTargetTokenKey(token, targetTokens, network, crossChain = false) {
+  let key = null;
+  
+  if (crossChain) {
+    const { valid } = parseCrossChainTokens([token]);
+    key = valid[0]?.key || null;
+  } else {
+    const { valid } = validateTokenTargets(normalizeTokenInput([token], network));
+    key = valid[0] ? getTokenKey(network, valid[0]) : null;
+  }
+  
+  if (!key) {
+    throw new Error(`invalid token '${token}'${crossChain ? ' (cross-chain tokens use network:address)' : ''}`);
+  }
+  
+  const targetKeys = targetTokens.map(target => typeof target === 'string' ? getTokenKey(network, target) : target.key);
+  if (!targetKeys.includes(key)) {
+    throw new Error(`token '${token}' is not one of the analyzed tokens`);
+  }
+  
+  return key;
+}
+
+// Snapshot request: block number or UTC timestamp (ISO string or unix seconds)
+// Returns { snapshot: { block, timestamp } } with timestamp in unix seconds, snapshot null for latest, or { error }
+function parseSnapshotInput(block, timestamp) {
+  const hasBlock = block !== undefined && block !== null && block !== '';
+  const hasTimestamp = timestamp !== undefined && timestamp !== null && timestamp !== '';
+  
+  if (!hasBlock && !hasTimestamp) {
+    return { snapshot: null };
+  }
+  
+  if (hasBlock && hasTimestamp) {
+    return { error: 'Provide either a block number or a timestamp, not both' };
+  }
+  
+  if (hasBlock) {
+    const blockNumber = Number(block);
+    if (!Number.isSafeInteger(blockNumber) || blockNumber < 0) {
+      return { error: `Invalid block number: ${block}` };
+    }
+    return { snapshot: { block: blockNumber, timestamp: null } };
+  }
+  
+  const trimmed = timestamp.toString().trim();
+  // Date-times without a zone are UTC, not server local time
+  const isoString = /T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(trimmed) ? `${trimmed}Z` : trimmed;
+  const seconds = /^\d+$/.test(trimmed) ? Number(trimmed) : Math.floor(Date.parse(isoString) / 1000);
+  
+  if (!Number.isSafeInteger(seconds)) {
+    return { error: `Invalid timestamp: ${timestamp}` };
+  }
+  
+  if (seconds > Date.now() / 1000) {
+    return { error: 'Snapshot timestamp is in the future' };
+  }
+  
+  return { snapshot: { block: null, timestamp: seconds } };
+}
+
 function parseAddressInput(input) {
   if (!input || typeof input !== 'string') {
     return [];
@@ -55,69 +324,19 @@ function parseAddressInput(input) {
     .map(addr => addr.toLowerCase());
 }
 
+// Contract string return data (ABI string or bytes32) as UTF-8 text, '' if undecodable
 function hexToString(hex) {
-  try {
-    if (!hex || hex === '0x' || hex.length < 3) return '';
-    
-    // Remove 0x prefix
-    hex = hex.startsWith('0x') ? hex.slice(2) : hex;
-    
-    // Handle dynamic strings (ABI encoded)
-    if (hex.length >= 128) {
-      // Skip first 64 chars (offset), next 64 chars contain length
-      const lengthHex = hex.substring(64, 128);
-      const length = parseInt(lengthHex, 16) * 2; // Convert to hex chars
-      
-      if (length > 0 && length <= hex.length - 128) {
-        hex = hex.substring(128, 128 + length); // Extract actual string data
-      }
-    }
-    
-    // Convert hex to string
-    let str = '';
-    for (let i = 0; i < hex.length; i += 2) {
-      const hexPair = hex.substr(i, 2);
-      if (hexPair.length === 2) {
-        const charCode = parseInt(hexPair, 16);
-        // Only include printable ASCII characters
-        if (charCode >= 32 && charCode <= 126) {
-          str += String.fromCharCode(charCode);
-        }
-      }
-    }
-    
-    return str.trim();
-  } catch (error) {
-    console.error('Error converting hex to string:', error.message);
-    return '';
-  }
+  return decodeString(hex) || '';
 }
 
+// Exact decimal string - see formatDisplayAmount for a rounded display value
 function weiToTokens(weiAmount, decimals = 18) {
   try {
     if (!weiAmount || weiAmount === '0') {
       return '0';
     }
     
-    const balanceNum = typeof weiAmount === 'string' 
-      ? parseFloat(weiAmount) 
-      : weiAmount;
-    
-    if (isNaN(balanceNum) || balanceNum === 0) {
-      return '0';
-    }
-    
-    const divisor = Math.pow(10, decimals);
-    const tokenBalance = balanceNum / divisor;
-    
-    // Use appropriate decimal places based on amount
-    if (tokenBalance >= 1) {
-      return tokenBalance.toFixed(6);
-    } else if (tokenBalance >= 0.01) {
-      return tokenBalance.toFixed(8);
-    } else {
-      return tokenBalance.toExponential(3);
-    }
+    return formatUnits(weiAmount, decimals);
   } catch (error) {
     console.error('Error converting wei to tokens:', error.message);
     return '0';
@@ -145,7 +364,8 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     } catch (error) {
       lastError = error;
       
-      if (attempt === maxRetries) {
+      // Cancelled requests must not be retried
+      if (attempt === maxRetries || error.name === 'AbortError') {
         break; // Don't delay on last attempt
       }
       
@@ -159,23 +379,26 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
   throw lastError;
 }
 
-function validateRequestLimits(wallets, tokens) {
+// options.allowEmptyTokens - token discovery mode, where target tokens are optional
+// options.maxWallets / maxTokens - limits of modes other than analysis (e.g. holder screening)
+function validateRequestLimits(wallets, tokens, options = {}) {
+  const { maxWallets = VALIDATION.MAX_WALLETS_PER_REQUEST, maxTokens = VALIDATION.MAX_TOKENS_PER_REQUEST } = options;
   const errors = [];
   
   if (!wallets || !Array.isArray(wallets)) {
     errors.push('Wallets must be an array');
   } else if (wallets.length === 0) {
     errors.push('At least one wallet address is required');
-  } else if (wallets.length > VALIDATION.MAX_WALLETS_PER_REQUEST) {
-    errors.push(`Too many wallets (max: ${VALIDATION.MAX_WALLETS_PER_REQUEST})`);
+  } else if (wallets.length > maxWallets) {
+    errors.push(`Too many wallets (max: ${maxWallets})`);
   }
   
   if (!tokens || !Array.isArray(tokens)) {
     errors.push('Tokens must be an array');
-  } else if (tokens.length === 0) {
+  } else if (tokens.length === 0 && !options.allowEmptyTokens) {
     errors.push('At least one token address is required');
-  } else if (tokens.length > VALIDATION.MAX_TOKENS_PER_REQUEST) {
-    errors.push(`Too many tokens (max: ${VALIDATION.MAX_TOKENS_PER_REQUEST})`);
+  } else if (tokens.length > maxTokens) {
+    errors.push(`Too many tokens (max: ${maxTokens})`);
   }
   
   return {
@@ -187,8 +410,22 @@ function validateRequestLimits(wallets, tokens) {
 module.exports = {
   sleep,
   isValidEthereumAddress,
+  toChecksumAddress,
+  hasValidChecksum,
+  findChecksumMismatches,
+  checksumTokenTarget,
   validateAddresses,
+  normalizeWalletName,
+  validateWalletInputs,
   parseAddressInput,
+  normalizeTokenInput,
+  normalizeTokenTarget,
+  parseTokenTarget,
+  validateTokenTargets,
+  parseCrossChainTokens,
+  getTokenKey,
+  resolveTargetTokenKey,
+  parseSnapshotInput,
   hexToString,
   weiToTokens,
   shortenAddress,
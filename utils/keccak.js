@@ -0,0 +1,137 @@
+/**
+ * Keccak-256 (the pre-standard SHA-3 variant Ethereum uses) - node's crypto only has FIPS SHA3-256
+ * 64-bit lanes are kept as [low, high] 32-bit halves; no Node-only APIs so the browser can share it
+ */
+
+const RATE_BYTES = 136; // 1600-bit state minus 2 x 256-bit capacity
+
+// Round constants as [low, high] halves
+const ROUND_CONSTANTS = [
+  [0x00000001, 0x00000000], [0x00008082, 0x00000000], [0x0000808a, 0x80000000], [0x80008000, 0x80000000],
+  [0x0000808b, 0x00000000], [0x80000001, 0x00000000], [0x80008081, 0x80000000], [0x00008009, 0x80000000],
+  [0x0000008a, 0x00000000], [0x00000088, 0x00000000], [0x80008009, 0x00000000], [0x8000000a, 0x00000000],
+  [0x8000808b, 0x00000000], [0x0000008b, 0x80000000], [0x00008089, 0x80000000], [0x00008003, 0x80000000],
+  [0x00008002, 0x80000000], [0x00000080, 0x80000000], [0x0000800a, 0x00000000], [0x8000000a, 0x80000000],
+  [0x80008081, 0x80000000], [0x00008080, 0x80000000], [0x80000001, 0x00000000], [0x80008008, 0x80000000]
+];
+
+// Rotation offsets by lane index x + 5y
+const ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+
+// Rotate the 64-bit lane in lo/hi at index left by n bits, writing into outLo/outHi at outIndex
+function rotateInto(lo, hi, index, n, outLo, outHi, outIndex) {
+  let low = lo[index];
+  let high = hi[index];
+
+  if (n >= 32) {
+    [low, high] = [high, low];
+    n -= 32;
+  }
+
+  if (n === 0) {
+    outLo[outIndex] = low;
+    outHi[outIndex] = high;
+    return;
+  }
+
+  outLo[outIndex] = ((low << n) | (high >>> (32 - n))) >>> 0;
+  outHi[outIndex] = ((high << n) | (low >>> (32 - n))) >>> 0;
+}
+
+function permute(lo, hi) {
+  const cLo = new Uint32Array(5);
+  const cHi = new Uint32Array(5);
+  const dLo = new Uint32Array(1);
+  const dHi = new Uint32Array(1);
+  const bLo = new Uint32Array(25);
+  const bHi = new Uint32Array(25);
+
+  for (const [rcLo, rcHi] of ROUND_CONSTANTS) {
+    // Theta
+    for (let x = 0; x < 5; x++) {
+      cLo[x] = lo[x] ^ lo[x + 5] ^ lo[x + 10] ^ lo[x + 15] ^ lo[x + 20];
+      cHi[x] = hi[x] ^ hi[x + 5] ^ hi[x + 10] ^ hi[x + 15] ^ hi[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      rotateInto(cLo, cHi, (x + 1) % 5, 1, dLo, dHi, 0);
+      const left = (x + 4) % 5;
+      for (let y = 0; y < 25; y += 5) {
+        lo[x + y] ^= cLo[left] ^ dLo[0];
+        hi[x + y] ^= cHi[left] ^ dHi[0];
+      }
+    }
+
+    // Rho and pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        rotateInto(lo, hi, x + 5 * y, ROTATIONS[x + 5 * y], bLo, bHi, y + 5 * ((2 * x + 3 * y) % 5));
+      }
+    }
+
+    // Chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        lo[x + y] = (bLo[x + y] ^ (~bLo[(x + 1) % 5 + y] & bLo[(x + 2) % 5 + y])) >>> 0;
+        hi[x + y] = (bHi[x + y] ^ (~bHi[(x + 1) % 5 + y] & bHi[(x + 2) % 5 + y])) >>> 0;
+      }
+    }
+
+    // Iota
+    lo[0] = (lo[0] ^ rcLo) >>> 0;
+    hi[0] = (hi[0] ^ rcHi) >>> 0;
+  }
+}
+
+// Bytes to hash: strings are UTF-8, '0x' strings are not treated as hex (use hexToBytes)
+function toBytes(data) {
+  return typeof data === 'string' ? new TextEncoder().encode(data) : Uint8Array.from(data);
+}
+
+// 0x-prefixed hex string -> bytes
+function hexToBytes(hex) {
+  const digits = hex.startsWith('0x') ? hex.slice(2) : hex;
+  const bytes = new Uint8Array(digits.length >> 1);
+
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// keccak256 of a string (UTF-8) or bytes, as 0x-prefixed hex
+function keccak256(data) {
+  const bytes = toBytes(data);
+  const lo = new Uint32Array(25);
+  const hi = new Uint32Array(25);
+
+  // Keccak padding (0x01 ... 0x80), not the SHA-3 domain byte 0x06
+  const padded = new Uint8Array((Math.floor(bytes.length / RATE_BYTES) + 1) * RATE_BYTES);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const input = new DataView(padded.buffer);
+  for (let offset = 0; offset < padded.length; offset += RATE_BYTES) {
+    for (let lane = 0; lane < RATE_BYTES / 8; lane++) {
+      lo[lane] ^= input.getUint32(offset + lane * 8, true);
+      hi[lane] ^= input.getUint32(offset + lane * 8 + 4, true);
+    }
+    permute(lo, hi);
+  }
+
+  const digest = new DataView(new ArrayBuffer(32));
+  for (let lane = 0; lane < 4; lane++) {
+    digest.setUint32(lane * 8, lo[lane], true);
+    digest.setUint32(lane * 8 + 4, hi[lane], true);
+  }
+
+  return `0x${Array.from(new Uint8Array(digest.buffer), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Also loaded as a plain script by the frontend (served at /js/keccak.js), where keccak256 becomes a global
+if (typeof module !== 'undefined') {
+  module.exports = {
+    keccak256,
+    hexToBytes
+  };
+}
@@ -0,0 +1,85 @@
+// Merkle distributor trees in the Uniswap merkle-distributor layout used by most airdrop claim contracts
+// Leaves are keccak256(abi.encodePacked(uint256 index, address account, uint256 amount)), pairs hash sorted
+
+const { keccak256, hexToBytes } = require('./keccak');
+
+// 32-byte big-endian uint256
+function toUint256Bytes(value) {
+  return hexToBytes(BigInt(value).toString(16).padStart(64, '0'));
+}
+
+// Hex quantity as ethers' BigNumber.toHexString() writes it - even digit count, '0x00' for zero
+function toEvenHex(value) {
+  const hex = BigInt(value).toString(16);
+  return `0x${hex.length % 2 ? '0' : ''}${hex}`;
+}
+
+function hashLeaf(index, account, amount) {
+  return keccak256(Buffer.concat([toUint256Bytes(index), hexToBytes(account.toLowerCase()), toUint256Bytes(amount)]));
+}
+
+// Lowercase 0x hashes of equal length compare as their bytes do
+function hashPair(a, b) {
+  return keccak256(Buffer.concat(a < b ? [hexToBytes(a), hexToBytes(b)] : [hexToBytes(b), hexToBytes(a)]));
+}
+
+// Tree layers from sorted leaves up to the root - an unpaired node moves up unchanged
+function buildLayers(leaves) {
+  const layers = [leaves];
+
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  return layers;
+}
+
+function getProof(layers, leaf) {
+  const proof = [];
+  let index = layers[0].indexOf(leaf);
+
+  for (const layer of layers.slice(0, -1)) {
+    const sibling = layer[index % 2 === 0 ? index + 1 : index - 1];
+    if (sibling) proof.push(sibling);
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+// Distributor JSON for [{ account, amount }] (checksummed accounts, BigInt amounts):
+// { merkleRoot, tokenTotal, claims: { account: { index, amount, proof } } } - indexes follow account order
+function buildMerkleDistribution(balances) {
+  if (balances.length === 0) {
+    throw new Error('A Merkle distribution needs at least one claim');
+  }
+
+  const sorted = [...balances].sort((a, b) => (a.account < b.account ? -1 : a.account > b.account ? 1 : 0));
+  const leaves = sorted.map(({ account, amount }, index) => hashLeaf(index, account, amount));
+  const layers = buildLayers([...leaves].sort());
+
+  return {
+    merkleRoot: layers[layers.length - 1][0],
+    tokenTotal: toEvenHex(sorted.reduce((sum, { amount }) => sum + BigInt(amount), 0n)),
+    claims: Object.fromEntries(sorted.map(({ account, amount }, index) => [account, {
+      index,
+      amount: toEvenHex(amount),
+      proof: getProof(layers, leaves[index])
+    }]))
+  };
+}
+
+// Whether a claim's proof leads to the root
+function verifyMerkleProof(index, account, amount, proof, merkleRoot) {
+  return proof.reduce((node, sibling) => hashPair(node, sibling), hashLeaf(index, account, amount)) === merkleRoot;
+}
+
+module.exports = {
+  buildMerkleDistribution,
+  verifyMerkleProof
+};
@@ -0,0 +1,157 @@
+/**
+ * Boolean rule expressions for wallet categorization
+ * Grammar (keywords are case-insensitive):
+ *   expr    := and (OR and)*
+ *   and     := unary (AND unary)*
+ *   unary   := NOT unary | primary
+ *   primary := NAME | '(' expr ')' | AT LEAST n OF '(' expr (',' expr)* ')'
+ * e.g. "(A AND B) OR C", "NOT D", "AT LEAST 2 OF (A, B, C)"
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'AT', 'LEAST', 'ATLEAST', 'OF'];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TOKEN_PATTERN = /\s*(?:([(),])|(\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/gy;
+
+// Condition names usable in expressions - identifiers that are not keywords
+function isValidConditionName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name) && !KEYWORDS.includes(name.toUpperCase());
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length && (match = TOKEN_PATTERN.exec(expression))) {
+    const [, punctuation, number, word, invalid] = match;
+
+    if (invalid) throw new Error(`Unexpected character '${invalid}'`);
+    if (punctuation) tokens.push({ type: punctuation });
+    else if (number) tokens.push({ type: 'number', value: parseInt(number, 10) });
+    else if (word && KEYWORDS.includes(word.toUpperCase())) tokens.push({ type: word.toUpperCase() });
+    else if (word) tokens.push({ type: 'name', value: word });
+  }
+
+  return tokens;
+}
+
+// Parse an expression into a tree of { type: 'and' | 'or' | 'not' | 'atLeast' | 'condition', ... }
+// Throws on syntax errors
+function parseRuleExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Expression is empty');
+  }
+
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position]?.type;
+  const expect = (type, description = `'${type}'`) => {
+    if (peek() !== type) {
+      throw new Error(`Expected ${description}${position < tokens.length ? '' : ' at end of expression'}`);
+    }
+    return tokens[position++];
+  };
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (peek() === 'OR') {
+      position++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  };
+
+  const parseAnd = () => {
+    const operands = [parseUnary()];
+    while (peek() === 'AND') {
+      position++;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  };
+
+  const parseUnary = () => {
+    if (peek() === 'NOT') {
+      position++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseAtLeast = () => {
+    const count = expect('number', 'a count after AT LEAST').value;
+    expect('OF', "'OF'");
+    expect('(', "'(' after OF");
+
+    const operands = [parseOr()];
+    while (peek() === ',') {
+      position++;
+      operands.push(parseOr());
+    }
+    expect(')', "')'");
+
+    if (count < 1 || count > operands.length) {
+      throw new Error(`AT LEAST ${count} OF needs between 1 and ${operands.length} (the number of options)`);
+    }
+    return { type: 'atLeast', count, operands };
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+
+    if (!token) throw new Error('Unexpected end of expression');
+    if (token.type === 'name') return { type: 'condition', name: token.value };
+    if (token.type === 'ATLEAST') return parseAtLeast();
+    if (token.type === 'AT') {
+      expect('LEAST', "'LEAST' after AT");
+      return parseAtLeast();
+    }
+    if (token.type === '(') {
+      const node = parseOr();
+      expect(')', "')'");
+      return node;
+    }
+
+    throw new Error(`Unexpected '${token.value ?? token.type}'`);
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position].value ?? tokens[position].type}'`);
+  }
+
+  return tree;
+}
+
+// Condition names an expression tree refers to
+function getConditionNames(tree) {
+  if (tree.type === 'condition') return [tree.name];
+  if (tree.type === 'not') return getConditionNames(tree.operand);
+  return [...new Set(tree.operands.flatMap(getConditionNames))];
+}
+
+// Evaluate a tree against condition values ({ name: boolean })
+function evaluateRuleExpression(tree, values) {
+  switch (tree.type) {
+    case 'condition':
+      return !!values[tree.name];
+    case 'not':
+      return !evaluateRuleExpression(tree.operand, values);
+    case 'and':
+      return tree.operands.every(operand => evaluateRuleExpression(operand, values));
+    case 'or':
+      return tree.operands.some(operand => evaluateRuleExpression(operand, values));
+    case 'atLeast':
+      return tree.operands.filter(operand => evaluateRuleExpression(operand, values)).length >= tree.count;
+    default:
+      throw new Error(`Unknown expression node: ${tree.type}`);
+  }
+}
+
+module.exports = {
+  isValidConditionName,
+  parseRuleExpression,
+  getConditionNames,
+  evaluateRuleExpression
+};